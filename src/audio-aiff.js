@@ -0,0 +1,272 @@
+import { DataBuffer } from '@uttori/data-tools';
+import { decodeSamples, encodeSamples16 } from './pcm.js';
+
+let debug = (..._) => {}; try { const { default: d } = await import('debug'); debug = d('Uttori.AudioAiff'); } catch {}
+
+/**
+ * A chunk found in an IFF file.
+ * @typedef {object} AiffChunk
+ * @property {string} id The four character chunk ID, like `COMM` or `SSND`.
+ * @property {number} offset The byte offset of the chunk header in the file.
+ * @property {number} size The size of the chunk data in bytes, not including the 8 byte header.
+ */
+
+/**
+ * Uttori AIFF - Utility to read the structure of an AIFF or AIFF-C file, and to write 16 bit AIFF files.
+ *
+ * Only the chunk layout and the `COMM` chunk are decoded, the sample data is left in place and located by `dataOffset` and `dataSize` until `getSamples` is called.
+ * In this file, values are stored in big-endian order.
+ * @property {AiffChunk[]} chunks The chunks in file order.
+ * @property {string} formType The form type, `AIFF` or `AIFC`.
+ * @property {number} channels The number of channels.
+ * @property {number} frames The number of sample frames.
+ * @property {number} bitsPerSample The number of bits per sample for one channel.
+ * @property {number} sampleRate The number of sample frames per second.
+ * @property {string} compressionType The AIFF-C compression type like `NONE` or `sowt`, always `NONE` for AIFF files.
+ * @property {number} dataOffset The byte offset of the first sample in the file.
+ * @property {number} dataSize The size of the sample data in bytes.
+ * @example <caption>AudioAiff</caption>
+ * import fs from 'fs';
+ * const aiff = new AudioAiff(fs.readFileSync('./A0000001.AIF'));
+ * console.log(aiff.channels, aiff.sampleRate, aiff.dataOffset, aiff.frames);
+ * ➜ 2 44100 54 96219
+ * @class
+ * @augments DataBuffer
+ */
+class AudioAiff extends DataBuffer {
+  /**
+   * Creates an instance of AudioAiff.
+   * @param {number[]|ArrayBuffer|Buffer|DataBuffer|Int8Array|Int16Array|Int32Array|number|string|Uint8Array|Uint16Array|Uint32Array|undefined} [input] The data to process.
+   * @throws {Error} The file is not an AIFF or AIFF-C file, or is missing the `COMM` or `SSND` chunk.
+   * @class
+   */
+  constructor(input) {
+    super(input);
+
+    /** @type {AiffChunk[]} The chunks in file order. */
+    this.chunks = [];
+    /** @type {string} The form type, `AIFF` or `AIFC`. */
+    this.formType = '';
+    /** @type {number} The number of channels. */
+    this.channels = 0;
+    /** @type {number} The number of sample frames. */
+    this.frames = 0;
+    /** @type {number} The number of bits per sample for one channel. */
+    this.bitsPerSample = 0;
+    /** @type {number} The number of sample frames per second. */
+    this.sampleRate = 0;
+    /** @type {string} The AIFF-C compression type like `NONE` or `sowt`. */
+    this.compressionType = 'NONE';
+    /** @type {number} The byte offset of the first sample in the file. */
+    this.dataOffset = 0;
+    /** @type {number} The size of the sample data in bytes. */
+    this.dataSize = 0;
+
+    this.parse();
+  }
+
+  /**
+   * The number of bytes per sample frame, for all channels.
+   * @returns {number} The number of bytes per sample frame.
+   */
+  get blockAlign() {
+    return Math.ceil(this.bitsPerSample / 8) * this.channels;
+  }
+
+  /**
+   * The length of the sample data in seconds.
+   * @returns {number} The length in seconds.
+   */
+  get duration() {
+    return this.sampleRate ? this.frames / this.sampleRate : 0;
+  }
+
+  /**
+   * Decode the sample data to one array of samples between -1 and 1 per channel.
+   * @returns {Float32Array[]} The samples of each channel.
+   * @throws {Error} The compression type or sample size is not supported.
+   */
+  getSamples() {
+    debug('getSamples');
+    const compressionType = this.compressionType.toLowerCase();
+    if (!['none', 'sowt', 'fl32', 'fl64'].includes(compressionType)) {
+      const error = `Unsupported AIFF-C compression, ${this.compressionType} should be NONE, sowt, fl32 or fl64.`;
+      debug(error);
+      throw new Error(error);
+    }
+    const bytesPerSample = this.blockAlign / this.channels;
+    return decodeSamples(this.data, {
+      offset: this.dataOffset,
+      frames: Math.min(this.frames, Math.floor(this.dataSize / this.blockAlign)),
+      channels: this.channels,
+      bytesPerSample: compressionType.startsWith('fl') ? Number(compressionType.slice(2)) / 8 : bytesPerSample,
+      float: compressionType.startsWith('fl'),
+      littleEndian: compressionType === 'sowt',
+    });
+  }
+
+  /**
+   * Parse the FORM header and the chunks, decoding the `COMM` chunk and locating the `SSND` sample data.
+   * @throws {Error} The file is not an AIFF or AIFF-C file, or is missing the `COMM` or `SSND` chunk.
+   */
+  parse() {
+    debug('parse');
+    this.formType = this.length >= 12 ? this.peekString(8, 4) : '';
+    if (this.length < 12 || this.peekString(0, 4) !== 'FORM' || !['AIFF', 'AIFC'].includes(this.formType)) {
+      const error = 'Invalid AIFF file, the file should start with FORM and AIFF or AIFC.';
+      debug(error);
+      throw new Error(error);
+    }
+    this.seek(12);
+
+    while (this.remainingBytes() >= 8) {
+      const { offset } = this;
+      const id = this.readString(4);
+      const size = this.readUInt32();
+      this.chunks.push({ id, offset, size });
+      debug('parse chunk:', id, offset, size);
+
+      if (id === 'COMM') {
+        this.channels = this.readUInt16();
+        this.frames = this.readUInt32();
+        this.bitsPerSample = this.readUInt16();
+        this.sampleRate = AudioAiff.decodeExtended(this.read(10));
+        if (this.formType === 'AIFC' && size >= 22) {
+          this.compressionType = this.readString(4);
+        }
+      } else if (id === 'SSND') {
+        // The sample data follows an offset used to align blocks, it is almost always 0.
+        const dataOffset = this.readUInt32();
+        this.readUInt32();
+        this.dataOffset = offset + 16 + dataOffset;
+        this.dataSize = Math.max(0, Math.min(size - 8 - dataOffset, this.length - this.dataOffset));
+      }
+
+      // Chunks are padded to an even number of bytes.
+      const next = offset + 8 + size + (size % 2);
+      if (next > this.length) {
+        break;
+      }
+      this.seek(next);
+    }
+
+    if (!this.chunks.some((chunk) => chunk.id === 'COMM')) {
+      const error = 'Invalid AIFF file, missing the COMM chunk.';
+      debug(error);
+      throw new Error(error);
+    }
+    if (!this.chunks.some((chunk) => chunk.id === 'SSND')) {
+      const error = 'Invalid AIFF file, missing the SSND chunk.';
+      debug(error);
+      throw new Error(error);
+    }
+  }
+
+  /**
+   * Encode samples to a 16 bit big-endian PCM AIFF file.
+   * The `SSND` chunk offset is used to place the sample data at `dataOffset`, like the RIFF header of SP-404SX Wave Converter files.
+   * @param {Float32Array[]} samples The samples of each channel between -1 and 1, all of the same length.
+   * @param {object} [options] The layout of the file.
+   * @param {number} [options.sampleRate] The number of sample frames per second; default is 44100.
+   * @param {number} [options.dataOffset] The byte offset of the first sample, at least 54; default is 512.
+   * @returns {Buffer} The AIFF file.
+   * @throws {Error} The data offset is too small for the header.
+   * @static
+   */
+  static encode(samples, { sampleRate = 44100, dataOffset = 512 } = {}) {
+    debug('encode:', sampleRate, dataOffset);
+    // FORM header, COMM chunk and SSND chunk header.
+    const headerSize = 12 + 26 + 16;
+    if (!Number.isInteger(dataOffset) || dataOffset < headerSize) {
+      const error = `Data offset is invalid, ${dataOffset} should be an integer of at least ${headerSize}.`;
+      debug(error);
+      throw new Error(error);
+    }
+    const channels = samples.length;
+    const frames = channels ? samples[0].length : 0;
+    const data = encodeSamples16(samples, false);
+    const ssndSize = 8 + (dataOffset - headerSize) + data.length;
+    const output = Buffer.alloc(dataOffset + data.length + (ssndSize % 2));
+
+    output.write('FORM', 0, 'ascii');
+    output.writeUInt32BE(output.length - 8, 4);
+    output.write('AIFF', 8, 'ascii');
+
+    output.write('COMM', 12, 'ascii');
+    output.writeUInt32BE(18, 16);
+    output.writeUInt16BE(channels, 20);
+    output.writeUInt32BE(frames, 22);
+    output.writeUInt16BE(16, 26);
+    output.set(AudioAiff.encodeExtended(sampleRate), 28);
+
+    output.write('SSND', 38, 'ascii');
+    output.writeUInt32BE(ssndSize, 42);
+    output.writeUInt32BE(dataOffset - headerSize, 46);
+    output.writeUInt32BE(0, 50);
+    output.set(data, dataOffset);
+
+    return output;
+  }
+
+  /**
+   * Encode a number as an 80 bit IEEE 754 extended precision big-endian number, used for the AIFF sample rate.
+   * @param {number} value The number to encode.
+   * @returns {Uint8Array} The 10 bytes of the number.
+   * @static
+   */
+  static encodeExtended(value) {
+    const bytes = new Uint8Array(10);
+    if (value === 0) {
+      return bytes;
+    }
+    const sign = value < 0 ? 0x8000 : 0;
+    let exponent = 0x7FFF;
+    let high = 0;
+    let low = 0;
+    if (Number.isFinite(value)) {
+      let mantissa = Math.abs(value);
+      exponent = Math.floor(Math.log2(mantissa));
+      mantissa /= 2 ** exponent;
+      // Correct for rounding in log2 so the mantissa is between 1 and 2.
+      if (mantissa >= 2) {
+        mantissa /= 2;
+        exponent += 1;
+      } else if (mantissa < 1) {
+        mantissa *= 2;
+        exponent -= 1;
+      }
+      exponent += 16383;
+      high = Math.floor(mantissa * (2 ** 31));
+      low = Math.floor(((mantissa * (2 ** 31)) - high) * (2 ** 32));
+    } else if (Number.isNaN(value)) {
+      high = 0xC0000000;
+    }
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, sign | exponent);
+    view.setUint32(2, high);
+    view.setUint32(6, low);
+    return bytes;
+  }
+
+  /**
+   * Decode an 80 bit IEEE 754 extended precision big-endian number, used for the AIFF sample rate.
+   * @param {Uint8Array} bytes The 10 bytes of the number.
+   * @returns {number} The decoded number.
+   * @static
+   */
+  static decodeExtended(bytes) {
+    const sign = bytes[0] & 0x80 ? -1 : 1;
+    const exponent = ((bytes[0] & 0x7F) << 8) | bytes[1];
+    const high = ((bytes[2] << 24) | (bytes[3] << 16) | (bytes[4] << 8) | bytes[5]) >>> 0;
+    const low = ((bytes[6] << 24) | (bytes[7] << 16) | (bytes[8] << 8) | bytes[9]) >>> 0;
+    if (exponent === 0 && high === 0 && low === 0) {
+      return 0;
+    }
+    if (exponent === 0x7FFF) {
+      return high === 0 && low === 0 ? sign * Number.POSITIVE_INFINITY : Number.NaN;
+    }
+    return sign * ((high * (2 ** (exponent - 16383 - 31))) + (low * (2 ** (exponent - 16383 - 63))));
+  }
+}
+
+export default AudioAiff;
@@ -0,0 +1,199 @@
+import AudioAiff from './audio-aiff.js';
+import AudioPadInfo from './audio-padinfo.js';
+import AudioWave from './audio-wave.js';
+import { SP404SX } from './device-profiles.js';
+import { encodeSamples16 } from './pcm.js';
+
+let debug = (..._) => {}; try { const { default: d } = await import('debug'); debug = d('Uttori.AudioConverter'); } catch {}
+
+/**
+ * A converted sample file and the pad that plays it.
+ * @typedef {object} ConvertedSample
+ * @property {Buffer} file The converted WAVE file.
+ * @property {import('./audio-padinfo.js').Pad} pad The pad for the converted file.
+ */
+
+/**
+ * Uttori Audio Converter - Utility to convert WAVE and AIFF files to sample files the SP-404SX can play, like SP-404SX Wave Converter does.
+ *
+ * The output is a 16 bit PCM WAVE file at 44.1 kHz with the same number of channels, and a `JUNK` chunk padding the header so the sample data starts at exactly byte 512.
+ * AIFF output is 16 bit big-endian PCM at 44.1 kHz, with the `SSND` chunk offset placing the sample data at byte 512.
+ * Any other chunks in the input are dropped. Sample rates are changed with a windowed sinc filter and bit depths by rounding, without dither.
+ * @example <caption>AudioConverter</caption>
+ * import fs from 'fs';
+ * const { file, pad } = AudioConverter.convert(fs.readFileSync('./kick-96k-24bit.wav'), 'A1');
+ * fs.writeFileSync(`./ROLAND/SP-404SX/SMPL/${pad.filename}`, file);
+ * padInfo.setPad('A1', pad);
+ * @class
+ */
+class AudioConverter {
+  /** @returns {number} The sample rate used by the SP-404SX. */
+  static get sampleRate() { return 44100; }
+
+  /** @returns {number} The byte offset of the sample data in a converted file. */
+  static get headerSize() { return 512; }
+
+  /**
+   * Convert a WAVE or AIFF file to a sample file the SP-404SX can play, and build the matching pad.
+   * @param {number[]|ArrayBuffer|Buffer|Uint8Array|AudioWave|AudioAiff} input The WAVE or AIFF file.
+   * @param {string} label The pad label like `A1` or `J12`.
+   * @param {object} [options] The options for the conversion.
+   * @param {import('./device-profiles.js').DeviceProfile} [options.profile] The device to build the pad for; default is the SP-404SX.
+   * @param {'WAVE'|'AIFF'} [options.format] The format of the converted file; default is `WAVE`.
+   * @returns {ConvertedSample} The converted file and its pad.
+   * @throws {Error} The file is not a supported WAVE or AIFF file, has more than 2 channels, or the format is unknown.
+   * @static
+   */
+  static convert(input, label, { profile = SP404SX, format = 'WAVE' } = {}) {
+    debug('convert:', label, format);
+    if (!['WAVE', 'AIFF'].includes(format)) {
+      const error = `Format is invalid, ${format} should be one of 'WAVE' or 'AIFF'.`;
+      debug(error);
+      throw new Error(error);
+    }
+    const audio = AudioConverter.read(input);
+    if (![1, 2].includes(audio.channels)) {
+      const error = `Channels are invalid, ${audio.channels} should be 1 or 2.`;
+      debug(error);
+      throw new Error(error);
+    }
+    const samples = audio.getSamples().map((channel) => AudioConverter.resample(channel, audio.sampleRate, AudioConverter.sampleRate));
+    const file = format === 'AIFF' ? AudioAiff.encode(samples, { sampleRate: AudioConverter.sampleRate, dataOffset: AudioConverter.headerSize }) : AudioConverter.encodeWave(samples);
+    const pad = AudioPadInfo.getPadFromSample(file, label, profile);
+    return { file, pad };
+  }
+
+  /**
+   * Convert the sample file of an existing pad, like an `AIFF` pad to `WAVE`, keeping the pad settings.
+   * The sample offsets are recomputed for the header of the new file, and the user start and end are moved to the same sample frames as before.
+   * @param {import('./audio-padinfo.js').Pad} pad The pad the file is used by.
+   * @param {number[]|ArrayBuffer|Buffer|Uint8Array|AudioWave|AudioAiff} input The WAVE or AIFF file of the pad.
+   * @param {object} [options] The options for the conversion.
+   * @param {import('./device-profiles.js').DeviceProfile} [options.profile] The device the pad is for; default is the SP-404SX.
+   * @param {'WAVE'|'AIFF'} [options.format] The format of the converted file; default is `WAVE`.
+   * @returns {ConvertedSample} The converted file and the updated pad.
+   * @throws {Error} The file is not a supported WAVE or AIFF file, has more than 2 channels, or the format is unknown.
+   * @static
+   */
+  static convertPad(pad, input, { profile = SP404SX, format = 'WAVE' } = {}) {
+    debug('convertPad:', pad.label, format);
+    const source = AudioConverter.read(input);
+    const { file, pad: converted } = AudioConverter.convert(source, pad.label, { profile, format });
+    const output = AudioConverter.read(file);
+    const ratio = output.sampleRate / source.sampleRate;
+    const toOffset = (offset) => {
+      const frame = Math.round(((offset - source.dataOffset) / source.blockAlign) * ratio);
+      return output.dataOffset + (Math.max(0, Math.min(output.frames, frame)) * output.blockAlign);
+    };
+
+    /** @type {import('./audio-padinfo.js').Pad} */
+    const updated = {
+      ...pad,
+      originalSampleStart: converted.originalSampleStart,
+      originalSampleEnd: converted.originalSampleEnd,
+      userSampleStart: toOffset(pad.userSampleStart),
+      userSampleEnd: toOffset(pad.userSampleEnd),
+      format: converted.format,
+      channels: converted.channels,
+      originalTempo: converted.originalTempo,
+    };
+    updated.avaliable = AudioPadInfo.checkDefault(updated);
+    return { file, pad: updated };
+  }
+
+  /**
+   * Read a WAVE or AIFF file, detected from the first bytes.
+   * @param {number[]|ArrayBuffer|Buffer|Uint8Array|AudioWave|AudioAiff} input The WAVE or AIFF file.
+   * @returns {AudioWave|AudioAiff} The parsed file.
+   * @throws {Error} The file is not a WAVE or AIFF file.
+   * @static
+   */
+  static read(input) {
+    if (input instanceof AudioWave || input instanceof AudioAiff) {
+      return input;
+    }
+    const bytes = input instanceof ArrayBuffer ? new Uint8Array(input) : Uint8Array.from(input.slice(0, 4));
+    const magic = String.fromCharCode(...bytes.slice(0, 4));
+    if (magic === 'RIFF') {
+      return new AudioWave(input);
+    }
+    if (magic === 'FORM') {
+      return new AudioAiff(input);
+    }
+    const error = 'Unsupported file, the file should be a WAVE or AIFF file.';
+    debug(error);
+    throw new Error(error);
+  }
+
+  /**
+   * Change the sample rate of one channel with a Blackman windowed sinc filter, which also removes frequencies above the new Nyquist frequency when lowering the rate.
+   * @param {Float32Array} samples The samples of one channel.
+   * @param {number} fromRate The current sample rate.
+   * @param {number} toRate The new sample rate.
+   * @param {number} [zeroCrossings] The number of zero crossings of the filter on each side, more is sharper and slower; default is 16.
+   * @returns {Float32Array} The resampled channel, or the input when the rates are the same.
+   * @static
+   */
+  static resample(samples, fromRate, toRate, zeroCrossings = 16) {
+    if (fromRate === toRate) {
+      return samples;
+    }
+    debug('resample:', fromRate, toRate);
+    const ratio = toRate / fromRate;
+    const cutoff = Math.min(1, ratio);
+    const radius = zeroCrossings / cutoff;
+    const output = new Float32Array(Math.round(samples.length * ratio));
+    for (let i = 0; i < output.length; i++) {
+      const center = i / ratio;
+      const start = Math.max(0, Math.ceil(center - radius));
+      const end = Math.min(samples.length - 1, Math.floor(center + radius));
+      let sum = 0;
+      for (let j = start; j <= end; j++) {
+        const x = (j - center) * cutoff;
+        const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+        const window = 0.42 + (0.5 * Math.cos((Math.PI * x) / zeroCrossings)) + (0.08 * Math.cos((2 * Math.PI * x) / zeroCrossings));
+        sum += samples[j] * sinc * window;
+      }
+      output[i] = sum * cutoff;
+    }
+    return output;
+  }
+
+  /**
+   * Encode samples to a 16 bit PCM WAVE file at 44.1 kHz, with the sample data starting at byte 512.
+   * @param {Float32Array[]} samples The samples of each channel, all of the same length.
+   * @returns {Buffer} The WAVE file.
+   * @static
+   */
+  static encodeWave(samples) {
+    const channels = samples.length;
+    const data = encodeSamples16(samples, true);
+    const { headerSize, sampleRate } = AudioConverter;
+    const output = Buffer.alloc(headerSize + data.length);
+
+    output.write('RIFF', 0, 'ascii');
+    output.writeUInt32LE(output.length - 8, 4);
+    output.write('WAVE', 8, 'ascii');
+
+    output.write('fmt ', 12, 'ascii');
+    output.writeUInt32LE(16, 16);
+    output.writeUInt16LE(1, 20);
+    output.writeUInt16LE(channels, 22);
+    output.writeUInt32LE(sampleRate, 24);
+    output.writeUInt32LE(sampleRate * channels * 2, 28);
+    output.writeUInt16LE(channels * 2, 32);
+    output.writeUInt16LE(16, 34);
+
+    // Pad the header with a JUNK chunk so the data chunk header ends at byte 512.
+    output.write('JUNK', 36, 'ascii');
+    output.writeUInt32LE(headerSize - 8 - 44, 40);
+
+    output.write('data', headerSize - 8, 'ascii');
+    output.writeUInt32LE(data.length, headerSize - 4);
+    output.set(data, headerSize);
+
+    return output;
+  }
+}
+
+export default AudioConverter;
@@ -0,0 +1,466 @@
+import { DataBuffer } from '@uttori/data-tools';
+import { SP404MKII } from './device-profiles.js';
+import PadAddress from './pad-address.js';
+import PadConfFormatError from './pad-conf-format-error.js';
+
+let debug = (..._) => {}; try { const { default: d } = await import('debug'); debug = d('Uttori.AudioPadConf'); } catch {}
+
+/**
+ * A Pad object from an SP-404 MKII project.
+ * @typedef {object} PadConf
+ * @property {boolean} avaliable If the pad is free to use, meaning no sample is assigned to it.
+ * @property {string} label The human readable pad text, `A1` - `J16`.
+ * @property {string} name The name of the sample shown on the device, up to 23 characters.
+ * @property {number} originalSampleEnd The end of the sample as it was imported, 0 when no sample is assigned.
+ * @property {number} sampleStart The start point of the sample, 512 for an imported sample or 0 when no sample is assigned.
+ * @property {number} sampleEnd The end point of the sample, 0 when no sample is assigned.
+ * @property {number} loopStart The point the sample loops back to when looping.
+ * @property {number} volume Volume is between 0 and 127
+ * @property {number} bpm The BPM of the sample. BPM is stored mutiplied by 100, 0x2328 = 9000 = 90 bpm
+ * @property {boolean | number} gate Gate: false off, true on
+ * @property {boolean | number} loop Loop: false off, true on
+ * @property {boolean | number} reverse Reverse: false off, true on
+ */
+
+/**
+ * Uttori Pad Conf - Utility to read and write the PADCONF.BIN project file for the SP-404 MKII.
+ *
+ * Each project folder on the SD card contains a PADCONF.BIN holding the project settings and the settings for all 160 pads, A1 to J16.
+ * In this file, values are stored in big-endian order.
+ *
+ * The file is made of four sections:
+ * - 160 byte header: `RFPD` magic, pad count, version, BPM and the project name
+ * - 160 × 172 byte pad records, one for each pad A1 to J16
+ * - 160 × 24 byte pad names, one for each pad A1 to J16
+ * - 160 × 128 byte unknown records, 64 bytes of 0xFF and 64 bytes of 0x00 per pad in all known files
+ *
+ * Only the fields listed on `PadConf` have been identified, the remaining pad record bytes are not decoded.
+ * @property {string} magic The file magic, always `RFPD`.
+ * @property {number} padCount The number of pads in the project, always 160.
+ * @property {number} version The file version, 3 in all known files.
+ * @property {number} bpm The project BPM.
+ * @property {string} name The project name, like `PROJECT_03`.
+ * @property {PadConf[]} pads Parsed Pads
+ * @example <caption>AudioPadConf</caption>
+ * import fs from 'fs';
+ * const data = fs.readFileSync('./PADCONF.BIN');
+ * const { name, bpm, pads } = new AudioPadConf(data);
+ * console.log('Project:', name, bpm);
+ * ➜ Project: PROJECT_03 90
+ * console.log('Pads:', pads);
+ * ➜ [
+ *     {
+ *       "avaliable": false,
+ *       "label": "A1",
+ *       "name": "Wave Race 64 - M",
+ *       "originalSampleEnd": 14933848,
+ *       "sampleStart": 512,
+ *       "sampleEnd": 14933848,
+ *       "loopStart": 8103336,
+ *       "volume": 127,
+ *       "bpm": 81,
+ *       "gate": false,
+ *       "loop": false,
+ *       "reverse": false
+ *     },
+ *     ...
+ *   ]
+ * @example <caption>Editing a project</caption>
+ * const project = new AudioPadConf(fs.readFileSync('./PADCONF.BIN'));
+ * project.name = 'BEATS';
+ * project.pads[0].volume = 100;
+ * fs.writeFileSync('./PADCONF.BIN', project.toBuffer());
+ * @class
+ */
+class AudioPadConf extends DataBuffer {
+  /**
+   * Creates an instance of AudioPadConf.
+   * @param {number[]|ArrayBuffer|Buffer|DataBuffer|Int8Array|Int16Array|Int32Array|number|string|Uint8Array|Uint16Array|Uint32Array|undefined} [input] The data to process.
+   * @param {object} [options] The options for parsing the project.
+   * @param {import('./device-profiles.js').DeviceProfile} [options.profile] The device the file is for, used for pad labels; default is the SP-404 MKII.
+   * @class
+   */
+  constructor(input, { profile = SP404MKII } = {}) {
+    super(input);
+
+    /** @type {import('./device-profiles.js').DeviceProfile} The device the file is for. */
+    this.profile = profile;
+
+    /** @type {string} The file magic, always `RFPD`. */
+    this.magic = '';
+    /** @type {number} The number of pads in the project, always 160. */
+    this.padCount = 0;
+    /** @type {number} The file version, 3 in all known files. */
+    this.version = 0;
+    /** @type {number} The project BPM. */
+    this.bpm = 0;
+    /** @type {string} The project name, like `PROJECT_03`. */
+    this.name = '';
+    /** @type {PadConf[]} */
+    this.pads = [];
+    /** @type {Map<string, PadConf>} The pads as they were read, fields that still hold these values are written back without being validated. */
+    this.readPads = new Map();
+
+    this.parse();
+  }
+
+  /** @returns {number} The size of the header in bytes. */
+  static get headerSize() { return 160; }
+
+  /** @returns {number} The size of each pad record in bytes. */
+  static get padSize() { return 172; }
+
+  /** @returns {number} The size of each pad name in bytes. */
+  static get nameSize() { return 24; }
+
+  /** @returns {number} The size of the unknown per pad data at the end of the file in bytes. */
+  static get trailerSize() { return 128; }
+
+  /**
+   * Parse the PADCONF.BIN file, decoding the supported project and pad info.
+   * @throws {Error} Invalid magic, the file is not a PADCONF.BIN file.
+   * @throws {PadConfFormatError} The file is truncated or the pad count does not match the profile.
+   */
+  parse() {
+    debug('parse');
+
+    // Header
+    if (this.length < AudioPadConf.headerSize) {
+      this.throwFormatError('ERR_TRUNCATED', this.length, this.length, `Truncated: ${this.length} bytes is shorter than the ${AudioPadConf.headerSize} byte header.`);
+    }
+    this.magic = String.fromCharCode(...this.read(4));
+    if (this.magic !== 'RFPD') {
+      const error = `Invalid magic, ${this.magic} should be RFPD.`;
+      debug(error);
+      throw new Error(error);
+    }
+    this.padCount = this.readUInt32();
+    if (this.padCount !== this.profile.banks * this.profile.padsPerBank) {
+      this.throwFormatError('ERR_PAD_COUNT', 4, this.padCount, `Unexpected Pad Count: ${this.padCount} should be ${this.profile.banks * this.profile.padsPerBank} for the ${this.profile.name}.`);
+    }
+    // Each pad has a record, a name and trailing unknown data.
+    const size = AudioPadConf.headerSize + (this.padCount * (AudioPadConf.padSize + AudioPadConf.nameSize + AudioPadConf.trailerSize));
+    if (this.length < size) {
+      this.throwFormatError('ERR_TRUNCATED', this.length, this.length, `Truncated: ${this.length} bytes should be ${size} bytes.`);
+    }
+    this.version = this.readUInt8();
+    // BPM is stored mutiplied by 100, 0x2328 = 9000 = 90 bpm.
+    this.bpm = this.peekUInt32(16) / 100;
+    this.name = AudioPadConf.decodeString(this.data.slice(128, 144));
+    debug('header:', { magic: this.magic, padCount: this.padCount, version: this.version, bpm: this.bpm, name: this.name });
+
+    // Pads
+    const namesOffset = AudioPadConf.headerSize + (this.padCount * AudioPadConf.padSize);
+    for (let index = 0; index < this.padCount; index++) {
+      this.seek(AudioPadConf.headerSize + (index * AudioPadConf.padSize));
+      const label = AudioPadConf.getPadLabel(index, this.profile);
+
+      const originalSampleEnd = this.readUInt32();
+      const sampleStart = this.readUInt32();
+      const sampleEnd = this.readUInt32();
+
+      /** @type {number} Volume is between 0 and 127 */
+      const volume = this.readUInt32();
+      if (volume < 0 || volume > 127) {
+        debug('Invalid Volume:', label, volume);
+      }
+
+      const gate = AudioPadConf.decodeFlag(this.readUInt32(), 'Gate', label);
+
+      this.advance(16);
+      // BPM is stored mutiplied by 100, 0x2328 = 9000 = 90 bpm.
+      const bpm = this.readUInt32() / 100;
+
+      this.advance(4);
+      const loopStart = this.readUInt32();
+
+      this.advance(20);
+      const loop = AudioPadConf.decodeFlag(this.readUInt32(), 'Loop', label);
+
+      this.advance(28);
+      const reverse = AudioPadConf.decodeFlag(this.readUInt32(), 'Reverse', label);
+
+      const name = AudioPadConf.decodeString(this.data.slice(namesOffset + (index * AudioPadConf.nameSize), namesOffset + ((index + 1) * AudioPadConf.nameSize)));
+
+      /** @type {PadConf} */
+      const pad = {
+        avaliable: sampleEnd === 0,
+        label,
+        name,
+        originalSampleEnd,
+        sampleStart,
+        sampleEnd,
+        loopStart,
+        volume,
+        bpm,
+        gate,
+        loop,
+        reverse,
+      };
+
+      debug('Pad:', pad);
+      this.pads.push(pad);
+      this.readPads.set(label, Object.freeze({ ...pad }));
+    }
+  }
+
+  /**
+   * Throw a PadConfFormatError describing why the file cannot be parsed.
+   * @param {string} code The kind of problem, `ERR_TRUNCATED` or `ERR_PAD_COUNT`.
+   * @param {number} offset The byte offset of the offending value in the file.
+   * @param {number} value The raw value read from the file, or the file length for `ERR_TRUNCATED`.
+   * @param {string} message The description of the problem.
+   * @throws {PadConfFormatError} Always.
+   */
+  throwFormatError(code, offset, value, message) {
+    debug(message);
+    throw new PadConfFormatError(message, { code, offset, value });
+  }
+
+  /**
+   * Encode the project back to a PADCONF.BIN file.
+   * The original file is used as the base and only the identified fields are written, so every byte that is not understood yet is preserved as it was read.
+   * Pad names are only rewritten when they have been changed to avoid altering the padding of names written by the device.
+   * Only values that have been changed are validated, so a file with values outside of the specification is written back byte for byte.
+   * @returns {Buffer} The new PADCONF.BIN Buffer, the same length as the original file.
+   * @throws {Error} The project or a pad has invalid values.
+   */
+  toBuffer() {
+    debug('toBuffer');
+    const output = Buffer.from(this.data);
+
+    // Header
+    const errors = [];
+    const name = new TextEncoder().encode(this.name);
+    const nameChanged = this.name !== AudioPadConf.decodeString(output.subarray(128, 144));
+    // BPM is stored mutiplied by 100, 0x2328 = 9000 = 90 bpm.
+    const bpmChanged = this.bpm !== output.readUInt32BE(16) / 100;
+    if (nameChanged && name.length > 16) {
+      errors.push(`Name is invalid, ${this.name} should be at most 16 bytes.`);
+    }
+    if (bpmChanged && (typeof this.bpm !== 'number' || !Number.isFinite(this.bpm) || this.bpm < 40 || this.bpm > 300)) {
+      errors.push(`BPM is invalid, ${this.bpm} should be a number between 40 and 300.`);
+    }
+    if (errors.length > 0) {
+      const error = `Project is invalid: ${errors.join(' ')}`;
+      debug(error);
+      throw new Error(error);
+    }
+    if (bpmChanged) {
+      output.writeUInt32BE(Math.round(this.bpm * 100), 16);
+    }
+    if (nameChanged) {
+      output.fill(0, 128, 144);
+      output.set(name, 128);
+    }
+
+    // Pads
+    const namesOffset = AudioPadConf.headerSize + (this.padCount * AudioPadConf.padSize);
+    for (const pad of this.pads) {
+      const index = AudioPadConf.getPadIndex(pad.label, this.profile);
+      if (index === -1 || index >= this.padCount) {
+        const error = `Pad label is invalid, ${pad.label} should be between A1 and ${AudioPadConf.getPadLabel(this.padCount - 1, this.profile)}.`;
+        debug(error);
+        throw new Error(error);
+      }
+
+      const padErrors = AudioPadConf.validatePad(pad, this.readPads.get(pad.label), this.profile);
+      if (padErrors.length > 0) {
+        const error = `Pad ${pad.label} is invalid: ${padErrors.join(' ')}`;
+        debug(error);
+        throw new Error(error);
+      }
+
+      const offset = AudioPadConf.headerSize + (index * AudioPadConf.padSize);
+      output.set(AudioPadConf.encodePad(pad, output.subarray(offset, offset + AudioPadConf.padSize), this.profile), offset);
+
+      const nameOffset = namesOffset + (index * AudioPadConf.nameSize);
+      if (pad.name !== AudioPadConf.decodeString(output.subarray(nameOffset, nameOffset + AudioPadConf.nameSize))) {
+        output.set(AudioPadConf.encodeName(pad.name), nameOffset);
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Encode JSON values onto a pad record, leaving the bytes of the fields that are not identified as they are.
+   * @param {Partial<PadConf>} data The JSON values to encode.
+   * @param {Uint8Array} [record] The original 172 byte pad record to write the values onto, when missing an empty record is used.
+   * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to use the default values of for missing fields; default is the SP-404 MKII.
+   * @returns {Buffer} The new pad Buffer.
+   * @static
+   */
+  static encodePad(data, record = new Uint8Array(AudioPadConf.padSize), profile = SP404MKII) {
+    const {
+      originalSampleEnd,
+      sampleStart,
+      sampleEnd,
+      loopStart,
+      volume,
+      bpm,
+      gate,
+      loop,
+      reverse,
+    } = { ...profile.defaultPadConf, ...data };
+
+    const pad = Buffer.from(record);
+
+    pad.writeUInt32BE(originalSampleEnd, 0);
+    pad.writeUInt32BE(sampleStart, 4);
+    pad.writeUInt32BE(sampleEnd, 8);
+    pad.writeUInt32BE(volume, 12);
+    // Unexpected flag values are written back as they were read.
+    pad.writeUInt32BE(typeof gate === 'boolean' ? Number(gate) : gate, 16);
+    // BPM is stored mutiplied by 100, 0x2328 = 9000 = 90 bpm.
+    pad.writeUInt32BE(Math.round(bpm * 100), 36);
+    pad.writeUInt32BE(loopStart, 44);
+    pad.writeUInt32BE(typeof loop === 'boolean' ? Number(loop) : loop, 68);
+    pad.writeUInt32BE(typeof reverse === 'boolean' ? Number(reverse) : reverse, 100);
+
+    return pad;
+  }
+
+  /**
+   * Check a pad for any values that cannot be stored.
+   * @param {Partial<PadConf>} data The JSON values to check.
+   * @param {Partial<PadConf>} [original] The pad as it was read, fields that still hold the same value are not checked.
+   * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to use the default values of for missing fields; default is the SP-404 MKII.
+   * @returns {string[]} A description of each invalid value, empty when the pad is valid.
+   * @static
+   */
+  static validatePad(data, original = {}, profile = SP404MKII) {
+    const {
+      name = '',
+      originalSampleEnd,
+      sampleStart,
+      sampleEnd,
+      loopStart,
+      volume,
+      bpm,
+      gate,
+      loop,
+      reverse,
+    } = { ...profile.defaultPadConf, ...data };
+
+    const errors = [];
+    // Values as read are written back as they are, so they are not validated.
+    const isRead = (field) => field in original && original[field] === data[field];
+
+    if (!isRead('name') && (typeof name !== 'string' || new TextEncoder().encode(name).length > 23)) {
+      errors.push(`Name is invalid, ${name} should be at most 23 bytes.`);
+    }
+
+    const offsets = [
+      ['Original Sample End', 'originalSampleEnd', originalSampleEnd],
+      ['Sample Start', 'sampleStart', sampleStart],
+      ['Sample End', 'sampleEnd', sampleEnd],
+      ['Loop Start', 'loopStart', loopStart],
+    ];
+    for (const [field, key, value] of offsets) {
+      if (!isRead(key) && (typeof value !== 'number' || !Number.isInteger(value) || value < 0 || value > 0xFFFFFFFF)) {
+        errors.push(`${field} is invalid, ${value} should be a positive integer.`);
+      }
+    }
+    if (!(isRead('sampleStart') && isRead('sampleEnd')) && Number.isInteger(sampleStart) && Number.isInteger(sampleEnd) && sampleStart > sampleEnd) {
+      errors.push(`Sample End is invalid, ${sampleEnd} should not be before the start of ${sampleStart}.`);
+    }
+
+    if (!isRead('volume') && (!Number.isInteger(volume) || volume < 0 || volume > 127)) {
+      errors.push(`Volume is invalid, ${volume} should be an integer between 0 and 127.`);
+    }
+
+    // The SP-404 MKII supports tempos from 40.00 to 300.00 BPM.
+    if (!isRead('bpm') && (typeof bpm !== 'number' || !Number.isFinite(bpm) || bpm < 40 || bpm > 300)) {
+      errors.push(`BPM is invalid, ${bpm} should be a number between 40 and 300.`);
+    }
+
+    const flags = [
+      ['Gate', 'gate', gate],
+      ['Loop', 'loop', loop],
+      ['Reverse', 'reverse', reverse],
+    ];
+    for (const [field, key, value] of flags) {
+      if (!isRead(key) && typeof value !== 'boolean' && (typeof value !== 'number' || !Number.isInteger(value) || value < 0 || value > 0xFFFFFFFF)) {
+        errors.push(`${field} is invalid, ${value} should be a boolean.`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Encode a pad name to the 24 byte layout used by the device: the name, a NUL byte, space padding and a final NUL byte.
+   * Empty names are stored as 23 spaces and a NUL byte.
+   * @param {string} name The name to encode, up to 23 bytes.
+   * @returns {Uint8Array} The encoded name.
+   * @static
+   */
+  static encodeName(name) {
+    const output = new Uint8Array(AudioPadConf.nameSize).fill(0x20);
+    const bytes = new TextEncoder().encode(name);
+    output.set(bytes, 0);
+    if (bytes.length > 0 && bytes.length < AudioPadConf.nameSize - 1) {
+      output[bytes.length] = 0;
+    }
+    output[AudioPadConf.nameSize - 1] = 0;
+    return output;
+  }
+
+  /**
+   * Decode a 32 bit flag value to a boolean, leaving unexpected values as numbers.
+   * @param {number} value The value read from the file.
+   * @param {string} field The name of the field, used for debugging.
+   * @param {string} label The label of the pad, used for debugging.
+   * @returns {boolean | number} The flag as a boolean, or the original value when it is not 0 or 1.
+   * @static
+   */
+  static decodeFlag(value, field, label) {
+    if (value === 1) {
+      return true;
+    }
+    if (value === 0) {
+      return false;
+    }
+    debug(`Invalid ${field}:`, label, value);
+    return value;
+  }
+
+  /**
+   * Decode a fixed length UTF-8 string, stopping at the first NUL byte and removing the space padding.
+   * @param {Uint8Array} bytes The bytes to decode.
+   * @returns {string} The decoded string.
+   * @static
+   */
+  static decodeString(bytes) {
+    let end = bytes.indexOf(0);
+    if (end === -1) {
+      end = bytes.length;
+    }
+    return new TextDecoder('utf-8').decode(bytes.slice(0, end)).trimEnd();
+  }
+
+  /**
+   * Convert a numberic value used in the PADCONF.BIN file for that pad to the pad label like `A1` or `J16`.
+   * @param {number} index The numberic value used in the PADCONF.BIN file.
+   * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to build the label for; default is the SP-404 MKII.
+   * @returns {string} The pad label like `A1` or `J16`, or an empty string when the index is out of range.
+   * @static
+   */
+  static getPadLabel(index, profile = SP404MKII) {
+    return PadAddress.getLabel(index, profile);
+  }
+
+  /**
+   * Convert a pad label like `A1` or `J16` to the numberic value used in the PADCONF.BIN file for that pad.
+   * @param {string} label The pad label like `A1` or `J16`.
+   * @param {import('./device-profiles.js').DeviceProfile} [profile] The device the label is for; default is the SP-404 MKII.
+   * @returns {number} The numberic value used in the PADCONF.BIN file, or -1 when the label is unknown.
+   * @static
+   */
+  static getPadIndex(label = '', profile = SP404MKII) {
+    return PadAddress.getIndex(label, profile);
+  }
+}
+
+export default AudioPadConf;
@@ -1,4 +1,11 @@
 import { DataBuffer } from '@uttori/data-tools';
+import PadInfoFormatError from './pad-info-format-error.js';
+import JSONFormatError from './json-format-error.js';
+import DeviceProfiles, { SP404SX } from './device-profiles.js';
+import { PadInfoSchema, SCHEMA_VERSION, parseJSON, validate } from './json-schema.js';
+import PadAddress from './pad-address.js';
+import AudioAiff from './audio-aiff.js';
+import AudioWave from './audio-wave.js';
 
 let debug = (..._) => {}; try { const { default: d } = await import('debug'); debug = d('Uttori.AudioPadInfo'); } catch {}
 
@@ -24,11 +31,68 @@ let debug = (..._) => {}; try { const { default: d } = await import('debug'); de
  * @property {number | string} tempoMode Tempo Mode: 0 = 'Off', 1 = 'Pattern', 2 = 'User'
  * @property {number} originalTempo BPM determined by the software. Tempo is BPM (beats per minute) mutiplied by 10, 0x4B0 = 1200 = 120 bpm
  * @property {number} userTempo User set BPM on the device
+ * @property {Uint8Array} [raw] The 32 bytes of the record as read, fields that have not been changed are written back from here; not enumerable, so it is left out of `JSON.stringify` and spread copies
+ */
+
+/**
+ * A problem found while parsing a PAD_INFO.BIN file.
+ * @typedef {object} PadInfoWarning
+ * @property {'error' | 'warning'} severity Errors are values outside of the specification, warnings are unusual but valid values.
+ * @property {string} code The kind of problem, `ERR_TRUNCATED`, `ERR_INVALID_VALUE` or `ERR_SAMPLE_RANGE`.
+ * @property {string} label The label of the pad the problem was found on, `A1` - `J12`.
+ * @property {number} offset The byte offset of the value in the file.
+ * @property {string} field The name of the field on the Pad, like `volume` or `channels`.
+ * @property {number | boolean | string} value The raw value read from the file.
+ * @property {string} message A human readable description of the problem.
+ */
+
+/**
+ * A change made to a pad by `repair`.
+ * @typedef {object} PadRepair
+ * @property {string} label The label of the pad that was changed, `A1` - `J12`.
+ * @property {string} field The name of the field on the Pad, like `volume` or `originalSampleEnd`.
+ * @property {any} from The value before the repair.
+ * @property {any} to The value after the repair.
+ * @property {string} reason A human readable description of why the value was changed.
+ */
+
+/**
+ * A PAD_INFO.BIN file as JSON, see `PadInfoSchema`.
+ * @typedef {object} PadInfoJSON
+ * @property {number} version The version of the JSON format, `1`.
+ * @property {string} profile The ID of the device profile, like `SP-404SX`.
+ * @property {PadJSON[]} pads The pads, only those with values outside of the specification have their `raw` bytes.
+ */
+
+/**
+ * A pad in a JSON document, the values of a Pad with the `raw` bytes as an array of numbers.
+ * @typedef {object} PadJSON
+ * @property {string} label The pad label like `A1` or `J12`.
+ * @property {number[]} [raw] The 32 bytes the pad is written from, only for pads with values outside of the specification.
+ */
+
+/**
+ * A field that differs between two versions of a pad.
+ * @typedef {object} PadChange
+ * @property {string} field The name of the field on the Pad, like `volume` or `loop`.
+ * @property {any} from The value in the first file.
+ * @property {any} to The value in the second file.
+ */
+
+/**
+ * The differences of one pad between two PAD_INFO.BIN files.
+ * @typedef {object} PadDiff
+ * @property {string} label The label of the pad, `A1` - `J12`.
+ * @property {'added' | 'cleared' | 'changed'} type `added` when the pad is only in use in the second file, `cleared` when it is only in use in the first file, otherwise `changed`.
+ * @property {PadChange[]} changes The fields that differ, in file order.
  */
 
 /**
  * Uttori Pad Info - Utility to manipulate the PAD_INFO.BIN file for SP-404 series of samplers.
  * @property {Pad[]} pads - Parsed Pads
+ * @property {PadInfoWarning[]} warnings - Problems found while parsing, empty when the file is valid
+ * @property {boolean} strict - When true, parsing throws a PadInfoFormatError on the first problem instead of adding a warning
+ * @property {import('./device-profiles.js').DeviceProfile} profile - The device the file is for, the SP-404SX by default
  * @example <caption>AudioPadInfo</caption>
  * import fs from 'fs';
  * const data = fs.readFileSync('./PAD_INFO.bin');
@@ -82,13 +146,25 @@ class AudioPadInfo extends DataBuffer {
 /**
  * Creates an instance of AudioPadInfo.
  * @param {number[]|ArrayBuffer|Buffer|DataBuffer|Int8Array|Int16Array|Int32Array|number|string|Uint8Array|Uint16Array|Uint32Array|undefined} [input] The data to process.
+ * @param {object} [options] The options for parsing the pad info.
+ * @param {boolean} [options.strict] When true, throw a PadInfoFormatError on the first value outside of the specification rather than coercing it; default is false.
+ * @param {import('./device-profiles.js').DeviceProfile} [options.profile] The device the file is for, used for pad labels, filenames and default values; default is the SP-404SX.
  * @class
  */
-  constructor(input) {
+  constructor(input, { strict = false, profile = SP404SX } = {}) {
     super(input);
 
+    /** @type {import('./device-profiles.js').DeviceProfile} The device the file is for. */
+    this.profile = profile;
+
+    /** @type {boolean} When true, throw a PadInfoFormatError on the first problem rather than adding a warning. */
+    this.strict = strict;
+
     this.pads = [];
 
+    /** @type {PadInfoWarning[]} Problems found while parsing, empty when the file is valid. */
+    this.warnings = [];
+
     this.parse();
   }
 
@@ -100,12 +176,19 @@ class AudioPadInfo extends DataBuffer {
    */
   parse() {
     debug('parse');
+    this.warnings = [];
+    if (this.length % 32 !== 0) {
+      const offset = this.length - (this.length % 32);
+      this.addWarning('error', 'ERR_TRUNCATED', AudioPadInfo.getPadLabel(offset / 32, this.profile), offset, 'length', this.length, `Truncated: ${this.length} bytes should be a multiple of 32, the last ${this.length % 32} bytes are ignored.`);
+    }
     let index = 0;
-    while (this.remainingBytes()) {
-      const label = AudioPadInfo.getPadLabel(index);
+    while (this.remainingBytes() >= 32) {
+      const recordOffset = this.offset;
+      const label = AudioPadInfo.getPadLabel(index, this.profile);
+      const raw = this.peek(32, recordOffset);
 
       // SP404-SX: A0000009.WAV - J0000012.WAV
-      const filename = `${label.slice(0, 1)}${label.slice(1).padStart(7, '0')}.WAV`;
+      const filename = this.profile.filename(label);
 
       // Sample start and end offsets are relative to the original file.
       // SP-404SX Wave Converter v1.01 on macOS sets the start values to 512, the start of data.
@@ -115,11 +198,17 @@ class AudioPadInfo extends DataBuffer {
       const originalSampleEnd = this.readUInt32();
       const userSampleStart = this.readUInt32();
       const userSampleEnd = this.readUInt32();
+      if (originalSampleEnd < originalSampleStart) {
+        this.addWarning('warning', 'ERR_SAMPLE_RANGE', label, recordOffset + 4, 'originalSampleEnd', originalSampleEnd, `Unexpected Original Sample End: ${originalSampleEnd} is before the start of ${originalSampleStart}.`);
+      }
+      if (userSampleEnd < userSampleStart) {
+        this.addWarning('warning', 'ERR_SAMPLE_RANGE', label, recordOffset + 12, 'userSampleEnd', userSampleEnd, `Unexpected User Sample End: ${userSampleEnd} is before the start of ${userSampleStart}.`);
+      }
 
       /** @type {number} Volume is between 0 and 127 */
       const volume = this.readUInt8();
       if (volume < 0 || volume > 127) {
-        debug('Invalid Volume:', volume);
+        this.addWarning('error', 'ERR_INVALID_VALUE', label, recordOffset + 16, 'volume', volume, `Invalid Volume: ${volume} should be between 0 and 127.`);
       }
 
       /** @type {boolean | number} LoFi: 0 off, 1 on */
@@ -129,7 +218,7 @@ class AudioPadInfo extends DataBuffer {
       } else if (lofi === 0) {
         lofi = false;
       } else {
-        debug('Invalid LoFi:', lofi);
+        this.addWarning('error', 'ERR_INVALID_VALUE', label, recordOffset + 17, 'lofi', lofi, `Invalid LoFi: ${lofi} should be 0 or 1.`);
       }
 
       /** @type {boolean | number} Loop: 0 off, 1 on */
@@ -139,7 +228,7 @@ class AudioPadInfo extends DataBuffer {
       } else if (loop === 0) {
         loop = false;
       } else {
-        debug('Invalid Loop:', loop);
+        this.addWarning('error', 'ERR_INVALID_VALUE', label, recordOffset + 18, 'loop', loop, `Invalid Loop: ${loop} should be 0 or 1.`);
       }
 
       /** @type {boolean | number} Gate: 0 off, 1 on */
@@ -149,7 +238,7 @@ class AudioPadInfo extends DataBuffer {
       } else if (gate === 0) {
         gate = false;
       } else {
-        debug('Invalid Gate:', gate);
+        this.addWarning('error', 'ERR_INVALID_VALUE', label, recordOffset + 19, 'gate', gate, `Invalid Gate: ${gate} should be 0 or 1.`);
       }
 
       /** @type {boolean | number} Reverse: 0 off, 1 on */
@@ -159,12 +248,13 @@ class AudioPadInfo extends DataBuffer {
       } else if (reverse === 0) {
         reverse = false;
       } else {
-        debug('Invalid Reverse:', reverse);
+        this.addWarning('error', 'ERR_INVALID_VALUE', label, recordOffset + 20, 'reverse', reverse, `Invalid Reverse: ${reverse} should be 0 or 1.`);
       }
 
       /**
        * Format is 0 for an AIFF sample, and 1 for a WAVE sample.
        * This may simply correspond to the endianness of the data (0 = big endian, 1 = little endian).
+       * AIFF samples can be read and written with AudioAiff, and converted to WAVE with AudioConverter.convertPad.
        * @type {string | number}
        */
       let format = this.readUInt8();
@@ -173,7 +263,7 @@ class AudioPadInfo extends DataBuffer {
       } else if (format === 0) {
         format = 'AIFF';
       } else {
-        debug('Invalid Format:', format);
+        this.addWarning('error', 'ERR_INVALID_VALUE', label, recordOffset + 21, 'format', format, `Invalid Format: ${format} should be 0 or 1.`);
         format = `Invalid (${format})`;
       }
 
@@ -184,7 +274,7 @@ class AudioPadInfo extends DataBuffer {
       } else if (channels === 2) {
         channels = 'Stereo';
       } else {
-        debug('Invalid Channels:', channels);
+        this.addWarning('error', 'ERR_INVALID_VALUE', label, recordOffset + 22, 'channels', channels, `Invalid Channels: ${channels} should be 1 or 2.`);
         channels = `Invalid (${channels})`;
       }
 
@@ -197,7 +287,7 @@ class AudioPadInfo extends DataBuffer {
       } else if (tempoMode === 2) {
         tempoMode = 'User';
       } else {
-        debug('Invalid Tempo Mode:', tempoMode);
+        this.addWarning('error', 'ERR_INVALID_VALUE', label, recordOffset + 23, 'tempoMode', tempoMode, `Invalid Tempo Mode: ${tempoMode} should be 0, 1 or 2.`);
         tempoMode = 'Invalid';
       }
 
@@ -226,6 +316,7 @@ class AudioPadInfo extends DataBuffer {
         originalTempo,
         userTempo,
       };
+      Object.defineProperty(data, 'raw', { value: raw, writable: true, configurable: true, enumerable: false });
 
       // Check to see if this is the default values, meaning the pad is not taken.
       data.avaliable = AudioPadInfo.checkDefault(data);
@@ -237,85 +328,727 @@ class AudioPadInfo extends DataBuffer {
   }
 
   /**
-   * Encode JSON values to a valid pad structure.
-   * @param {Pad} data - The JSON values to encode.
-   * @returns {Buffer} - The new pad Buffer.
+   * Record a problem found in the file while parsing, or throw it when parsing strictly.
+   * @param {'error' | 'warning'} severity The severity of the problem, errors are values outside of the specification and warnings are unusual but valid values.
+   * @param {string} code The kind of problem, `ERR_TRUNCATED`, `ERR_INVALID_VALUE` or `ERR_SAMPLE_RANGE`.
+   * @param {string} label The label of the pad the problem was found on.
+   * @param {number} offset The byte offset of the value in the file.
+   * @param {string} field The name of the field on the Pad.
+   * @param {number | boolean | string} value The raw value read from the file.
+   * @param {string} message A human readable description of the problem.
+   * @throws {PadInfoFormatError} When parsing strictly.
+   */
+  addWarning(severity, code, label, offset, field, value, message) {
+    debug(`${label} ${message}`);
+    if (this.strict) {
+      throw new PadInfoFormatError(`${label} ${message}`, { code, offset, value, label, field });
+    }
+    this.warnings.push({ severity, code, label, offset, field, value, message });
+  }
+
+  /**
+   * Encode all of the pads to a complete PAD_INFO.BIN file, one 32-byte record for every pad of the profile, 120 records from A1 to J12 for the SP-404SX.
+   * Pads are written in the order of `getPadIndex` regardless of their order in `pads`, and any pad missing from `pads` is written with the default values.
+   * @returns {Buffer} The new PAD_INFO.BIN Buffer, 3840 bytes long for the SP-404SX.
+   */
+  toBuffer() {
+    debug('toBuffer');
+    const buffers = [];
+    const { banks, padsPerBank } = this.profile;
+    for (let index = 0; index < banks * padsPerBank; index++) {
+      const label = AudioPadInfo.getPadLabel(index, this.profile);
+      const pad = this.pads.find((p) => p.label === label);
+      buffers.push(AudioPadInfo.encodePad(pad || AudioPadInfo.getDefaultPad(label, this.profile), this.profile));
+    }
+    return Buffer.concat(buffers);
+  }
+
+  /**
+   * Convert the pads to a JSON document matching `PadInfoSchema`, called by `JSON.stringify`.
+   * Pads with values outside of the specification include the 32 `raw` bytes they are written from, so `fromJSON` loads them as they were read.
+   * @returns {PadInfoJSON} The JSON document.
+   */
+  toJSON() {
+    return {
+      version: SCHEMA_VERSION,
+      profile: this.profile.id,
+      pads: this.pads.map(({ raw: _raw, ...values }, index) => {
+        if (validate(PadInfoSchema.$defs.pad, values).length > 0 || AudioPadInfo.validatePad(values, this.profile).length > 0) {
+          return { ...values, raw: [...AudioPadInfo.encodePad(this.pads[index], this.profile)] };
+        }
+        return values;
+      }),
+    };
+  }
+
+  /**
+   * Load pads from a JSON document matching `PadInfoSchema`, like one from `toJSON`.
+   * Pads missing from the document are set to the default values, `avaliable` and `filename` are computed rather than read.
+   * Values of pads with `raw` bytes that still match those bytes are written back as they are, like the values of a parsed pad.
+   * @param {string | object} input The JSON document, as a string or already parsed.
+   * @returns {AudioPadInfo} The pads as a new PAD_INFO.BIN file for the profile of the document.
+   * @throws {JSONFormatError} The JSON does not match the schema, has a pad that is not on the device or used twice, or a pad with invalid values.
    * @static
    */
-  static encodePad(data) {
-    const {
-      originalSampleStart = 512,
-      originalSampleEnd = 512,
-      userSampleStart = 512,
-      userSampleEnd = 512,
-      volume = 127,
-      lofi = false,
-      loop = false,
-      gate = true,
-      reverse = false,
-      format = 'WAVE',
-      channels = 2,
-      tempoMode = 'Off',
-      originalTempo = 120,
-      userTempo = 120,
-    } = data;
+  static fromJSON(input) {
+    debug('fromJSON');
+    const json = parseJSON(PadInfoSchema, input);
+    const profile = Object.values(DeviceProfiles).find(({ id }) => id === json.profile);
+    /** @type {Map<string, Pad>} */
+    const pads = new Map();
+    json.pads.forEach((pad, index) => {
+      const path = `$.pads[${index}]`;
+      if (!PadAddress.isValidLabel(pad.label, profile)) {
+        const error = `JSON is invalid at ${path}.label, "${pad.label}" should be a pad on the ${profile.id}.`;
+        debug(error);
+        throw new JSONFormatError(error, { path: `${path}.label`, keyword: 'label', value: pad.label });
+      }
+      if (pads.has(pad.label)) {
+        const error = `JSON is invalid at ${path}.label, "${pad.label}" should only be used once.`;
+        debug(error);
+        throw new JSONFormatError(error, { path: `${path}.label`, keyword: 'label', value: pad.label });
+      }
+      const { raw, ...values } = pad;
+      if (raw) {
+        Object.defineProperty(values, 'raw', { value: Uint8Array.from(raw), writable: true, configurable: true, enumerable: false });
+      }
+      const errors = AudioPadInfo.validatePad(values, profile);
+      if (errors.length > 0) {
+        const error = `JSON is invalid at ${path}, ${errors.join(' ')}`;
+        debug(error);
+        throw new JSONFormatError(error, { path, keyword: 'validatePad', value: pad });
+      }
+      pads.set(pad.label, values);
+    });
+    const records = PadAddress.parseRange('*', profile).map(({ label }) => AudioPadInfo.encodePad(pads.get(label) || AudioPadInfo.getDefaultPad(label, profile), profile));
+    return new AudioPadInfo(Buffer.concat(records), { profile });
+  }
 
-    const pad = Buffer.alloc(32, 0);
+  /**
+   * Find a pad by its label like `A1` or `J12`.
+   * @param {string} label The pad label like `A1` or `J12`.
+   * @returns {Pad | undefined} The pad, or undefined when the pad is not in the file.
+   * @throws {Error} Unknown pad label.
+   */
+  getPad(label) {
+    if (AudioPadInfo.getPadIndex(label, this.profile) === -1) {
+      const last = AudioPadInfo.getPadLabel((this.profile.banks * this.profile.padsPerBank) - 1, this.profile);
+      const error = `Pad label is invalid, ${label} should be between A1 and ${last}.`;
+      debug(error);
+      throw new Error(error);
+    }
+    return this.pads.find((pad) => pad.label === label.toUpperCase());
+  }
 
-    pad.writeUInt32BE(originalSampleStart, 0);
-    pad.writeUInt32BE(originalSampleEnd, 4);
-    pad.writeUInt32BE(userSampleStart, 8);
-    pad.writeUInt32BE(userSampleEnd, 12);
+  /**
+   * Update a pad with new values, validating the result before any change is made.
+   * Pads missing from the file are created from the default values before being updated.
+   * @param {string} label The pad label like `A1` or `J12`.
+   * @param {Partial<Pad>} partialPad The values to change on the pad.
+   * @returns {Pad} The updated pad.
+   * @throws {Error} Unknown pad label, or the updated pad has invalid values.
+   */
+  setPad(label, partialPad = {}) {
+    debug('setPad:', label, partialPad);
+    const current = this.getPad(label) || AudioPadInfo.getDefaultPad(label, this.profile);
 
-    if (!Number.isInteger(volume) || volume < 0 || volume > 127) {
-      const error = `Volume is invalid, ${volume} should be an integer between 0 and 127.`;
+    /** @type {Pad} */
+    const pad = {
+      ...current,
+      ...partialPad,
+      label: current.label,
+      filename: current.filename,
+    };
+    // Keep the bytes the pad was read from, the spread above skips them as they are not enumerable.
+    if (current.raw) {
+      Object.defineProperty(pad, 'raw', { value: current.raw, writable: true, configurable: true, enumerable: false });
+    }
+
+    const errors = AudioPadInfo.validatePad(pad, this.profile);
+    if (errors.length > 0) {
+      const error = `Pad ${pad.label} is invalid: ${errors.join(' ')}`;
       debug(error);
       throw new Error(error);
     }
-    pad.writeUInt8(volume, 16);
-    pad.writeUInt8(lofi ? 1 : 0, 17);
-    pad.writeUInt8(loop ? 1 : 0, 18);
-    pad.writeUInt8(gate ? 1 : 0, 19);
-    pad.writeUInt8(reverse ? 1 : 0, 20);
-    pad.writeUInt8(format === 'WAVE' ? 1 : 0, 21);
+    pad.avaliable = AudioPadInfo.checkDefault(pad);
 
-    // Mono or Stereo
-    if (!['Mono', 'Stereo', 1, 2].includes(channels)) {
-      const error = `Channels is invalid, ${channels} should be an integer between 1 and 2.`;
+    const index = this.pads.indexOf(current);
+    if (index === -1) {
+      this.pads.push(pad);
+      this.pads.sort((a, b) => AudioPadInfo.getPadIndex(a.label, this.profile) - AudioPadInfo.getPadIndex(b.label, this.profile));
+    } else {
+      this.pads[index] = pad;
+    }
+
+    return pad;
+  }
+
+  /**
+   * Reset a pad back to the default values, as if no sample had been assigned to it.
+   * @param {string} label The pad label like `A1` or `J12`.
+   * @returns {Pad} The reset pad.
+   * @throws {Error} Unknown pad label.
+   */
+  resetPad(label) {
+    debug('resetPad:', label);
+    return this.setPad(label, AudioPadInfo.getDefaultPad(label, this.profile));
+  }
+
+  /**
+   * Rewrite the pads to a consistent state, changing the pads in place and returning every change so it can be reviewed before writing the file.
+   * - Flags of 0 or 1, channels of 1 or 2 and tempo modes of 0 to 2, as accepted by `setPad`, are changed to the values `parse` returns.
+   * - Pads with a flag that is not a boolean, 0 or 1, like an all 0xFF record, are reset to the default values.
+   * - Volume is clamped to 0 - 127 and tempos to 40 - 200, unknown formats, channels and tempo modes are set to the default.
+   * - When `samples` is provided, the offsets, format and channels are recomputed from the sample files, and pads in use without a sample are reset to the default values.
+   *   Samples that cannot be read leave the pad as it is.
+   * @param {object} [options] The options for the repair.
+   * @param {Map<string, any> | Record<string, any>} [options.samples] The sample files of the card keyed by pad label, as file data, AudioWave or AudioAiff.
+   * @returns {PadRepair[]} Every field that was changed, in pad order.
+   */
+  repair({ samples } = {}) {
+    debug('repair');
+    /** @type {PadRepair[]} */
+    const changes = [];
+    const sampleMap = samples instanceof Map ? samples : (samples ? new Map(Object.entries(samples)) : undefined);
+
+    for (const pad of this.pads) {
+      const { label } = pad;
+      const defaults = AudioPadInfo.getDefaultPad(label, this.profile);
+      const update = (field, value, reason) => {
+        if (pad[field] !== value) {
+          debug('repair:', label, field, pad[field], value);
+          changes.push({ label, field, from: pad[field], to: value, reason });
+          pad[field] = value;
+        }
+      };
+      const reset = (reason) => {
+        for (const field of Object.keys(AudioPadInfo.rawFields)) {
+          if (field in defaults) {
+            update(field, defaults[field], reason);
+          }
+        }
+      };
+
+      // Numeric values accepted by `setPad` are valid, and are changed to the values `parse` returns.
+      for (const field of ['lofi', 'loop', 'gate', 'reverse']) {
+        if (pad[field] === 0 || pad[field] === 1) {
+          update(field, pad[field] === 1, `Numeric ${field}: ${pad[field]} is stored as ${pad[field] === 1}.`);
+        }
+      }
+      if (pad.channels === 1 || pad.channels === 2) {
+        update('channels', pad.channels === 1 ? 'Mono' : 'Stereo', `Numeric channels: ${pad.channels} is stored as ${pad.channels === 1 ? 'Mono' : 'Stereo'}.`);
+      }
+      if ([0, 1, 2].includes(pad.tempoMode)) {
+        const tempoMode = ['Off', 'Pattern', 'User'][pad.tempoMode];
+        update('tempoMode', tempoMode, `Numeric tempoMode: ${pad.tempoMode} is stored as ${tempoMode}.`);
+      }
+
+      const flag = ['lofi', 'loop', 'gate', 'reverse'].find((field) => typeof pad[field] !== 'boolean');
+      if (flag) {
+        reset(`Invalid ${flag}: ${pad[flag]} should be 0 or 1, the pad was reset.`);
+      } else {
+        if (typeof pad.volume !== 'number' || !(pad.volume >= 0 && pad.volume <= 127)) {
+          update('volume', Math.min(127, Math.max(0, Math.round(Number(pad.volume) || 0))), `Invalid Volume: ${pad.volume} should be between 0 and 127.`);
+        }
+        if (!['WAVE', 'AIFF'].includes(pad.format)) {
+          update('format', defaults.format, `Invalid Format: ${pad.format} should be WAVE or AIFF.`);
+        }
+        if (!['Mono', 'Stereo'].includes(pad.channels)) {
+          update('channels', defaults.channels, `Invalid Channels: ${pad.channels} should be Mono or Stereo.`);
+        }
+        if (!['Off', 'Pattern', 'User'].includes(pad.tempoMode)) {
+          update('tempoMode', defaults.tempoMode, `Invalid Tempo Mode: ${pad.tempoMode} should be Off, Pattern or User.`);
+        }
+        for (const field of ['originalTempo', 'userTempo']) {
+          if (typeof pad[field] !== 'number' || !(pad[field] >= 40 && pad[field] <= 200)) {
+            update(field, Math.min(200, Math.max(40, Number(pad[field]) || 0)), `Invalid Tempo: ${pad[field]} should be between 40 and 200.`);
+          }
+        }
+      }
+
+      if (sampleMap) {
+        const sample = sampleMap.get(label);
+        if (sample) {
+          try {
+            const fromSample = AudioPadInfo.getPadFromSample(sample, label, this.profile);
+            const reason = 'Recomputed from the sample file.';
+            update('originalSampleStart', fromSample.originalSampleStart, reason);
+            update('originalSampleEnd', fromSample.originalSampleEnd, reason);
+            update('format', fromSample.format, reason);
+            update('channels', fromSample.channels, reason);
+            // Keep the user trim when it is still inside of the sample.
+            const { userSampleStart, userSampleEnd } = pad;
+            if (userSampleStart < pad.originalSampleStart || userSampleEnd > pad.originalSampleEnd || userSampleStart >= userSampleEnd) {
+              const outside = `User sample range ${userSampleStart} - ${userSampleEnd} is outside of the sample, reset to the whole sample.`;
+              update('userSampleStart', pad.originalSampleStart, outside);
+              update('userSampleEnd', pad.originalSampleEnd, outside);
+            }
+          } catch (error) {
+            debug('repair: Unreadable sample', label, error.message);
+          }
+        } else if (!pad.avaliable) {
+          reset('Missing sample, the pad was reset.');
+        }
+      }
+
+      pad.avaliable = AudioPadInfo.checkDefault(pad);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Check a pad for any values that cannot be stored or would be rejected by the device.
+   * The volume, channels and tempo mode follow the same rules as `encodePad`, and additionally the flags, sample offsets and tempos are checked.
+   * @param {Partial<Pad>} data The JSON values to check.
+   * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to use the default values of for missing fields; default is the SP-404SX.
+   * @returns {string[]} A description of each invalid value, empty when the pad is valid.
+   * @static
+   */
+  static validatePad(data, profile = SP404SX) {
+    const {
+      originalSampleStart,
+      originalSampleEnd,
+      userSampleStart,
+      userSampleEnd,
+      volume,
+      lofi,
+      loop,
+      gate,
+      reverse,
+      format,
+      channels,
+      tempoMode,
+      originalTempo,
+      userTempo,
+    } = { ...profile.defaultPad, ...data };
+
+    const errors = [];
+    // Unchanged fields are written back from the raw bytes as they were read, so they are not validated.
+    const isRaw = (field) => AudioPadInfo.isUnchanged(data, field);
+
+    // Sample offsets are unsigned 32 bit values, and the sample data starts after the 512 byte header.
+    const offsets = [
+      ['Original Sample', 'originalSample', originalSampleStart, originalSampleEnd],
+      ['User Sample', 'userSample', userSampleStart, userSampleEnd],
+    ];
+    for (const [name, field, start, end] of offsets) {
+      const rawStart = isRaw(`${field}Start`);
+      const rawEnd = isRaw(`${field}End`);
+      if (!rawStart && (typeof start !== 'number' || !Number.isInteger(start) || start < 512 || start > 0xFFFFFFFF)) {
+        errors.push(`${name} Start is invalid, ${start} should be an integer of at least 512.`);
+      }
+      if (!rawEnd && (typeof end !== 'number' || !Number.isInteger(end) || end < 512 || end > 0xFFFFFFFF)) {
+        errors.push(`${name} End is invalid, ${end} should be an integer of at least 512.`);
+      } else if (!(rawStart && rawEnd) && typeof start === 'number' && Number.isInteger(start) && start > Number(end)) {
+        errors.push(`${name} End is invalid, ${end} should not be before the start of ${start}.`);
+      }
+    }
+
+    if (!isRaw('volume') && (!Number.isInteger(volume) || volume < 0 || volume > 127)) {
+      errors.push(`Volume is invalid, ${volume} should be an integer between 0 and 127.`);
+    }
+
+    const flags = [
+      ['LoFi', 'lofi', lofi],
+      ['Loop', 'loop', loop],
+      ['Gate', 'gate', gate],
+      ['Reverse', 'reverse', reverse],
+    ];
+    /** @type {Array<boolean | number | string>} */
+    const booleans = [true, false, 0, 1];
+    for (const [name, field, value] of flags) {
+      if (!isRaw(field) && !booleans.includes(value)) {
+        errors.push(`${name} is invalid, ${value} should be a boolean.`);
+      }
+    }
+
+    if (!isRaw('format') && !['WAVE', 'AIFF'].includes(format)) {
+      errors.push(`Format is invalid, ${format} should be one of 'WAVE' or 'AIFF'.`);
+    }
+
+    if (!isRaw('channels') && !['Mono', 'Stereo', 1, 2].includes(channels)) {
+      errors.push(`Channels is invalid, ${channels} should be an integer between 1 and 2.`);
+    }
+
+    if (!isRaw('tempoMode') && ![0, 1, 2, 'Off', 'Pattern', 'User'].includes(tempoMode)) {
+      errors.push(`Tempo Mode is invalid, ${tempoMode} should be one of 'Off', 'Pattern', or 'User'.`);
+    }
+
+    // The SP-404SX supports tempos from 40.0 to 200.0 BPM.
+    const tempos = [
+      ['Original Tempo', 'originalTempo', originalTempo],
+      ['User Tempo', 'userTempo', userTempo],
+    ];
+    for (const [name, field, tempo] of tempos) {
+      if (isRaw(field)) {
+        continue;
+      }
+      if (typeof tempo !== 'number' || !Number.isFinite(tempo) || tempo < 40 || tempo > 200) {
+        errors.push(`${name} is invalid, ${tempo} should be a number between 40 and 200.`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get the default values for a pad, matching an unused pad read from a PAD_INFO.BIN file.
+   * @param {string} label The pad label like `A1` or `J12`.
+   * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to use the filename scheme and default values of; default is the SP-404SX.
+   * @returns {Pad} The default pad.
+   * @static
+   */
+  static getDefaultPad(label, profile = SP404SX) {
+    const padLabel = label.toUpperCase();
+    return {
+      avaliable: true,
+      label: padLabel,
+      filename: profile.filename(padLabel),
+      ...profile.defaultPad,
+    };
+  }
+
+  /**
+   * Find the end of the sample data of a WAVE or AIFF file, the value the sample end offsets of a pad should have.
+   * Chunks after the sample data, like a `LIST` chunk, are not part of the sample.
+   * @param {AudioWave|AudioAiff} audio The parsed sample file.
+   * @returns {number} The byte offset of the end of the sample data.
+   * @static
+   */
+  static getSampleEnd(audio) {
+    return audio.dataOffset + Math.min(audio.dataSize, audio.frames * audio.blockAlign);
+  }
+
+  /**
+   * Calculate the original tempo the way SP-404SX Wave Converter does from the length of a sample.
+   * The sample is taken to be a whole number of 4/4 bars, and the tempo is halved or doubled until it is between 80 and 160 BPM, then truncated to one decimal.
+   * @param {number} frames The number of sample frames.
+   * @param {number} [sampleRate] The number of sample frames per second; default is 44100.
+   * @returns {number} The original tempo in BPM.
+   * @throws {Error} There are no sample frames to measure.
+   * @static
+   */
+  static getOriginalTempo(frames, sampleRate = 44100) {
+    if (!(frames > 0) || !(sampleRate > 0)) {
+      const error = `Sample length is invalid, ${frames} frames at ${sampleRate} Hz should be more than 0.`;
       debug(error);
       throw new Error(error);
     }
-    if (channels === 1 || channels === 'Mono') {
-      pad.writeUInt8(1, 22);
+    let tempo = (4 * 60 * sampleRate) / frames;
+    while (tempo > 160) {
+      tempo /= 2;
     }
-    if (channels === 2 || channels === 'Stereo') {
-      pad.writeUInt8(2, 22);
+    while (tempo < 80) {
+      tempo *= 2;
     }
+    return Math.floor(tempo * 10) / 10;
+  }
 
-    // Tempo Mode: 0 = 'Off', 1 = 'Pattern', 2 = 'User'
-    if (tempoMode === 0 || tempoMode === 'Off') {
-      pad.writeUInt8(0, 23);
-    } else if (tempoMode === 1 || tempoMode === 'Pattern') {
-      pad.writeUInt8(1, 23);
-    } else if (tempoMode === 2 || tempoMode === 'User') {
-      pad.writeUInt8(2, 23);
-    } else {
-      const error = `Tempo Mode is invalid, ${tempoMode} should be one of 'Off', 'Pattern', or 'User'.`;
+  /**
+   * Build the pad for a WAVE file, reading the sample offsets from the `data` chunk, the channels from the `fmt ` chunk and calculating the original tempo from the sample length.
+   * The other values are the defaults of the profile. The SP-404SX expects the sample data to start at byte 512, files from other software should be converted first.
+   * @param {number[]|ArrayBuffer|Buffer|DataBuffer|AudioWave|Uint8Array} input The WAVE file.
+   * @param {string} label The pad label like `A1` or `J12`.
+   * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to use the filename scheme and default values of; default is the SP-404SX.
+   * @returns {Pad} The pad for the WAVE file.
+   * @throws {Error} The file is not a valid WAVE file, or is not mono or stereo.
+   * @static
+   */
+  static getPadFromWave(input, label, profile = SP404SX) {
+    debug('getPadFromWave:', label);
+    return AudioPadInfo.getPadFromSample(input instanceof AudioWave ? input : new AudioWave(input), label, profile);
+  }
+
+  /**
+   * Build the pad for a WAVE or AIFF file, detected from the first bytes.
+   * The format is `WAVE` or `AIFF`, the sample offsets are those of the `data` or `SSND` sample data, the channels come from the `fmt ` or `COMM` chunk and the original tempo is calculated from the sample length.
+   * The other values are the defaults of the profile.
+   * @param {number[]|ArrayBuffer|Buffer|DataBuffer|AudioWave|AudioAiff|Uint8Array} input The WAVE or AIFF file.
+   * @param {string} label The pad label like `A1` or `J12`.
+   * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to use the filename scheme and default values of; default is the SP-404SX.
+   * @returns {Pad} The pad for the sample file.
+   * @throws {Error} The file is not a valid WAVE or AIFF file, or is not mono or stereo.
+   * @static
+   */
+  static getPadFromSample(input, label, profile = SP404SX) {
+    debug('getPadFromSample:', label);
+    let audio = input;
+    if (!(input instanceof AudioWave) && !(input instanceof AudioAiff)) {
+      const data = new DataBuffer(input);
+      audio = data.length >= 4 && data.peekString(0, 4) === 'FORM' ? new AudioAiff(data) : new AudioWave(data);
+    }
+    if (![1, 2].includes(audio.channels)) {
+      const error = `Channels are invalid, ${audio.channels} should be 1 or 2.`;
       debug(error);
       throw new Error(error);
     }
+    const sampleEnd = AudioPadInfo.getSampleEnd(audio);
+    const originalTempo = AudioPadInfo.getOriginalTempo(audio.frames, audio.sampleRate);
+
+    /** @type {Pad} */
+    const pad = {
+      ...AudioPadInfo.getDefaultPad(PadAddress.fromLabel(label, profile).label, profile),
+      originalSampleStart: audio.dataOffset,
+      originalSampleEnd: sampleEnd,
+      userSampleStart: audio.dataOffset,
+      userSampleEnd: sampleEnd,
+      format: audio instanceof AudioAiff ? 'AIFF' : 'WAVE',
+      channels: audio.channels === 1 ? 'Mono' : 'Stereo',
+      tempoMode: 'Off',
+      originalTempo,
+      userTempo: originalTempo,
+    };
+    pad.avaliable = AudioPadInfo.checkDefault(pad);
+    return pad;
+  }
+
+  /**
+   * Compare two PAD_INFO.BIN files pad by pad, listing pads that were added or cleared and the fields that changed.
+   * Pads that are missing from a file are compared as default pads.
+   * @param {AudioPadInfo} before The first file, like the previous snapshot of the card.
+   * @param {AudioPadInfo} after The second file, like the current card.
+   * @returns {PadDiff[]} The pads that differ, in pad order, empty when the files have the same settings.
+   * @static
+   */
+  static diff(before, after) {
+    debug('diff');
+    const { profile } = after;
+    const labels = new Set([...before.pads, ...after.pads].map((pad) => pad.label));
+    const sorted = [...labels].sort((a, b) => PadAddress.getIndex(a, profile) - PadAddress.getIndex(b, profile));
+    /** @type {PadDiff[]} */
+    const diffs = [];
+    for (const label of sorted) {
+      const from = before.pads.find((pad) => pad.label === label) || AudioPadInfo.getDefaultPad(label, before.profile);
+      const to = after.pads.find((pad) => pad.label === label) || AudioPadInfo.getDefaultPad(label, profile);
+      const changes = Object.keys(AudioPadInfo.rawFields)
+        .filter((field) => from[field] !== to[field])
+        .map((field) => ({ field, from: from[field], to: to[field] }));
+      if (changes.length > 0) {
+        /** @type {'added' | 'cleared' | 'changed'} */
+        let type = 'changed';
+        if (from.avaliable && !to.avaliable) {
+          type = 'added';
+        } else if (!from.avaliable && to.avaliable) {
+          type = 'cleared';
+        }
+        diffs.push({ label, type, changes });
+      }
+    }
+    return diffs;
+  }
+
+  /**
+   * Format the differences from `diff` as one line per pad, like `B4 volume 127 → 98, loop false → true`.
+   * Added pads list every changed field after `added`, cleared pads are listed without their fields.
+   * @param {PadDiff[]} diffs The differences to format.
+   * @returns {string} The differences, one pad per line.
+   * @static
+   */
+  static formatDiff(diffs) {
+    return diffs.map(({ label, type, changes }) => {
+      const fields = changes.map(({ field, from, to }) => `${field} ${from} → ${to}`).join(', ');
+      if (type === 'cleared') {
+        return `${label} cleared`;
+      }
+      if (type === 'added') {
+        return `${label} added, ${fields}`;
+      }
+      return `${label} ${fields}`;
+    }).join('\n');
+  }
+
+  /**
+   * Encode JSON values to a valid pad structure.
+   * When the pad has the `raw` bytes it was read from, fields that have not been changed are written back from them as is, including values outside of the specification.
+   * @param {Partial<Pad>} data - The JSON values to encode.
+   * @param {import('./device-profiles.js').DeviceProfile} [profile] - The device to use the default values of for missing fields; default is the SP-404SX.
+   * @returns {Buffer} - The new pad Buffer.
+   * @static
+   */
+  static encodePad(data, profile = SP404SX) {
+    const {
+      originalSampleStart,
+      originalSampleEnd,
+      userSampleStart,
+      userSampleEnd,
+      volume,
+      lofi,
+      loop,
+      gate,
+      reverse,
+      format,
+      channels,
+      tempoMode,
+      originalTempo,
+      userTempo,
+    } = { ...profile.defaultPad, ...data };
+
+    const pad = Buffer.alloc(32, 0);
+
+    // Unchanged fields are copied from the raw bytes and skipped below.
+    const unchanged = Object.keys(AudioPadInfo.rawFields).filter((field) => AudioPadInfo.isUnchanged(data, field));
+    for (const field of unchanged) {
+      const [offset, size] = AudioPadInfo.rawFields[field];
+      pad.set(data.raw.subarray(offset, offset + size), offset);
+    }
+    const isRaw = (field) => unchanged.includes(field);
+
+    if (!isRaw('originalSampleStart')) {
+      pad.writeUInt32BE(originalSampleStart, 0);
+    }
+    if (!isRaw('originalSampleEnd')) {
+      pad.writeUInt32BE(originalSampleEnd, 4);
+    }
+    if (!isRaw('userSampleStart')) {
+      pad.writeUInt32BE(userSampleStart, 8);
+    }
+    if (!isRaw('userSampleEnd')) {
+      pad.writeUInt32BE(userSampleEnd, 12);
+    }
+
+    if (!isRaw('volume')) {
+      if (!Number.isInteger(volume) || volume < 0 || volume > 127) {
+        const error = `Volume is invalid, ${volume} should be an integer between 0 and 127.`;
+        debug(error);
+        throw new Error(error);
+      }
+      pad.writeUInt8(volume, 16);
+    }
+    if (!isRaw('lofi')) {
+      pad.writeUInt8(lofi ? 1 : 0, 17);
+    }
+    if (!isRaw('loop')) {
+      pad.writeUInt8(loop ? 1 : 0, 18);
+    }
+    if (!isRaw('gate')) {
+      pad.writeUInt8(gate ? 1 : 0, 19);
+    }
+    if (!isRaw('reverse')) {
+      pad.writeUInt8(reverse ? 1 : 0, 20);
+    }
+    if (!isRaw('format')) {
+      pad.writeUInt8(format === 'WAVE' ? 1 : 0, 21);
+    }
+
+    // Mono or Stereo
+    if (!isRaw('channels')) {
+      if (!['Mono', 'Stereo', 1, 2].includes(channels)) {
+        const error = `Channels is invalid, ${channels} should be an integer between 1 and 2.`;
+        debug(error);
+        throw new Error(error);
+      }
+      if (channels === 1 || channels === 'Mono') {
+        pad.writeUInt8(1, 22);
+      }
+      if (channels === 2 || channels === 'Stereo') {
+        pad.writeUInt8(2, 22);
+      }
+    }
+
+    // Tempo Mode: 0 = 'Off', 1 = 'Pattern', 2 = 'User'
+    if (!isRaw('tempoMode')) {
+      if (tempoMode === 0 || tempoMode === 'Off') {
+        pad.writeUInt8(0, 23);
+      } else if (tempoMode === 1 || tempoMode === 'Pattern') {
+        pad.writeUInt8(1, 23);
+      } else if (tempoMode === 2 || tempoMode === 'User') {
+        pad.writeUInt8(2, 23);
+      } else {
+        const error = `Tempo Mode is invalid, ${tempoMode} should be one of 'Off', 'Pattern', or 'User'.`;
+        debug(error);
+        throw new Error(error);
+      }
+    }
 
     // Tempo is BPM (beats per minute) mutiplied by 10, 0x4B0 = 1200 = 120 bpm.
     // SP-404SX Wave Converter v1.01 on macOS computes the original tempo as 120 / sample length.
-    let tempo = Math.round(originalTempo * 10);
-    pad.writeUInt32BE(tempo, 24);
-
-    tempo = Math.round(userTempo * 10);
-    pad.writeUInt32BE(tempo, 28);
+    if (!isRaw('originalTempo')) {
+      pad.writeUInt32BE(Math.round(originalTempo * 10), 24);
+    }
+    if (!isRaw('userTempo')) {
+      pad.writeUInt32BE(Math.round(userTempo * 10), 28);
+    }
 
     return pad;
   }
 
+  /**
+   * The byte offset and size of each field in a 32-byte pad record.
+   * @returns {Record<string, number[]>} The field names mapped to their byte offset and size.
+   */
+  static get rawFields() {
+    return {
+      originalSampleStart: [0, 4],
+      originalSampleEnd: [4, 4],
+      userSampleStart: [8, 4],
+      userSampleEnd: [12, 4],
+      volume: [16, 1],
+      lofi: [17, 1],
+      loop: [18, 1],
+      gate: [19, 1],
+      reverse: [20, 1],
+      format: [21, 1],
+      channels: [22, 1],
+      tempoMode: [23, 1],
+      originalTempo: [24, 4],
+      userTempo: [28, 4],
+    };
+  }
+
+  /**
+   * Decode a single field from the raw bytes of a pad record, the same way `parse` does.
+   * @param {Uint8Array} raw The 32 bytes of the pad record.
+   * @param {string} field The name of the field, like `volume` or `channels`.
+   * @returns {number | boolean | string | undefined} The decoded value, or undefined for an unknown field.
+   * @static
+   */
+  static decodeField(raw, field) {
+    if (!AudioPadInfo.rawFields[field]) {
+      return undefined;
+    }
+    const [offset, size] = AudioPadInfo.rawFields[field];
+    const value = size === 4 ? new DataView(raw.buffer, raw.byteOffset, raw.byteLength).getUint32(offset) : raw[offset];
+    switch (field) {
+      case 'lofi':
+      case 'loop':
+      case 'gate':
+      case 'reverse': {
+        return [false, true][value] ?? value;
+      }
+      case 'format': {
+        return ['AIFF', 'WAVE'][value] ?? `Invalid (${value})`;
+      }
+      case 'channels': {
+        return [undefined, 'Mono', 'Stereo'][value] ?? `Invalid (${value})`;
+      }
+      case 'tempoMode': {
+        return ['Off', 'Pattern', 'User'][value] ?? 'Invalid';
+      }
+      case 'originalTempo':
+      case 'userTempo': {
+        return value / 10;
+      }
+      default: {
+        return value;
+      }
+    }
+  }
+
+  /**
+   * Checks to see if a field still holds the value decoded from the raw bytes the pad was read from.
+   * @param {Partial<Pad>} pad The pad to check, with the `raw` bytes it was read from.
+   * @param {string} field The name of the field, like `volume` or `channels`.
+   * @returns {boolean} True when the field has not been changed and can be written back from the raw bytes, false otherwise.
+   * @static
+   */
+  static isUnchanged(pad, field) {
+    if (!pad?.raw || !AudioPadInfo.rawFields[field]) {
+      return false;
+    }
+    return AudioPadInfo.decodeField(pad.raw, field) === pad[field];
+  }
+
   /**
    * Checks to see if a Pad is set to the default values, if so it is likely.
    * @param {Partial<Pad>} pad - The JSON values to check.
@@ -360,273 +1093,23 @@ class AudioPadInfo extends DataBuffer {
   /**
    * Convert a numberic value used in the PAD_INFO.bin file for that pad to the pad label like `A1` or `J12`.
    * @param {number} index The numberic value used in the PAD_INFO.bin file.
-   * @returns {string} The pad label like `A1` or `J12`.
+   * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to build the label for; default is the SP-404SX.
+   * @returns {string} The pad label like `A1` or `J12`, or an empty string when the index is unknown.
    * @static
    */
-  static getPadLabel(index) {
-    let label = '';
-    switch (index) {
-      case 0: label = 'A1'; break;
-      case 1: label = 'A2'; break;
-      case 2: label = 'A3'; break;
-      case 3: label = 'A4'; break;
-      case 4: label = 'A5'; break;
-      case 5: label = 'A6'; break;
-      case 6: label = 'A7'; break;
-      case 7: label = 'A8'; break;
-      case 8: label = 'A9'; break;
-      case 9: label = 'A10'; break;
-      case 10: label = 'A11'; break;
-      case 11: label = 'A12'; break;
-      case 12: label = 'B1'; break;
-      case 13: label = 'B2'; break;
-      case 14: label = 'B3'; break;
-      case 15: label = 'B4'; break;
-      case 16: label = 'B5'; break;
-      case 17: label = 'B6'; break;
-      case 18: label = 'B7'; break;
-      case 19: label = 'B8'; break;
-      case 20: label = 'B9'; break;
-      case 21: label = 'B10'; break;
-      case 22: label = 'B11'; break;
-      case 23: label = 'B12'; break;
-      case 24: label = 'C1'; break;
-      case 25: label = 'C2'; break;
-      case 26: label = 'C3'; break;
-      case 27: label = 'C4'; break;
-      case 28: label = 'C5'; break;
-      case 29: label = 'C6'; break;
-      case 30: label = 'C7'; break;
-      case 31: label = 'C8'; break;
-      case 32: label = 'C9'; break;
-      case 33: label = 'C10'; break;
-      case 34: label = 'C11'; break;
-      case 35: label = 'C12'; break;
-      case 36: label = 'D1'; break;
-      case 37: label = 'D2'; break;
-      case 38: label = 'D3'; break;
-      case 39: label = 'D4'; break;
-      case 40: label = 'D5'; break;
-      case 41: label = 'D6'; break;
-      case 42: label = 'D7'; break;
-      case 43: label = 'D8'; break;
-      case 44: label = 'D9'; break;
-      case 45: label = 'D10'; break;
-      case 46: label = 'D11'; break;
-      case 47: label = 'D12'; break;
-      case 48: label = 'E1'; break;
-      case 49: label = 'E2'; break;
-      case 50: label = 'E3'; break;
-      case 51: label = 'E4'; break;
-      case 52: label = 'E5'; break;
-      case 53: label = 'E6'; break;
-      case 54: label = 'E7'; break;
-      case 55: label = 'E8'; break;
-      case 56: label = 'E9'; break;
-      case 57: label = 'E10'; break;
-      case 58: label = 'E11'; break;
-      case 59: label = 'E12'; break;
-      case 60: label = 'F1'; break;
-      case 61: label = 'F2'; break;
-      case 62: label = 'F3'; break;
-      case 63: label = 'F4'; break;
-      case 64: label = 'F5'; break;
-      case 65: label = 'F6'; break;
-      case 66: label = 'F7'; break;
-      case 67: label = 'F8'; break;
-      case 68: label = 'F9'; break;
-      case 69: label = 'F10'; break;
-      case 70: label = 'F11'; break;
-      case 71: label = 'F12'; break;
-      case 72: label = 'G1'; break;
-      case 73: label = 'G2'; break;
-      case 74: label = 'G3'; break;
-      case 75: label = 'G4'; break;
-      case 76: label = 'G5'; break;
-      case 77: label = 'G6'; break;
-      case 78: label = 'G7'; break;
-      case 79: label = 'G8'; break;
-      case 80: label = 'G9'; break;
-      case 81: label = 'G10'; break;
-      case 82: label = 'G11'; break;
-      case 83: label = 'G12'; break;
-      case 84: label = 'H1'; break;
-      case 85: label = 'H2'; break;
-      case 86: label = 'H3'; break;
-      case 87: label = 'H4'; break;
-      case 88: label = 'H5'; break;
-      case 89: label = 'H6'; break;
-      case 90: label = 'H7'; break;
-      case 91: label = 'H8'; break;
-      case 92: label = 'H9'; break;
-      case 93: label = 'H10'; break;
-      case 94: label = 'H11'; break;
-      case 95: label = 'H12'; break;
-      case 96: label = 'I1'; break;
-      case 97: label = 'I2'; break;
-      case 98: label = 'I3'; break;
-      case 99: label = 'I4'; break;
-      case 100: label = 'I5'; break;
-      case 101: label = 'I6'; break;
-      case 102: label = 'I7'; break;
-      case 103: label = 'I8'; break;
-      case 104: label = 'I9'; break;
-      case 105: label = 'I10'; break;
-      case 106: label = 'I11'; break;
-      case 107: label = 'I12'; break;
-      case 108: label = 'J1'; break;
-      case 109: label = 'J2'; break;
-      case 110: label = 'J3'; break;
-      case 111: label = 'J4'; break;
-      case 112: label = 'J5'; break;
-      case 113: label = 'J6'; break;
-      case 114: label = 'J7'; break;
-      case 115: label = 'J8'; break;
-      case 116: label = 'J9'; break;
-      case 117: label = 'J10'; break;
-      case 118: label = 'J11'; break;
-      case 119: label = 'J12'; break;
-      default: {
-        debug('Unknown Pad:', index);
-      }
-    }
-    return label;
+  static getPadLabel(index, profile = SP404SX) {
+    return PadAddress.getLabel(index, profile);
   }
 
   /**
    * Convert a pad label like `A1` or `J12` to the numberic value used in the PAD_INFO.bin file for that pad.
    * @param {string} label The pad label like `A1` or `J12`.
-   * @returns {number} The numberic value used in the PAD_INFO.bin file.
+   * @param {import('./device-profiles.js').DeviceProfile} [profile] The device the label is for; default is the SP-404SX.
+   * @returns {number} The numberic value used in the PAD_INFO.bin file, or -1 when the label is unknown.
    * @static
    */
-  static getPadIndex(label = '') {
-    let index = -1;
-    switch (label.toUpperCase()) {
-      case 'A1': index = 0; break;
-      case 'A2': index = 1; break;
-      case 'A3': index = 2; break;
-      case 'A4': index = 3; break;
-      case 'A5': index = 4; break;
-      case 'A6': index = 5; break;
-      case 'A7': index = 6; break;
-      case 'A8': index = 7; break;
-      case 'A9': index = 8; break;
-      case 'A10': index = 9; break;
-      case 'A11': index = 10; break;
-      case 'A12': index = 11; break;
-      case 'B1': index = 12; break;
-      case 'B2': index = 13; break;
-      case 'B3': index = 14; break;
-      case 'B4': index = 15; break;
-      case 'B5': index = 16; break;
-      case 'B6': index = 17; break;
-      case 'B7': index = 18; break;
-      case 'B8': index = 19; break;
-      case 'B9': index = 20; break;
-      case 'B10': index = 21; break;
-      case 'B11': index = 22; break;
-      case 'B12': index = 23; break;
-      case 'C1': index = 24; break;
-      case 'C2': index = 25; break;
-      case 'C3': index = 26; break;
-      case 'C4': index = 27; break;
-      case 'C5': index = 28; break;
-      case 'C6': index = 29; break;
-      case 'C7': index = 30; break;
-      case 'C8': index = 31; break;
-      case 'C9': index = 32; break;
-      case 'C10': index = 33; break;
-      case 'C11': index = 34; break;
-      case 'C12': index = 35; break;
-      case 'D1': index = 36; break;
-      case 'D2': index = 37; break;
-      case 'D3': index = 38; break;
-      case 'D4': index = 39; break;
-      case 'D5': index = 40; break;
-      case 'D6': index = 41; break;
-      case 'D7': index = 42; break;
-      case 'D8': index = 43; break;
-      case 'D9': index = 44; break;
-      case 'D10': index = 45; break;
-      case 'D11': index = 46; break;
-      case 'D12': index = 47; break;
-      case 'E1': index = 48; break;
-      case 'E2': index = 49; break;
-      case 'E3': index = 50; break;
-      case 'E4': index = 51; break;
-      case 'E5': index = 52; break;
-      case 'E6': index = 53; break;
-      case 'E7': index = 54; break;
-      case 'E8': index = 55; break;
-      case 'E9': index = 56; break;
-      case 'E10': index = 57; break;
-      case 'E11': index = 58; break;
-      case 'E12': index = 59; break;
-      case 'F1': index = 60; break;
-      case 'F2': index = 61; break;
-      case 'F3': index = 62; break;
-      case 'F4': index = 63; break;
-      case 'F5': index = 64; break;
-      case 'F6': index = 65; break;
-      case 'F7': index = 66; break;
-      case 'F8': index = 67; break;
-      case 'F9': index = 68; break;
-      case 'F10': index = 69; break;
-      case 'F11': index = 70; break;
-      case 'F12': index = 71; break;
-      case 'G1': index = 72; break;
-      case 'G2': index = 73; break;
-      case 'G3': index = 74; break;
-      case 'G4': index = 75; break;
-      case 'G5': index = 76; break;
-      case 'G6': index = 77; break;
-      case 'G7': index = 78; break;
-      case 'G8': index = 79; break;
-      case 'G9': index = 80; break;
-      case 'G10': index = 81; break;
-      case 'G11': index = 82; break;
-      case 'G12': index = 83; break;
-      case 'H1': index = 84; break;
-      case 'H2': index = 85; break;
-      case 'H3': index = 86; break;
-      case 'H4': index = 87; break;
-      case 'H5': index = 88; break;
-      case 'H6': index = 89; break;
-      case 'H7': index = 90; break;
-      case 'H8': index = 91; break;
-      case 'H9': index = 92; break;
-      case 'H10': index = 93; break;
-      case 'H11': index = 94; break;
-      case 'H12': index = 95; break;
-      case 'I1': index = 96; break;
-      case 'I2': index = 97; break;
-      case 'I3': index = 98; break;
-      case 'I4': index = 99; break;
-      case 'I5': index = 100; break;
-      case 'I6': index = 101; break;
-      case 'I7': index = 102; break;
-      case 'I8': index = 103; break;
-      case 'I9': index = 104; break;
-      case 'I10': index = 105; break;
-      case 'I11': index = 106; break;
-      case 'I12': index = 107; break;
-      case 'J1': index = 108; break;
-      case 'J2': index = 109; break;
-      case 'J3': index = 110; break;
-      case 'J4': index = 111; break;
-      case 'J5': index = 112; break;
-      case 'J6': index = 113; break;
-      case 'J7': index = 114; break;
-      case 'J8': index = 115; break;
-      case 'J9': index = 116; break;
-      case 'J10': index = 117; break;
-      case 'J11': index = 118; break;
-      case 'J12': index = 119; break;
-      default: {
-        debug('Unknown Pad Label:', label);
-      }
-    }
-    return index;
+  static getPadIndex(label = '', profile = SP404SX) {
+    return PadAddress.getIndex(label, profile);
   }
 }
 
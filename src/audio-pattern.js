@@ -1,6 +1,10 @@
 
 import { DataBuffer } from '@uttori/data-tools';
 import AudioMIDI from '@uttori/audio-midi';
+import PatternFormatError from './pattern-format-error.js';
+import PatternFooterError from './pattern-footer-error.js';
+import DeviceProfiles, { SP404MKII, SP404SX } from './device-profiles.js';
+import { PatternSchema, SCHEMA_VERSION, parseJSON } from './json-schema.js';
 
 let debug = (..._) => {}; try { const { default: d } = await import('debug'); debug = d('Uttori.AudioPattern'); } catch {}
 
@@ -17,6 +21,18 @@ let debug = (..._) => {}; try { const { default: d } = await import('debug'); de
  * @property {string} padLabel The label of the pad, constructed from the sample number and bank.
  */
 
+/**
+ * A problem found while parsing a pattern file.
+ * @typedef {object} PatternWarning
+ * @property {'error' | 'warning'} severity Errors are values that cannot be mapped to a pad, warnings are unusual values that are kept as is.
+ * @property {string} code The kind of problem, `ERR_TRUNCATED`, `ERR_INVALID_VALUE` or `ERR_BARS_MISMATCH`.
+ * @property {number} [noteIndex] The index of the note in `notes` the problem was found on, undefined for problems in the footer.
+ * @property {number} offset The byte offset of the value in the file.
+ * @property {string} field The name of the field on the Note, like `bankSwitch`, or the footer byte like `footer[9]`.
+ * @property {number} value The raw value read from the file.
+ * @property {string} message A human readable description of the problem.
+ */
+
 /**
  * @typedef {object} PadMapping
  * @property {number} midiNote The MIDI note numeric value.
@@ -24,6 +40,89 @@ let debug = (..._) => {}; try { const { default: d } = await import('debug'); de
  * @property {number} bankSwitch The value for the bank switch byte.
  */
 
+/**
+ * A pattern file as JSON, see `PatternSchema`.
+ * @typedef {object} PatternJSON
+ * @property {number} version The version of the JSON format, `1`.
+ * @property {string} profile The ID of the device profile, like `SP-404MKII`.
+ * @property {number} padsPerBank The number of pads per bank.
+ * @property {number} bars The number of bars in the pattern.
+ * @property {number} timeSignature The time signature of the pattern.
+ * @property {Note[]} notes The notes in file order, placeholder notes included.
+ * @property {number[]} [footer] The 16 footer bytes as read, when missing the footer is built from the bars and time signature.
+ */
+
+/**
+ * A note that plays a pad, placed at the absolute tick it plays on rather than the delay from the note before it.
+ * @typedef {object} TimedNote
+ * @property {number} tick The absolute time of the note in ticks from the start of the pattern.
+ * @property {string} padLabel The label of the pad, like `A1`.
+ * @property {number} midiNote The MIDI note value (47-106).
+ * @property {number} bankSwitch The bank switch value.
+ * @property {number} pitchMode The pitch mode of Step Sequencer notes.
+ * @property {number} velocity The velocity of the note (0-127).
+ * @property {number} unknown3 An unknown value, commonly 64 / 0x40.
+ * @property {number} length The length of the note in ticks.
+ */
+
+/**
+ * A note that plays a pad with its position in the pattern, as bars and beats counted from 1 and in seconds.
+ * @typedef {object} PatternEvent
+ * @property {number} tick The absolute time of the note in ticks from the start of the pattern.
+ * @property {number} bar The bar the note plays in, from 1.
+ * @property {number} beat The beat in the bar the note plays on, from 1.
+ * @property {number} beatTick The tick within the beat, from 0.
+ * @property {number} seconds The absolute time of the note in seconds at the BPM.
+ * @property {number} duration The length of the note in seconds at the BPM.
+ * @property {string} padLabel The label of the pad, like `A1`.
+ * @property {number} midiNote The MIDI note value (47-106).
+ * @property {number} bankSwitch The bank switch value.
+ * @property {number} pitchMode The pitch mode of Step Sequencer notes.
+ * @property {number} velocity The velocity of the note (0-127).
+ * @property {number} unknown3 An unknown value, commonly 64 / 0x40.
+ * @property {number} length The length of the note in ticks.
+ */
+
+/**
+ * A field that differs between two versions of a note.
+ * @typedef {object} PatternNoteChange
+ * @property {string} field The name of the field on the note, `velocity`, `length` or `pitchMode`.
+ * @property {number} from The value in the first pattern.
+ * @property {number} to The value in the second pattern.
+ */
+
+/**
+ * A note that differs between two patterns.
+ * @typedef {object} PatternNoteDiff
+ * @property {'added' | 'removed' | 'changed'} type `added` when the note is only in the second pattern, `removed` when it is only in the first pattern, otherwise `changed`.
+ * @property {number} tick The absolute time of the note in ticks.
+ * @property {string} padLabel The label of the pad the note plays.
+ * @property {TimedNote} [from] The note in the first pattern, undefined when added.
+ * @property {TimedNote} [to] The note in the second pattern, undefined when removed.
+ * @property {PatternNoteChange[]} changes The fields that differ, empty when added or removed.
+ */
+
+/**
+ * A change made differently in both patterns of a three-way merge.
+ * @typedef {object} PatternConflict
+ * @property {string} field What conflicts: `note`, `bars` or `timeSignature`.
+ * @property {number} [tick] The absolute time of the conflicting note in ticks.
+ * @property {string} [padLabel] The label of the pad the conflicting note plays.
+ * @property {any} base The value in the common ancestor, undefined when there was no note.
+ * @property {any} ours The value in our pattern, undefined when the note was removed.
+ * @property {any} theirs The value in their pattern, undefined when the note was removed.
+ * @property {string} message A human readable description of the conflict.
+ */
+
+/**
+ * The result of a three-way merge of patterns.
+ * @typedef {object} PatternMerge
+ * @property {TimedNote[]} notes The merged notes in time order, taking our side of any conflict.
+ * @property {number} bars The merged number of bars.
+ * @property {number} timeSignature The merged time signature.
+ * @property {PatternConflict[]} conflicts The changes made differently on both sides, empty when the merge is clean.
+ */
+
 /**
  * AudioPattern - Roland SP-404SX / SP-404 MKii Pattern Utility
  * A utility to read, modify and write pattern files from a Roland SP-404SX / SP-404 MKii `PTN` files.
@@ -48,385 +147,133 @@ class AudioPattern extends DataBuffer {
   /**
    * Creates a new AudioPattern.
    * @param {number[]|ArrayBuffer|Buffer|DataBuffer|Int8Array|Int16Array|Int32Array|number|string|Uint8Array|Uint16Array|Uint32Array|undefined} [input] The data to process.
-   * @param {object} options The options for parsing the pattern.
+   * @param {object} [options] The options for parsing the pattern.
    * @param {number} [options.bytesPerNote] The number of bytes for each note; default is 8.
-   * @param {number} [options.padsPerBank] The number of pads per bank, 12 or 16 for the MKii; default is 16.
-   * @param {boolean} [options.og] When true, process for the original SP404s, when false for the MKii; default is false.
+   * @param {import('./device-profiles.js').DeviceProfile} [options.profile] The device the pattern is for, used for the bank switch, pad labels and footer layout; default is the SP-404 MKII, or the SP-404SX when `og` is true.
+   * @param {number} [options.padsPerBank] The number of pads per bank, overriding the profile; 12 or 16 for the MKii.
+   * @param {boolean} [options.og] When true and no profile is provided, process for the original SP404s, when false for the MKii; default is false.
+   * @param {boolean} [options.strict] When true, throw a PatternFormatError or PatternFooterError on the first value outside of the specification; default is false.
    * @class
    */
-  constructor(input, options = { bytesPerNote: 8, padsPerBank: 16, og: false }) {
+  constructor(input, options = {}) {
     super(input);
 
+    /** @type {boolean} When true, throw a PatternFormatError or PatternFooterError on the first problem rather than adding a warning. */
+    this.strict = options.strict ?? false;
+
+    /** @type {import('./device-profiles.js').DeviceProfile} The device the pattern is for. */
+    this.profile = AudioPattern.getProfile(options);
+
     /** @type {number} The number of bars in the pattern, so 1 bar is 1. */
     this.bars = 0;
     /** @type {number} The time signature of the pattern, `0` = 4/4, `1` is 3/4, `2` is 2/4, `3` = 1/4, `4` is 5/4, `5` is 6/4, `7` is 7/4. */
     this.timeSignature = 0;
     /** @type {Note[]} */
     this.notes = [];
+    /** @type {Uint8Array} The 16 footer bytes as read, written back by `toBuffer` with the bars and time signature updated. */
+    this.footer = AudioPattern.encodeFooter({ bars: 0 }, this.profile);
+    /** @type {PatternWarning[]} Problems found while parsing, empty when the pattern is valid. */
+    this.warnings = [];
 
-    /** @type {Record<string, PadMapping>} The default mapping of pads `A1` to `J16` to MIDI notes. */
-    this.defaultMap = AudioPattern.defaultMap;
+    /** @type {Record<string, PadMapping>} The default mapping of pads `A1` to `J16` to MIDI notes for the profile. */
+    this.defaultMap = AudioPattern.getPadMap(this.profile);
 
     this.parse(options);
   }
 
-  static get defaultPPQOG() { return 96; }
+  static get defaultPPQOG() { return SP404SX.ppqn; }
+
+  static get defaultPPQ() { return SP404MKII.ppqn; }
+
+  /**
+   * The number of quarter note beats in a bar for each time signature value stored in the footer.
+   * The value 6 has not been seen on a device and is left out.
+   * @returns {Record<number, number>} The beats per bar keyed by time signature value.
+   * @static
+   */
+  static get timeSignatures() {
+    return { 0: 4, 1: 3, 2: 2, 3: 1, 4: 5, 5: 6, 7: 7 };
+  }
+
+  /**
+   * Resolve the device profile from the pattern options, supporting the older `og` and `padsPerBank` options.
+   * @param {object} [options] The options for the pattern.
+   * @param {import('./device-profiles.js').DeviceProfile} [options.profile] The device the pattern is for.
+   * @param {number} [options.padsPerBank] The number of pads per bank, overriding the profile.
+   * @param {boolean} [options.og] When true and no profile is provided, use the SP-404SX, otherwise the SP-404 MKII.
+   * @returns {import('./device-profiles.js').DeviceProfile} The device profile.
+   * @static
+   */
+  static getProfile({ profile, padsPerBank, og = false } = {}) {
+    const device = profile ?? (og ? SP404SX : SP404MKII);
+    if (padsPerBank && padsPerBank !== device.padsPerBank) {
+      return { ...device, padsPerBank };
+    }
+    return device;
+  }
 
-  static get defaultPPQ() { return 480; }
+  /**
+   * Build the mapping of every pad to the MIDI note and bank switch used in pattern files for a device.
+   * @param {import('./device-profiles.js').DeviceProfile} profile The device to build the mapping for.
+   * @returns {Record<string, PadMapping>} The mapping of pads, like `A1` to `J16` for the MKII, to MIDI notes.
+   * @static
+   */
+  static getPadMap(profile) {
+    /** @type {Record<string, PadMapping>} */
+    const map = {};
+    for (const group of profile.bankSwitch) {
+      [...group.banks].forEach((bank, bankIndex) => {
+        for (let pad = 1; pad <= profile.padsPerBank; pad++) {
+          map[`${bank}${pad}`] = {
+            midiNote: group.firstNote + (bankIndex * profile.padsPerBank) + pad - 1,
+            pad: `${bank}${pad}`,
+            bankSwitch: group.values[0],
+          };
+        }
+      });
+    }
+    return map;
+  }
 
   /**
    * The default mapping of pads `A1` to `J16` to MIDI notes.
    * @returns {Record<string, PadMapping>} The default mapping of pads `A1` to `J16` to MIDI notes.
    */
   static get defaultMap() {
-    return {
-      // Bank A
-      'A1': { midiNote: 47, pad: 'A1', bankSwitch: 64 },
-      'A2': { midiNote: 48, pad: 'A2', bankSwitch: 64 },
-      'A3': { midiNote: 49, pad: 'A3', bankSwitch: 64 },
-      'A4': { midiNote: 50, pad: 'A4', bankSwitch: 64 },
-      'A5': { midiNote: 51, pad: 'A5', bankSwitch: 64 },
-      'A6': { midiNote: 52, pad: 'A6', bankSwitch: 64 },
-      'A7': { midiNote: 53, pad: 'A7', bankSwitch: 64 },
-      'A8': { midiNote: 54, pad: 'A8', bankSwitch: 64 },
-      'A9': { midiNote: 55, pad: 'A9', bankSwitch: 64 },
-      'A10': { midiNote: 56, pad: 'A10', bankSwitch: 64 },
-      'A11': { midiNote: 57, pad: 'A11', bankSwitch: 64 },
-      'A12': { midiNote: 58, pad: 'A12', bankSwitch: 64 },
-      'A13': { midiNote: 59, pad: 'A13', bankSwitch: 64 },
-      'A14': { midiNote: 60, pad: 'A14', bankSwitch: 64 },
-      'A15': { midiNote: 61, pad: 'A15', bankSwitch: 64 },
-      'A16': { midiNote: 62, pad: 'A16', bankSwitch: 64 },
-
-      // Bank B
-      'B1': { midiNote: 63, pad: 'B1', bankSwitch: 64 },
-      'B2': { midiNote: 64, pad: 'B2', bankSwitch: 64 },
-      'B3': { midiNote: 65, pad: 'B3', bankSwitch: 64 },
-      'B4': { midiNote: 66, pad: 'B4', bankSwitch: 64 },
-      'B5': { midiNote: 67, pad: 'B5', bankSwitch: 64 },
-      'B6': { midiNote: 68, pad: 'B6', bankSwitch: 64 },
-      'B7': { midiNote: 69, pad: 'B7', bankSwitch: 64 },
-      'B8': { midiNote: 70, pad: 'B8', bankSwitch: 64 },
-      'B9': { midiNote: 71, pad: 'B9', bankSwitch: 64 },
-      'B10': { midiNote: 72, pad: 'B10', bankSwitch: 64 },
-      'B11': { midiNote: 73, pad: 'B11', bankSwitch: 64 },
-      'B12': { midiNote: 74, pad: 'B12', bankSwitch: 64 },
-      'B13': { midiNote: 75, pad: 'B13', bankSwitch: 64 },
-      'B14': { midiNote: 76, pad: 'B14', bankSwitch: 64 },
-      'B15': { midiNote: 77, pad: 'B15', bankSwitch: 64 },
-      'B16': { midiNote: 78, pad: 'B16', bankSwitch: 64 },
-
-      // Bank C
-      'C1': { midiNote: 79, pad: 'C1', bankSwitch: 64 },
-      'C2': { midiNote: 80, pad: 'C2', bankSwitch: 64 },
-      'C3': { midiNote: 81, pad: 'C3', bankSwitch: 64 },
-      'C4': { midiNote: 82, pad: 'C4', bankSwitch: 64 },
-      'C5': { midiNote: 83, pad: 'C5', bankSwitch: 64 },
-      'C6': { midiNote: 84, pad: 'C6', bankSwitch: 64 },
-      'C7': { midiNote: 85, pad: 'C7', bankSwitch: 64 },
-      'C8': { midiNote: 86, pad: 'C8', bankSwitch: 64 },
-      'C9': { midiNote: 87, pad: 'C9', bankSwitch: 64 },
-      'C10': { midiNote: 88, pad: 'C10', bankSwitch: 64 },
-      'C11': { midiNote: 89, pad: 'C11', bankSwitch: 64 },
-      'C12': { midiNote: 90, pad: 'C12', bankSwitch: 64 },
-      'C13': { midiNote: 91, pad: 'C13', bankSwitch: 64 },
-      'C14': { midiNote: 92, pad: 'C14', bankSwitch: 64 },
-      'C15': { midiNote: 93, pad: 'C15', bankSwitch: 64 },
-      'C16': { midiNote: 94, pad: 'C16', bankSwitch: 64 },
-
-      // Bank D
-      'D1': { midiNote: 95, pad: 'D1', bankSwitch: 64 },
-      'D2': { midiNote: 96, pad: 'D2', bankSwitch: 64 },
-      'D3': { midiNote: 97, pad: 'D3', bankSwitch: 64 },
-      'D4': { midiNote: 98, pad: 'D4', bankSwitch: 64 },
-      'D5': { midiNote: 99, pad: 'D5', bankSwitch: 64 },
-      'D6': { midiNote: 100, pad: 'D6', bankSwitch: 64 },
-      'D7': { midiNote: 101, pad: 'D7', bankSwitch: 64 },
-      'D8': { midiNote: 102, pad: 'D8', bankSwitch: 64 },
-      'D9': { midiNote: 103, pad: 'D9', bankSwitch: 64 },
-      'D10': { midiNote: 104, pad: 'D10', bankSwitch: 64 },
-      'D11': { midiNote: 105, pad: 'D11', bankSwitch: 64 },
-      'D12': { midiNote: 106, pad: 'D12', bankSwitch: 64 },
-      'D13': { midiNote: 107, pad: 'D13', bankSwitch: 64 },
-      'D14': { midiNote: 108, pad: 'D14', bankSwitch: 64 },
-      'D15': { midiNote: 109, pad: 'D15', bankSwitch: 64 },
-      'D16': { midiNote: 110, pad: 'D16', bankSwitch: 64 },
-
-      // Bank E
-      'E1': { midiNote: 111, pad: 'E1', bankSwitch: 64 },
-      'E2': { midiNote: 112, pad: 'E2', bankSwitch: 64 },
-      'E3': { midiNote: 113, pad: 'E3', bankSwitch: 64 },
-      'E4': { midiNote: 114, pad: 'E4', bankSwitch: 64 },
-      'E5': { midiNote: 115, pad: 'E5', bankSwitch: 64 },
-      'E6': { midiNote: 116, pad: 'E6', bankSwitch: 64 },
-      'E7': { midiNote: 117, pad: 'E7', bankSwitch: 64 },
-      'E8': { midiNote: 118, pad: 'E8', bankSwitch: 64 },
-      'E9': { midiNote: 119, pad: 'E9', bankSwitch: 64 },
-      'E10': { midiNote: 120, pad: 'E10', bankSwitch: 64 },
-      'E11': { midiNote: 121, pad: 'E11', bankSwitch: 64 },
-      'E12': { midiNote: 122, pad: 'E12', bankSwitch: 64 },
-      'E13': { midiNote: 123, pad: 'E13', bankSwitch: 64 },
-      'E14': { midiNote: 124, pad: 'E14', bankSwitch: 64 },
-      'E15': { midiNote: 125, pad: 'E15', bankSwitch: 64 },
-      'E16': { midiNote: 126, pad: 'E16', bankSwitch: 64 },
-
-      // Bank F
-      'F1': { midiNote: 47, pad: 'F1', bankSwitch: 65 },
-      'F2': { midiNote: 48, pad: 'F2', bankSwitch: 65 },
-      'F3': { midiNote: 49, pad: 'F3', bankSwitch: 65 },
-      'F4': { midiNote: 50, pad: 'F4', bankSwitch: 65 },
-      'F5': { midiNote: 51, pad: 'F5', bankSwitch: 65 },
-      'F6': { midiNote: 52, pad: 'F6', bankSwitch: 65 },
-      'F7': { midiNote: 53, pad: 'F7', bankSwitch: 65 },
-      'F8': { midiNote: 54, pad: 'F8', bankSwitch: 65 },
-      'F9': { midiNote: 55, pad: 'F9', bankSwitch: 65 },
-      'F10': { midiNote: 56, pad: 'F10', bankSwitch: 65 },
-      'F11': { midiNote: 57, pad: 'F11', bankSwitch: 65 },
-      'F12': { midiNote: 58, pad: 'F12', bankSwitch: 65 },
-      'F13': { midiNote: 59, pad: 'F13', bankSwitch: 65 },
-      'F14': { midiNote: 60, pad: 'F14', bankSwitch: 65 },
-      'F15': { midiNote: 61, pad: 'F15', bankSwitch: 65 },
-      'F16': { midiNote: 62, pad: 'F16', bankSwitch: 65 },
-
-      // Bank G
-      'G1': { midiNote: 63, pad: 'G1', bankSwitch: 65 },
-      'G2': { midiNote: 64, pad: 'G2', bankSwitch: 65 },
-      'G3': { midiNote: 65, pad: 'G3', bankSwitch: 65 },
-      'G4': { midiNote: 66, pad: 'G4', bankSwitch: 65 },
-      'G5': { midiNote: 67, pad: 'G5', bankSwitch: 65 },
-      'G6': { midiNote: 68, pad: 'G6', bankSwitch: 65 },
-      'G7': { midiNote: 69, pad: 'G7', bankSwitch: 65 },
-      'G8': { midiNote: 70, pad: 'G8', bankSwitch: 65 },
-      'G9': { midiNote: 71, pad: 'G9', bankSwitch: 65 },
-      'G10': { midiNote: 72, pad: 'G10', bankSwitch: 65 },
-      'G11': { midiNote: 73, pad: 'G11', bankSwitch: 65 },
-      'G12': { midiNote: 74, pad: 'G12', bankSwitch: 65 },
-      'G13': { midiNote: 75, pad: 'G13', bankSwitch: 65 },
-      'G14': { midiNote: 76, pad: 'G14', bankSwitch: 65 },
-      'G15': { midiNote: 77, pad: 'G15', bankSwitch: 65 },
-      'G16': { midiNote: 78, pad: 'G16', bankSwitch: 65 },
-
-      // Bank H
-      'H1': { midiNote: 79, pad: 'H1', bankSwitch: 65 },
-      'H2': { midiNote: 80, pad: 'H2', bankSwitch: 65 },
-      'H3': { midiNote: 81, pad: 'H3', bankSwitch: 65 },
-      'H4': { midiNote: 82, pad: 'H4', bankSwitch: 65 },
-      'H5': { midiNote: 83, pad: 'H5', bankSwitch: 65 },
-      'H6': { midiNote: 84, pad: 'H6', bankSwitch: 65 },
-      'H7': { midiNote: 85, pad: 'H7', bankSwitch: 65 },
-      'H8': { midiNote: 86, pad: 'H8', bankSwitch: 65 },
-      'H9': { midiNote: 87, pad: 'H9', bankSwitch: 65 },
-      'H10': { midiNote: 88, pad: 'H10', bankSwitch: 65 },
-      'H11': { midiNote: 89, pad: 'H11', bankSwitch: 65 },
-      'H12': { midiNote: 90, pad: 'H12', bankSwitch: 65 },
-      'H13': { midiNote: 91, pad: 'H13', bankSwitch: 65 },
-      'H14': { midiNote: 92, pad: 'H14', bankSwitch: 65 },
-      'H15': { midiNote: 93, pad: 'H15', bankSwitch: 65 },
-      'H16': { midiNote: 94, pad: 'H16', bankSwitch: 65 },
-
-      // Bank I
-      'I1': { midiNote: 95, pad: 'I1', bankSwitch: 65 },
-      'I2': { midiNote: 96, pad: 'I2', bankSwitch: 65 },
-      'I3': { midiNote: 97, pad: 'I3', bankSwitch: 65 },
-      'I4': { midiNote: 98, pad: 'I4', bankSwitch: 65 },
-      'I5': { midiNote: 99, pad: 'I5', bankSwitch: 65 },
-      'I6': { midiNote: 100, pad: 'I6', bankSwitch: 65 },
-      'I7': { midiNote: 101, pad: 'I7', bankSwitch: 65 },
-      'I8': { midiNote: 102, pad: 'I8', bankSwitch: 65 },
-      'I9': { midiNote: 103, pad: 'I9', bankSwitch: 65 },
-      'I10': { midiNote: 104, pad: 'I10', bankSwitch: 65 },
-      'I11': { midiNote: 105, pad: 'I11', bankSwitch: 65 },
-      'I12': { midiNote: 106, pad: 'I12', bankSwitch: 65 },
-      'I13': { midiNote: 107, pad: 'I13', bankSwitch: 65 },
-      'I14': { midiNote: 108, pad: 'I14', bankSwitch: 65 },
-      'I15': { midiNote: 109, pad: 'I15', bankSwitch: 65 },
-      'I16': { midiNote: 110, pad: 'I16', bankSwitch: 65 },
-
-      // Bank J
-      'J1': { midiNote: 111, pad: 'J1', bankSwitch: 65 },
-      'J2': { midiNote: 112, pad: 'J2', bankSwitch: 65 },
-      'J3': { midiNote: 113, pad: 'J3', bankSwitch: 65 },
-      'J4': { midiNote: 114, pad: 'J4', bankSwitch: 65 },
-      'J5': { midiNote: 115, pad: 'J5', bankSwitch: 65 },
-      'J6': { midiNote: 116, pad: 'J6', bankSwitch: 65 },
-      'J7': { midiNote: 117, pad: 'J7', bankSwitch: 65 },
-      'J8': { midiNote: 118, pad: 'J8', bankSwitch: 65 },
-      'J9': { midiNote: 119, pad: 'J9', bankSwitch: 65 },
-      'J10': { midiNote: 120, pad: 'J10', bankSwitch: 65 },
-      'J11': { midiNote: 121, pad: 'J11', bankSwitch: 65 },
-      'J12': { midiNote: 122, pad: 'J12', bankSwitch: 65 },
-      'J13': { midiNote: 123, pad: 'J13', bankSwitch: 65 },
-      'J14': { midiNote: 124, pad: 'J14', bankSwitch: 65 },
-      'J15': { midiNote: 125, pad: 'J15', bankSwitch: 65 },
-      'J16': { midiNote: 126, pad: 'J16', bankSwitch: 65 },
-    }
+    return AudioPattern.getPadMap(SP404MKII);
   }
 
   /**
    * The default mapping of pads `A1` to `J12` to MIDI notes for the OG SP404.
    * https://support.roland.com/hc/en-us/articles/201932129-SP-404-Playing-the-SP-404-via-MIDI
-   * @returns {Record<string, PadMapping>} The default mapping of pads `A1` to `J16` to MIDI notes.
+   * @returns {Record<string, PadMapping>} The default mapping of pads `A1` to `J12` to MIDI notes.
    */
   static get defaultMapOG() {
-    return {
-      // Bank A
-      'A1': { midiNote: 47, pad: 'A1', bankSwitch: 0 },
-      'A2': { midiNote: 48, pad: 'A2', bankSwitch: 0 },
-      'A3': { midiNote: 49, pad: 'A3', bankSwitch: 0 },
-      'A4': { midiNote: 50, pad: 'A4', bankSwitch: 0 },
-      'A5': { midiNote: 51, pad: 'A5', bankSwitch: 0 },
-      'A6': { midiNote: 52, pad: 'A6', bankSwitch: 0 },
-      'A7': { midiNote: 53, pad: 'A7', bankSwitch: 0 },
-      'A8': { midiNote: 54, pad: 'A8', bankSwitch: 0 },
-      'A9': { midiNote: 55, pad: 'A9', bankSwitch: 0 },
-      'A10': { midiNote: 56, pad: 'A10', bankSwitch: 0 },
-      'A11': { midiNote: 57, pad: 'A11', bankSwitch: 0 },
-      'A12': { midiNote: 58, pad: 'A12', bankSwitch: 0 },
-
-      // Bank B
-      'B1': { midiNote: 59, pad: 'B1', bankSwitch: 0 },
-      'B2': { midiNote: 60, pad: 'B2', bankSwitch: 0 },
-      'B3': { midiNote: 61, pad: 'B3', bankSwitch: 0 },
-      'B4': { midiNote: 62, pad: 'B4', bankSwitch: 0 },
-      'B5': { midiNote: 63, pad: 'B5', bankSwitch: 0 },
-      'B6': { midiNote: 64, pad: 'B6', bankSwitch: 0 },
-      'B7': { midiNote: 65, pad: 'B7', bankSwitch: 0 },
-      'B8': { midiNote: 66, pad: 'B8', bankSwitch: 0 },
-      'B9': { midiNote: 67, pad: 'B9', bankSwitch: 0 },
-      'B10': { midiNote: 68, pad: 'B10', bankSwitch: 0 },
-      'B11': { midiNote: 69, pad: 'B11', bankSwitch: 0 },
-      'B12': { midiNote: 70, pad: 'B12', bankSwitch: 0 },
-
-      // Bank C
-      'C1': { midiNote: 71, pad: 'C1', bankSwitch: 0 },
-      'C2': { midiNote: 72, pad: 'C2', bankSwitch: 0 },
-      'C3': { midiNote: 73, pad: 'C3', bankSwitch: 0 },
-      'C4': { midiNote: 74, pad: 'C4', bankSwitch: 0 },
-      'C5': { midiNote: 75, pad: 'C5', bankSwitch: 0 },
-      'C6': { midiNote: 76, pad: 'C6', bankSwitch: 0 },
-      'C7': { midiNote: 77, pad: 'C7', bankSwitch: 0 },
-      'C8': { midiNote: 78, pad: 'C8', bankSwitch: 0 },
-      'C9': { midiNote: 79, pad: 'C9', bankSwitch: 0 },
-      'C10': { midiNote: 80, pad: 'C10', bankSwitch: 0 },
-      'C11': { midiNote: 81, pad: 'C11', bankSwitch: 0 },
-      'C12': { midiNote: 82, pad: 'C12', bankSwitch: 0 },
-
-      // Bank D
-      'D1': { midiNote: 83, pad: 'D1', bankSwitch: 0 },
-      'D2': { midiNote: 84, pad: 'D2', bankSwitch: 0 },
-      'D3': { midiNote: 85, pad: 'D3', bankSwitch: 0 },
-      'D4': { midiNote: 86, pad: 'D4', bankSwitch: 0 },
-      'D5': { midiNote: 87, pad: 'D5', bankSwitch: 0 },
-      'D6': { midiNote: 88, pad: 'D6', bankSwitch: 0 },
-      'D7': { midiNote: 89, pad: 'D7', bankSwitch: 0 },
-      'D8': { midiNote: 90, pad: 'D8', bankSwitch: 0 },
-      'D9': { midiNote: 91, pad: 'D9', bankSwitch: 0 },
-      'D10': { midiNote: 92, pad: 'D10', bankSwitch: 0 },
-      'D11': { midiNote: 93, pad: 'D11', bankSwitch: 0 },
-      'D12': { midiNote: 94, pad: 'D12', bankSwitch: 0 },
-
-      // Bank E
-      'E1': { midiNote: 95, pad: 'E1', bankSwitch: 0 },
-      'E2': { midiNote: 96, pad: 'E2', bankSwitch: 0 },
-      'E3': { midiNote: 97, pad: 'E3', bankSwitch: 0 },
-      'E4': { midiNote: 98, pad: 'E4', bankSwitch: 0 },
-      'E5': { midiNote: 99, pad: 'E5', bankSwitch: 0 },
-      'E6': { midiNote: 100, pad: 'E6', bankSwitch: 0 },
-      'E7': { midiNote: 101, pad: 'E7', bankSwitch: 0 },
-      'E8': { midiNote: 102, pad: 'E8', bankSwitch: 0 },
-      'E9': { midiNote: 103, pad: 'E9', bankSwitch: 0 },
-      'E10': { midiNote: 104, pad: 'E10', bankSwitch: 0 },
-      'E11': { midiNote: 105, pad: 'E11', bankSwitch: 0 },
-      'E12': { midiNote: 106, pad: 'E12', bankSwitch: 0 },
-
-      // Bank F
-      'F1': { midiNote: 107, pad: 'F1', bankSwitch: 0 },
-      'F2': { midiNote: 108, pad: 'F2', bankSwitch: 0 },
-      'F3': { midiNote: 109, pad: 'F3', bankSwitch: 0 },
-      'F4': { midiNote: 110, pad: 'F4', bankSwitch: 0 },
-      'F5': { midiNote: 111, pad: 'F5', bankSwitch: 0 },
-      'F6': { midiNote: 112, pad: 'F6', bankSwitch: 0 },
-      'F7': { midiNote: 113, pad: 'F7', bankSwitch: 0 },
-      'F8': { midiNote: 114, pad: 'F8', bankSwitch: 0 },
-      'F9': { midiNote: 115, pad: 'F9', bankSwitch: 0 },
-      'F10': { midiNote: 116, pad: 'F10', bankSwitch: 0 },
-      'F11': { midiNote: 117, pad: 'F11', bankSwitch: 0 },
-      'F12': { midiNote: 118, pad: 'F12', bankSwitch: 0 },
-
-      // Bank G
-      'G1': { midiNote: 71, pad: 'G1', bankSwitch: 64 },
-      'G2': { midiNote: 72, pad: 'G2', bankSwitch: 64 },
-      'G3': { midiNote: 73, pad: 'G3', bankSwitch: 64 },
-      'G4': { midiNote: 74, pad: 'G4', bankSwitch: 64 },
-      'G5': { midiNote: 75, pad: 'G5', bankSwitch: 64 },
-      'G6': { midiNote: 76, pad: 'G6', bankSwitch: 64 },
-      'G7': { midiNote: 77, pad: 'G7', bankSwitch: 64 },
-      'G8': { midiNote: 78, pad: 'G8', bankSwitch: 64 },
-      'G9': { midiNote: 79, pad: 'G9', bankSwitch: 64 },
-      'G10': { midiNote: 80, pad: 'G10', bankSwitch: 64 },
-      'G11': { midiNote: 81, pad: 'G11', bankSwitch: 64 },
-      'G12': { midiNote: 82, pad: 'G12', bankSwitch: 64 },
-
-      // Bank H
-      'H1': { midiNote: 83, pad: 'H1', bankSwitch: 64 },
-      'H2': { midiNote: 84, pad: 'H2', bankSwitch: 64 },
-      'H3': { midiNote: 85, pad: 'H3', bankSwitch: 64 },
-      'H4': { midiNote: 86, pad: 'H4', bankSwitch: 64 },
-      'H5': { midiNote: 87, pad: 'H5', bankSwitch: 64 },
-      'H6': { midiNote: 88, pad: 'H6', bankSwitch: 64 },
-      'H7': { midiNote: 89, pad: 'H7', bankSwitch: 64 },
-      'H8': { midiNote: 90, pad: 'H8', bankSwitch: 64 },
-      'H9': { midiNote: 91, pad: 'H9', bankSwitch: 64 },
-      'H10': { midiNote: 92, pad: 'H10', bankSwitch: 64 },
-      'H11': { midiNote: 93, pad: 'H11', bankSwitch: 64 },
-      'H12': { midiNote: 94, pad: 'H12', bankSwitch: 64 },
-
-      // Bank I
-      'I1': { midiNote: 95, pad: 'I1', bankSwitch: 64 },
-      'I2': { midiNote: 96, pad: 'I2', bankSwitch: 64 },
-      'I3': { midiNote: 97, pad: 'I3', bankSwitch: 64 },
-      'I4': { midiNote: 98, pad: 'I4', bankSwitch: 64 },
-      'I5': { midiNote: 99, pad: 'I5', bankSwitch: 64 },
-      'I6': { midiNote: 100, pad: 'I6', bankSwitch: 64 },
-      'I7': { midiNote: 101, pad: 'I7', bankSwitch: 64 },
-      'I8': { midiNote: 102, pad: 'I8', bankSwitch: 64 },
-      'I9': { midiNote: 103, pad: 'I9', bankSwitch: 64 },
-      'I10': { midiNote: 104, pad: 'I10', bankSwitch: 64 },
-      'I11': { midiNote: 105, pad: 'I11', bankSwitch: 64 },
-      'I12': { midiNote: 106, pad: 'I12', bankSwitch: 64 },
-
-      // Bank J
-      'J1': { midiNote: 107, pad: 'J1', bankSwitch: 64 },
-      'J2': { midiNote: 108, pad: 'J2', bankSwitch: 64 },
-      'J3': { midiNote: 109, pad: 'J3', bankSwitch: 64 },
-      'J4': { midiNote: 110, pad: 'J4', bankSwitch: 64 },
-      'J5': { midiNote: 111, pad: 'J5', bankSwitch: 64 },
-      'J6': { midiNote: 112, pad: 'J6', bankSwitch: 64 },
-      'J7': { midiNote: 113, pad: 'J7', bankSwitch: 64 },
-      'J8': { midiNote: 114, pad: 'J8', bankSwitch: 64 },
-      'J9': { midiNote: 115, pad: 'J9', bankSwitch: 64 },
-      'J10': { midiNote: 116, pad: 'J10', bankSwitch: 64 },
-      'J11': { midiNote: 117, pad: 'J11', bankSwitch: 64 },
-      'J12': { midiNote: 118, pad: 'J12', bankSwitch: 64 },
-    }
-  }
-
-  /**
-   * Parse the pattern into notes and extract the bar count from the footer.
-   * @param {object} options The options for parsing the pattern.
+    return AudioPattern.getPadMap(SP404SX);
+  }
+
+  /**
+   * Parse the pattern into notes and extract the bar count from the footer, using the bank switch and footer layout of `profile`.
+   * @param {object} [options] The options for parsing the pattern.
    * @param {number} [options.bytesPerNote] The number of bytes for each note; default is 8.
-   * @param {number} [options.padsPerBank] The number of pads per bank, 12 or 16 for the MKii; default is 16.
-   * @param {boolean} [options.og] When true, process for the original SP404s, when false for the MKii; default is false.
    */
-  parse = ({ bytesPerNote = 8, padsPerBank = 16, og = false }) => {
+  parse = ({ bytesPerNote = 8 } = {}) => {
+    const { og } = this.profile;
     this.notes = [];
+    this.warnings = [];
 
-    /** @type {number} The total number notes in the pattern (minus 2 for the footer). */
-    const totalNotes = (this.remainingBytes() / bytesPerNote) - 2;
+    if (this.remainingBytes() < 16) {
+      this.addWarning('error', 'ERR_TRUNCATED', this.offset, 'footer', this.length, `Truncated: ${this.length} bytes is too short for the 16 byte footer.`);
+      return;
+    }
+
+    /** @type {number} The total number notes in the pattern (minus 16 bytes for the footer). */
+    const totalNotes = Math.floor((this.remainingBytes() - 16) / bytesPerNote);
     debug('parse totalNotes:', totalNotes);
     let i = 0;
     let realNote = 0;
     while (i < totalNotes) {
+      const noteOffset = this.offset;
       // Ticks, the delay until the next track.
       const ticks = this.readUInt8();
       // MIDI Note (47-106)
@@ -463,37 +310,15 @@ class AudioPattern extends DataBuffer {
       const length = this.readUInt16(true);
       // Calculate the sample number from the MIDI note.
 
-      // OG and MKii differ in how these are handled.
-      let sampleNumber;
-      if (og) {
-        if (bankSwitch === 0) {
-          sampleNumber = midiNote - 46;
-        } else if (bankSwitch === 64) {
-          sampleNumber = midiNote - 46 + (padsPerBank * 5);
-        } else {
-          debug('parse Unexpected value for og bankSwitch:', bankSwitch);
-          sampleNumber = 160;
-        }
-      } else {
-        // In recent patterns, bankSwitch was set to 64 rather than 1 or 0.
-        // This seems to be firmware dependent, with 64 being the newest value.
-        // When parsing a pattern playing long notes that were stopped manually with a second tap, the bankswitch value was 65.
-        if (bankSwitch === 0 || bankSwitch === 64) {
-          sampleNumber = midiNote - 46;
-        } else if (bankSwitch === 1 || bankSwitch === 65) {
-          sampleNumber = midiNote - 46 + (padsPerBank * 5);
-        } else {
-          debug('parse Unexpected value for MKii bankSwitch:', bankSwitch);
-          sampleNumber = 160;
-        }
+      // OG and MKii differ in how these are handled, the profile lists the banks selected by each bank switch value.
+      // On the MKii, recent patterns set bankSwitch to 64 rather than 1 or 0.
+      // This seems to be firmware dependent, with 64 being the newest value.
+      // When parsing a pattern playing long notes that were stopped manually with a second tap, the bankswitch value was 65.
+      if (!this.profile.bankSwitch.some((group) => group.values.includes(bankSwitch))) {
+        const values = this.profile.bankSwitch.flatMap((group) => group.values).sort((a, b) => a - b);
+        this.addWarning('error', 'ERR_INVALID_VALUE', noteOffset + 2, 'bankSwitch', bankSwitch, `Unexpected value for ${this.profile.id} bankSwitch: ${bankSwitch} should be ${values.slice(0, -1).join(', ')} or ${values.at(-1)}.`, i);
       }
-
-      // Build the pad label from the sample number.
-      const padNumber = sampleNumber - 1;
-      const bankNumber = Math.floor(padNumber / padsPerBank);
-      const bankLetter = String.fromCharCode('A'.charCodeAt(0) + bankNumber);
-      const bankPadNumber = (padNumber % padsPerBank) + 1;
-      const padLabel = `${bankLetter}${bankPadNumber}`;
+      const { sampleNumber, padLabel } = this.getNotePad(midiNote, bankSwitch);
       // debug('parse padLabel:', padLabel);
 
       /** @type {Note} */
@@ -510,10 +335,10 @@ class AudioPattern extends DataBuffer {
       };
 
       if (pitchMode !== 0 && (pitchMode > 153 || pitchMode < 129)) {
-        debug('pitchMode:', pitchMode, '/', pitchMode.toString(16).toUpperCase(), '/', pitchMode.toString(2));
+        this.addWarning('warning', 'ERR_INVALID_VALUE', noteOffset + 3, 'pitchMode', pitchMode, `Unexpected value for pitchMode: ${pitchMode} should be 0 or between 129 and 153.`, i);
       }
       if (![0, 64].includes(unknown3)) {
-        debug('unknown3:', unknown3, '/', unknown3.toString(16).toUpperCase(), '/', unknown3.toString(2));
+        this.addWarning('warning', 'ERR_INVALID_VALUE', noteOffset + 5, 'unknown3', unknown3, `Unexpected value for unknown3: ${unknown3} should be 0 or 64.`, i);
       }
       // Only debugging non-empty notes
       if (note.midiNote !== 128) {
@@ -524,98 +349,102 @@ class AudioPattern extends DataBuffer {
       i++;
     }
 
-    const footer = this.read(16);
-    if (this.remainingBytes() > 0) {
-      debug('parse Read footer but bytes remaining:', this.remainingBytes())
+    if (this.remainingBytes() > 16) {
+      const extra = this.remainingBytes() - 16;
+      this.addWarning('error', 'ERR_TRUNCATED', this.offset, 'length', this.length, `Truncated: ${this.length} bytes should be a multiple of ${bytesPerNote} plus the 16 byte footer, ${extra} bytes before the footer are ignored.`);
+      this.advance(extra);
     }
+    const footerOffset = this.offset;
+    const footer = Uint8Array.from(this.read(16));
+    this.footer = footer;
     // debug('footer:', footer);
     if (footer[0] !== 0) {
-      debug('parse Unique Footer Byte 0:', footer[0])
+      this.addWarning('warning', 'ERR_INVALID_VALUE', footerOffset + 0, 'footer[0]', footer[0], `Unique Footer Byte 0: ${footer[0]}.`);
     }
     if (footer[1] !== 140) {
-      debug('parse Unique Footer Byte 1:', footer[1])
+      this.addWarning('warning', 'ERR_INVALID_VALUE', footerOffset + 1, 'footer[1]', footer[1], `Unique Footer Byte 1: ${footer[1]}.`);
     }
     if (footer[2] !== 0) {
-      debug('parse Unique Footer Byte 2:', footer[2])
+      this.addWarning('warning', 'ERR_INVALID_VALUE', footerOffset + 2, 'footer[2]', footer[2], `Unique Footer Byte 2: ${footer[2]}.`);
     }
     if (footer[3] !== 0) {
-      debug('parse Unique Footer Byte 3:', footer[3])
+      this.addWarning('warning', 'ERR_INVALID_VALUE', footerOffset + 3, 'footer[3]', footer[3], `Unique Footer Byte 3: ${footer[3]}.`);
     }
     if (footer[4] !== 0) {
-      debug('parse Unique Footer Byte 4:', footer[4])
+      this.addWarning('warning', 'ERR_INVALID_VALUE', footerOffset + 4, 'footer[4]', footer[4], `Unique Footer Byte 4: ${footer[4]}.`);
     }
     if (footer[5] !== 0) {
-      debug('parse Unique Footer Byte 5:', footer[5])
+      this.addWarning('warning', 'ERR_INVALID_VALUE', footerOffset + 5, 'footer[5]', footer[5], `Unique Footer Byte 5: ${footer[5]}.`);
     }
     if (footer[6] !== 0) {
-      debug('parse Unique Footer Byte 6:', footer[6])
+      this.addWarning('warning', 'ERR_INVALID_VALUE', footerOffset + 6, 'footer[6]', footer[6], `Unique Footer Byte 6: ${footer[6]}.`);
     }
     if (footer[7] !== 0) {
-      debug('parse Unique Footer Byte 7:', footer[7])
+      this.addWarning('warning', 'ERR_INVALID_VALUE', footerOffset + 7, 'footer[7]', footer[7], `Unique Footer Byte 7: ${footer[7]}.`);
     }
     // Bars (MKii: 1-64; OG: 0)
     if (og) {
       if (footer[8] !== 0) {
-        debug('parse Unique Footer Byte 8 (OG):', footer[8])
+        this.addWarning('warning', 'ERR_INVALID_VALUE', footerOffset + 8, 'footer[8]', footer[8], `Unique Footer Byte 8 (OG): ${footer[8]}.`);
       }
     } else {
       if (footer[8] < 1 || footer[8] > 64) {
-        debug('parse Unique Footer Byte 8 (MKii):', footer[8])
+        this.addWarning('warning', 'ERR_INVALID_VALUE', footerOffset + 8, 'footer[8]', footer[8], `Unique Footer Byte 8 (MKii): ${footer[8]}.`);
       }
     }
     // OG: 2; MKii: 0
     if (og) {
       if (footer[9] !== 2) {
-        debug('parse Unique Footer Byte 9 (OG):', footer[9])
+        this.addWarning('warning', 'ERR_INVALID_VALUE', footerOffset + 9, 'footer[9]', footer[9], `Unique Footer Byte 9 (OG): ${footer[9]}.`);
       }
     } else {
       if (footer[9] !== 0) {
-        debug('parse Unique Footer Byte 9 (MKii):', footer[9])
+        this.addWarning('warning', 'ERR_INVALID_VALUE', footerOffset + 9, 'footer[9]', footer[9], `Unique Footer Byte 9 (MKii): ${footer[9]}.`);
       }
     }
     if (footer[10] !== 0) {
-      debug('parse Unique Footer Byte 10:', footer[10])
+      this.addWarning('warning', 'ERR_INVALID_VALUE', footerOffset + 10, 'footer[10]', footer[10], `Unique Footer Byte 10: ${footer[10]}.`);
     }
     if (footer[11] !== 0) {
-      debug('parse Unique Footer Byte 11:', footer[11])
+      this.addWarning('warning', 'ERR_INVALID_VALUE', footerOffset + 11, 'footer[11]', footer[11], `Unique Footer Byte 11: ${footer[11]}.`);
     }
     // Time Signature
     if (![0, 1, 2, 3, 4, 5, 6, 7].includes(footer[12])) {
-      debug('parse Unique Footer Byte 12:', footer[12])
+      this.addWarning('warning', 'ERR_INVALID_VALUE', footerOffset + 12, 'footer[12]', footer[12], `Unique Footer Byte 12: ${footer[12]}.`);
     }
     // OG: 0; MKii: 128
     if (og) {
       if (footer[13] !== 0) {
-        debug('parse Unique Footer Byte 13 (OG):', footer[13])
+        this.addWarning('warning', 'ERR_INVALID_VALUE', footerOffset + 13, 'footer[13]', footer[13], `Unique Footer Byte 13 (OG): ${footer[13]}.`);
       }
     } else {
       if (footer[13] !== 128) {
-        debug('parse Unique Footer Byte 13 (MKii):', footer[13])
+        this.addWarning('warning', 'ERR_INVALID_VALUE', footerOffset + 13, 'footer[13]', footer[13], `Unique Footer Byte 13 (MKii): ${footer[13]}.`);
       }
     }
     // Bars (OG: 0; MKii: 1-64)
     if (og) {
       if (footer[14] !== 0) {
-        debug('parse Unique Footer Byte 13 (OG):', footer[14])
+        this.addWarning('warning', 'ERR_INVALID_VALUE', footerOffset + 14, 'footer[14]', footer[14], `Unique Footer Byte 14 (OG): ${footer[14]}.`);
       }
     } else {
       if (footer[14] < 1 || footer[14] > 64) {
-        debug('parse Unique Footer Byte 14 (MKii):', footer[14])
+        this.addWarning('warning', 'ERR_INVALID_VALUE', footerOffset + 14, 'footer[14]', footer[14], `Unique Footer Byte 14 (MKii): ${footer[14]}.`);
       }
     }
     // OG: 0; MKii: 1
     if (og) {
       if (footer[15] !== 0) {
-        debug('parse Unique Footer Byte 15 (OG):', footer[15])
+        this.addWarning('warning', 'ERR_INVALID_VALUE', footerOffset + 15, 'footer[15]', footer[15], `Unique Footer Byte 15 (OG): ${footer[15]}.`);
       }
     } else {
       if (footer[15] !== 1) {
-        debug('parse Unique Footer Byte 15 (MKii):', footer[15])
+        this.addWarning('warning', 'ERR_INVALID_VALUE', footerOffset + 15, 'footer[15]', footer[15], `Unique Footer Byte 15 (MKii): ${footer[15]}.`);
       }
     }
 
     if (footer[8] !== footer[14]) {
-      debug('parse Bars bytes 8 and 14 mismatch:', footer[8], footer[14])
+      this.addWarning('warning', 'ERR_BARS_MISMATCH', footerOffset + 14, 'footer[14]', footer[14], `Bars bytes 8 and 14 mismatch: ${footer[8]} and ${footer[14]}.`);
     }
 
     // Bytes 8 and 14 are the total number of bars in the pattern.
@@ -624,27 +453,199 @@ class AudioPattern extends DataBuffer {
     this.timeSignature = footer[12];
   };
 
+  /**
+   * Calculate the sample number and pad label a note plays from its MIDI note and bank switch.
+   * @param {number} midiNote The MIDI note value of the note.
+   * @param {number} bankSwitch The bank switch value of the note, an unknown value uses sample number 160.
+   * @returns {{ sampleNumber: number, padLabel: string }} The sample number and pad label.
+   */
+  getNotePad(midiNote, bankSwitch) {
+    const { padsPerBank } = this.profile;
+    // OG and MKii differ in how these are handled, the profile lists the banks selected by each bank switch value.
+    let sampleNumber = 160;
+    const groupIndex = this.profile.bankSwitch.findIndex((group) => group.values.includes(bankSwitch));
+    if (groupIndex !== -1) {
+      const group = this.profile.bankSwitch[groupIndex];
+      const banksBefore = this.profile.bankSwitch.slice(0, groupIndex).reduce((total, { banks }) => total + banks.length, 0);
+      sampleNumber = (banksBefore * padsPerBank) + midiNote - group.firstNote + 1;
+    }
+
+    // Build the pad label from the sample number.
+    const padNumber = sampleNumber - 1;
+    const bankNumber = Math.floor(padNumber / padsPerBank);
+    const bankLetter = String.fromCharCode('A'.charCodeAt(0) + bankNumber);
+    const bankPadNumber = (padNumber % padsPerBank) + 1;
+    return { sampleNumber, padLabel: `${bankLetter}${bankPadNumber}` };
+  }
+
+  /**
+   * Record a problem found in the pattern while parsing, or throw it when parsing strictly.
+   * Problems in the footer are thrown as a PatternFooterError, every other problem as a PatternFormatError.
+   * @param {'error' | 'warning'} severity The severity of the problem, errors are values that cannot be mapped to a pad and warnings are unusual values.
+   * @param {string} code The kind of problem, `ERR_TRUNCATED`, `ERR_INVALID_VALUE` or `ERR_BARS_MISMATCH`.
+   * @param {number} offset The byte offset of the value in the file.
+   * @param {string} field The name of the field on the Note, or the footer byte.
+   * @param {number} value The raw value read from the file.
+   * @param {string} message A human readable description of the problem.
+   * @param {number} [noteIndex] The index of the note the problem was found on, undefined for the footer.
+   * @throws {PatternFormatError} When parsing strictly.
+   */
+  addWarning(severity, code, offset, field, value, message, noteIndex) {
+    debug(`parse ${message}`);
+    if (this.strict) {
+      if (field.startsWith('footer')) {
+        throw new PatternFooterError(message, { code, offset, value, field });
+      }
+      throw new PatternFormatError(message, { code, offset, value, noteIndex, field });
+    }
+    this.warnings.push({ severity, code, noteIndex, offset, field, value, message });
+  }
+
+  /**
+   * Encode the notes and the footer to a pattern file, 8 bytes for each note followed by the 16 byte footer.
+   * Notes are written from their raw values, so change `midiNote` and `bankSwitch` rather than `padLabel` to play another pad.
+   * The footer is written back as it was read, with the bars and time signature updated when they have been changed, so an unchanged pattern is written byte for byte as it was read.
+   * @returns {Uint8Array} The pattern file.
+   * @throws {Error} A note, the bars or the time signature has a value that does not fit in its bytes.
+   */
+  toBuffer() {
+    debug('toBuffer');
+    const fields = [['ticks', 255], ['midiNote', 255], ['bankSwitch', 255], ['pitchMode', 255], ['velocity', 255], ['unknown3', 255], ['length', 65535]];
+    const data = new Uint8Array((this.notes.length * 8) + 16);
+    this.notes.forEach((note, index) => {
+      for (const [field, maximum] of fields) {
+        const value = note[field];
+        if (!Number.isInteger(value) || value < 0 || value > maximum) {
+          const error = `Note ${index} is invalid, ${field} ${value} should be an integer between 0 and ${maximum}.`;
+          debug(error);
+          throw new Error(error);
+        }
+      }
+      data.set(AudioPattern.encodeNote(note), index * 8);
+    });
+
+    for (const field of ['bars', 'timeSignature']) {
+      if (!Number.isInteger(this[field]) || this[field] < 0 || this[field] > 255) {
+        const error = `Pattern is invalid, ${field} ${this[field]} should be an integer between 0 and 255.`;
+        debug(error);
+        throw new Error(error);
+      }
+    }
+
+    data.set(AudioPattern.updateFooter(this.footer, this, this.profile), this.notes.length * 8);
+    return data;
+  }
+
+  /**
+   * Convert the pattern to a JSON document matching `PatternSchema`, keeping every note in file order.
+   * Called by `JSON.stringify`.
+   * @returns {PatternJSON} The JSON document.
+   */
+  toJSON() {
+    return {
+      version: SCHEMA_VERSION,
+      profile: this.profile.id,
+      padsPerBank: this.profile.padsPerBank,
+      bars: this.bars,
+      timeSignature: this.timeSignature,
+      notes: this.notes.map((note) => ({ ...note })),
+      footer: [...this.footer],
+    };
+  }
+
+  /**
+   * Load a pattern from a JSON document matching `PatternSchema`, like one from `toJSON`.
+   * Notes are written from their raw values, `sampleNumber` and `padLabel` are computed rather than read.
+   * The `footer` bytes are written back with the bars and time signature of the document, so a document from `toJSON` loads as the same file.
+   * @param {string | object} input The JSON document, as a string or already parsed.
+   * @returns {AudioPattern} The notes as a new pattern file for the profile of the document.
+   * @throws {import('./json-format-error.js').default} The JSON does not match the schema.
+   * @static
+   */
+  static fromJSON(input) {
+    debug('fromJSON');
+    const json = parseJSON(PatternSchema, input);
+    const profile = Object.values(DeviceProfiles).find(({ id }) => id === json.profile);
+    const data = new Uint8Array((json.notes.length * 8) + 16);
+    json.notes.forEach((note, index) => data.set(AudioPattern.encodeNote(note), index * 8));
+    const footer = json.footer ? AudioPattern.updateFooter(json.footer, json, profile) : AudioPattern.encodeFooter(json, profile);
+    data.set(footer, json.notes.length * 8);
+    return new AudioPattern(data, { profile, padsPerBank: json.padsPerBank });
+  }
+
+  /**
+   * Encode a note to the 8 bytes stored in a pattern file.
+   * @param {Note} note The note to encode.
+   * @returns {Uint8Array} The 8 bytes of the note.
+   * @static
+   */
+  static encodeNote({ ticks, midiNote, bankSwitch, pitchMode, velocity, unknown3, length }) {
+    // The length is the only little-endian 2 byte value.
+    return Uint8Array.from([ticks, midiNote, bankSwitch, pitchMode, velocity, unknown3, length & 0xFF, length >> 8]);
+  }
+
+  /**
+   * Encode the 16 byte footer of a pattern file, the same way `fromMidi` does.
+   * @param {object} values The values stored in the footer.
+   * @param {number} values.bars The number of bars, only stored on the MKII.
+   * @param {number} [values.timeSignature] The time signature; default is 0 for 4/4.
+   * @param {import('./device-profiles.js').DeviceProfile} profile The device the pattern is for.
+   * @returns {Uint8Array} The 16 bytes of the footer.
+   * @static
+   */
+  static encodeFooter({ bars, timeSignature = 0 }, profile) {
+    const { og } = profile;
+    const footer = new Uint8Array(16);
+    footer[1] = 140;
+    footer[8] = og ? 0 : bars;
+    footer[9] = og ? 2 : 0;
+    footer[12] = timeSignature;
+    footer[13] = og ? 0 : 128;
+    footer[14] = og ? 0 : bars;
+    footer[15] = og ? 0 : 1;
+    return footer;
+  }
+
+  /**
+   * Write the bars and time signature onto the 16 footer bytes of a pattern file, leaving the other bytes as they are.
+   * @param {ArrayLike<number>} footer The footer bytes as read.
+   * @param {object} values The values stored in the footer.
+   * @param {number} values.bars The number of bars, only stored on the MKII.
+   * @param {number} values.timeSignature The time signature.
+   * @param {import('./device-profiles.js').DeviceProfile} profile The device the pattern is for.
+   * @returns {Uint8Array} The 16 bytes of the updated footer.
+   * @static
+   */
+  static updateFooter(footer, { bars, timeSignature }, profile) {
+    const updated = Uint8Array.from(footer);
+    // Bytes 8 and 14 are the bars on the MKII and always 0 on the OG.
+    if (bars !== updated[8]) {
+      const encoded = AudioPattern.encodeFooter({ bars }, profile);
+      updated[8] = encoded[8];
+      updated[14] = encoded[14];
+    }
+    updated[12] = timeSignature;
+    return updated;
+  }
+
   /**
    * Convert the parsed notes to a AudioMidi instance ready to be saved as MIDI file or manipulated further.
    * @param {object} options The options
    * @param {number} [options.bpm] The BPM of the track, when undefined no tempo event will be added.
-   * @param {number} options.ppq The pulses per quarter note; OG is 96, MKii is 480.
+   * @param {number} [options.ppq] The pulses per quarter note; OG is 96, MKii is 480; default is the PPQN of the profile.
    * @param {string} options.fileName The name of the pattern file being converted,
    * @param {Record<string, number>} options.noteMap A map of Pads `A1` to `J16` that correspond to which MIDI note.
    * @returns {AudioMIDI} A new AudioMIDI instance populated from the pattern.
    */
-  toMidi = ({ bpm, ppq, fileName, noteMap }) => {
+  toMidi = ({ bpm, ppq = this.profile.ppqn, fileName, noteMap }) => {
     debug('toMidi:', { bpm, fileName });
     // We will build a single track.
     /** @type {(import('@uttori/audio-midi').MidiTrackEvent & { absoluteTime: number })[]} */
     const allEvents = [];
 
-    // Running absolute time in "pattern ticks" for each note.
-    let absoluteTime = 0;
-
-    for (const note of this.notes) {
-      // Accumulate absolute time; note.ticks is the gap from the previous note.
-      absoluteTime += note.ticks;
+    // Placeholder notes on MIDI note 128 only move time forward and are skipped.
+    for (const note of this.events({ bpm })) {
+      const absoluteTime = note.tick;
 
       // Map the Pad Label to MIDI Note
       const midiNote = noteMap[note.padLabel];
@@ -709,6 +710,7 @@ class AudioPattern extends DataBuffer {
     if (bpm) {
       track.events.push(AudioMIDI.generateTempoEvent(bpm));
     }
+    track.events.push(AudioPattern.generateTimeSignatureEvent(this.beatsPerBar));
     track.events.push(AudioMIDI.generateMetaStringEvent(0x03, `SP404 Pattern ${fileName}`));
 
     // Add all note events
@@ -743,17 +745,454 @@ class AudioPattern extends DataBuffer {
     return [...padMap];
   }
 
+  /**
+   * Get the notes that play a pad with the absolute tick they play on, skipping the placeholder notes on MIDI note 128 that only move time forward.
+   * The tick of a note is the sum of the `ticks` of every note up to and including it.
+   * @returns {TimedNote[]} The notes in time order.
+   */
+  getTimedNotes() {
+    /** @type {TimedNote[]} */
+    const notes = [];
+    let tick = 0;
+    for (const note of this.notes) {
+      tick += note.ticks;
+      if (note.midiNote === 128) {
+        continue;
+      }
+      const { padLabel, midiNote, bankSwitch, pitchMode, velocity, unknown3, length } = note;
+      notes.push({ tick, padLabel, midiNote, bankSwitch, pitchMode, velocity, unknown3, length });
+    }
+    return notes;
+  }
+
+  /**
+   * The number of quarter note beats in one bar for the time signature, 4 for unknown values.
+   * @returns {number} The beats in one bar, 4 for 4/4.
+   */
+  get beatsPerBar() {
+    return AudioPattern.timeSignatures[this.timeSignature] ?? 4;
+  }
+
+  /**
+   * The length of one bar in ticks, `beatsPerBar` beats of `ppqn` ticks.
+   * @returns {number} The ticks in one bar, 1920 for 4/4 on the MKII.
+   */
+  get ticksPerBar() {
+    return this.profile.ppqn * this.beatsPerBar;
+  }
+
+  /**
+   * Iterate over the notes that play a pad with their position as bars, beats and seconds, using the PPQN of the profile and the time signature.
+   * @param {object} [options] The options for the positions.
+   * @param {number} [options.bpm] The tempo used for the seconds, patterns do not store one; default is 120.
+   * @yields {PatternEvent} The notes in time order.
+   * @returns {Generator<PatternEvent, void, undefined>} The notes in time order.
+   */
+  * events({ bpm = 120 } = {}) {
+    const { ppqn } = this.profile;
+    const { ticksPerBar } = this;
+    const ticksPerMinute = bpm * ppqn;
+    for (const note of this.getTimedNotes()) {
+      const { tick } = note;
+      yield {
+        tick,
+        bar: Math.floor(tick / ticksPerBar) + 1,
+        beat: Math.floor((tick % ticksPerBar) / ppqn) + 1,
+        beatTick: tick % ppqn,
+        seconds: (tick * 60) / ticksPerMinute,
+        duration: (note.length * 60) / ticksPerMinute,
+        ...note,
+      };
+    }
+  }
+
+  /**
+   * Get the notes that play a pad with their position as bars, beats and seconds, see `events`.
+   * @param {object} [options] The options for the positions.
+   * @param {number} [options.bpm] The tempo used for the seconds, patterns do not store one; default is 120.
+   * @returns {PatternEvent[]} The notes in time order.
+   */
+  getEvents(options) {
+    return [...this.events(options)];
+  }
+
+  /**
+   * The tick the pattern ends on, the larger of the ticks of every note and the bars stored in the footer.
+   * @returns {number} The length of the pattern in ticks.
+   */
+  getEndTick() {
+    const total = this.notes.reduce((sum, { ticks }) => sum + ticks, 0);
+    return Math.max(total, this.profile.og ? 0 : this.bars * this.ticksPerBar);
+  }
+
+  /**
+   * Convert a position to an absolute tick, either a tick or a bar, beat and tick within the beat counted from 1 like the device display.
+   * @param {object} position The position in the pattern.
+   * @param {number} [position.tick] The absolute tick, or the tick within the beat when `bar` or `beat` is provided; default is 0.
+   * @param {number} [position.bar] The bar, from 1.
+   * @param {number} [position.beat] The beat in the bar, from 1.
+   * @returns {number} The absolute tick.
+   * @throws {Error} The position is not an integer or is past the longest pattern the device can play.
+   */
+  getTick({ tick = 0, bar, beat }) {
+    let absolute = tick;
+    if (bar !== undefined || beat !== undefined) {
+      absolute = (((bar ?? 1) - 1) * this.ticksPerBar) + (((beat ?? 1) - 1) * this.profile.ppqn) + tick;
+    }
+    const maximum = this.profile.maxBars * this.ticksPerBar;
+    if (!Number.isInteger(absolute) || absolute < 0 || absolute >= maximum) {
+      const error = `Tick is invalid, ${absolute} should be an integer between 0 and ${maximum - 1}.`;
+      debug(error);
+      throw new Error(error);
+    }
+    return absolute;
+  }
+
+  /**
+   * Replace the notes of the pattern with notes placed at absolute ticks, regenerating the delay of each note and the placeholder notes on MIDI note 128.
+   * Gaps longer than 255 ticks are filled with placeholder notes, as are the ticks after the last note up to the end of the pattern.
+   * On the MKII the bars grow to fit the end of the pattern.
+   * @param {TimedNote[]} timedNotes The notes to play, in any order; notes on the same tick keep their order.
+   * @param {number} [endTick] The tick the pattern ends on; default is the current end, or later when a note plays after it.
+   */
+  setTimedNotes(timedNotes, endTick = this.getEndTick()) {
+    debug('setTimedNotes:', timedNotes.length, endTick);
+    const sorted = [...timedNotes].sort((a, b) => a.tick - b.tick);
+    const end = Math.max(endTick, sorted.at(-1)?.tick ?? 0);
+    /** @type {Note[]} */
+    const notes = [];
+    let time = 0;
+    const fill = (until) => {
+      while (until - time > 255) {
+        notes.push({ ticks: 255, midiNote: 128, bankSwitch: 0, pitchMode: 0, velocity: 0, unknown3: 0, length: 0, ...this.getNotePad(128, 0) });
+        time += 255;
+      }
+    };
+    for (const { tick, midiNote, bankSwitch, pitchMode, velocity, unknown3, length } of sorted) {
+      fill(tick);
+      notes.push({ ticks: tick - time, midiNote, bankSwitch, pitchMode, velocity, unknown3, length, ...this.getNotePad(midiNote, bankSwitch) });
+      time = tick;
+    }
+    fill(end);
+    if (end > time) {
+      notes.push({ ticks: end - time, midiNote: 128, bankSwitch: 0, pitchMode: 0, velocity: 0, unknown3: 0, length: 0, ...this.getNotePad(128, 0) });
+    }
+    this.notes = notes;
+    if (!this.profile.og) {
+      this.bars = Math.max(this.bars, Math.ceil(end / this.ticksPerBar));
+    }
+  }
+
+  /**
+   * Get the end tick needed to play a note at `tick`, extending the pattern to the end of the bar the note is in when it plays on or after the current end.
+   * @param {number} tick The absolute tick of the note.
+   * @returns {number} The tick the pattern ends on.
+   */
+  getEndTickFor(tick) {
+    const end = this.getEndTick();
+    return tick < end ? end : Math.ceil((tick + 1) / this.ticksPerBar) * this.ticksPerBar;
+  }
+
+  /**
+   * Add a note playing a pad at an absolute tick, or at a bar, beat and tick within the beat.
+   * The pattern is extended to the end of the bar when the note plays past the end of the pattern.
+   * @param {object} options The note to add.
+   * @param {string} options.pad The pad label like `A1`.
+   * @param {number} [options.tick] The absolute tick, or the tick within the beat when `bar` or `beat` is provided; default is 0.
+   * @param {number} [options.bar] The bar, from 1.
+   * @param {number} [options.beat] The beat in the bar, from 1.
+   * @param {number} [options.velocity] The velocity between 1 and 127; default is 127.
+   * @param {number} [options.length] The length in ticks; default is a 16th note, `ppqn / 4`.
+   * @param {number} [options.pitchMode] The pitch mode of Step Sequencer notes; default is 0.
+   * @returns {TimedNote} The added note.
+   * @throws {Error} The pad, position, velocity or length is invalid.
+   */
+  addNote({ pad, tick, bar, beat, velocity = 127, length = this.profile.ppqn / 4, pitchMode = 0 }) {
+    debug('addNote:', { pad, tick, bar, beat, velocity, length });
+    const mapping = this.defaultMap[pad];
+    if (!mapping) {
+      const error = `Pad is invalid, ${pad} is not a pad on the ${this.profile.id}.`;
+      debug(error);
+      throw new Error(error);
+    }
+    if (!Number.isInteger(velocity) || velocity < 1 || velocity > 127) {
+      const error = `Velocity is invalid, ${velocity} should be an integer between 1 and 127.`;
+      debug(error);
+      throw new Error(error);
+    }
+    if (!Number.isInteger(length) || length < 0 || length > 65535) {
+      const error = `Length is invalid, ${length} should be an integer between 0 and 65535.`;
+      debug(error);
+      throw new Error(error);
+    }
+    const at = this.getTick({ tick, bar, beat });
+
+    /** @type {TimedNote} */
+    const note = { tick: at, padLabel: pad, midiNote: mapping.midiNote, bankSwitch: mapping.bankSwitch, pitchMode, velocity, unknown3: 64, length };
+    this.setTimedNotes([...this.getTimedNotes(), note], this.getEndTickFor(at));
+    return note;
+  }
+
+  /**
+   * Remove the notes matching a filter, leaving the timing of every other note and the length of the pattern unchanged.
+   * @param {function(TimedNote, number): boolean} filter Called with each note and its index in time order, return true to remove the note.
+   * @returns {TimedNote[]} The removed notes.
+   */
+  removeNotes(filter) {
+    debug('removeNotes');
+    /** @type {TimedNote[]} */
+    const removed = [];
+    const kept = this.getTimedNotes().filter((note, index) => {
+      if (filter(note, index)) {
+        removed.push(note);
+        return false;
+      }
+      return true;
+    });
+    if (removed.length > 0) {
+      this.setTimedNotes(kept);
+    }
+    return removed;
+  }
+
+  /**
+   * Move the first note playing a pad at a position to a new position, and optionally to another pad.
+   * The pattern is extended to the end of the bar when the note moves past the end of the pattern.
+   * @param {object} from The note to move.
+   * @param {string} from.pad The pad label like `A1`.
+   * @param {number} [from.tick] The absolute tick, or the tick within the beat when `bar` or `beat` is provided; default is 0.
+   * @param {number} [from.bar] The bar, from 1.
+   * @param {number} [from.beat] The beat in the bar, from 1.
+   * @param {object} to Where to move the note.
+   * @param {string} [to.pad] The pad label to play instead; default is the same pad.
+   * @param {number} [to.tick] The absolute tick, or the tick within the beat when `bar` or `beat` is provided; default is 0.
+   * @param {number} [to.bar] The bar, from 1.
+   * @param {number} [to.beat] The beat in the bar, from 1.
+   * @returns {TimedNote} The moved note.
+   * @throws {Error} No note plays the pad at the position, or the new pad or position is invalid.
+   */
+  moveNote(from, to) {
+    debug('moveNote:', from, to);
+    const tick = this.getTick(from);
+    const notes = this.getTimedNotes();
+    const index = notes.findIndex((note) => note.tick === tick && note.padLabel === from.pad);
+    if (index === -1) {
+      const error = `Note is missing, no note plays ${from.pad} at tick ${tick}.`;
+      debug(error);
+      throw new Error(error);
+    }
+    const pad = to.pad ?? from.pad;
+    const { midiNote, bankSwitch } = this.getPadNote(notes[index], pad);
+    const at = this.getTick(to);
+    /** @type {TimedNote} */
+    const note = { ...notes[index], tick: at };
+    if (pad !== notes[index].padLabel) {
+      Object.assign(note, { midiNote, bankSwitch, padLabel: pad });
+    }
+    notes.splice(index, 1);
+    this.setTimedNotes([...notes, note], this.getEndTickFor(at));
+    return note;
+  }
+
+  /**
+   * Get the MIDI note and bank switch to play a pad with in place of the pad a note plays.
+   * The bank switch variant of the note is kept, like the 65 of a note stopped with a second tap on the MKII becoming 64 in banks A to E.
+   * @param {{ bankSwitch: number }} note The note to play the pad with.
+   * @param {string} pad The pad label like `A1`.
+   * @returns {{ midiNote: number, bankSwitch: number }} The MIDI note and bank switch of the pad.
+   * @throws {Error} The pad is not a pad on the device.
+   */
+  getPadNote(note, pad) {
+    const mapping = this.defaultMap[pad];
+    if (!mapping) {
+      const error = `Pad is invalid, ${pad} is not a pad on the ${this.profile.id}.`;
+      debug(error);
+      throw new Error(error);
+    }
+    const group = this.profile.bankSwitch.find(({ values }) => values.includes(note.bankSwitch));
+    const target = this.profile.bankSwitch.find(({ values }) => values.includes(mapping.bankSwitch));
+    const variant = group ? group.values.indexOf(note.bankSwitch) : 0;
+    return { midiNote: mapping.midiNote, bankSwitch: target.values[variant] ?? mapping.bankSwitch };
+  }
+
+  /**
+   * Move every note playing one of the pads in a map to the pad it maps to, like when the samples of pads are moved.
+   * Notes keep their place in the file, timing and every other value, so only the MIDI note and bank switch bytes of the moved notes change.
+   * @param {Map<string, string>} remap The pad labels to move notes from, mapped to the pad labels to move them to.
+   * @returns {number} The number of notes moved.
+   * @throws {Error} A pad to move to is not a pad on the device.
+   */
+  remapPads(remap) {
+    debug('remapPads:', remap);
+    let moved = 0;
+    this.notes = this.notes.map((note) => {
+      const pad = remap.get(note.padLabel);
+      if (note.midiNote === 128 || !pad) {
+        return note;
+      }
+      moved++;
+      const { midiNote, bankSwitch } = this.getPadNote(note, pad);
+      return { ...note, midiNote, bankSwitch, ...this.getNotePad(midiNote, bankSwitch) };
+    });
+    return moved;
+  }
+
+  /**
+   * Key notes by tick and pad, numbering notes on the same tick and pad so each key is unique.
+   * @param {TimedNote[]} notes The notes to key.
+   * @returns {Map<string, TimedNote>} The notes keyed like `480:A1:0`, in time order.
+   * @static
+   */
+  static keyNotes(notes) {
+    /** @type {Map<string, TimedNote>} */
+    const keyed = new Map();
+    for (const note of notes) {
+      let occurrence = 0;
+      while (keyed.has(`${note.tick}:${note.padLabel}:${occurrence}`)) {
+        occurrence++;
+      }
+      keyed.set(`${note.tick}:${note.padLabel}:${occurrence}`, note);
+    }
+    return keyed;
+  }
+
+  /**
+   * Compare the notes two patterns play, matching notes by their absolute tick and pad.
+   * Notes are changed when their `velocity`, `length` or `pitchMode` differ, a note moved to another tick or pad is removed and added.
+   * @param {AudioPattern} before The first pattern, like the common ancestor.
+   * @param {AudioPattern} after The second pattern.
+   * @returns {PatternNoteDiff[]} The notes that differ in time order, empty when both patterns play the same notes.
+   * @static
+   */
+  static diff(before, after) {
+    debug('diff');
+    const from = AudioPattern.keyNotes(before.getTimedNotes());
+    const to = AudioPattern.keyNotes(after.getTimedNotes());
+    /** @type {PatternNoteDiff[]} */
+    const diffs = [];
+    for (const key of new Set([...from.keys(), ...to.keys()])) {
+      const a = from.get(key);
+      const b = to.get(key);
+      const { tick, padLabel } = a || b;
+      if (!a) {
+        diffs.push({ type: 'added', tick, padLabel, to: b, changes: [] });
+      } else if (!b) {
+        diffs.push({ type: 'removed', tick, padLabel, from: a, changes: [] });
+      } else {
+        const changes = ['velocity', 'length', 'pitchMode'].filter((field) => a[field] !== b[field]).map((field) => ({ field, from: a[field], to: b[field] }));
+        if (changes.length > 0) {
+          diffs.push({ type: 'changed', tick, padLabel, from: a, to: b, changes });
+        }
+      }
+    }
+    return diffs.sort((a, b) => a.tick - b.tick);
+  }
+
+  /**
+   * Merge the changes two patterns made to a common ancestor, like a three-way merge in git.
+   * Notes are matched by absolute tick and pad, a change made on one side only is kept, and a note changed differently on both sides is a conflict.
+   * Conflicts keep our side in the merged notes and are listed so they can be resolved.
+   * @param {AudioPattern} base The common ancestor of both patterns.
+   * @param {AudioPattern} ours Our edited copy of the pattern.
+   * @param {AudioPattern} theirs Their edited copy of the pattern.
+   * @returns {PatternMerge} The merged notes, bars and time signature, with any conflicts.
+   * @static
+   */
+  static merge(base, ours, theirs) {
+    debug('merge');
+    const same = (a, b) => (a === b) || (typeof a === 'object' && typeof b === 'object' && ['velocity', 'length', 'pitchMode'].every((field) => a[field] === b[field]));
+    /** @type {PatternConflict[]} */
+    const conflicts = [];
+    const pick = (b, o, t, onConflict) => {
+      if (same(o, t) || same(b, t)) {
+        return o;
+      }
+      if (same(b, o)) {
+        return t;
+      }
+      conflicts.push(onConflict());
+      return o;
+    };
+
+    const baseNotes = AudioPattern.keyNotes(base.getTimedNotes());
+    const ourNotes = AudioPattern.keyNotes(ours.getTimedNotes());
+    const theirNotes = AudioPattern.keyNotes(theirs.getTimedNotes());
+    /** @type {TimedNote[]} */
+    const notes = [];
+    for (const key of new Set([...baseNotes.keys(), ...ourNotes.keys(), ...theirNotes.keys()])) {
+      const b = baseNotes.get(key);
+      const o = ourNotes.get(key);
+      const t = theirNotes.get(key);
+      const { tick, padLabel } = b || o || t;
+      const note = pick(b, o, t, () => {
+        const describe = (value) => (value ? `velocity ${value.velocity} length ${value.length}` : 'removed');
+        return { field: 'note', tick, padLabel, base: b, ours: o, theirs: t, message: `Conflict: ${padLabel} at tick ${tick} is ${describe(o)} in ours and ${describe(t)} in theirs.` };
+      });
+      if (note) {
+        notes.push(note);
+      }
+    }
+    notes.sort((a, b) => a.tick - b.tick);
+
+    const bars = pick(base.bars, ours.bars, theirs.bars, () => ({ field: 'bars', base: base.bars, ours: ours.bars, theirs: theirs.bars, message: `Conflict: bars are ${ours.bars} in ours and ${theirs.bars} in theirs.` }));
+    const timeSignature = pick(base.timeSignature, ours.timeSignature, theirs.timeSignature, () => ({ field: 'timeSignature', base: base.timeSignature, ours: ours.timeSignature, theirs: theirs.timeSignature, message: `Conflict: time signature is ${ours.timeSignature} in ours and ${theirs.timeSignature} in theirs.` }));
+
+    return { notes, bars, timeSignature, conflicts };
+  }
+
+  /**
+   * Generate a Time Signature meta event for a bar of quarter note beats, with the MIDI defaults of 24 clocks per click and 8 32nd notes per quarter note.
+   * @param {number} beatsPerBar The number of quarter note beats in a bar, like `AudioPattern#beatsPerBar`.
+   * @returns {import('@uttori/audio-midi').Event} The Time Signature event at time 0.
+   * @static
+   */
+  static generateTimeSignatureEvent(beatsPerBar) {
+    // The denominator is stored as a power of 2, 2 is a quarter note.
+    return { deltaTime: 0, type: 0xFF, metaType: 0x58, metaEventLength: 4, data: [beatsPerBar, 2, 24, 8], label: 'Time Signature' };
+  }
+
+  /**
+   * Find the pattern time signature value of the first Time Signature meta event in a MIDI file.
+   * Meters the device cannot play, like 7/8, use 4/4.
+   * @param {import('@uttori/audio-midi').default} audioMIDI The AudioMIDI instance to read.
+   * @returns {number} The time signature value for the pattern footer, `0` for 4/4 when there is no Time Signature event.
+   * @static
+   */
+  static readTimeSignature(audioMIDI) {
+    const event = audioMIDI.chunks
+      .flatMap((track) => (track && 'events' in track ? track.events : []))
+      .find((item) => item && item.type === 0xFF && item.metaType === 0x58);
+    if (!event || !event.data || typeof event.data !== 'object') {
+      return 0;
+    }
+    // Parsed events list the raw bytes, with the denominator as a power of 2, or the decoded values.
+    const { data } = event;
+    const numerator = 'numerator' in data ? Number(data.numerator) : data[0];
+    const denominator = 'denominator' in data ? Number(data.denominator) : 2 ** data[1];
+    const beatsPerBar = (numerator * 4) / denominator;
+    const match = Object.entries(AudioPattern.timeSignatures).find(([, beats]) => beats === beatsPerBar);
+    if (!match) {
+      debug(`readTimeSignature: ${numerator}/${denominator} is not a time signature of the device, using 4/4.`);
+      return 0;
+    }
+    return Number(match[0]);
+  }
+
   /**
    * Converts a AudioMIDI structure back into a pad file format.
    * Pads that play all the way through will have 2 on notes, one to start the sound and one to end it.
+   * The bar length follows the first Time Signature event, see `readTimeSignature`, and is stored in the footer.
+   * Note lengths are the time until the matching Note Off, or Note On with a velocity of 0, on the same channel and note, with overlapping notes ended oldest first.
+   * Notes without a Note Off use the `length` set by AudioMIDI, or 0.
    * @param {import('@uttori/audio-midi').default} audioMIDI The AudioMIDI instance to convert back to a pad file.
    * @param {Record<string, string>} noteMap A map of Pads `A1` to `J16` that correspond to which MIDI note
    * @param {number} patternPPQN The pulses per quarter note of the pattern; OG is 96, MKii is 480.
-   * @param {boolean} [og] When true, process for the original SP404s, when false for the MKii; default is false.
+   * @param {boolean | import('./device-profiles.js').DeviceProfile} [profile] The device to write the pattern for, or true for the original SP404s and false for the MKii; default is false.
    * @returns {DataBuffer} A new DataBuffer representing the pad file.
    */
-  static fromMidi(audioMIDI, noteMap, patternPPQN, og = false) {
+  static fromMidi(audioMIDI, noteMap, patternPPQN, profile = false) {
     debug('fromMidi');
+    const device = typeof profile === 'object' ? profile : AudioPattern.getProfile({ og: profile });
     if (!audioMIDI || typeof audioMIDI !== 'object' || !('timeDivision' in audioMIDI) || !('chunks' in audioMIDI)) {
       throw new Error('No audioMIDI provided, please provide an AudioMIDI instance.');
     }
@@ -764,6 +1203,7 @@ class AudioPattern extends DataBuffer {
       throw new Error('No patternPPQN provided, please provide a PPQN for the pattern: OG is 96, MKii is 480.');
     }
     const dataBuffer = new DataBuffer();
+    const padMap = AudioPattern.getPadMap(device);
 
     // Ensure we handle different PPQNs
     const midiPPQN = audioMIDI.timeDivision;
@@ -772,43 +1212,11 @@ class AudioPattern extends DataBuffer {
 
     debug('fromMidi:', { midiPPQN, patternPPQN, conversionRatio });
 
-    // 1920 ticks per bar (4/4 time signature)
-    const ticksPerBar = patternPPQN * 4; // 1920;
-    // Maximum length is 64 bars (122880 ticks)
-    const maxBars = 64;
-    // Max ticks between events before inserting an empty note
-    const maxTicksInGap = 255;
-
-    // Track the current time in ticks
-    let currentTime = 0;
-
-    // Helper function to insert an empty note if there's a gap larger than 255 ticks
-    const insertEmptyNotes = (gap = 0) => {
-      debug('fromMidi: insertEmptyNotes', { gap });
-      while (gap > 0) {
-        // Insert no more than 255 ticks at a time
-        const ticksToInsert = Math.min(gap, maxTicksInGap);
-        // Write the gap
-        dataBuffer.writeUInt8(ticksToInsert);
-        // Empty note (pad: 128)
-        dataBuffer.writeUInt8(128);
-        // Bank switch (assuming 0)
-        dataBuffer.writeUInt8(0);
-        // unknown2
-        dataBuffer.writeUInt8(0);
-        // Velocity
-        dataBuffer.writeUInt8(0);
-        // Unknown 3
-        dataBuffer.writeUInt8(0);
-        // Length is 0 for empty notes
-        dataBuffer.writeUInt16(0, dataBuffer.offset, true, true);
-
-        gap -= ticksToInsert;
-      }
-    };
-
-    // Track the total length of the track
-    let totalTrackLength = 0;
+    // 1920 ticks per bar in 4/4 on the MKii
+    const timeSignature = AudioPattern.readTimeSignature(audioMIDI);
+    const ticksPerBar = patternPPQN * AudioPattern.timeSignatures[timeSignature];
+    // Maximum length is 64 bars (122880 ticks) on the MKii
+    const { maxBars } = device;
 
     // Flatten all events into a single list with absoluteTime
     /** @type {(import('@uttori/audio-midi').NoteData & { absoluteTime: number })[]} */
@@ -818,109 +1226,77 @@ class AudioPattern extends DataBuffer {
         continue;
       }
       let absoluteTime = 0;
+      // Notes still playing, oldest first, keyed by channel and note to pair them with their Note Off.
+      const playing = new Map();
       for (const event of track.events) {
+        if (!event) {
+          continue;
+        }
         absoluteTime += event.deltaTime; // accumulate absolute time
-        if (event && typeof event.data === 'object' && 'type' in event && 'velocity' in event.data && event.type === 0x90 && event.data.velocity > 0) {
-          allEvents.push({
+        if (typeof event.data !== 'object' || !('type' in event) || !('note' in event.data)) {
+          continue;
+        }
+        const key = `${event.channel ?? 0}:${event.data.note}`;
+        if (event.type === 0x90 && event.data.velocity > 0) {
+          const noteOn = {
             absoluteTime,
             note: event.data.note,       // MIDI note number
             velocity: event.data.velocity,
-            length: event.data.length,   // or 0 if not set
-          });
+            length: event.data.length || 0, // replaced by the time until the Note Off when there is one
+          };
+          allEvents.push(noteOn);
+          playing.set(key, [...(playing.get(key) ?? []), noteOn]);
+        } else if (event.type === 0x80 || event.type === 0x90) {
+          // A Note Off, or a Note On with a velocity of 0, ends the oldest note still playing so overlapping retriggers each keep their own length.
+          const noteOn = playing.get(key)?.shift();
+          if (noteOn) {
+            noteOn.length = absoluteTime - noteOn.absoluteTime;
+          }
         }
       }
     }
 
-    // Sort by absoluteTime so events are truly chronological
-    allEvents.sort((a, b) => a.absoluteTime - b.absoluteTime);
-    let lastAbsoluteTime = 0;
-
-    // Loop through tracks and events to convert back to pad file format
-    for (const event of allEvents) {
-      debug('fromMidi: 📧 event', event);
-      const { note, velocity, length, absoluteTime } = event;
-      debug('fromMidi: Note On', { note, velocity, length });
-
-      // Convert deltaTime (ticks) from MIDI to pattern format
-      const ticks = Math.round((absoluteTime - lastAbsoluteTime) * conversionRatio);
-      debug('fromMidi: ticks', ticks);
-
-      // Check for a gap larger than 255 ticks, and insert empty notes if necessary
-      const gap = ticks - currentTime;
-      debug('fromMidi: gap', gap);
-      if (gap > 255) {
-        insertEmptyNotes(gap);
-      }
-
+    // Place the notes at their absolute ticks, `setTimedNotes` inserts the placeholder notes for gaps over 255 ticks.
+    /** @type {TimedNote[]} */
+    const timedNotes = [];
+    for (const { note, velocity, length, absoluteTime } of allEvents) {
       // We pass in noteMap, mapping the MIDI values to Pads, then look the pads up in the appropriate map.
       // If we are in a different bank we will need to set bank switch.
-      // MIDI Note (47-106)
-      debug(`fromMidi: note`, note);
       const pad = noteMap[note];
-      debug(`fromMidi: pad`, pad);
-      const { bankSwitch, midiNote } = og ? AudioPattern.defaultMapOG[pad] : AudioPattern.defaultMap[pad];
-      debug(`fromMidi:`, { bankSwitch, midiNote })
-      // const bankSwitch = 0;
-      const pitchMode = 0; // Placeholder
-
-      // Update the length based on the PPQN conversion ratio
-      const correctedLength = Math.round(length * conversionRatio);
-      debug(`fromMidi: correctedLength = ${length} * ${conversionRatio} = `, correctedLength);
-
-      // Write the values back into the DataBuffer
-      // Time in ticks
-      dataBuffer.writeUInt8(ticks);
-      // MIDI note number (pad)
-      dataBuffer.writeUInt8(midiNote);
-      // Bank switch (assuming 0)
-      dataBuffer.writeUInt8(bankSwitch);
-      // Pitch Mode: 0 for pad control or 141 for +0 Pitch in step sequencer
-      dataBuffer.writeUInt8(pitchMode);
-      // Velocity
-      dataBuffer.writeUInt8(velocity);
-      // Unknown 3: Always 64 (unknown cases of 0 outside of blank notes)
-      dataBuffer.writeUInt8(64);
-      // Length in ticks
-      dataBuffer.writeUInt16(correctedLength, dataBuffer.offset, true, true);
-
-      // Update current time
-      currentTime += ticks;
-      totalTrackLength += correctedLength;
-      lastAbsoluteTime = absoluteTime;
-    }
-
-    // Round the total track length to the nearest bar
-    if (currentTime === 0 && totalTrackLength > 0) {
-      // Edge case: Only one note at tick 0, insert 1920 ticks to ensure 1 bar
-      insertEmptyNotes(ticksPerBar);
-    } else {
-      const remainder = currentTime % ticksPerBar;
-      if (remainder !== 0) {
-        const ticksToNextBar = ticksPerBar - remainder;
-        // Ensure that adding ticks won't exceed the 64-bar limit
-        if (currentTime + ticksToNextBar <= maxBars * ticksPerBar) {
-          // Insert empty notes to round up the track to the nearest bar
-          insertEmptyNotes(ticksToNextBar);
-          currentTime += ticksToNextBar;
-        } else {
-          // If rounding would exceed the maximum, just cap the length
-          currentTime = maxBars * ticksPerBar;
-        }
-      }
+      const { bankSwitch, midiNote } = padMap[pad];
+      debug('fromMidi: note', { note, pad, bankSwitch, midiNote, velocity, length });
+      timedNotes.push({
+        // Convert from the absolute time so rounding does not add up over many notes.
+        tick: Math.round(absoluteTime * conversionRatio),
+        midiNote,
+        bankSwitch,
+        // Pitch Mode: 0 for pad control or 141 for +0 Pitch in step sequencer
+        pitchMode: 0,
+        velocity,
+        // Unknown 3: Always 64 (unknown cases of 0 outside of blank notes)
+        unknown3: 64,
+        length: Math.min(Math.round(length * conversionRatio), 65535),
+        padLabel: pad,
+      });
     }
 
-    // Add footer and other necessary data to the buffer
-    const footer = new Uint8Array(16);
-    const bars = Math.round(currentTime / ticksPerBar);
-    debug('fromMidi: bars', bars);
-    footer[1] = 140;
-    footer[8] = og ? 0 : bars;
-    footer[9] = og ? 2 : 0;
-    // footer[12] = AudioMIDI.timeSignature;
-    footer[13] = og ? 0 : 128
-    footer[14] = og ? 0 : bars;
-    footer[15] = og ? 0 : 1
-    dataBuffer.writeBytes(footer);
+    // Round the length up to whole bars, a single note at tick 0 gets 1 bar.
+    const lastTick = Math.max(0, ...timedNotes.map(({ tick }) => tick));
+    let endTick = Math.ceil(lastTick / ticksPerBar) * ticksPerBar;
+    if (timedNotes.length > 0 && endTick === 0) {
+      endTick = ticksPerBar;
+    }
+    // If rounding would exceed the maximum, just cap the length
+    if (endTick > maxBars * ticksPerBar) {
+      endTick = Math.max(lastTick, maxBars * ticksPerBar);
+    }
+
+    const pattern = new AudioPattern(AudioPattern.encodeFooter({ bars: 0 }, device), { profile: device });
+    pattern.timeSignature = timeSignature;
+    pattern.setTimedNotes(timedNotes, endTick);
+    pattern.bars = Math.round(Math.min(endTick, maxBars * ticksPerBar) / ticksPerBar);
+    debug('fromMidi: bars', pattern.bars, 'timeSignature', timeSignature);
+    dataBuffer.writeBytes(pattern.toBuffer());
 
     return dataBuffer;
   }
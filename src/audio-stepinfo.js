@@ -0,0 +1,122 @@
+import { DataBuffer } from '@uttori/data-tools';
+
+let debug = (..._) => {}; try { const { default: d } = await import('debug'); debug = d('Uttori.AudioStepInfo'); } catch {}
+
+/**
+ * Uttori Step Info - Utility to read and write the STPINFO.BIN step sequencer file.
+ *
+ * The file is stored alongside the pattern files and contains 31 × 4-byte values, 124 bytes in total.
+ * In this file, values are stored in big-endian order.
+ *
+ * Only the fields listed on `AudioStepInfo.fields` have been identified, every other value is kept as it was read in `unknown`, keyed by the byte offset, so the file can be written back without losing anything.
+ * @property {number} bpm The step sequencer BPM as a whole number, this may be the last BPM used when recording.
+ * @property {Record<number, number>} unknown The values that have not been identified yet, keyed by the byte offset.
+ * @example <caption>AudioStepInfo</caption>
+ * import fs from 'fs';
+ * const data = fs.readFileSync('./STPINFO.BIN');
+ * const stepInfo = new AudioStepInfo(data);
+ * console.log('BPM:', stepInfo.bpm);
+ * ➜ BPM: 102
+ * stepInfo.bpm = 90;
+ * fs.writeFileSync('./STPINFO.BIN', stepInfo.toBuffer());
+ * @class
+ * @augments DataBuffer
+ */
+class AudioStepInfo extends DataBuffer {
+  /**
+   * Creates an instance of AudioStepInfo.
+   * @param {number[]|ArrayBuffer|Buffer|DataBuffer|Int8Array|Int16Array|Int32Array|number|string|Uint8Array|Uint16Array|Uint32Array|undefined} [input] The data to process.
+   * @class
+   */
+  constructor(input) {
+    super(input);
+
+    /** @type {number} The step sequencer BPM as a whole number. */
+    this.bpm = 0;
+    /** @type {Record<number, number>} The values that have not been identified yet, keyed by the byte offset. */
+    this.unknown = {};
+
+    this.parse();
+  }
+
+  /** @returns {number} The size of a STPINFO.BIN file in bytes. */
+  static get size() { return 124; }
+
+  /**
+   * The identified fields and their byte offsets.
+   * @returns {Record<string, number>} The field names mapped to their byte offsets.
+   */
+  static get fields() {
+    return {
+      bpm: 108,
+    };
+  }
+
+  /**
+   * Parse the STPINFO.BIN file, decoding the known fields and keeping every other value as is.
+   * Without any data there is nothing to parse, and `toBuffer` writes a new file.
+   * @throws {Error} The file is shorter than 124 bytes, or its length is not a multiple of 4 bytes.
+   */
+  parse() {
+    debug('parse');
+    if (this.length === 0) {
+      return;
+    }
+    if (this.length < AudioStepInfo.size) {
+      const error = `Truncated: ${this.length} bytes is shorter than the ${AudioStepInfo.size} byte file.`;
+      debug(error);
+      throw new Error(error);
+    }
+    if (this.length % 4 !== 0) {
+      const error = `Invalid length: ${this.length} bytes should be a multiple of 4.`;
+      debug(error);
+      throw new Error(error);
+    }
+
+    const fields = Object.entries(AudioStepInfo.fields);
+    while (this.remainingBytes() >= 4) {
+      const { offset } = this;
+      const value = this.readUInt32();
+      const field = fields.find(([, fieldOffset]) => fieldOffset === offset);
+      if (field) {
+        this[field[0]] = value;
+      } else {
+        if (value !== 0) {
+          debug('parse Unknown value:', offset, value);
+        }
+        this.unknown[offset] = value;
+      }
+    }
+  }
+
+  /**
+   * Encode the step info back to a STPINFO.BIN file.
+   * @returns {Buffer} The new STPINFO.BIN Buffer.
+   * @throws {Error} A value cannot be stored as an unsigned 32 bit value.
+   */
+  toBuffer() {
+    debug('toBuffer');
+    const values = {
+      ...this.unknown,
+    };
+    for (const [field, offset] of Object.entries(AudioStepInfo.fields)) {
+      values[offset] = this[field];
+    }
+
+    const offsets = Object.keys(values).map(Number);
+    const output = Buffer.alloc(Math.max(AudioStepInfo.size, ...offsets.map((offset) => offset + 4)), 0);
+    for (const offset of offsets) {
+      const value = values[offset];
+      if (!Number.isInteger(value) || value < 0 || value > 0xFFFFFFFF) {
+        const error = `Value at offset ${offset} is invalid, ${value} should be an integer between 0 and 4294967295.`;
+        debug(error);
+        throw new Error(error);
+      }
+      output.writeUInt32BE(value, offset);
+    }
+
+    return output;
+  }
+}
+
+export default AudioStepInfo;
@@ -0,0 +1,166 @@
+import { DataBuffer } from '@uttori/data-tools';
+import { decodeSamples } from './pcm.js';
+
+let debug = (..._) => {}; try { const { default: d } = await import('debug'); debug = d('Uttori.AudioWave'); } catch {}
+
+/**
+ * A chunk found in a RIFF file.
+ * @typedef {object} WaveChunk
+ * @property {string} id The four character chunk ID, like `fmt ` or `data`.
+ * @property {number} offset The byte offset of the chunk header in the file.
+ * @property {number} size The size of the chunk data in bytes, not including the 8 byte header.
+ */
+
+/**
+ * Uttori Wave - Utility to read the structure of a RIFF WAVE file.
+ *
+ * Only the chunk layout and the `fmt ` chunk are decoded, the sample data is left in place and located by `dataOffset` and `dataSize` until `getSamples` is called.
+ * In this file, values are stored in little-endian order.
+ * @property {WaveChunk[]} chunks The chunks in file order.
+ * @property {number} audioFormat The audio format from the `fmt ` chunk, 1 for PCM and 3 for IEEE float, read from the sub format of extensible files.
+ * @property {number} channels The number of channels.
+ * @property {number} sampleRate The number of sample frames per second.
+ * @property {number} byteRate The number of bytes per second.
+ * @property {number} blockAlign The number of bytes per sample frame, for all channels.
+ * @property {number} bitsPerSample The number of bits per sample for one channel.
+ * @property {number} dataOffset The byte offset of the first sample in the file.
+ * @property {number} dataSize The size of the sample data in bytes.
+ * @example <caption>AudioWave</caption>
+ * import fs from 'fs';
+ * const wave = new AudioWave(fs.readFileSync('./A0000001.WAV'));
+ * console.log(wave.channels, wave.sampleRate, wave.dataOffset, wave.frames);
+ * ➜ 2 44100 512 96219
+ * @class
+ * @augments DataBuffer
+ */
+class AudioWave extends DataBuffer {
+  /**
+   * Creates an instance of AudioWave.
+   * @param {number[]|ArrayBuffer|Buffer|DataBuffer|Int8Array|Int16Array|Int32Array|number|string|Uint8Array|Uint16Array|Uint32Array|undefined} [input] The data to process.
+   * @throws {Error} The file is not a RIFF WAVE file, or is missing the `fmt ` or `data` chunk.
+   * @class
+   */
+  constructor(input) {
+    super(input);
+
+    /** @type {WaveChunk[]} The chunks in file order. */
+    this.chunks = [];
+    /** @type {number} The audio format from the `fmt ` chunk, 1 for PCM and 3 for IEEE float. */
+    this.audioFormat = 0;
+    /** @type {number} The number of channels. */
+    this.channels = 0;
+    /** @type {number} The number of sample frames per second. */
+    this.sampleRate = 0;
+    /** @type {number} The number of bytes per second. */
+    this.byteRate = 0;
+    /** @type {number} The number of bytes per sample frame, for all channels. */
+    this.blockAlign = 0;
+    /** @type {number} The number of bits per sample for one channel. */
+    this.bitsPerSample = 0;
+    /** @type {number} The byte offset of the first sample in the file. */
+    this.dataOffset = 0;
+    /** @type {number} The size of the sample data in bytes. */
+    this.dataSize = 0;
+
+    this.parse();
+  }
+
+  /**
+   * The number of sample frames, one sample for every channel.
+   * @returns {number} The number of sample frames.
+   */
+  get frames() {
+    return this.blockAlign ? Math.floor(this.dataSize / this.blockAlign) : 0;
+  }
+
+  /**
+   * The length of the sample data in seconds.
+   * @returns {number} The length in seconds.
+   */
+  get duration() {
+    return this.sampleRate ? this.frames / this.sampleRate : 0;
+  }
+
+  /**
+   * Decode the sample data to one array of samples between -1 and 1 per channel.
+   * @returns {Float32Array[]} The samples of each channel.
+   * @throws {Error} The audio format or sample size is not supported.
+   */
+  getSamples() {
+    debug('getSamples');
+    if (![1, 3].includes(this.audioFormat)) {
+      const error = `Unsupported WAVE format, ${this.audioFormat} should be 1 for PCM or 3 for IEEE float.`;
+      debug(error);
+      throw new Error(error);
+    }
+    return decodeSamples(this.data, {
+      offset: this.dataOffset,
+      frames: this.frames,
+      channels: this.channels,
+      bytesPerSample: this.blockAlign / this.channels,
+      float: this.audioFormat === 3,
+      littleEndian: true,
+      unsigned: true,
+    });
+  }
+
+  /**
+   * Parse the RIFF header and the chunks, decoding the `fmt ` chunk and locating the `data` chunk.
+   * @throws {Error} The file is not a RIFF WAVE file, or is missing the `fmt ` or `data` chunk.
+   */
+  parse() {
+    debug('parse');
+    if (this.length < 12 || this.peekString(0, 4) !== 'RIFF' || this.peekString(8, 4) !== 'WAVE') {
+      const error = 'Invalid WAVE file, the file should start with RIFF and WAVE.';
+      debug(error);
+      throw new Error(error);
+    }
+    this.seek(12);
+
+    while (this.remainingBytes() >= 8) {
+      const { offset } = this;
+      const id = this.readString(4);
+      const size = this.readUInt32(true);
+      this.chunks.push({ id, offset, size });
+      debug('parse chunk:', id, offset, size);
+
+      if (id === 'fmt ') {
+        this.audioFormat = this.readUInt16(true);
+        this.channels = this.readUInt16(true);
+        this.sampleRate = this.readUInt32(true);
+        this.byteRate = this.readUInt32(true);
+        this.blockAlign = this.readUInt16(true);
+        this.bitsPerSample = this.readUInt16(true);
+        // WAVE_FORMAT_EXTENSIBLE stores the actual format in the first two bytes of the sub format GUID.
+        if (this.audioFormat === 0xFFFE && size >= 40) {
+          this.audioFormat = this.peekUInt16(offset + 32, true);
+        }
+        this.seek(offset + 8);
+      } else if (id === 'data') {
+        // Some writers leave the size unset when streaming, the data then runs to the end of the file.
+        this.dataOffset = offset + 8;
+        this.dataSize = Math.min(size, this.length - this.dataOffset);
+      }
+
+      // Chunks are padded to an even number of bytes.
+      const next = offset + 8 + size + (size % 2);
+      if (next > this.length) {
+        break;
+      }
+      this.seek(next);
+    }
+
+    if (!this.chunks.some((chunk) => chunk.id === 'fmt ')) {
+      const error = 'Invalid WAVE file, missing the fmt chunk.';
+      debug(error);
+      throw new Error(error);
+    }
+    if (!this.chunks.some((chunk) => chunk.id === 'data')) {
+      const error = 'Invalid WAVE file, missing the data chunk.';
+      debug(error);
+      throw new Error(error);
+    }
+  }
+}
+
+export default AudioWave;
@@ -0,0 +1,170 @@
+/**
+ * A group of banks that share a bank switch value in pattern files.
+ * Pattern notes only store a MIDI note and a bank switch byte, the bank switch selects the group and the MIDI note the pad within it.
+ * @typedef {object} BankSwitchGroup
+ * @property {string} banks The bank letters in the group, like `ABCDE`.
+ * @property {ReadonlyArray<number>} values The bank switch values that select the group when reading, the first value is used when writing.
+ * @property {number} firstNote The MIDI note of the first pad of the first bank in the group.
+ */
+
+/**
+ * The values of an unused pad, every setting of a Pad apart from the label and filename.
+ * @typedef {object} PadDefaults
+ * @property {number} originalSampleStart The sample start offset.
+ * @property {number} originalSampleEnd The sample end offset.
+ * @property {number} userSampleStart The user set start offset.
+ * @property {number} userSampleEnd The user set end offset.
+ * @property {number} volume The volume from 0 to 127.
+ * @property {boolean} lofi LoFi.
+ * @property {boolean} loop Loop.
+ * @property {boolean} gate Gate.
+ * @property {boolean} reverse Reverse.
+ * @property {string} format The sample format, `WAVE` or `AIFF`.
+ * @property {string} channels `Mono` or `Stereo`.
+ * @property {string} tempoMode `Off`, `Pattern` or `User`.
+ * @property {number} originalTempo The BPM determined by the software.
+ * @property {number} userTempo The user set BPM.
+ */
+
+/**
+ * The values of an unused pad in a PADCONF.BIN project file, every identified setting of a PadConf apart from the label and name.
+ * @typedef {object} PadConfDefaults
+ * @property {number} originalSampleEnd The end of the sample as it was imported.
+ * @property {number} sampleStart The start point of the sample.
+ * @property {number} sampleEnd The end point of the sample.
+ * @property {number} loopStart The point the sample loops back to when looping.
+ * @property {number} volume The volume from 0 to 127.
+ * @property {number} bpm The BPM of the sample.
+ * @property {boolean} gate Gate.
+ * @property {boolean} loop Loop.
+ * @property {boolean} reverse Reverse.
+ */
+
+/**
+ * The values that differ between the SP-404 series of samplers.
+ * @typedef {object} DeviceProfile
+ * @property {string} id The short identifier of the model, like `SP-404SX`.
+ * @property {string} name The full name of the model.
+ * @property {number} banks The number of banks, `A` being the first.
+ * @property {number} padsPerBank The number of pads in each bank.
+ * @property {number} ppqn The pulses per quarter note used by pattern files.
+ * @property {number} maxBars The maximum length of a pattern in bars.
+ * @property {boolean} og When true, patterns use the footer layout of the original SP-404 series, without the bar count.
+ * @property {ReadonlyArray<BankSwitchGroup>} bankSwitch The bank switch groups used in pattern files, in bank order.
+ * @property {function(string): string} filename Build the sample filename for a pad label, like `A0000001.WAV` for `A1`.
+ * @property {Readonly<PadDefaults>} defaultPad The values of an unused pad in a PAD_INFO.BIN file, as written by the device.
+ * @property {Readonly<PadConfDefaults>} [defaultPadConf] The values of an unused pad in a PADCONF.BIN project file, only for models with project files.
+ */
+
+/**
+ * SP-404 / SP-404SX / SP-404A sample filenames: the bank letter and the pad number padded to 7 digits.
+ * @param {string} label The pad label like `A1` or `J12`.
+ * @returns {string} The sample filename like `A0000001.WAV` or `J0000012.WAV`.
+ */
+const sampleFilename = (label) => `${label.slice(0, 1).toUpperCase()}${label.slice(1).padStart(7, '0')}.WAV`;
+
+/** @type {PadDefaults} The values of an unused pad in a PAD_INFO.BIN file. */
+const defaultPadInfo = Object.freeze({
+  originalSampleStart: 512,
+  originalSampleEnd: 512,
+  userSampleStart: 512,
+  userSampleEnd: 512,
+  volume: 127,
+  lofi: false,
+  loop: false,
+  gate: true,
+  reverse: false,
+  format: 'WAVE',
+  channels: 'Stereo',
+  tempoMode: 'Off',
+  originalTempo: 120,
+  userTempo: 120,
+});
+
+/**
+ * The original SP-404 series pattern bank switch: banks A to F use 0 and banks G to J use 64, with G1 on MIDI note 71.
+ * https://support.roland.com/hc/en-us/articles/201932129-SP-404-Playing-the-SP-404-via-MIDI
+ */
+const bankSwitchOG = Object.freeze([
+  Object.freeze({ banks: 'ABCDEF', values: Object.freeze([0]), firstNote: 47 }),
+  Object.freeze({ banks: 'GHIJ', values: Object.freeze([64]), firstNote: 71 }),
+]);
+
+/** @type {DeviceProfile} The original Roland SP-404. */
+export const SP404 = Object.freeze({
+  id: 'SP-404',
+  name: 'Roland SP-404',
+  banks: 10,
+  padsPerBank: 12,
+  ppqn: 96,
+  maxBars: 99,
+  og: true,
+  bankSwitch: bankSwitchOG,
+  filename: sampleFilename,
+  defaultPad: defaultPadInfo,
+});
+
+/** @type {DeviceProfile} The Roland SP-404SX. */
+export const SP404SX = Object.freeze({
+  ...SP404,
+  id: 'SP-404SX',
+  name: 'Roland SP-404SX',
+});
+
+/** @type {DeviceProfile} The Roland SP-404A, the same as the SP-404SX. */
+export const SP404A = Object.freeze({
+  ...SP404SX,
+  id: 'SP-404A',
+  name: 'Roland SP-404A',
+});
+
+/**
+ * The Roland SP-404 MKII.
+ * Banks A to E use a bank switch of 0 or 64 and banks F to J use 1 or 65, 65 being seen on notes stopped with a second tap.
+ * Unused pads loop by default, and the project files also have their own default pad values.
+ * @type {DeviceProfile}
+ */
+export const SP404MKII = Object.freeze({
+  id: 'SP-404MKII',
+  name: 'Roland SP-404 MKII',
+  banks: 10,
+  padsPerBank: 16,
+  ppqn: 480,
+  maxBars: 64,
+  og: false,
+  bankSwitch: Object.freeze([
+    Object.freeze({ banks: 'ABCDE', values: Object.freeze([64, 0]), firstNote: 47 }),
+    Object.freeze({ banks: 'FGHIJ', values: Object.freeze([65, 1]), firstNote: 47 }),
+  ]),
+  filename: sampleFilename,
+  defaultPad: Object.freeze({
+    ...defaultPadInfo,
+    loop: true,
+  }),
+  defaultPadConf: Object.freeze({
+    originalSampleEnd: 0,
+    sampleStart: 0,
+    sampleEnd: 0,
+    loopStart: 0,
+    volume: 127,
+    bpm: 90,
+    gate: true,
+    loop: true,
+    reverse: false,
+  }),
+});
+
+/**
+ * Device profiles for the SP-404 series of samplers, pass one as the `profile` option to any class to read or write files for that model.
+ * @example <caption>DeviceProfiles</caption>
+ * import { AudioPattern, DeviceProfiles } from '@uttori/audio-padinfo';
+ * const pattern = new AudioPattern(data, { profile: DeviceProfiles.SP404SX });
+ */
+const DeviceProfiles = {
+  SP404,
+  SP404SX,
+  SP404A,
+  SP404MKII,
+};
+
+export default DeviceProfiles;
@@ -1,10 +1,52 @@
+import AudioAiff from './audio-aiff.js';
+import AudioConverter from './audio-converter.js';
+import AudioPadConf from './audio-padconf.js';
 import AudioPadInfo from './audio-padinfo.js';
 import AudioPattern from './audio-pattern.js';
+import AudioStepInfo from './audio-stepinfo.js';
+import AudioWave from './audio-wave.js';
+import DeviceProfiles from './device-profiles.js';
+import JSONFormatError from './json-format-error.js';
+import JSONSchema from './json-schema.js';
+import PadAddress from './pad-address.js';
+import PadConfFormatError from './pad-conf-format-error.js';
+import PadInfoFormatError from './pad-info-format-error.js';
+import PatternFooterError from './pattern-footer-error.js';
+import PatternFormatError from './pattern-format-error.js';
+import SPCard from './sp-card.js';
 
 export default {
+  AudioAiff,
+  AudioConverter,
+  AudioPadConf,
   AudioPadInfo,
   AudioPattern,
+  AudioStepInfo,
+  AudioWave,
+  DeviceProfiles,
+  JSONFormatError,
+  JSONSchema,
+  PadAddress,
+  PadConfFormatError,
+  PadInfoFormatError,
+  PatternFooterError,
+  PatternFormatError,
+  SPCard,
 }
 
+export { default as AudioAiff } from './audio-aiff.js';
+export { default as AudioConverter } from './audio-converter.js';
+export { default as AudioPadConf } from './audio-padconf.js';
 export { default as AudioPadInfo } from './audio-padinfo.js';
 export { default as AudioPattern } from './audio-pattern.js';
+export { default as AudioStepInfo } from './audio-stepinfo.js';
+export { default as AudioWave } from './audio-wave.js';
+export { default as DeviceProfiles, SP404, SP404A, SP404MKII, SP404SX } from './device-profiles.js';
+export { default as JSONFormatError } from './json-format-error.js';
+export { default as JSONSchema, PadInfoSchema, PatternSchema, SCHEMA_VERSION } from './json-schema.js';
+export { default as PadAddress } from './pad-address.js';
+export { default as PadConfFormatError } from './pad-conf-format-error.js';
+export { default as PadInfoFormatError } from './pad-info-format-error.js';
+export { default as PatternFooterError } from './pattern-footer-error.js';
+export { default as PatternFormatError } from './pattern-format-error.js';
+export { default as SPCard } from './sp-card.js';
@@ -0,0 +1,300 @@
+import JSONFormatError from './json-format-error.js';
+
+/**
+ * A value that does not match a JSON Schema.
+ * @typedef {object} SchemaError
+ * @property {string} path The JSON path of the value, like `$.pads[3].volume`.
+ * @property {string} keyword The schema keyword that failed, like `maximum` or `required`.
+ * @property {any} value The value that failed, undefined for missing properties.
+ * @property {string} message A human readable description of the problem.
+ */
+
+/** @type {number} The version of the JSON format, stored as `version` in every document and increased on any incompatible change. */
+export const SCHEMA_VERSION = 1;
+
+const profiles = ['SP-404', 'SP-404SX', 'SP-404A', 'SP-404MKII'];
+const uint8 = { type: 'integer', minimum: 0, maximum: 255 };
+const offset = { type: 'integer', minimum: 512, maximum: 4294967295 };
+const tempo = { type: 'number', minimum: 40, maximum: 200 };
+const uint32 = { type: 'integer', minimum: 0, maximum: 4294967295 };
+const flag = { type: ['boolean', 'integer'], minimum: 0, maximum: 255 };
+
+/**
+ * The JSON Schema of a PAD_INFO.BIN file, as returned by `AudioPadInfo#toJSON`.
+ * Values follow `AudioPadInfo.validatePad`, so any document that matches can be written back to a PAD_INFO.BIN file.
+ * Pads with values outside of the specification carry the 32 `raw` bytes they are written from, and may keep those values as read.
+ * @type {object}
+ */
+export const PadInfoSchema = Object.freeze({
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `urn:uttori:audio-padinfo:pad-info:${SCHEMA_VERSION}`,
+  title: 'PAD_INFO.BIN',
+  type: 'object',
+  required: ['version', 'profile', 'pads'],
+  additionalProperties: false,
+  properties: {
+    $schema: { type: 'string' },
+    version: { const: SCHEMA_VERSION },
+    profile: { enum: profiles },
+    pads: {
+      type: 'array',
+      maxItems: 160,
+      items: { if: { required: ['raw'] }, then: { $ref: '#/$defs/rawPad' }, else: { $ref: '#/$defs/pad' } },
+    },
+  },
+  $defs: {
+    pad: {
+      type: 'object',
+      required: [
+        'label',
+        'originalSampleStart',
+        'originalSampleEnd',
+        'userSampleStart',
+        'userSampleEnd',
+        'volume',
+        'lofi',
+        'loop',
+        'gate',
+        'reverse',
+        'format',
+        'channels',
+        'tempoMode',
+        'originalTempo',
+        'userTempo',
+      ],
+      additionalProperties: false,
+      properties: {
+        avaliable: { type: 'boolean' },
+        label: { type: 'string', pattern: '^[A-J]([1-9]|1[0-6])$' },
+        filename: { type: 'string' },
+        originalSampleStart: offset,
+        originalSampleEnd: offset,
+        userSampleStart: offset,
+        userSampleEnd: offset,
+        volume: { type: 'integer', minimum: 0, maximum: 127 },
+        lofi: { type: 'boolean' },
+        loop: { type: 'boolean' },
+        gate: { type: 'boolean' },
+        reverse: { type: 'boolean' },
+        format: { enum: ['AIFF', 'WAVE'] },
+        channels: { enum: ['Mono', 'Stereo'] },
+        tempoMode: { enum: ['Off', 'Pattern', 'User'] },
+        originalTempo: tempo,
+        userTempo: tempo,
+      },
+    },
+    rawPad: {
+      type: 'object',
+      required: [
+        'label',
+        'originalSampleStart',
+        'originalSampleEnd',
+        'userSampleStart',
+        'userSampleEnd',
+        'volume',
+        'lofi',
+        'loop',
+        'gate',
+        'reverse',
+        'format',
+        'channels',
+        'tempoMode',
+        'originalTempo',
+        'userTempo',
+        'raw',
+      ],
+      additionalProperties: false,
+      properties: {
+        avaliable: { type: 'boolean' },
+        label: { type: 'string', pattern: '^[A-J]([1-9]|1[0-6])$' },
+        filename: { type: 'string' },
+        originalSampleStart: uint32,
+        originalSampleEnd: uint32,
+        userSampleStart: uint32,
+        userSampleEnd: uint32,
+        volume: uint8,
+        lofi: flag,
+        loop: flag,
+        gate: flag,
+        reverse: flag,
+        format: { type: 'string' },
+        channels: { type: ['string', 'integer'] },
+        tempoMode: { type: ['string', 'integer'] },
+        originalTempo: { type: 'number', minimum: 0 },
+        userTempo: { type: 'number', minimum: 0 },
+        raw: { type: 'array', minItems: 32, maxItems: 32, items: uint8 },
+      },
+    },
+  },
+});
+
+/**
+ * The JSON Schema of a pattern file, as returned by `AudioPattern#toJSON`.
+ * Notes keep the raw values of every byte, placeholder notes on MIDI note 128 included, so any document that matches can be written back to a pattern file.
+ * Values follow the ranges `AudioPattern#toBuffer` accepts rather than the values the device writes.
+ * @type {object}
+ */
+export const PatternSchema = Object.freeze({
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `urn:uttori:audio-padinfo:pattern:${SCHEMA_VERSION}`,
+  title: 'Pattern',
+  type: 'object',
+  required: ['version', 'profile', 'bars', 'timeSignature', 'notes'],
+  additionalProperties: false,
+  properties: {
+    $schema: { type: 'string' },
+    version: { const: SCHEMA_VERSION },
+    profile: { enum: profiles },
+    padsPerBank: { enum: [12, 16] },
+    bars: uint8,
+    timeSignature: uint8,
+    notes: { type: 'array', items: { $ref: '#/$defs/note' } },
+    footer: { type: 'array', minItems: 16, maxItems: 16, items: uint8 },
+  },
+  $defs: {
+    note: {
+      type: 'object',
+      required: ['ticks', 'midiNote', 'bankSwitch', 'pitchMode', 'velocity', 'unknown3', 'length'],
+      additionalProperties: false,
+      properties: {
+        ticks: uint8,
+        midiNote: uint8,
+        bankSwitch: uint8,
+        pitchMode: uint8,
+        velocity: uint8,
+        unknown3: uint8,
+        length: { type: 'integer', minimum: 0, maximum: 65535 },
+        sampleNumber: { type: 'integer' },
+        padLabel: { type: 'string' },
+      },
+    },
+  },
+});
+
+/**
+ * Get the JSON Schema type of a value, telling integers apart from other numbers.
+ * @param {any} value The value to check.
+ * @returns {string} The type, like `integer`, `number`, `array` or `null`.
+ */
+const typeOf = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+};
+
+/**
+ * Validate a value against the subset of JSON Schema used by `PadInfoSchema` and `PatternSchema`:
+ * `type`, `const`, `enum`, `minimum`, `maximum`, `pattern`, `required`, `properties`, `additionalProperties`, `items`, `minItems`, `maxItems`, `if`, `then`, `else` and local `$ref`.
+ * @param {object} schema The schema to validate against.
+ * @param {any} value The value to validate.
+ * @param {string} [path] The JSON path of the value; default is `$`.
+ * @param {object} [root] The schema local `$ref` values are resolved in; default is `schema`.
+ * @returns {SchemaError[]} The problems found, empty when the value matches the schema.
+ */
+export const validate = (schema, value, path = '$', root = schema) => {
+  if (schema.$ref) {
+    const definition = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], root);
+    return validate(definition, value, path, root);
+  }
+  if (schema.if) {
+    const branch = validate(schema.if, value, path, root).length === 0 ? schema.then : schema.else;
+    return branch ? validate(branch, value, path, root) : [];
+  }
+
+  /** @type {SchemaError[]} */
+  const errors = [];
+  const found = JSON.stringify(value) ?? String(value);
+  const fail = (keyword, expected) => errors.push({ path, keyword, value, message: `JSON is invalid at ${path}, ${found} should ${expected}.` });
+
+  if (schema.type) {
+    const type = typeOf(value);
+    const types = [schema.type].flat();
+    if (!types.some((expected) => type === expected || (expected === 'number' && type === 'integer'))) {
+      fail('type', `be ${types.map((expected) => `${['integer', 'array', 'object'].includes(expected) ? 'an' : 'a'} ${expected}`).join(' or ')}`);
+      return errors;
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    fail('const', `be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail('enum', `be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `be at most ${schema.maximum}`);
+    }
+  }
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    fail('pattern', `match ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, `${path}[${index}]`, root)));
+    }
+  } else if (typeOf(value) === 'object') {
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) {
+        errors.push({ path: `${path}.${key}`, keyword: 'required', value: undefined, message: `JSON is invalid at ${path}.${key}, the property is required.` });
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.properties?.[key]) {
+        errors.push(...validate(schema.properties[key], item, `${path}.${key}`, root));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, keyword: 'additionalProperties', value: item, message: `JSON is invalid at ${path}.${key}, the property is not allowed.` });
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Parse and validate a JSON document, throwing on the first problem.
+ * @param {object} schema The schema the document should match.
+ * @param {string | object} input The JSON document, as a string or already parsed.
+ * @returns {any} The parsed document.
+ * @throws {JSONFormatError} The JSON cannot be parsed or does not match the schema.
+ */
+export const parseJSON = (schema, input) => {
+  let json = input;
+  if (typeof input === 'string') {
+    try {
+      json = JSON.parse(input);
+    } catch (error) {
+      throw new JSONFormatError(`JSON is invalid at $, ${error.message}`, { path: '$', keyword: 'syntax' });
+    }
+  }
+  const errors = validate(schema, json);
+  if (errors.length > 0) {
+    const [{ path, keyword, value, message }] = errors;
+    throw new JSONFormatError(message, { path, keyword, value, errors });
+  }
+  return json;
+};
+
+export default {
+  SCHEMA_VERSION,
+  PadInfoSchema,
+  PatternSchema,
+  parseJSON,
+  validate,
+};
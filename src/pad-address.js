@@ -0,0 +1,235 @@
+import { SP404SX } from './device-profiles.js';
+
+let debug = (..._) => {}; try { const { default: d } = await import('debug'); debug = d('Uttori.PadAddress'); } catch {}
+
+/**
+ * Uttori Pad Address - Utility to parse and format pad labels like `A1` or `J16` for any device profile.
+ *
+ * A pad can be addressed by its label, its index in the pad files (starting at 0), or its sample number (starting at 1), and belongs to a bank letter starting at `A`.
+ * Range expressions select several pads at once, separated by commas or spaces:
+ * - `A1` a single pad
+ * - `A1:A12` or `C1-D4` every pad from the first label to the last label, across banks
+ * - `B*` every pad in a bank
+ * - `*` every pad
+ * @property {import('./device-profiles.js').DeviceProfile} profile The device the address is for.
+ * @property {number} index The index of the pad in the pad files, starting at 0.
+ * @property {number} sampleNumber The sample number of the pad, starting at 1.
+ * @property {string} bank The bank letter like `A` or `J`.
+ * @property {number} bankIndex The index of the bank, starting at 0 for `A`.
+ * @property {number} pad The pad number within the bank, starting at 1.
+ * @property {string} label The pad label like `A1` or `J16`.
+ * @example <caption>PadAddress</caption>
+ * const address = PadAddress.fromLabel('b3', DeviceProfiles.SP404SX);
+ * console.log(address.label, address.index, address.bank, address.sampleNumber);
+ * ➜ B3 14 B 15
+ * console.log(PadAddress.parseRange('A1:A3, J*').map(String));
+ * ➜ ['A1', 'A2', 'A3', 'J1', ..., 'J12']
+ * @class
+ */
+class PadAddress {
+  /**
+   * Creates an instance of PadAddress.
+   * @param {number} index The index of the pad in the pad files, starting at 0.
+   * @param {import('./device-profiles.js').DeviceProfile} [profile] The device the address is for; default is the SP-404SX.
+   * @throws {Error} The index is not a pad on the device.
+   * @class
+   */
+  constructor(index, profile = SP404SX) {
+    if (!PadAddress.isValidIndex(index, profile)) {
+      const error = `Pad index is invalid, ${index} should be an integer between 0 and ${PadAddress.padCount(profile) - 1}.`;
+      debug(error);
+      throw new Error(error);
+    }
+    const { padsPerBank } = profile;
+
+    /** @type {import('./device-profiles.js').DeviceProfile} The device the address is for. */
+    this.profile = profile;
+    /** @type {number} The index of the pad in the pad files, starting at 0. */
+    this.index = index;
+    /** @type {number} The sample number of the pad, starting at 1. */
+    this.sampleNumber = index + 1;
+    /** @type {number} The index of the bank, starting at 0 for `A`. */
+    this.bankIndex = Math.floor(index / padsPerBank);
+    /** @type {string} The bank letter like `A` or `J`. */
+    this.bank = String.fromCharCode(65 + this.bankIndex);
+    /** @type {number} The pad number within the bank, starting at 1. */
+    this.pad = (index % padsPerBank) + 1;
+    /** @type {string} The pad label like `A1` or `J16`. */
+    this.label = `${this.bank}${this.pad}`;
+  }
+
+  /**
+   * The pad label, so addresses can be used in template strings.
+   * @returns {string} The pad label like `A1` or `J16`.
+   */
+  toString() {
+    return this.label;
+  }
+
+  /**
+   * The number of pads on a device.
+   * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to count the pads of; default is the SP-404SX.
+   * @returns {number} The number of pads.
+   * @static
+   */
+  static padCount(profile = SP404SX) {
+    return profile.banks * profile.padsPerBank;
+  }
+
+  /**
+   * Check that an index is a pad on a device.
+   * @param {number} index The index of the pad in the pad files, starting at 0.
+   * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to check against; default is the SP-404SX.
+   * @returns {boolean} True when the index is a pad on the device.
+   * @static
+   */
+  static isValidIndex(index, profile = SP404SX) {
+    return Number.isInteger(index) && index >= 0 && index < PadAddress.padCount(profile);
+  }
+
+  /**
+   * Check that a label is a pad on a device, labels are not case sensitive.
+   * @param {string} label The pad label like `A1` or `J16`.
+   * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to check against; default is the SP-404SX.
+   * @returns {boolean} True when the label is a pad on the device.
+   * @static
+   */
+  static isValidLabel(label, profile = SP404SX) {
+    return PadAddress.getIndex(label, profile) !== -1;
+  }
+
+  /**
+   * Convert a pad index to the pad label like `A1` or `J16`.
+   * @param {number} index The index of the pad in the pad files, starting at 0.
+   * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to build the label for; default is the SP-404SX.
+   * @returns {string} The pad label like `A1` or `J16`, or an empty string when the index is unknown.
+   * @static
+   */
+  static getLabel(index, profile = SP404SX) {
+    if (!PadAddress.isValidIndex(index, profile)) {
+      debug('Unknown Pad:', index);
+      return '';
+    }
+    const { padsPerBank } = profile;
+    return `${String.fromCharCode(65 + Math.floor(index / padsPerBank))}${(index % padsPerBank) + 1}`;
+  }
+
+  /**
+   * Convert a pad label like `A1` or `J16` to the pad index, labels are not case sensitive.
+   * @param {string} label The pad label like `A1` or `J16`.
+   * @param {import('./device-profiles.js').DeviceProfile} [profile] The device the label is for; default is the SP-404SX.
+   * @returns {number} The index of the pad in the pad files, or -1 when the label is unknown.
+   * @static
+   */
+  static getIndex(label = '', profile = SP404SX) {
+    const { banks, padsPerBank } = profile;
+    const match = /^([A-Z])(\d{1,2})$/.exec(String(label).trim().toUpperCase());
+    const bank = match ? match[1].charCodeAt(0) - 65 : -1;
+    const pad = match ? Number(match[2]) : 0;
+    if (bank < 0 || bank >= banks || pad < 1 || pad > padsPerBank) {
+      debug('Unknown Pad Label:', label);
+      return -1;
+    }
+    return (bank * padsPerBank) + pad - 1;
+  }
+
+  /**
+   * Create an address from a pad label like `A1` or `J16`, labels are not case sensitive.
+   * @param {string} label The pad label like `A1` or `J16`.
+   * @param {import('./device-profiles.js').DeviceProfile} [profile] The device the label is for; default is the SP-404SX.
+   * @returns {PadAddress} The address of the pad.
+   * @throws {Error} The label is not a pad on the device.
+   * @static
+   */
+  static fromLabel(label, profile = SP404SX) {
+    const index = PadAddress.getIndex(label, profile);
+    if (index === -1) {
+      const error = `Pad label is invalid, ${label} should be between A1 and ${PadAddress.getLabel(PadAddress.padCount(profile) - 1, profile)}.`;
+      debug(error);
+      throw new Error(error);
+    }
+    return new PadAddress(index, profile);
+  }
+
+  /**
+   * Create an address from a sample number, starting at 1 for `A1`.
+   * @param {number} sampleNumber The sample number of the pad.
+   * @param {import('./device-profiles.js').DeviceProfile} [profile] The device the sample number is for; default is the SP-404SX.
+   * @returns {PadAddress} The address of the pad.
+   * @throws {Error} The sample number is not a pad on the device.
+   * @static
+   */
+  static fromSampleNumber(sampleNumber, profile = SP404SX) {
+    if (!PadAddress.isValidIndex(sampleNumber - 1, profile)) {
+      const error = `Sample number is invalid, ${sampleNumber} should be an integer between 1 and ${PadAddress.padCount(profile)}.`;
+      debug(error);
+      throw new Error(error);
+    }
+    return new PadAddress(sampleNumber - 1, profile);
+  }
+
+  /**
+   * Create the addresses of every pad in a bank.
+   * @param {string} bank The bank letter like `A` or `J`, not case sensitive.
+   * @param {import('./device-profiles.js').DeviceProfile} [profile] The device the bank is for; default is the SP-404SX.
+   * @returns {PadAddress[]} The addresses of the pads in the bank, in pad order.
+   * @throws {Error} The bank is not on the device.
+   * @static
+   */
+  static fromBank(bank, profile = SP404SX) {
+    const bankIndex = /^[A-Z]$/i.test(bank) ? bank.toUpperCase().charCodeAt(0) - 65 : -1;
+    if (bankIndex < 0 || bankIndex >= profile.banks) {
+      const error = `Bank is invalid, ${bank} should be between A and ${String.fromCharCode(64 + profile.banks)}.`;
+      debug(error);
+      throw new Error(error);
+    }
+    const start = bankIndex * profile.padsPerBank;
+    return Array.from({ length: profile.padsPerBank }, (_, pad) => new PadAddress(start + pad, profile));
+  }
+
+  /**
+   * Create the addresses of every pad matching a range expression, in pad order without duplicates.
+   * The expression is a list of labels (`A1`), ranges (`A1:A12` or `C1-D4`), banks (`B*`) or every pad (`*`), separated by commas or spaces.
+   * @param {string} expression The range expression like `A1:A12, B*`.
+   * @param {import('./device-profiles.js').DeviceProfile} [profile] The device the expression is for; default is the SP-404SX.
+   * @returns {PadAddress[]} The addresses of the matching pads.
+   * @throws {Error} The expression contains an invalid label, bank or range.
+   * @static
+   */
+  static parseRange(expression, profile = SP404SX) {
+    debug('parseRange:', expression);
+    const indexes = new Set();
+    const parts = String(expression).split(/[\s,]+/).filter(Boolean);
+    if (parts.length === 0) {
+      const error = `Pad range is invalid, "${expression}" does not contain any pads.`;
+      debug(error);
+      throw new Error(error);
+    }
+    for (const part of parts) {
+      if (part === '*') {
+        for (let index = 0; index < PadAddress.padCount(profile); index++) {
+          indexes.add(index);
+        }
+      } else if (part.endsWith('*')) {
+        for (const { index } of PadAddress.fromBank(part.slice(0, -1), profile)) {
+          indexes.add(index);
+        }
+      } else if (/^[^:-]+[:-][^:-]+$/.test(part)) {
+        const [from, to] = part.split(/[:-]/).map((label) => PadAddress.fromLabel(label, profile));
+        if (from.index > to.index) {
+          const error = `Pad range is invalid, ${part} should start before it ends.`;
+          debug(error);
+          throw new Error(error);
+        }
+        for (let index = from.index; index <= to.index; index++) {
+          indexes.add(index);
+        }
+      } else {
+        indexes.add(PadAddress.fromLabel(part, profile).index);
+      }
+    }
+    return [...indexes].sort((a, b) => a - b).map((index) => new PadAddress(index, profile));
+  }
+}
+
+export default PadAddress;
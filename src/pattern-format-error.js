@@ -0,0 +1,39 @@
+/**
+ * Error thrown when strictly parsing a pattern file that does not match the specification.
+ * @property {string} code The kind of problem, `ERR_TRUNCATED` or `ERR_INVALID_VALUE`.
+ * @property {number} offset The byte offset of the offending value in the file.
+ * @property {number} value The raw value read from the file, or the file length for `ERR_TRUNCATED`.
+ * @property {number} [noteIndex] The index of the note the problem was found on.
+ * @property {string} [field] The name of the field on the Note.
+ * @example <caption>new PatternFormatError(message, details)</caption>
+ * throw new PatternFormatError('Unexpected value for MKii bankSwitch: 3 should be 0, 1, 64 or 65.', { code: 'ERR_INVALID_VALUE', offset: 10, value: 3, noteIndex: 1, field: 'bankSwitch' });
+ * @augments Error
+ * @class
+ */
+class PatternFormatError extends Error {
+  /**
+   * Creates a new PatternFormatError.
+   * @param {string} message Message to show when the error is thrown.
+   * @param {object} details The details of the problem.
+   * @param {string} details.code The kind of problem.
+   * @param {number} details.offset The byte offset of the offending value in the file.
+   * @param {number} details.value The raw value read from the file.
+   * @param {number} [details.noteIndex] The index of the note the problem was found on.
+   * @param {string} [details.field] The name of the field on the Note.
+   * @class
+   */
+  constructor(message, { code, offset, value, noteIndex, field }) {
+    super(message);
+    this.name = 'PatternFormatError';
+    this.code = code;
+    this.offset = offset;
+    this.value = value;
+    this.noteIndex = noteIndex;
+    this.field = field;
+    if (typeof Error.captureStackTrace === 'function') {
+      Error.captureStackTrace(this, this.constructor);
+    }
+  }
+}
+
+export default PatternFormatError;
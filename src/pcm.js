@@ -0,0 +1,74 @@
+/**
+ * The layout of interleaved PCM sample data.
+ * @typedef {object} PCMLayout
+ * @property {number} offset The byte offset of the first sample frame.
+ * @property {number} frames The number of sample frames.
+ * @property {number} channels The number of channels.
+ * @property {number} bytesPerSample The number of bytes used to store one sample of one channel.
+ * @property {boolean} [float] When true samples are IEEE floats, otherwise signed integers.
+ * @property {boolean} [littleEndian] When true samples are stored in little-endian order.
+ * @property {boolean} [unsigned] When true 8 bit samples are unsigned, as in WAVE files.
+ */
+
+/**
+ * Decode interleaved PCM sample data to one array of samples between -1 and 1 per channel.
+ * @param {Uint8Array} data The file data.
+ * @param {PCMLayout} layout The layout of the sample data.
+ * @returns {Float32Array[]} The samples of each channel.
+ * @throws {Error} The sample size is not supported.
+ */
+export const decodeSamples = (data, { offset, frames, channels, bytesPerSample, float = false, littleEndian = false, unsigned = false }) => {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  /** @type {function(number): number} */
+  let read;
+  if (float && bytesPerSample === 4) {
+    read = (position) => view.getFloat32(position, littleEndian);
+  } else if (float && bytesPerSample === 8) {
+    read = (position) => view.getFloat64(position, littleEndian);
+  } else if (!float && bytesPerSample === 1) {
+    read = unsigned ? (position) => (view.getUint8(position) - 128) / 128 : (position) => view.getInt8(position) / 128;
+  } else if (!float && bytesPerSample === 2) {
+    read = (position) => view.getInt16(position, littleEndian) / 32768;
+  } else if (!float && bytesPerSample === 3) {
+    read = (position) => {
+      const high = littleEndian ? view.getInt8(position + 2) : view.getInt8(position);
+      const middle = view.getUint8(position + 1);
+      const low = littleEndian ? view.getUint8(position) : view.getUint8(position + 2);
+      return ((high * 65536) + (middle * 256) + low) / 8388608;
+    };
+  } else if (!float && bytesPerSample === 4) {
+    read = (position) => view.getInt32(position, littleEndian) / 2147483648;
+  } else {
+    throw new Error(`Unsupported sample size, ${bytesPerSample * 8} bit ${float ? 'float' : 'integer'} samples cannot be decoded.`);
+  }
+
+  const output = Array.from({ length: channels }, () => new Float32Array(frames));
+  const blockAlign = bytesPerSample * channels;
+  for (let frame = 0; frame < frames; frame++) {
+    const position = offset + (frame * blockAlign);
+    for (let channel = 0; channel < channels; channel++) {
+      output[channel][frame] = read(position + (channel * bytesPerSample));
+    }
+  }
+  return output;
+};
+
+/**
+ * Encode one array of samples between -1 and 1 per channel to interleaved 16 bit signed integers, clipping anything out of range.
+ * @param {Float32Array[]} samples The samples of each channel, all of the same length.
+ * @param {boolean} [littleEndian] When true samples are stored in little-endian order; default is false.
+ * @returns {Uint8Array} The interleaved sample data.
+ */
+export const encodeSamples16 = (samples, littleEndian = false) => {
+  const channels = samples.length;
+  const frames = channels ? samples[0].length : 0;
+  const output = new Uint8Array(frames * channels * 2);
+  const view = new DataView(output.buffer);
+  for (let frame = 0; frame < frames; frame++) {
+    for (let channel = 0; channel < channels; channel++) {
+      const value = Math.max(-32768, Math.min(32767, Math.round(samples[channel][frame] * 32768)));
+      view.setInt16(((frame * channels) + channel) * 2, value, littleEndian);
+    }
+  }
+  return output;
+};
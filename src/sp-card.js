@@ -0,0 +1,576 @@
+import AudioConverter from './audio-converter.js';
+import AudioPadInfo from './audio-padinfo.js';
+import AudioPattern from './audio-pattern.js';
+import { SP404SX } from './device-profiles.js';
+import PadAddress from './pad-address.js';
+
+let debug = (..._) => {}; try { const { default: d } = await import('debug'); debug = d('Uttori.SPCard'); } catch {}
+
+/**
+ * A sample file found on the card.
+ * @typedef {object} CardSample
+ * @property {string} label The label of the pad the sample belongs to, like `A1`.
+ * @property {string} filename The filename of the sample, like `A0000001.WAV`.
+ * @property {string} path The path of the file on the card.
+ * @property {Uint8Array} data The contents of the file.
+ * @property {import('./audio-wave.js').default | import('./audio-aiff.js').default | null} audio The parsed sample, or null when it could not be read.
+ * @property {string} [error] Why the sample could not be read.
+ */
+
+/**
+ * A pattern file found on the card.
+ * @typedef {object} CardPattern
+ * @property {string} label The label of the pad the pattern is stored on, like `A1` for `PTN00001.BIN`.
+ * @property {string} filename The filename of the pattern, like `PTN00001.BIN`.
+ * @property {string} path The path of the file on the card.
+ * @property {Uint8Array} data The contents of the file.
+ * @property {AudioPattern | null} pattern The parsed pattern, or null when it could not be read.
+ * @property {string[]} padLabels The labels of the pads triggered by the pattern, in pad order.
+ * @property {string} [error] Why the pattern could not be read.
+ */
+
+/**
+ * A pad and everything on the card linked to it.
+ * @typedef {object} CardPad
+ * @property {string} label The pad label like `A1` or `J12`.
+ * @property {import('./audio-padinfo.js').Pad | undefined} pad The pad from PAD_INFO.BIN, undefined when there is no PAD_INFO.BIN.
+ * @property {CardSample | undefined} sample The sample file of the pad, undefined when there is none.
+ * @property {CardPattern | undefined} pattern The pattern stored on the pad, undefined when there is none.
+ * @property {CardPattern[]} triggeredBy The patterns that trigger the pad.
+ */
+
+/**
+ * A problem found when checking the consistency of a card.
+ * @typedef {object} CardIssue
+ * @property {'error' | 'warning'} severity Errors stop a pad from playing, warnings are likely mistakes.
+ * @property {string} code The kind of problem: `ERR_MISSING_PAD_INFO`, `ERR_MISSING_SAMPLE`, `ERR_ORPHANED_SAMPLE`, `ERR_UNREADABLE_SAMPLE`, `ERR_SAMPLE_LENGTH` or `ERR_EMPTY_PAD_TRIGGERED`.
+ * @property {string} [label] The label of the pad the problem was found on.
+ * @property {string} [path] The path of the file the problem was found in.
+ * @property {string} [field] The name of the field on the Pad, like `originalSampleEnd`.
+ * @property {number} [value] The value of the field.
+ * @property {string} message A human readable description of the problem.
+ */
+
+/**
+ * A change to a file on the card, made by rearranging pads.
+ * Apply the operations in order, a rename may move a sample to a temporary path to make room for another.
+ * @typedef {object} CardFileOperation
+ * @property {'rename' | 'copy' | 'delete' | 'write'} operation What to do with the file.
+ * @property {string} path The path of the file that is created, changed or deleted.
+ * @property {string} [from] The path of the file to rename or copy from.
+ * @property {Uint8Array} [data] The new contents of the file to write.
+ */
+
+/**
+ * Uttori SP Card - Utility to load an SP-404SX SD card and link pads, samples and patterns together.
+ *
+ * The card is laid out like the SP-404SX writes it, with PAD_INFO.BIN and the samples in `ROLAND/SP-404SX/SMPL` and the patterns `PTN00001.BIN` to `PTN00120.BIN` in `ROLAND/SP-404SX/PTN`, one pattern for each pad.
+ * Paths are matched without case, like on the FAT file system of the card.
+ * @property {Map<string, Uint8Array>} files Every file on the card, keyed by path with `/` separators.
+ * @property {import('./device-profiles.js').DeviceProfile} profile The device the card is for.
+ * @property {string} root The folder of the device on the card.
+ * @property {AudioPadInfo | null} padInfo The parsed PAD_INFO.BIN, or null when it is missing.
+ * @property {Map<string, CardSample>} samples The sample files, keyed by pad label.
+ * @property {Map<string, CardPattern>} patterns The pattern files, keyed by pad label.
+ * @property {CardPad[]} pads Every pad of the device, in pad order.
+ * @example <caption>SPCard</caption>
+ * const card = await SPCard.fromDirectory('/Volumes/SP-404SX');
+ * const { pad, sample, triggeredBy } = card.getPad('A1');
+ * console.log(pad.volume, sample.path, triggeredBy.map((pattern) => pattern.filename));
+ * ➜ 127 ROLAND/SP-404SX/SMPL/A0000001.WAV ['PTN00001.BIN', 'PTN00014.BIN']
+ * @class
+ */
+class SPCard {
+  /**
+   * Creates an instance of SPCard from the files on the card.
+   * @param {Map<string, Uint8Array> | Record<string, Uint8Array>} files The files on the card keyed by path from the root of the card, like `ROLAND/SP-404SX/SMPL/PAD_INFO.BIN`.
+   * @param {object} [options] The options for the card.
+   * @param {import('./device-profiles.js').DeviceProfile} [options.profile] The device the card is for; default is the SP-404SX.
+   * @param {string} [options.root] The folder of the device on the card; default is `ROLAND/SP-404SX`.
+   * @class
+   */
+  constructor(files, { profile = SP404SX, root = 'ROLAND/SP-404SX' } = {}) {
+    /** @type {Map<string, Uint8Array>} Every file on the card, keyed by path with `/` separators. */
+    this.files = new Map();
+    for (const [path, data] of files instanceof Map ? files : Object.entries(files)) {
+      this.files.set(SPCard.normalizePath(path), data);
+    }
+    /** @type {import('./device-profiles.js').DeviceProfile} The device the card is for. */
+    this.profile = profile;
+    /** @type {string} The folder of the device on the card. */
+    this.root = SPCard.normalizePath(root);
+    /** @type {AudioPadInfo | null} The parsed PAD_INFO.BIN, or null when it is missing. */
+    this.padInfo = null;
+    /** @type {Map<string, CardSample>} The sample files, keyed by pad label. */
+    this.samples = new Map();
+    /** @type {Map<string, CardPattern>} The pattern files, keyed by pad label. */
+    this.patterns = new Map();
+    /** @type {CardPad[]} Every pad of the device, in pad order. */
+    this.pads = [];
+
+    this.load();
+  }
+
+  /** @returns {string} The folder of the samples and PAD_INFO.BIN. */
+  get sampleFolder() {
+    return `${this.root}/SMPL`;
+  }
+
+  /** @returns {string} The folder of the patterns. */
+  get patternFolder() {
+    return `${this.root}/PTN`;
+  }
+
+  /**
+   * Load a card from a directory, reading every file below it.
+   * @param {string} directory The path of the root of the card.
+   * @param {object} [options] The options for the card, see the constructor.
+   * @returns {Promise<SPCard>} The loaded card.
+   * @static
+   * @async
+   */
+  static async fromDirectory(directory, options) {
+    debug('fromDirectory:', directory);
+    const { readdir, readFile } = await import('node:fs/promises');
+    const path = await import('node:path');
+    /** @type {Map<string, Uint8Array>} */
+    const files = new Map();
+    const walk = async (folder) => {
+      for (const entry of await readdir(folder, { withFileTypes: true })) {
+        const file = path.join(folder, entry.name);
+        if (entry.isDirectory()) {
+          await walk(file);
+        } else if (entry.isFile()) {
+          files.set(path.relative(directory, file), await readFile(file));
+        }
+      }
+    };
+    await walk(directory);
+    return new SPCard(files, options);
+  }
+
+  /**
+   * Apply file operations, like those returned by `movePad`, to a card in a directory.
+   * @param {string} directory The path of the root of the card.
+   * @param {CardFileOperation[]} operations The file operations to apply, in order.
+   * @returns {Promise<void>} Resolves when every operation has been applied.
+   * @static
+   * @async
+   */
+  static async applyToDirectory(directory, operations) {
+    debug('applyToDirectory:', directory, operations.length);
+    const { copyFile, rename, rm, writeFile } = await import('node:fs/promises');
+    const path = await import('node:path');
+    for (const { operation, path: file, from, data } of operations) {
+      if (operation === 'rename') {
+        await rename(path.join(directory, from), path.join(directory, file));
+      } else if (operation === 'copy') {
+        await copyFile(path.join(directory, from), path.join(directory, file));
+      } else if (operation === 'delete') {
+        await rm(path.join(directory, file), { force: true });
+      } else if (operation === 'write') {
+        await writeFile(path.join(directory, file), data);
+      }
+    }
+  }
+
+  /**
+   * Normalize a path to `/` separators without leading or trailing separators.
+   * @param {string} path The path to normalize.
+   * @returns {string} The normalized path.
+   * @static
+   */
+  static normalizePath(path) {
+    return path.replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+  }
+
+  /**
+   * Build the filename of the pattern stored on a pad, like `PTN00001.BIN` for `A1`.
+   * @param {string} label The pad label like `A1` or `J12`.
+   * @param {import('./device-profiles.js').DeviceProfile} [profile] The device the pattern is for; default is the SP-404SX.
+   * @returns {string} The pattern filename.
+   * @static
+   */
+  static getPatternFilename(label, profile = SP404SX) {
+    return `PTN${String(PadAddress.fromLabel(label, profile).sampleNumber).padStart(5, '0')}.BIN`;
+  }
+
+  /**
+   * Find the path of a file on the card without case.
+   * @param {string} path The path to look for.
+   * @returns {string | undefined} The path as it is on the card, or undefined when there is no such file.
+   */
+  findPath(path) {
+    const wanted = SPCard.normalizePath(path).toUpperCase();
+    return [...this.files.keys()].find((key) => key.toUpperCase() === wanted);
+  }
+
+  /**
+   * Read a file on the card, matching the path without case.
+   * @param {string} path The path of the file.
+   * @returns {Uint8Array | undefined} The contents of the file, or undefined when there is no such file.
+   */
+  getFile(path) {
+    const found = this.findPath(path);
+    return found === undefined ? undefined : this.files.get(found);
+  }
+
+  /**
+   * Parse PAD_INFO.BIN, the samples and the patterns, then link them together.
+   * Files that cannot be parsed are kept with the reason on `error` rather than stopping the load.
+   */
+  load() {
+    debug('load');
+    const { profile } = this;
+    const padInfoPath = this.findPath(`${this.sampleFolder}/PAD_INFO.BIN`);
+    this.padInfo = padInfoPath === undefined ? null : new AudioPadInfo(this.files.get(padInfoPath), { profile });
+
+    this.samples = new Map();
+    this.patterns = new Map();
+    for (const { label } of PadAddress.parseRange('*', profile)) {
+      const filename = profile.filename(label);
+      const samplePath = this.findPath(`${this.sampleFolder}/${filename}`);
+      if (samplePath !== undefined) {
+        this.samples.set(label, this.loadSample(label, filename, samplePath));
+      }
+
+      const patternFilename = SPCard.getPatternFilename(label, profile);
+      const patternPath = this.findPath(`${this.patternFolder}/${patternFilename}`);
+      if (patternPath !== undefined) {
+        this.patterns.set(label, this.loadPattern(label, patternFilename, patternPath));
+      }
+    }
+
+    this.link();
+  }
+
+  /**
+   * Parse a sample file.
+   * @param {string} label The label of the pad the sample belongs to.
+   * @param {string} filename The filename of the sample.
+   * @param {string} path The path of the file on the card.
+   * @returns {CardSample} The sample.
+   */
+  loadSample(label, filename, path) {
+    const data = this.files.get(path);
+    /** @type {CardSample} */
+    const sample = { label, filename, path, data, audio: null };
+    try {
+      sample.audio = AudioConverter.read(data);
+    } catch (error) {
+      debug('loadSample:', path, error.message);
+      sample.error = error.message;
+    }
+    return sample;
+  }
+
+  /**
+   * Parse a pattern file.
+   * @param {string} label The label of the pad the pattern is stored on.
+   * @param {string} filename The filename of the pattern.
+   * @param {string} path The path of the file on the card.
+   * @returns {CardPattern} The pattern.
+   */
+  loadPattern(label, filename, path) {
+    const data = this.files.get(path);
+    /** @type {CardPattern} */
+    const pattern = { label, filename, path, data, pattern: null, padLabels: [] };
+    try {
+      pattern.pattern = new AudioPattern(data, { profile: this.profile });
+      // Notes on MIDI note 128 are placeholders that do not trigger a pad.
+      const labels = new Set(pattern.pattern.notes.filter((note) => note.midiNote !== 128).map((note) => note.padLabel));
+      pattern.padLabels = [...labels].sort((a, b) => PadAddress.getIndex(a, this.profile) - PadAddress.getIndex(b, this.profile));
+    } catch (error) {
+      debug('loadPattern:', path, error.message);
+      pattern.error = error.message;
+    }
+    return pattern;
+  }
+
+  /**
+   * Rebuild `pads` from the loaded PAD_INFO.BIN, samples and patterns.
+   */
+  link() {
+    debug('link');
+    const patterns = [...this.patterns.values()];
+    this.pads = PadAddress.parseRange('*', this.profile).map(({ label }) => ({
+      label,
+      pad: this.padInfo ? this.padInfo.getPad(label) : undefined,
+      sample: this.samples.get(label),
+      pattern: this.patterns.get(label),
+      triggeredBy: patterns.filter((pattern) => pattern.padLabels.includes(label)),
+    }));
+  }
+
+  /**
+   * Get a pad and everything on the card linked to it.
+   * @param {string} label The pad label like `A1` or `J12`.
+   * @returns {CardPad} The pad.
+   * @throws {Error} The label is not a pad on the device.
+   */
+  getPad(label) {
+    return this.pads[PadAddress.fromLabel(label, this.profile).index];
+  }
+
+  /**
+   * Get the pads triggered by a pattern.
+   * @param {string} label The label of the pad the pattern is stored on, like `A1` for `PTN00001.BIN`.
+   * @returns {CardPad[]} The pads triggered by the pattern, empty when there is no pattern.
+   * @throws {Error} The label is not a pad on the device.
+   */
+  getPadsTriggeredBy(label) {
+    const pattern = this.patterns.get(PadAddress.fromLabel(label, this.profile).label);
+    return pattern ? pattern.padLabels.filter((padLabel) => PadAddress.isValidLabel(padLabel, this.profile)).map((padLabel) => this.getPad(padLabel)) : [];
+  }
+
+  /**
+   * Move a pad to an empty pad: the sample file is renamed, the PAD_INFO.BIN record is moved and pattern notes playing the pad play the new pad.
+   * Patterns stay on their pads, only the notes in them change.
+   * @param {string} from The label of the pad to move, like `A1`.
+   * @param {string} to The label of the pad to move to, like `C5`.
+   * @param {object} [options] The options for the move.
+   * @param {boolean} [options.overwrite] When true the pad is replaced even when it is in use; default is false.
+   * @returns {CardFileOperation[]} The file operations to apply to the card, in order.
+   * @throws {Error} A label is not a pad on the device, or the pad to move to is in use.
+   */
+  movePad(from, to, { overwrite = false } = {}) {
+    debug('movePad:', from, to);
+    return this.rearrange([[from, to]], { overwrite });
+  }
+
+  /**
+   * Copy a pad to an empty pad: the sample file is copied and the PAD_INFO.BIN record is duplicated, patterns are not changed.
+   * @param {string} from The label of the pad to copy, like `A1`.
+   * @param {string} to The label of the pad to copy to, like `C5`.
+   * @param {object} [options] The options for the copy.
+   * @param {boolean} [options.overwrite] When true the pad is replaced even when it is in use; default is false.
+   * @returns {CardFileOperation[]} The file operations to apply to the card, in order.
+   * @throws {Error} A label is not a pad on the device, or the pad to copy to is in use.
+   */
+  copyPad(from, to, { overwrite = false } = {}) {
+    debug('copyPad:', from, to);
+    return this.rearrange([[from, to]], { overwrite, copy: true });
+  }
+
+  /**
+   * Swap two pads: their sample files, PAD_INFO.BIN records and the pattern notes playing them.
+   * @param {string} a The label of the first pad, like `A1`.
+   * @param {string} b The label of the second pad, like `C5`.
+   * @returns {CardFileOperation[]} The file operations to apply to the card, in order.
+   * @throws {Error} A label is not a pad on the device.
+   */
+  swapPads(a, b) {
+    debug('swapPads:', a, b);
+    return this.rearrange([[a, b], [b, a]], { overwrite: true });
+  }
+
+  /**
+   * Swap every pad of two banks, like `swapPads` for `A1` and `B1`, `A2` and `B2` and so on.
+   * @param {string} a The first bank letter, like `A`.
+   * @param {string} b The second bank letter, like `B`.
+   * @returns {CardFileOperation[]} The file operations to apply to the card, in order.
+   * @throws {Error} A bank is not on the device.
+   */
+  swapBanks(a, b) {
+    debug('swapBanks:', a, b);
+    const first = PadAddress.fromBank(a, this.profile);
+    const second = PadAddress.fromBank(b, this.profile);
+    return this.rearrange(first.flatMap((pad, index) => [[pad.label, second[index].label], [second[index].label, pad.label]]), { overwrite: true });
+  }
+
+  /**
+   * Give pads the sample and settings of other pads, updating the files on the card and returning the file operations to make the same change on the card.
+   * Every move reads the pads as they were before the call, so moves can swap or rotate pads.
+   * When moving, pads that are moved from and not moved to are cleared and pattern notes follow their pad, when copying the pads moved from and the patterns are left as they are.
+   * @param {Array<string[]>} moves The labels of the pad to take from and the pad to give to.
+   * @param {object} [options] The options for the moves.
+   * @param {boolean} [options.copy] When true the pads are copied rather than moved; default is false.
+   * @param {boolean} [options.overwrite] When true pads in use can be given to, otherwise only empty pads or pads that are moved away; default is false.
+   * @returns {CardFileOperation[]} The file operations to apply to the card, in order.
+   * @throws {Error} A label is not a pad on the device, a pad to give to is in use, or a pad to take from has invalid settings.
+   */
+  rearrange(moves, { copy = false, overwrite = false } = {}) {
+    debug('rearrange:', moves, copy, overwrite);
+    const pairs = moves
+      .map(([from, to]) => [PadAddress.fromLabel(from, this.profile).label, PadAddress.fromLabel(to, this.profile).label])
+      .filter(([from, to]) => from !== to);
+    const sources = new Set(pairs.map(([from]) => from));
+    const targets = new Set(pairs.map(([, to]) => to));
+
+    // Check everything before any change is made, so an error leaves the card as it was.
+    for (const [from, to] of pairs) {
+      const target = this.getPad(to);
+      const inUse = Boolean(target.sample) || (target.pad ? !target.pad.avaliable : false);
+      if (!overwrite && inUse && (copy || !sources.has(to))) {
+        const error = `Pad is in use, ${to} already has a sample and cannot be replaced by ${from}.`;
+        debug(error);
+        throw new Error(error);
+      }
+      const { pad } = this.getPad(from);
+      const errors = pad ? AudioPadInfo.validatePad(pad, this.profile) : [];
+      if (errors.length > 0) {
+        const error = `Pad ${from} is invalid: ${errors.join(' ')}`;
+        debug(error);
+        throw new Error(error);
+      }
+    }
+
+    /** @type {CardFileOperation[]} */
+    const operations = [];
+    const cleared = copy ? [] : [...sources].filter((label) => !targets.has(label));
+    const samplePath = (label) => `${this.sampleFolder}/${this.profile.filename(label)}`;
+    /** @type {Map<string, string>} The path each moved sample can be found at during the moves. */
+    const movedFrom = new Map();
+
+    // Remove samples that are replaced, and make room when a sample is moved to a pad whose sample is also moved.
+    for (const [from, label] of pairs) {
+      const sample = this.samples.get(label);
+      if (!sample || !this.samples.has(from)) {
+        if (sample && !sources.has(label)) {
+          operations.push({ operation: 'delete', path: sample.path });
+        }
+        continue;
+      }
+      if (!copy && sources.has(label)) {
+        const path = `${sample.path}.TMP`;
+        operations.push({ operation: 'rename', from: sample.path, path });
+        movedFrom.set(label, path);
+      } else {
+        operations.push({ operation: 'delete', path: sample.path });
+      }
+    }
+    for (const [from, to] of pairs) {
+      const sample = this.samples.get(from);
+      if (sample) {
+        operations.push({ operation: copy ? 'copy' : 'rename', from: movedFrom.get(from) ?? sample.path, path: samplePath(to) });
+      }
+    }
+
+    if (this.padInfo) {
+      const pads = new Map(pairs.map(([from]) => [from, this.padInfo.getPad(from) || AudioPadInfo.getDefaultPad(from, this.profile)]));
+      for (const [from, to] of pairs) {
+        this.padInfo.setPad(to, pads.get(from));
+      }
+      for (const label of cleared) {
+        this.padInfo.resetPad(label);
+      }
+      operations.push({ operation: 'write', path: this.findPath(`${this.sampleFolder}/PAD_INFO.BIN`), data: this.padInfo.toBuffer() });
+    }
+
+    if (!copy) {
+      /** @type {Map<string, string>} */
+      const remap = new Map();
+      for (const [from, to] of pairs) {
+        remap.set(from, to);
+      }
+      for (const { path, pattern } of this.patterns.values()) {
+        if (pattern && pattern.remapPads(remap) > 0) {
+          operations.push({ operation: 'write', path, data: pattern.toBuffer() });
+        }
+      }
+    }
+
+    this.applyOperations(operations);
+    return operations;
+  }
+
+  /**
+   * Apply file operations to the files of the card, then load the card again.
+   * @param {CardFileOperation[]} operations The file operations to apply, in order.
+   */
+  applyOperations(operations) {
+    debug('applyOperations:', operations.length);
+    for (const { operation, path, from, data } of operations) {
+      if (operation === 'rename') {
+        this.files.set(path, this.files.get(from));
+        this.files.delete(from);
+      } else if (operation === 'copy') {
+        this.files.set(path, this.files.get(from));
+      } else if (operation === 'delete') {
+        this.files.delete(path);
+      } else if (operation === 'write') {
+        this.files.set(path, data);
+      }
+    }
+    this.load();
+  }
+
+  /**
+   * Repair PAD_INFO.BIN using the samples on the card, see `AudioPadInfo#repair`.
+   * The pads are changed in place, write `padInfo.toBuffer()` back to the card to keep the changes.
+   * @returns {import('./audio-padinfo.js').PadRepair[]} Every field that was changed, empty when there is no PAD_INFO.BIN.
+   */
+  repair() {
+    debug('repair');
+    if (!this.padInfo) {
+      return [];
+    }
+    const samples = new Map([...this.samples].map(([label, sample]) => [label, sample.audio ?? sample.data]));
+    const changes = this.padInfo.repair({ samples });
+    this.link();
+    return changes;
+  }
+
+  /**
+   * Check that PAD_INFO.BIN, the samples and the patterns agree with each other, the usual cause of pads that do not play.
+   * Pads in use are those that are not `avaliable`, the original sample end is compared to the end of the sample data and the user sample end to the length of the sample file.
+   * @returns {CardIssue[]} The problems found, empty when the card is consistent.
+   */
+  check() {
+    debug('check');
+    /** @type {CardIssue[]} */
+    const issues = [];
+    const padInfoPath = `${this.sampleFolder}/PAD_INFO.BIN`;
+    if (!this.padInfo) {
+      issues.push({ severity: 'error', code: 'ERR_MISSING_PAD_INFO', path: padInfoPath, message: `Missing PAD_INFO.BIN: no pad settings were found at ${padInfoPath}.` });
+    }
+
+    for (const { label, pad, sample } of this.pads) {
+      const inUse = pad ? !pad.avaliable : false;
+      if (inUse && !sample) {
+        const path = `${this.sampleFolder}/${this.profile.filename(label)}`;
+        issues.push({ severity: 'error', code: 'ERR_MISSING_SAMPLE', label, path, message: `${label} Missing Sample: PAD_INFO.BIN has a sample but ${path} does not exist.` });
+      }
+      if (sample && this.padInfo && !inUse) {
+        issues.push({ severity: 'warning', code: 'ERR_ORPHANED_SAMPLE', label, path: sample.path, message: `${label} Orphaned Sample: ${sample.path} exists but PAD_INFO.BIN has no sample for the pad.` });
+      }
+      if (sample && sample.error) {
+        issues.push({ severity: 'error', code: 'ERR_UNREADABLE_SAMPLE', label, path: sample.path, message: `${label} Unreadable Sample: ${sample.error}` });
+      }
+      if (sample && inUse) {
+        const { length } = sample.data;
+        // Chunks after the sample data, like a LIST chunk, are not part of the sample.
+        const sampleEnd = sample.audio ? AudioPadInfo.getSampleEnd(sample.audio) : length;
+        if (pad.originalSampleEnd !== sampleEnd) {
+          issues.push({ severity: 'error', code: 'ERR_SAMPLE_LENGTH', label, path: sample.path, field: 'originalSampleEnd', value: pad.originalSampleEnd, message: `${label} Sample Length: Original Sample End ${pad.originalSampleEnd} should be the end of the sample data at ${sampleEnd}.` });
+        }
+        if (pad.userSampleEnd > length) {
+          issues.push({ severity: 'error', code: 'ERR_SAMPLE_LENGTH', label, path: sample.path, field: 'userSampleEnd', value: pad.userSampleEnd, message: `${label} Sample Length: User Sample End ${pad.userSampleEnd} is after the end of the file at ${length}.` });
+        }
+      }
+    }
+
+    // Files in the sample folder that do not belong to any pad, like A0000013.WAV on the SP-404SX.
+    const expected = new Set([padInfoPath, ...this.pads.map(({ label }) => `${this.sampleFolder}/${this.profile.filename(label)}`)].map((path) => path.toUpperCase()));
+    for (const path of this.files.keys()) {
+      const upper = path.toUpperCase();
+      if (upper.startsWith(`${this.sampleFolder.toUpperCase()}/`) && /\.(WAV|AIFF?)$/.test(upper) && !expected.has(upper)) {
+        issues.push({ severity: 'warning', code: 'ERR_ORPHANED_SAMPLE', path, message: `Orphaned Sample: ${path} does not belong to any pad.` });
+      }
+    }
+
+    for (const pattern of this.patterns.values()) {
+      for (const label of pattern.padLabels) {
+        const cardPad = PadAddress.isValidLabel(label, this.profile) ? this.getPad(label) : undefined;
+        const empty = !cardPad || !cardPad.sample || (cardPad.pad ? cardPad.pad.avaliable : false);
+        if (empty) {
+          issues.push({ severity: 'warning', code: 'ERR_EMPTY_PAD_TRIGGERED', label, path: pattern.path, message: `${label} Empty Pad Triggered: ${pattern.filename} plays ${label} which has no sample.` });
+        }
+      }
+    }
+
+    return issues;
+  }
+}
+
+export default SPCard;
@@ -0,0 +1,95 @@
+import test from 'ava';
+import AudioAiff from '../src/audio-aiff.js';
+import { buildAiff } from './helpers/wave.js';
+
+test('constructor(input): reads the format and locates the data', (t) => {
+  const aiff = new AudioAiff(buildAiff({ channels: 1, frames: 441 }));
+  t.is(aiff.formType, 'AIFF');
+  t.is(aiff.compressionType, 'NONE');
+  t.is(aiff.channels, 1);
+  t.is(aiff.frames, 441);
+  t.is(aiff.bitsPerSample, 16);
+  t.is(aiff.sampleRate, 44100);
+  t.is(aiff.blockAlign, 2);
+  t.is(aiff.dataOffset, 54);
+  t.is(aiff.dataSize, 882);
+  t.is(aiff.duration, 0.01);
+  t.deepEqual(aiff.chunks, [
+    { id: 'COMM', offset: 12, size: 18 },
+    { id: 'SSND', offset: 38, size: 890 },
+  ]);
+});
+
+test('constructor(input): reads AIFF-C files', (t) => {
+  const aiff = new AudioAiff(buildAiff({ compressionType: 'sowt', sampleRate: [0x40, 0x0E, 0xBB, 0x80, 0, 0, 0, 0, 0, 0] }));
+  t.is(aiff.formType, 'AIFC');
+  t.is(aiff.compressionType, 'sowt');
+  t.is(aiff.sampleRate, 48000);
+  t.is(aiff.dataOffset, 60);
+});
+
+test('constructor(input): throws on files that are not AIFF files', (t) => {
+  t.throws(() => new AudioAiff(Buffer.from('RIFF0000WAVE')), { message: 'Invalid AIFF file, the file should start with FORM and AIFF or AIFC.' });
+  t.throws(() => new AudioAiff(buildAiff().subarray(0, 12)), { message: 'Invalid AIFF file, missing the COMM chunk.' });
+  t.throws(() => new AudioAiff(buildAiff().subarray(0, 38)), { message: 'Invalid AIFF file, missing the SSND chunk.' });
+});
+
+test('.getSamples(): decodes big-endian, little-endian and float samples', (t) => {
+  const fill = (frame, channel) => (channel ? -0.5 : 0.25);
+  for (const options of [{ bitsPerSample: 8 }, { bitsPerSample: 16 }, { bitsPerSample: 24 }, { bitsPerSample: 32 }, { compressionType: 'NONE' }, { compressionType: 'sowt' }, { compressionType: 'fl32', bitsPerSample: 32 }, { compressionType: 'fl64', bitsPerSample: 64 }]) {
+    const [left, right] = new AudioAiff(buildAiff({ frames: 2, fill, ...options })).getSamples();
+    t.deepEqual([...left], [0.25, 0.25], JSON.stringify(options));
+    t.deepEqual([...right], [-0.5, -0.5], JSON.stringify(options));
+  }
+});
+
+test('.getSamples(): throws on unsupported compression', (t) => {
+  t.throws(() => new AudioAiff(buildAiff({ compressionType: 'ima4' })).getSamples(), { message: 'Unsupported AIFF-C compression, ima4 should be NONE, sowt, fl32 or fl64.' });
+});
+
+test('AudioAiff.decodeExtended(bytes): decodes 80 bit extended numbers', (t) => {
+  t.is(AudioAiff.decodeExtended([0x40, 0x0E, 0xAC, 0x44, 0, 0, 0, 0, 0, 0]), 44100);
+  t.is(AudioAiff.decodeExtended([0x40, 0x0D, 0xFA, 0, 0, 0, 0, 0, 0, 0]), 32000);
+  t.is(AudioAiff.decodeExtended([0xBF, 0xFF, 0x80, 0, 0, 0, 0, 0, 0, 0]), -1);
+  t.is(AudioAiff.decodeExtended([0, 0, 0, 0, 0, 0, 0, 0, 0, 0]), 0);
+  t.is(AudioAiff.decodeExtended([0x7F, 0xFF, 0, 0, 0, 0, 0, 0, 0, 0]), Number.POSITIVE_INFINITY);
+  t.true(Number.isNaN(AudioAiff.decodeExtended([0x7F, 0xFF, 0x80, 0, 0, 0, 0, 0, 0, 1])));
+});
+
+test('AudioAiff.encode(samples, options): writes 16 bit AIFF files with the data at byte 512', (t) => {
+  const left = Float32Array.from([0, 0.25, -0.5]);
+  const right = Float32Array.from([1, -1, 0.5]);
+  const file = AudioAiff.encode([left, right]);
+  t.is(file.length, 512 + 12);
+  const aiff = new AudioAiff(file);
+  t.is(aiff.formType, 'AIFF');
+  t.is(aiff.channels, 2);
+  t.is(aiff.frames, 3);
+  t.is(aiff.bitsPerSample, 16);
+  t.is(aiff.sampleRate, 44100);
+  t.is(aiff.dataOffset, 512);
+  t.is(aiff.dataSize, 12);
+  t.deepEqual([...file.subarray(512, 516)], [0x00, 0x00, 0x7F, 0xFF]);
+  const [decodedLeft, decodedRight] = aiff.getSamples();
+  t.deepEqual([...decodedLeft], [...left]);
+  t.deepEqual([...decodedRight], [32767 / 32768, -1, 0.5]);
+});
+
+test('AudioAiff.encode(samples, options): places the data and sample rate as requested', (t) => {
+  const aiff = new AudioAiff(AudioAiff.encode([Float32Array.from([0.5])], { sampleRate: 22050, dataOffset: 54 }));
+  t.is(aiff.dataOffset, 54);
+  t.is(aiff.sampleRate, 22050);
+  t.is(aiff.length, 56);
+  t.throws(() => AudioAiff.encode([], { dataOffset: 53 }), { message: 'Data offset is invalid, 53 should be an integer of at least 54.' });
+});
+
+test('AudioAiff.encodeExtended(value): encodes 80 bit extended numbers', (t) => {
+  t.deepEqual([...AudioAiff.encodeExtended(44100)], [0x40, 0x0E, 0xAC, 0x44, 0, 0, 0, 0, 0, 0]);
+  t.deepEqual([...AudioAiff.encodeExtended(-1)], [0xBF, 0xFF, 0x80, 0, 0, 0, 0, 0, 0, 0]);
+  t.deepEqual([...AudioAiff.encodeExtended(0)], [0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  t.deepEqual([...AudioAiff.encodeExtended(Number.POSITIVE_INFINITY)], [0x7F, 0xFF, 0, 0, 0, 0, 0, 0, 0, 0]);
+  t.true(Number.isNaN(AudioAiff.decodeExtended(AudioAiff.encodeExtended(Number.NaN))));
+  for (const value of [8000, 11025, 22050, 32000, 48000, 88200, 96000, 192000, 0.5, 1234.5678]) {
+    t.is(AudioAiff.decodeExtended(AudioAiff.encodeExtended(value)), value);
+  }
+});
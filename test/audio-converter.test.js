@@ -0,0 +1,137 @@
+import test from 'ava';
+import AudioConverter from '../src/audio-converter.js';
+import AudioAiff from '../src/audio-aiff.js';
+import AudioPadInfo from '../src/audio-padinfo.js';
+import AudioWave from '../src/audio-wave.js';
+import { SP404MKII } from '../src/device-profiles.js';
+import { buildAiff, buildWave } from './helpers/wave.js';
+
+const sine = (frequency, sampleRate) => (frame) => 0.5 * Math.sin((2 * Math.PI * frequency * frame) / sampleRate);
+
+test('AudioConverter.convert(input, label): writes a 16 bit 44.1 kHz file with the data at byte 512', (t) => {
+  const { file, pad } = AudioConverter.convert(buildWave({ frames: 44100, fill: sine(441, 44100) }), 'A1');
+  const wave = new AudioWave(file);
+  t.is(wave.audioFormat, 1);
+  t.is(wave.channels, 2);
+  t.is(wave.sampleRate, 44100);
+  t.is(wave.bitsPerSample, 16);
+  t.is(wave.dataOffset, 512);
+  t.is(wave.frames, 44100);
+  t.deepEqual(wave.chunks.map((chunk) => chunk.id), ['fmt ', 'JUNK', 'data']);
+  t.is(pad.label, 'A1');
+  t.is(pad.filename, 'A0000001.WAV');
+  t.is(pad.originalSampleStart, 512);
+  t.is(pad.originalSampleEnd, file.length);
+  t.is(pad.userSampleEnd, file.length);
+  t.is(pad.channels, 'Stereo');
+  t.is(pad.originalTempo, 120);
+  t.notThrows(() => AudioPadInfo.encodePad(pad));
+});
+
+test('AudioConverter.convert(input, label): keeps 16 bit 44.1 kHz samples as they are', (t) => {
+  const input = buildWave({ channels: 1, frames: 1000, padding: 100, fill: sine(1000, 44100) });
+  const { file } = AudioConverter.convert(input, 'B2');
+  t.deepEqual(file.subarray(512), input.subarray(new AudioWave(input).dataOffset));
+});
+
+test('AudioConverter.convert(input, label): requantizes other bit depths', (t) => {
+  const { file } = AudioConverter.convert(buildWave({ frames: 2, bitsPerSample: 24, fill: () => 0.25 }), 'A1');
+  t.deepEqual([...file.subarray(512)], [0x00, 0x20, 0x00, 0x20, 0x00, 0x20, 0x00, 0x20]);
+  const { file: clipped } = AudioConverter.convert(buildWave({ channels: 1, frames: 2, audioFormat: 3, bitsPerSample: 32, fill: (frame) => (frame ? -2 : 2) }), 'A1');
+  t.deepEqual([...clipped.subarray(512)], [0xFF, 0x7F, 0x00, 0x80]);
+});
+
+test('AudioConverter.convert(input, label): resamples other sample rates', (t) => {
+  const { file, pad } = AudioConverter.convert(buildWave({ channels: 1, sampleRate: 22050, frames: 22050, fill: sine(441, 22050) }), 'A1');
+  const wave = new AudioWave(file);
+  t.is(wave.sampleRate, 44100);
+  t.is(wave.frames, 44100);
+  t.is(pad.originalTempo, 120);
+  const [samples] = wave.getSamples();
+  const expected = sine(441, 44100);
+  for (let frame = 1000; frame < 43000; frame += 997) {
+    t.true(Math.abs(samples[frame] - expected(frame)) < 0.001, `${frame}`);
+  }
+});
+
+test('AudioConverter.convert(input, label): converts AIFF files', (t) => {
+  const { file, pad } = AudioConverter.convert(buildAiff({ channels: 1, frames: 4, fill: (frame) => frame / 8 }), 'J12');
+  t.is(pad.filename, 'J0000012.WAV');
+  t.is(pad.channels, 'Mono');
+  t.deepEqual([...new AudioWave(file).getSamples()[0]], [0, 0.125, 0.25, 0.375]);
+});
+
+test('AudioConverter.convert(input, label, options): builds the pad for the profile', (t) => {
+  const { pad } = AudioConverter.convert(buildWave(), 'A16', { profile: SP404MKII });
+  t.is(pad.label, 'A16');
+  t.throws(() => AudioConverter.convert(buildWave(), 'A16'), { message: 'Pad label is invalid, A16 should be between A1 and J12.' });
+});
+
+test('AudioConverter.convert(input, label): throws on unsupported files', (t) => {
+  t.throws(() => AudioConverter.convert(Buffer.from('OggS0000'), 'A1'), { message: 'Unsupported file, the file should be a WAVE or AIFF file.' });
+  t.throws(() => AudioConverter.convert(buildWave({ channels: 6 }), 'A1'), { message: 'Channels are invalid, 6 should be 1 or 2.' });
+});
+
+test('AudioConverter.resample(samples, fromRate, toRate): removes frequencies above the new Nyquist frequency', (t) => {
+  const fill = sine(20000, 48000);
+  const input = Float32Array.from({ length: 4800 }, (_, frame) => fill(frame));
+  const output = AudioConverter.resample(input, 48000, 32000);
+  t.is(output.length, 3200);
+  const peak = output.slice(200, 3000).reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+  t.true(peak < 0.01);
+  t.is(AudioConverter.resample(input, 48000, 48000), input);
+});
+
+test('AudioConverter.convert(input, label, options): writes AIFF files', (t) => {
+  const { file, pad } = AudioConverter.convert(buildWave({ channels: 1, frames: 4, fill: (frame) => frame / 8 }), 'A1', { format: 'AIFF' });
+  const aiff = new AudioAiff(file);
+  t.is(aiff.dataOffset, 512);
+  t.is(aiff.sampleRate, 44100);
+  t.deepEqual([...aiff.getSamples()[0]], [0, 0.125, 0.25, 0.375]);
+  t.is(pad.format, 'AIFF');
+  t.is(pad.originalSampleStart, 512);
+  t.is(pad.originalSampleEnd, 520);
+  t.throws(() => AudioConverter.convert(buildWave(), 'A1', { format: 'MP3' }), { message: "Format is invalid, MP3 should be one of 'WAVE' or 'AIFF'." });
+});
+
+test('AudioConverter.convertPad(pad, input, options): converts an AIFF pad to WAVE keeping its settings', (t) => {
+  const aiff = buildAiff({ frames: 1000, fill: (frame) => frame / 1000 });
+  const pad = {
+    ...AudioPadInfo.getPadFromSample(aiff, 'C3'),
+    volume: 90,
+    loop: true,
+    tempoMode: 'User',
+    userTempo: 95.5,
+    userSampleStart: 54 + (100 * 4),
+    userSampleEnd: 54 + (900 * 4),
+  };
+  const { file, pad: converted } = AudioConverter.convertPad(pad, aiff);
+  const wave = new AudioWave(file);
+  t.is(wave.dataOffset, 512);
+  t.is(converted.format, 'WAVE');
+  t.is(converted.channels, 'Stereo');
+  t.is(converted.volume, 90);
+  t.true(converted.loop);
+  t.is(converted.tempoMode, 'User');
+  t.is(converted.userTempo, 95.5);
+  t.is(converted.originalTempo, pad.originalTempo);
+  t.is(converted.originalSampleStart, 512);
+  t.is(converted.originalSampleEnd, 512 + 4000);
+  t.is(converted.userSampleStart, 512 + (100 * 4));
+  t.is(converted.userSampleEnd, 512 + (900 * 4));
+  t.false(converted.avaliable);
+  t.notThrows(() => AudioPadInfo.encodePad(converted));
+});
+
+test('AudioConverter.convertPad(pad, input, options): moves the user offsets to the resampled frames', (t) => {
+  const wave = buildWave({ channels: 1, sampleRate: 22050, frames: 1000 });
+  const pad = {
+    ...AudioPadInfo.getPadFromSample(wave, 'A1'),
+    userSampleStart: 44 + (250 * 2),
+    userSampleEnd: 44 + (2000 * 2),
+  };
+  const { pad: converted } = AudioConverter.convertPad(pad, wave);
+  t.is(converted.originalSampleEnd, 512 + 4000);
+  t.is(converted.userSampleStart, 512 + (500 * 2));
+  t.is(converted.userSampleEnd, 512 + 4000);
+});
@@ -0,0 +1,300 @@
+import fs from 'fs';
+import test from 'ava';
+import AudioPadConf from '../src/audio-padconf.js';
+import PadConfFormatError from '../src/pad-conf-format-error.js';
+import { SP404MKII, SP404SX } from '../src/device-profiles.js';
+
+test('constructor(input): can initialize', (t) => {
+  const data = fs.readFileSync('./PADCONF.BIN');
+  const audio = new AudioPadConf(data);
+  t.is(audio.pads.length, 160);
+});
+
+test('.parse(): can decode the project header', (t) => {
+  const data = fs.readFileSync('./PADCONF.BIN');
+  const { magic, padCount, version, bpm, name } = new AudioPadConf(data);
+  t.is(magic, 'RFPD');
+  t.is(padCount, 160);
+  t.is(version, 3);
+  t.is(bpm, 90);
+  t.is(name, 'PROJECT_03');
+});
+
+test('.parse(): can decode all pads in a PADCONF.BIN file', (t) => {
+  const data = fs.readFileSync('./PADCONF.BIN');
+  const { pads } = new AudioPadConf(data);
+  t.is(pads.length, 160);
+  t.deepEqual(pads[0], {
+    avaliable: false,
+    label: 'A1',
+    name: 'Wave Race 64 - M',
+    originalSampleEnd: 14933848,
+    sampleStart: 512,
+    sampleEnd: 14933848,
+    loopStart: 8103336,
+    volume: 127,
+    bpm: 81,
+    gate: false,
+    loop: false,
+    reverse: false,
+  });
+  t.deepEqual(pads[40], {
+    avaliable: true,
+    label: 'C9',
+    name: '',
+    originalSampleEnd: 0,
+    sampleStart: 0,
+    sampleEnd: 0,
+    loopStart: 0,
+    volume: 127,
+    bpm: 90,
+    gate: true,
+    loop: true,
+    reverse: false,
+  });
+  t.deepEqual(pads[159], {
+    avaliable: false,
+    label: 'J16',
+    name: 'XO-4 CLAP (processed) 2',
+    originalSampleEnd: 260108,
+    sampleStart: 512,
+    sampleEnd: 260108,
+    loopStart: 512,
+    volume: 127,
+    bpm: 90,
+    gate: false,
+    loop: true,
+    reverse: false,
+  });
+  t.is(pads[18].name, '1080° Snow Boar');
+  t.deepEqual(pads.filter((pad) => pad.reverse).map((pad) => pad.label), ['G3', 'G6']);
+  t.is(pads.filter((pad) => pad.avaliable).length, 56);
+});
+
+test('.parse(): throws an error when the magic is invalid', (t) => {
+  const data = fs.readFileSync('./test/assets/PAD_INFO.BIN');
+  t.throws(() => {
+    new AudioPadConf(data);
+  }, { message: 'Invalid magic, \u0000\u0000\u0002\u0000 should be RFPD.' });
+});
+
+test('.parse(): throws a PadConfFormatError when the file is truncated', (t) => {
+  const data = fs.readFileSync('./PADCONF.BIN');
+  let error = t.throws(() => new AudioPadConf(data.subarray(0, 4096)), { instanceOf: PadConfFormatError });
+  t.is(error.message, 'Truncated: 4096 bytes should be 52000 bytes.');
+  t.is(error.code, 'ERR_TRUNCATED');
+  t.is(error.offset, 4096);
+  t.is(error.value, 4096);
+
+  error = t.throws(() => new AudioPadConf(data.subarray(0, 100)), { instanceOf: PadConfFormatError });
+  t.is(error.message, 'Truncated: 100 bytes is shorter than the 160 byte header.');
+  t.is(error.code, 'ERR_TRUNCATED');
+});
+
+test('.parse(): throws a PadConfFormatError when the pad count does not match the profile', (t) => {
+  const data = Buffer.from(fs.readFileSync('./PADCONF.BIN'));
+  data.writeUInt32BE(120, 4);
+  const error = t.throws(() => new AudioPadConf(data), { instanceOf: PadConfFormatError });
+  t.is(error.message, 'Unexpected Pad Count: 120 should be 160 for the Roland SP-404 MKII.');
+  t.is(error.code, 'ERR_PAD_COUNT');
+  t.is(error.offset, 4);
+  t.is(error.value, 120);
+});
+
+test('AudioPadConf.getPadLabel(index): returns a pad label or empty string', (t) => {
+  t.is(AudioPadConf.getPadLabel(0), 'A1');
+  t.is(AudioPadConf.getPadLabel(15), 'A16');
+  t.is(AudioPadConf.getPadLabel(16), 'B1');
+  t.is(AudioPadConf.getPadLabel(159), 'J16');
+  t.is(AudioPadConf.getPadLabel(160), '');
+  t.is(AudioPadConf.getPadLabel(), '');
+});
+
+test('AudioPadConf.getPadIndex(label): returns a pad index or -1', (t) => {
+  t.is(AudioPadConf.getPadIndex('A1'), 0);
+  t.is(AudioPadConf.getPadIndex('a16'), 15);
+  t.is(AudioPadConf.getPadIndex('J16'), 159);
+  t.is(AudioPadConf.getPadIndex('J17'), -1);
+  t.is(AudioPadConf.getPadIndex('K1'), -1);
+  t.is(AudioPadConf.getPadIndex(), -1);
+
+  for (let i = 0; i < 160; i++) {
+    t.is(AudioPadConf.getPadIndex(AudioPadConf.getPadLabel(i)), i);
+  }
+});
+
+test('AudioPadConf.getPadLabel(index, profile): returns a pad label for the profile', (t) => {
+  t.is(AudioPadConf.getPadLabel(11, SP404SX), 'A12');
+  t.is(AudioPadConf.getPadLabel(12, SP404SX), 'B1');
+  t.is(AudioPadConf.getPadLabel(12, SP404MKII), 'A13');
+  t.is(AudioPadConf.getPadIndex('B1', SP404SX), 12);
+  t.is(AudioPadConf.getPadIndex('A13', SP404SX), -1);
+});
+
+test('constructor(input, { profile }): defaults to the SP-404 MKII profile', (t) => {
+  const data = fs.readFileSync('./PADCONF.BIN');
+  const audio = new AudioPadConf(data);
+  t.is(audio.profile, SP404MKII);
+  t.is(audio.pads[159].label, 'J16');
+});
+
+test('.toBuffer(): can encode the same PADCONF.BIN file that was parsed', (t) => {
+  const data = fs.readFileSync('./PADCONF.BIN');
+  const audio = new AudioPadConf(data);
+  const output = audio.toBuffer();
+  t.is(output.length, 52000);
+  t.deepEqual(output, data);
+});
+
+test('.toBuffer(): can encode a parsed file with values outside of the specification', (t) => {
+  const data = Buffer.from(fs.readFileSync('./PADCONF.BIN'));
+  // Project BPM of 10.00 and A1 volume of 200.
+  data.writeUInt32BE(1000, 16);
+  data.writeUInt32BE(200, 160 + 12);
+  let audio = new AudioPadConf(data);
+  t.is(audio.bpm, 10);
+  t.is(audio.pads[0].volume, 200);
+  t.deepEqual(audio.toBuffer(), data);
+
+  audio.pads[1].volume = 100;
+  const edited = new AudioPadConf(audio.toBuffer());
+  t.is(edited.bpm, 10);
+  t.is(edited.pads[0].volume, 200);
+  t.is(edited.pads[1].volume, 100);
+
+  audio = new AudioPadConf(data);
+  audio.bpm = 500;
+  audio.pads[0].volume = 201;
+  t.throws(() => {
+    audio.toBuffer();
+  }, { message: 'Project is invalid: BPM is invalid, 500 should be a number between 40 and 300.' });
+  audio.bpm = 90;
+  t.throws(() => {
+    audio.toBuffer();
+  }, { message: 'Pad A1 is invalid: Volume is invalid, 201 should be an integer between 0 and 127.' });
+});
+
+test('.toBuffer(): can encode an edited project and preserve unknown bytes', (t) => {
+  const data = fs.readFileSync('./PADCONF.BIN');
+  const audio = new AudioPadConf(data);
+  audio.name = 'BEATS';
+  audio.bpm = 92.5;
+  audio.pads[0].volume = 100;
+  audio.pads[0].bpm = 80.25;
+  audio.pads[0].reverse = true;
+  audio.pads[1].name = 'Kick';
+  audio.pads[159].name = '';
+  const output = audio.toBuffer();
+
+  const edited = new AudioPadConf(output);
+  t.is(edited.name, 'BEATS');
+  t.is(edited.bpm, 92.5);
+  t.deepEqual(edited.pads[0], { ...audio.pads[0] });
+  t.is(edited.pads[1].name, 'Kick');
+  t.is(edited.pads[159].name, '');
+  t.deepEqual(edited.pads.slice(2, 159), audio.pads.slice(2, 159));
+
+  // Only the bytes of the edited fields change.
+  const pad = (index, offset) => 160 + (index * 172) + offset;
+  const name = (index, offset) => 27680 + (index * 24) + offset;
+  const range = (from, to) => Array.from({ length: to - from }, (_, i) => from + i);
+  const allowed = [
+    // Project BPM & Name
+    ...range(16, 20),
+    ...range(128, 144),
+    // A1 Volume, BPM & Reverse
+    ...range(pad(0, 12), pad(0, 16)),
+    ...range(pad(0, 36), pad(0, 40)),
+    ...range(pad(0, 100), pad(0, 104)),
+    // A2 & J16 Names
+    ...range(name(1, 0), name(1, 24)),
+    ...range(name(159, 0), name(159, 24)),
+  ];
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] !== output[i]) {
+      t.true(allowed.includes(i), `Unexpected change at ${i}`);
+    }
+  }
+  t.deepEqual([...output.subarray(name(1, 0), name(1, 24))], [...Buffer.from('Kick\u0000                  \u0000')]);
+  t.deepEqual([...output.subarray(name(159, 0), name(159, 24))], [...Buffer.from(`${' '.repeat(23)}\u0000`)]);
+  t.deepEqual(output.subarray(31520), data.subarray(31520));
+});
+
+test('.toBuffer(): throws an error with invalid values', (t) => {
+  const data = fs.readFileSync('./PADCONF.BIN');
+  let audio = new AudioPadConf(data);
+  audio.name = 'A PROJECT NAME THAT IS TOO LONG';
+  audio.bpm = 500;
+  t.throws(() => {
+    audio.toBuffer();
+  }, { message: 'Project is invalid: Name is invalid, A PROJECT NAME THAT IS TOO LONG should be at most 16 bytes. BPM is invalid, 500 should be a number between 40 and 300.' });
+
+  audio = new AudioPadConf(data);
+  audio.pads[3].volume = 128;
+  audio.pads[3].sampleStart = 1024;
+  audio.pads[3].sampleEnd = 512;
+  t.throws(() => {
+    audio.toBuffer();
+  }, { message: 'Pad A4 is invalid: Sample End is invalid, 512 should not be before the start of 1024. Volume is invalid, 128 should be an integer between 0 and 127.' });
+
+  audio = new AudioPadConf(data);
+  audio.pads[3].label = 'K1';
+  t.throws(() => {
+    audio.toBuffer();
+  }, { message: 'Pad label is invalid, K1 should be between A1 and J16.' });
+});
+
+test('AudioPadConf.validatePad(data): returns every invalid value', (t) => {
+  t.deepEqual(AudioPadConf.validatePad({}), []);
+  t.deepEqual(AudioPadConf.validatePad({ gate: 255 }), []);
+  t.deepEqual(AudioPadConf.validatePad({
+    name: 'A sample name that is too long',
+    originalSampleEnd: -1,
+    sampleStart: 1.5,
+    sampleEnd: 'end',
+    loopStart: 0x100000000,
+    volume: 255,
+    bpm: 20,
+    gate: 'on',
+    loop: -1,
+    reverse: null,
+  }), [
+    'Name is invalid, A sample name that is too long should be at most 23 bytes.',
+    'Original Sample End is invalid, -1 should be a positive integer.',
+    'Sample Start is invalid, 1.5 should be a positive integer.',
+    'Sample End is invalid, end should be a positive integer.',
+    'Loop Start is invalid, 4294967296 should be a positive integer.',
+    'Volume is invalid, 255 should be an integer between 0 and 127.',
+    'BPM is invalid, 20 should be a number between 40 and 300.',
+    'Gate is invalid, on should be a boolean.',
+    'Loop is invalid, -1 should be a boolean.',
+    'Reverse is invalid, null should be a boolean.',
+  ]);
+});
+
+test('AudioPadConf.validatePad(data, original): skips the values that have not changed', (t) => {
+  const original = { volume: 255, bpm: 20, sampleStart: 1024, sampleEnd: 512 };
+  t.deepEqual(AudioPadConf.validatePad({ ...original }, original), []);
+  t.deepEqual(AudioPadConf.validatePad({ ...original, volume: 254, sampleEnd: 256 }, original), [
+    'Sample End is invalid, 256 should not be before the start of 1024.',
+    'Volume is invalid, 254 should be an integer between 0 and 127.',
+  ]);
+});
+
+test('AudioPadConf.encodePad(data): fills missing fields with the defaults of the profile', (t) => {
+  const pad = AudioPadConf.encodePad({ volume: 100 });
+  t.is(pad.readUInt32BE(0), SP404MKII.defaultPadConf.originalSampleEnd);
+  t.is(pad.readUInt32BE(12), 100);
+  t.is(pad.readUInt32BE(16), 1);
+  t.is(pad.readUInt32BE(36), 9000);
+  t.is(pad.readUInt32BE(68), 1);
+  t.is(pad.readUInt32BE(100), 0);
+  t.deepEqual(AudioPadConf.encodePad({ ...SP404MKII.defaultPadConf, volume: 100 }), pad);
+});
+
+test('AudioPadConf.encodeName(name): encodes names with the device padding', (t) => {
+  t.deepEqual([...AudioPadConf.encodeName('')], [...Buffer.from(`${' '.repeat(23)}\u0000`)]);
+  t.deepEqual([...AudioPadConf.encodeName('Wave Race 64 - M')], [...Buffer.from('Wave Race 64 - M\u0000      \u0000')]);
+  t.deepEqual([...AudioPadConf.encodeName('XO-4 CLAP (processed) 2')], [...Buffer.from('XO-4 CLAP (processed) 2\u0000')]);
+  t.is(AudioPadConf.decodeString(AudioPadConf.encodeName('1080° Snow Boar')), '1080° Snow Boar');
+});
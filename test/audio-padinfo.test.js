@@ -1,6 +1,11 @@
 import fs from 'fs';
 import test from 'ava';
 import AudioPadInfo from '../src/audio-padinfo.js';
+import AudioWave from '../src/audio-wave.js';
+import JSONFormatError from '../src/json-format-error.js';
+import PadInfoFormatError from '../src/pad-info-format-error.js';
+import { SP404MKII, SP404SX } from '../src/device-profiles.js';
+import { buildAiff, buildWave } from './helpers/wave.js';
 
 test('constructor(list, options): can initialize', (t) => {
   const data = fs.readFileSync('./test/assets/PAD_INFO.BIN');
@@ -127,6 +132,201 @@ test('.parse(): can decode edge cases, ivalid volume flags', (t) => {
   });
 });
 
+test('.parse(): reports no warnings for a valid file', (t) => {
+  const data = fs.readFileSync('./test/assets/PAD_INFO.BIN');
+  const { warnings } = new AudioPadInfo(data);
+  t.deepEqual(warnings, []);
+});
+
+test('.parse(): reports a warning for every invalid value', (t) => {
+  const data = fs.readFileSync('./test/assets/BAD_PAD.BIN');
+  const { warnings } = new AudioPadInfo(data);
+  t.is(warnings.length, 8);
+  t.deepEqual(warnings.map(({ field, offset }) => [field, offset]), [
+    ['volume', 16],
+    ['lofi', 17],
+    ['loop', 18],
+    ['gate', 19],
+    ['reverse', 20],
+    ['format', 21],
+    ['channels', 22],
+    ['tempoMode', 23],
+  ]);
+  t.true(warnings.every((warning) => warning.label === 'A1' && warning.severity === 'error' && warning.value === 255));
+});
+
+test('.parse(): reports warnings with the pad label and file offset', (t) => {
+  const data = Buffer.concat([
+    fs.readFileSync('./test/assets/PAD_DEFAULTS.BIN').subarray(0, 32),
+    fs.readFileSync('./test/assets/OPTIONS_B.BIN'),
+  ]);
+  const { warnings } = new AudioPadInfo(data);
+  t.deepEqual(warnings, [{
+    severity: 'error',
+    code: 'ERR_INVALID_VALUE',
+    label: 'A2',
+    offset: 48,
+    field: 'volume',
+    value: 255,
+    message: 'Invalid Volume: 255 should be between 0 and 127.',
+  }]);
+});
+
+test('.parse(): reports a warning when a sample ends before it starts', (t) => {
+  const data = Buffer.from(fs.readFileSync('./test/assets/PAD_A1.BIN'));
+  data.writeUInt32BE(256, 12);
+  const { warnings } = new AudioPadInfo(data);
+  t.deepEqual(warnings, [{
+    severity: 'warning',
+    code: 'ERR_SAMPLE_RANGE',
+    label: 'A1',
+    offset: 12,
+    field: 'userSampleEnd',
+    value: 256,
+    message: 'Unexpected User Sample End: 256 is before the start of 512.',
+  }]);
+});
+
+test('.parse(): reports a truncated file and ignores the partial record', (t) => {
+  const data = fs.readFileSync('./test/assets/PAD_INFO.BIN').subarray(0, 80);
+  const { pads, warnings } = new AudioPadInfo(data);
+  t.is(pads.length, 2);
+  t.deepEqual(warnings, [{
+    severity: 'error',
+    code: 'ERR_TRUNCATED',
+    label: 'A3',
+    offset: 64,
+    field: 'length',
+    value: 80,
+    message: 'Truncated: 80 bytes should be a multiple of 32, the last 16 bytes are ignored.',
+  }]);
+});
+
+test('constructor(input, { strict }): parses a valid file strictly', (t) => {
+  const data = fs.readFileSync('./test/assets/PAD_INFO.BIN');
+  const { pads, warnings } = new AudioPadInfo(data, { strict: true });
+  t.is(pads.length, 120);
+  t.deepEqual(warnings, []);
+});
+
+test('constructor(input, { strict }): throws a PadInfoFormatError on the first invalid value', (t) => {
+  const data = fs.readFileSync('./test/assets/BAD_PAD.BIN');
+  const error = t.throws(() => new AudioPadInfo(data, { strict: true }), { instanceOf: PadInfoFormatError });
+  t.is(error.message, 'A1 Invalid Volume: 255 should be between 0 and 127.');
+  t.is(error.code, 'ERR_INVALID_VALUE');
+  t.is(error.offset, 16);
+  t.is(error.value, 255);
+  t.is(error.label, 'A1');
+  t.is(error.field, 'volume');
+});
+
+test('constructor(input, { strict }): throws a PadInfoFormatError when truncated', (t) => {
+  const data = fs.readFileSync('./test/assets/PAD_INFO.BIN').subarray(0, 3839);
+  const error = t.throws(() => new AudioPadInfo(data, { strict: true }), { instanceOf: PadInfoFormatError });
+  t.is(error.code, 'ERR_TRUNCATED');
+  t.is(error.offset, 3808);
+  t.is(error.value, 3839);
+  t.is(error.label, 'J12');
+});
+
+test('.toBuffer(): can encode the same PAD_INFO.BIN file that was parsed', (t) => {
+  const data = fs.readFileSync('./test/assets/PAD_INFO.BIN');
+  const audio = new AudioPadInfo(data);
+  const output = audio.toBuffer();
+  t.is(output.length, 3840);
+  t.deepEqual(output, data);
+});
+
+test('.toBuffer(): can encode edited pads', (t) => {
+  const data = fs.readFileSync('./test/assets/PAD_INFO.BIN');
+  const audio = new AudioPadInfo(data);
+  audio.pads[0].volume = 100;
+  audio.pads[0].loop = true;
+  const { pads } = new AudioPadInfo(audio.toBuffer());
+  t.is(pads[0].volume, 100);
+  t.true(pads[0].loop);
+  t.deepEqual(pads.slice(1), audio.pads.slice(1));
+});
+
+test('.toBuffer(): writes pads in index order and fills missing pads with defaults', (t) => {
+  const defaults = fs.readFileSync('./test/assets/PAD_DEFAULTS.BIN');
+  const j12 = fs.readFileSync('./test/assets/PAD_J12.BIN');
+  const a1 = fs.readFileSync('./test/assets/PAD_A1.BIN');
+  const audio = new AudioPadInfo(Buffer.concat([a1, j12]));
+  audio.pads[1].label = 'J12';
+  audio.pads.reverse();
+  const output = audio.toBuffer();
+  t.is(output.length, 3840);
+  t.deepEqual(output.subarray(0, 32), a1);
+  t.deepEqual(output.subarray(32, 64), defaults);
+  t.deepEqual(output.subarray(3808), j12);
+
+  t.deepEqual(new AudioPadInfo().toBuffer(), Buffer.concat(Array(120).fill(defaults)));
+});
+
+test('.toBuffer(): fills missing pads with the defaults of the profile', (t) => {
+  const output = new AudioPadInfo(undefined, { profile: SP404MKII }).toBuffer();
+  t.is(output.length, 5120);
+  t.deepEqual(output.subarray(5088), AudioPadInfo.encodePad(AudioPadInfo.getDefaultPad('J16', SP404MKII)));
+  t.is(output[18], 1);
+  t.true(new AudioPadInfo(output, { profile: SP404MKII }).pads.every((pad) => pad.loop && pad.avaliable));
+  t.is(AudioPadInfo.encodePad({}, SP404MKII)[18], 1);
+  t.is(AudioPadInfo.encodePad({})[18], 0);
+});
+
+test('.toBuffer(): can encode the same invalid values that were parsed', (t) => {
+  const data = fs.readFileSync('./test/assets/BAD_PAD.BIN');
+  const audio = new AudioPadInfo(data);
+  t.deepEqual(audio.toBuffer().subarray(0, 32), data);
+});
+
+test('.toBuffer(): can encode a file with invalid values after editing a different pad', (t) => {
+  const data = Buffer.concat([
+    fs.readFileSync('./test/assets/BAD_PAD.BIN'),
+    fs.readFileSync('./test/assets/PAD_DEFAULTS.BIN').subarray(0, 32),
+  ]);
+  const audio = new AudioPadInfo(data);
+  audio.setPad('A2', { volume: 100 });
+  const output = audio.toBuffer();
+  t.deepEqual(output.subarray(0, 32), data.subarray(0, 32));
+  t.is(output[48], 100);
+});
+
+test('.toBuffer(): encodes changed fields and keeps unchanged invalid values', (t) => {
+  const data = fs.readFileSync('./test/assets/BAD_PAD.BIN');
+  const audio = new AudioPadInfo(data);
+  audio.setPad('A1', { channels: 'Mono', loop: true, userTempo: 90 });
+  const expected = Buffer.from(data);
+  expected[18] = 1;
+  expected[22] = 1;
+  expected.writeUInt32BE(900, 28);
+  t.deepEqual(audio.toBuffer().subarray(0, 32), expected);
+});
+
+test('AudioPadInfo.isUnchanged(pad, field): returns true only for values that match the raw bytes', (t) => {
+  const data = fs.readFileSync('./test/assets/BAD_PAD.BIN');
+  const [pad] = new AudioPadInfo(data).pads;
+  for (const field of Object.keys(AudioPadInfo.rawFields)) {
+    t.true(AudioPadInfo.isUnchanged(pad, field), field);
+  }
+  t.false(AudioPadInfo.isUnchanged({ ...pad, volume: 100 }, 'volume'));
+  t.false(AudioPadInfo.isUnchanged({ ...pad, channels: 'Stereo' }, 'channels'));
+  t.false(AudioPadInfo.isUnchanged({ ...pad, userTempo: 120 }, 'userTempo'));
+  t.false(AudioPadInfo.isUnchanged({ ...pad, raw: undefined }, 'volume'));
+  t.false(AudioPadInfo.isUnchanged(pad, 'label'));
+});
+
+test('AudioPadInfo.decodeField(raw, field): decodes fields the same way as parse', (t) => {
+  const data = fs.readFileSync('./test/assets/PAD_INFO.BIN');
+  const { pads } = new AudioPadInfo(data);
+  for (const pad of pads) {
+    for (const field of Object.keys(AudioPadInfo.rawFields)) {
+      t.is(AudioPadInfo.decodeField(pad.raw, field), pad[field]);
+    }
+  }
+  t.is(AudioPadInfo.decodeField(pads[0].raw, 'label'), undefined);
+});
+
 test('AudioWAV.encodePad(data): can encode a default PAD_INFO.BIN pad', (t) => {
   const valid = fs.readFileSync('./test/assets/PAD_DEFAULTS.BIN');
   const data = {
@@ -298,6 +498,37 @@ test('AudioPadInfo.getPadIndex(label): returns a pad index or -1', (t) => {
   }
 });
 
+test('AudioPadInfo.getPadLabel(index, profile): returns a pad label for the profile', (t) => {
+  t.is(AudioPadInfo.getPadLabel(12, SP404SX), 'B1');
+  t.is(AudioPadInfo.getPadLabel(12, SP404MKII), 'A13');
+  t.is(AudioPadInfo.getPadLabel(159, SP404MKII), 'J16');
+  t.is(AudioPadInfo.getPadLabel(120, SP404SX), '');
+});
+
+test('AudioPadInfo.getPadIndex(label, profile): returns a pad index for the profile', (t) => {
+  t.is(AudioPadInfo.getPadIndex('A13', SP404SX), -1);
+  t.is(AudioPadInfo.getPadIndex('A13', SP404MKII), 12);
+  t.is(AudioPadInfo.getPadIndex('K1', SP404MKII), -1);
+  t.is(AudioPadInfo.getPadIndex('A0', SP404MKII), -1);
+});
+
+test('constructor(input, { profile }): uses the profile for labels, filenames and defaults', (t) => {
+  const profile = {
+    ...SP404SX,
+    banks: 2,
+    padsPerBank: 2,
+    filename: (label) => `${label}.WAV`,
+    defaultPad: { ...SP404SX.defaultPad, volume: 100 },
+  };
+  const data = fs.readFileSync('./test/assets/PAD_INFO.BIN').subarray(0, 96);
+  const audio = new AudioPadInfo(data, { profile });
+  t.is(audio.profile, profile);
+  t.deepEqual(audio.pads.map((pad) => [pad.label, pad.filename]), [['A1', 'A1.WAV'], ['A2', 'A2.WAV'], ['B1', 'B1.WAV']]);
+  t.throws(() => audio.getPad('A3'), { message: 'Pad label is invalid, A3 should be between A1 and B2.' });
+  t.is(audio.resetPad('B2').volume, 100);
+  t.is(audio.toBuffer().length, 128);
+});
+
 test('AudioPadInfo.checkDefault(pad): returns the booelan value of the default status', (t) => {
   const data = {
     originalSampleStart: 512,
@@ -326,3 +557,369 @@ test('AudioPadInfo.checkDefault(pad): returns the booelan value of the default s
   t.true(AudioPadInfo.checkDefault({ ...data, format: 'AIFF' }));
   t.false(AudioPadInfo.checkDefault({ ...data, format: 'AIFF' }, true));
 });
+
+test('.getPad(label): returns the pad for a label', (t) => {
+  const data = fs.readFileSync('./test/assets/PAD_INFO.BIN');
+  const audio = new AudioPadInfo(data);
+  t.is(audio.getPad('A1'), audio.pads[0]);
+  t.is(audio.getPad('j12'), audio.pads[119]);
+  t.is(new AudioPadInfo(fs.readFileSync('./test/assets/PAD_A1.BIN')).getPad('B1'), undefined);
+  t.throws(() => {
+    audio.getPad('K1');
+  }, { message: 'Pad label is invalid, K1 should be between A1 and J12.' });
+});
+
+test('.setPad(label, partialPad): updates a pad with valid values', (t) => {
+  const data = fs.readFileSync('./test/assets/PAD_INFO.BIN');
+  const audio = new AudioPadInfo(data);
+  const pad = audio.setPad('b4', { volume: 98, loop: true });
+  t.is(pad, audio.pads[15]);
+  t.is(pad.label, 'B4');
+  t.is(pad.volume, 98);
+  t.true(pad.loop);
+
+  // The label and filename cannot be changed.
+  audio.setPad('A1', { label: 'C1', filename: 'C0000001.WAV' });
+  t.is(audio.pads[0].label, 'A1');
+  t.is(audio.pads[0].filename, 'A0000001.WAV');
+
+  const { pads } = new AudioPadInfo(audio.toBuffer());
+  t.is(pads[15].volume, 98);
+  t.true(pads[15].loop);
+});
+
+test('.setPad(label, partialPad): creates missing pads in index order', (t) => {
+  const audio = new AudioPadInfo(fs.readFileSync('./test/assets/PAD_A1.BIN'));
+  audio.setPad('C1', { volume: 10 });
+  audio.setPad('B1', { originalSampleEnd: 1024, userSampleEnd: 1024 });
+  t.deepEqual(audio.pads.map((pad) => pad.label), ['A1', 'B1', 'C1']);
+  t.is(audio.pads[2].volume, 10);
+  t.false(audio.pads[1].avaliable);
+  t.true(audio.pads[2].avaliable);
+});
+
+test('.setPad(label, partialPad): throws an error with invalid values and leaves the pad unchanged', (t) => {
+  const data = fs.readFileSync('./test/assets/PAD_INFO.BIN');
+  const audio = new AudioPadInfo(data);
+  t.throws(() => {
+    audio.setPad('B4', { volume: 255 });
+  }, { message: 'Pad B4 is invalid: Volume is invalid, 255 should be an integer between 0 and 127.' });
+  t.throws(() => {
+    audio.setPad('A1', { userSampleStart: 4096, userSampleEnd: 1024 });
+  }, { message: 'Pad A1 is invalid: User Sample End is invalid, 1024 should not be before the start of 4096.' });
+  t.throws(() => {
+    audio.setPad('A1', { originalSampleStart: 0, channels: 3 });
+  }, { message: 'Pad A1 is invalid: Original Sample Start is invalid, 0 should be an integer of at least 512. Channels is invalid, 3 should be an integer between 1 and 2.' });
+  t.throws(() => {
+    audio.setPad('K1', {});
+  }, { message: 'Pad label is invalid, K1 should be between A1 and J12.' });
+  t.is(audio.pads[15].volume, 127);
+  t.deepEqual(audio.toBuffer(), data);
+});
+
+test('.resetPad(label): resets a pad to the default values', (t) => {
+  const defaults = fs.readFileSync('./test/assets/PAD_DEFAULTS.BIN');
+  const data = fs.readFileSync('./test/assets/PAD_INFO.BIN');
+  const audio = new AudioPadInfo(data);
+  const pad = audio.resetPad('A1');
+  t.is(pad, audio.pads[0]);
+  t.true(pad.avaliable);
+  t.is(pad.label, 'A1');
+  t.deepEqual(audio.toBuffer().subarray(0, 32), defaults);
+  t.deepEqual(audio.toBuffer().subarray(32), data.subarray(32));
+});
+
+test('AudioPadInfo.validatePad(data): returns every invalid value', (t) => {
+  t.deepEqual(AudioPadInfo.validatePad({}), []);
+  t.deepEqual(AudioPadInfo.validatePad(AudioPadInfo.getDefaultPad('A1')), []);
+  t.deepEqual(AudioPadInfo.validatePad(AudioPadInfo.getDefaultPad('J16', SP404MKII)), []);
+  t.deepEqual(AudioPadInfo.validatePad({
+    originalSampleStart: 511,
+    originalSampleEnd: 100.5,
+    userSampleStart: 1024,
+    userSampleEnd: 512,
+    volume: -1,
+    lofi: 255,
+    loop: 'yes',
+    gate: 2,
+    reverse: null,
+    format: 'Invalid (255)',
+    channels: 'Invalid (255)',
+    tempoMode: 'Invalid',
+    originalTempo: 429496729.5,
+    userTempo: '120',
+  }), [
+    'Original Sample Start is invalid, 511 should be an integer of at least 512.',
+    'Original Sample End is invalid, 100.5 should be an integer of at least 512.',
+    'User Sample End is invalid, 512 should not be before the start of 1024.',
+    'Volume is invalid, -1 should be an integer between 0 and 127.',
+    'LoFi is invalid, 255 should be a boolean.',
+    'Loop is invalid, yes should be a boolean.',
+    'Gate is invalid, 2 should be a boolean.',
+    'Reverse is invalid, null should be a boolean.',
+    'Format is invalid, Invalid (255) should be one of \'WAVE\' or \'AIFF\'.',
+    'Channels is invalid, Invalid (255) should be an integer between 1 and 2.',
+    'Tempo Mode is invalid, Invalid should be one of \'Off\', \'Pattern\', or \'User\'.',
+    'Original Tempo is invalid, 429496729.5 should be a number between 40 and 200.',
+    'User Tempo is invalid, 120 should be a number between 40 and 200.',
+  ]);
+});
+
+test('AudioPadInfo.getOriginalTempo(frames, sampleRate): matches the tempos of SP-404SX Wave Converter', (t) => {
+  const { pads } = new AudioPadInfo(fs.readFileSync('./test/assets/PAD_INFO.BIN'));
+  for (const label of ['A1', 'A2', 'A9', 'A11', 'A12', 'J12']) {
+    const pad = pads.find((p) => p.label === label);
+    const frames = (pad.originalSampleEnd - pad.originalSampleStart) / 4;
+    t.is(AudioPadInfo.getOriginalTempo(frames), pad.originalTempo, label);
+  }
+  t.is(AudioPadInfo.getOriginalTempo(44100), 120);
+  t.is(AudioPadInfo.getOriginalTempo(22050, 22050), 120);
+  t.is(AudioPadInfo.getOriginalTempo(1), 80.7);
+  t.throws(() => AudioPadInfo.getOriginalTempo(0), { message: 'Sample length is invalid, 0 frames at 44100 Hz should be more than 0.' });
+});
+
+test('AudioPadInfo.getPadFromWave(input, label, profile): builds a pad from a WAVE file', (t) => {
+  const pad = AudioPadInfo.getPadFromWave(buildWave({ frames: 96219, padding: 460 }), 'a1');
+  t.deepEqual(pad, {
+    avaliable: false,
+    label: 'A1',
+    filename: 'A0000001.WAV',
+    originalSampleStart: 512,
+    originalSampleEnd: 385388,
+    userSampleStart: 512,
+    userSampleEnd: 385388,
+    volume: 127,
+    lofi: false,
+    loop: false,
+    gate: true,
+    reverse: false,
+    format: 'WAVE',
+    channels: 'Stereo',
+    tempoMode: 'Off',
+    originalTempo: 109.9,
+    userTempo: 109.9,
+  });
+  t.notThrows(() => AudioPadInfo.encodePad(pad));
+});
+
+test('AudioPadInfo.getPadFromWave(input, label, profile): reads mono files and other data offsets', (t) => {
+  const pad = AudioPadInfo.getPadFromWave(new AudioWave(buildWave({ channels: 1, frames: 44100 })), 'J12');
+  t.is(pad.channels, 'Mono');
+  t.is(pad.originalSampleStart, 44);
+  t.is(pad.originalSampleEnd, 44 + 88200);
+  t.is(pad.originalTempo, 120);
+});
+
+test('AudioPadInfo.getPadFromWave(input, label, profile): throws on invalid labels and channels', (t) => {
+  t.throws(() => AudioPadInfo.getPadFromWave(buildWave(), 'A13'), { message: 'Pad label is invalid, A13 should be between A1 and J12.' });
+  t.notThrows(() => AudioPadInfo.getPadFromWave(buildWave(), 'A13', SP404MKII));
+  t.throws(() => AudioPadInfo.getPadFromWave(buildWave({ channels: 4 }), 'A1'), { message: 'Channels are invalid, 4 should be 1 or 2.' });
+});
+
+test('AudioPadInfo.getPadFromSample(input, label, profile): builds a pad from an AIFF file', (t) => {
+  const pad = AudioPadInfo.getPadFromSample(buildAiff({ channels: 1, frames: 44100 }), 'B1');
+  t.is(pad.format, 'AIFF');
+  t.is(pad.channels, 'Mono');
+  t.is(pad.filename, 'B0000001.WAV');
+  t.is(pad.originalSampleStart, 54);
+  t.is(pad.originalSampleEnd, 54 + 88200);
+  t.is(pad.userSampleStart, 54);
+  t.is(pad.userSampleEnd, 54 + 88200);
+  t.is(pad.originalTempo, 120);
+  t.is(AudioPadInfo.decodeField(AudioPadInfo.encodePad(pad), 'format'), 'AIFF');
+});
+
+test('AudioPadInfo.getPadFromSample(input, label, profile): builds a pad from a WAVE file', (t) => {
+  const pad = AudioPadInfo.getPadFromSample(buildWave({ frames: 96219, padding: 460 }), 'A1');
+  t.deepEqual(pad, AudioPadInfo.getPadFromWave(buildWave({ frames: 96219, padding: 460 }), 'A1'));
+  t.is(pad.format, 'WAVE');
+});
+
+test('.repair(): resets records with invalid flags like BAD_PAD.BIN', (t) => {
+  const padInfo = new AudioPadInfo(fs.readFileSync('./test/assets/BAD_PAD.BIN'));
+  const changes = padInfo.repair();
+  t.deepEqual(changes.map(({ field, from, to }) => [field, from, to]), [
+    ['originalSampleStart', 4294967295, 512],
+    ['originalSampleEnd', 4294967295, 512],
+    ['userSampleStart', 4294967295, 512],
+    ['userSampleEnd', 4294967295, 512],
+    ['volume', 255, 127],
+    ['lofi', 255, false],
+    ['loop', 255, false],
+    ['gate', 255, true],
+    ['reverse', 255, false],
+    ['format', 'Invalid (255)', 'WAVE'],
+    ['channels', 'Invalid (255)', 'Stereo'],
+    ['tempoMode', 'Invalid', 'Off'],
+    ['originalTempo', 429496729.5, 120],
+    ['userTempo', 429496729.5, 120],
+  ]);
+  t.true(changes.every((change) => change.label === 'A1' && change.reason === 'Invalid lofi: 255 should be 0 or 1, the pad was reset.'));
+  t.true(padInfo.pads[0].avaliable);
+  t.deepEqual([...padInfo.toBuffer().slice(0, 32)], [...fs.readFileSync('./test/assets/PAD_DEFAULTS.BIN')]);
+  t.deepEqual(padInfo.repair(), []);
+});
+
+test('.repair(): clamps volume and tempos and defaults unknown values', (t) => {
+  const data = fs.readFileSync('./test/assets/PAD_A1.BIN');
+  data[16] = 200;
+  data[22] = 7;
+  data.writeUInt32BE(10, 28);
+  const padInfo = new AudioPadInfo(data);
+  t.deepEqual(padInfo.repair(), [
+    { label: 'A1', field: 'volume', from: 200, to: 127, reason: 'Invalid Volume: 200 should be between 0 and 127.' },
+    { label: 'A1', field: 'channels', from: 'Invalid (7)', to: 'Stereo', reason: 'Invalid Channels: Invalid (7) should be Mono or Stereo.' },
+    { label: 'A1', field: 'userTempo', from: 1, to: 40, reason: 'Invalid Tempo: 1 should be between 40 and 200.' },
+  ]);
+  t.false(padInfo.pads[0].avaliable);
+  t.deepEqual(new AudioPadInfo(padInfo.toBuffer()).warnings, []);
+});
+
+test('.repair(): keeps numeric values accepted by setPad as booleans and names', (t) => {
+  const padInfo = new AudioPadInfo(fs.readFileSync('./test/assets/PAD_A1.BIN'));
+  const before = { ...padInfo.pads[0] };
+  padInfo.setPad('A1', { loop: 1, gate: 0, channels: 1, tempoMode: 2 });
+  t.deepEqual(padInfo.repair(), [
+    { label: 'A1', field: 'loop', from: 1, to: true, reason: 'Numeric loop: 1 is stored as true.' },
+    { label: 'A1', field: 'gate', from: 0, to: false, reason: 'Numeric gate: 0 is stored as false.' },
+    { label: 'A1', field: 'channels', from: 1, to: 'Mono', reason: 'Numeric channels: 1 is stored as Mono.' },
+    { label: 'A1', field: 'tempoMode', from: 2, to: 'User', reason: 'Numeric tempoMode: 2 is stored as User.' },
+  ]);
+  t.deepEqual(padInfo.pads[0], { ...before, loop: true, gate: false, channels: 'Mono', tempoMode: 'User' });
+});
+
+test('.repair({ samples }): recomputes offsets from samples and resets pads without a sample', (t) => {
+  const sample = buildWave({ channels: 1, frames: 1000, padding: 460 });
+  const padInfo = new AudioPadInfo(fs.readFileSync('./test/assets/PAD_INFO.BIN'));
+  padInfo.setPad('A1', { userSampleStart: 600, userSampleEnd: 1000 });
+  padInfo.setPad('A2', { userSampleStart: 600, userSampleEnd: 900 });
+  const changes = padInfo.repair({ samples: { A1: sample, A2: new AudioWave(sample), A3: Buffer.from('broken') } });
+  t.deepEqual(changes.filter((change) => change.label === 'A1'), [
+    { label: 'A1', field: 'originalSampleEnd', from: 385388, to: 2512, reason: 'Recomputed from the sample file.' },
+    { label: 'A1', field: 'channels', from: 'Stereo', to: 'Mono', reason: 'Recomputed from the sample file.' },
+  ]);
+  t.deepEqual(changes.filter((change) => change.label === 'A2').map(({ field, to }) => [field, to]), [
+    ['originalSampleEnd', 2512],
+    ['channels', 'Mono'],
+  ]);
+  t.deepEqual(changes.filter((change) => change.label === 'A3'), []);
+  const a4 = changes.filter((change) => change.label === 'A4');
+  t.true(a4.every((change) => change.reason === 'Missing sample, the pad was reset.'));
+  t.true(padInfo.getPad('A4').avaliable);
+  t.is(padInfo.getPad('J1').avaliable, true);
+  t.deepEqual(changes.filter((change) => change.label === 'J1'), []);
+});
+
+test('.repair({ samples }): resets the user range when it is outside of the sample', (t) => {
+  const sample = buildWave({ frames: 100, padding: 460 });
+  const padInfo = new AudioPadInfo(fs.readFileSync('./test/assets/PAD_A1.BIN'));
+  const changes = padInfo.repair({ samples: new Map([['A1', sample]]) });
+  t.deepEqual(changes.map(({ field, to }) => [field, to]), [
+    ['originalSampleEnd', 912],
+    ['userSampleEnd', 912],
+  ]);
+  t.is(changes[1].reason, 'User sample range 512 - 385388 is outside of the sample, reset to the whole sample.');
+});
+
+test('AudioPadInfo.diff(before, after): lists added, cleared and changed pads', (t) => {
+  const before = new AudioPadInfo(fs.readFileSync('./test/assets/PAD_INFO.BIN'));
+  const after = new AudioPadInfo(fs.readFileSync('./test/assets/PAD_INFO.BIN'));
+  t.deepEqual(AudioPadInfo.diff(before, after), []);
+
+  after.setPad('B4', { volume: 98, loop: true });
+  after.resetPad('A2');
+  after.setPad('J11', AudioPadInfo.getPadFromWave(buildWave({ padding: 460 }), 'J11'));
+  const diffs = AudioPadInfo.diff(before, after);
+  t.deepEqual(diffs.map(({ label, type }) => [label, type]), [['A2', 'cleared'], ['B4', 'changed'], ['J11', 'added']]);
+  t.deepEqual(diffs[1].changes, [
+    { field: 'volume', from: 127, to: 98 },
+    { field: 'loop', from: false, to: true },
+  ]);
+  t.is(AudioPadInfo.formatDiff(diffs), [
+    'A2 cleared',
+    'B4 volume 127 → 98, loop false → true',
+    'J11 added, originalSampleEnd 512 → 912, userSampleEnd 512 → 912, originalTempo 120 → 103.3, userTempo 120 → 103.3',
+  ].join('\n'));
+  t.is(AudioPadInfo.formatDiff([]), '');
+});
+
+test('AudioPadInfo.diff(before, after): compares missing pads as default pads', (t) => {
+  const before = new AudioPadInfo(fs.readFileSync('./test/assets/PAD_A1.BIN'));
+  const after = new AudioPadInfo(fs.readFileSync('./test/assets/PAD_INFO.BIN'));
+  const diffs = AudioPadInfo.diff(before, after);
+  t.is(diffs[0].label, 'A2');
+  t.true(diffs.every(({ type }) => type === 'added'));
+  t.deepEqual(AudioPadInfo.diff(after, before).map(({ label, type }) => [label, type]), diffs.map(({ label }) => [label, 'cleared']));
+});
+
+test('.toJSON(): converts the pads to JSON without the raw bytes', (t) => {
+  const padInfo = new AudioPadInfo(fs.readFileSync('./test/assets/PAD_INFO.BIN'));
+  const json = JSON.parse(JSON.stringify(padInfo));
+  t.is(json.version, 1);
+  t.is(json.profile, 'SP-404SX');
+  t.is(json.pads.length, 120);
+  t.deepEqual(json.pads[0], { ...padInfo.pads[0] });
+  t.false('raw' in json.pads[0]);
+});
+
+test('.parse(): keeps the raw bytes of each pad out of JSON and copies', (t) => {
+  const data = fs.readFileSync('./test/assets/PAD_INFO.BIN');
+  const padInfo = new AudioPadInfo(data);
+  const [pad] = padInfo.pads;
+  t.deepEqual(pad.raw, new Uint8Array(data.subarray(0, 32)));
+  t.false(Object.keys(pad).includes('raw'));
+  t.false('raw' in { ...pad });
+  t.false(JSON.stringify(padInfo.pads).includes('raw'));
+  t.deepEqual(padInfo.setPad('A1', { volume: 100 }).raw, pad.raw);
+});
+
+test('AudioPadInfo.fromJSON(input): round trips PAD_INFO.BIN through JSON', (t) => {
+  const data = fs.readFileSync('./test/assets/PAD_INFO.BIN');
+  const padInfo = AudioPadInfo.fromJSON(JSON.stringify(new AudioPadInfo(data)));
+  t.deepEqual([...padInfo.toBuffer()], [...data]);
+  t.deepEqual(padInfo.warnings, []);
+});
+
+test('AudioPadInfo.fromJSON(input): round trips BAD_PAD.BIN through JSON with the raw bytes', (t) => {
+  const data = fs.readFileSync('./test/assets/BAD_PAD.BIN');
+  const json = JSON.parse(JSON.stringify(new AudioPadInfo(data)));
+  t.is(json.pads[0].volume, 255);
+  t.deepEqual(json.pads[0].raw, [...data]);
+
+  const padInfo = AudioPadInfo.fromJSON(json);
+  t.deepEqual([...padInfo.toBuffer().subarray(0, 32)], [...data]);
+  t.is(padInfo.pads[0].volume, 255);
+  t.false(Object.keys(padInfo.pads[0]).includes('raw'));
+
+  // Values changed away from the raw bytes are still checked.
+  const error = t.throws(() => AudioPadInfo.fromJSON({ ...json, pads: [{ ...json.pads[0], volume: 254 }] }), { instanceOf: JSONFormatError });
+  t.is(error.path, '$.pads[0]');
+  t.is(error.keyword, 'validatePad');
+});
+
+test('AudioPadInfo.fromJSON(input): fills missing pads with defaults and uses the profile', (t) => {
+  const pad = { ...AudioPadInfo.getPadFromWave(buildWave({ padding: 460 }), 'J16', SP404MKII), lofi: false, volume: 90 };
+  const padInfo = AudioPadInfo.fromJSON({ version: 1, profile: 'SP-404MKII', pads: [pad] });
+  t.is(padInfo.profile, SP404MKII);
+  t.is(padInfo.pads.length, 160);
+  t.is(padInfo.getPad('J16').volume, 90);
+  t.false(padInfo.getPad('J16').avaliable);
+  t.true(padInfo.getPad('A1').avaliable);
+});
+
+test('AudioPadInfo.fromJSON(input): throws a JSONFormatError with the JSON path', (t) => {
+  const pad = JSON.parse(JSON.stringify(new AudioPadInfo(fs.readFileSync('./test/assets/PAD_A1.BIN')))).pads[0];
+  let error = t.throws(() => AudioPadInfo.fromJSON({ version: 1, profile: 'SP-404SX', pads: [pad, { ...pad, label: 'B2', volume: 128 }] }), { instanceOf: JSONFormatError });
+  t.is(error.message, 'JSON is invalid at $.pads[1].volume, 128 should be at most 127.');
+  t.is(error.path, '$.pads[1].volume');
+
+  error = t.throws(() => AudioPadInfo.fromJSON({ version: 1, profile: 'SP-404SX', pads: [{ ...pad, label: 'A16' }] }), { instanceOf: JSONFormatError });
+  t.is(error.message, 'JSON is invalid at $.pads[0].label, "A16" should be a pad on the SP-404SX.');
+
+  error = t.throws(() => AudioPadInfo.fromJSON({ version: 1, profile: 'SP-404SX', pads: [pad, pad] }), { instanceOf: JSONFormatError });
+  t.is(error.message, 'JSON is invalid at $.pads[1].label, "A1" should only be used once.');
+
+  error = t.throws(() => AudioPadInfo.fromJSON({ version: 1, profile: 'SP-404SX', pads: [{ ...pad, userSampleStart: 2048, userSampleEnd: 1024 }] }), { instanceOf: JSONFormatError });
+  t.is(error.message, 'JSON is invalid at $.pads[0], User Sample End is invalid, 1024 should not be before the start of 2048.');
+  t.is(error.keyword, 'validatePad');
+});
@@ -0,0 +1,768 @@
+import fs from 'fs';
+import test from 'ava';
+import AudioPattern from '../src/audio-pattern.js';
+import JSONFormatError from '../src/json-format-error.js';
+import PatternFooterError from '../src/pattern-footer-error.js';
+import PatternFormatError from '../src/pattern-format-error.js';
+import { SP404, SP404MKII, SP404SX } from '../src/device-profiles.js';
+
+/**
+ * Build a pattern file from note byte arrays and a footer.
+ * @param {number[][]} notes The 8 bytes of each note.
+ * @param {number[]} footer The 16 footer bytes.
+ * @returns {Buffer} The pattern file.
+ */
+const buildPattern = (notes, footer) => Buffer.from([...notes.flat(), ...footer]);
+
+const footerMKII = [0, 140, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 128, 1, 1];
+const footerOG = [0, 140, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0];
+
+test('constructor(input, options): can initialize', (t) => {
+  const data = buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x00],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+  ], footerMKII);
+  const pattern = new AudioPattern(data);
+  t.is(pattern.notes.length, 2);
+  t.is(pattern.bars, 1);
+  t.is(pattern.timeSignature, 0);
+  t.is(pattern.notes[0].padLabel, 'A1');
+  t.is(pattern.notes[0].length, 96);
+});
+
+test('.parse(): reports no warnings for a valid MKII pattern', (t) => {
+  const data = buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x00],
+    [0, 48, 65, 141, 100, 0, 0x60, 0x00],
+  ], footerMKII);
+  const { warnings } = new AudioPattern(data);
+  t.deepEqual(warnings, []);
+});
+
+test('.parse(): reports no warnings for a valid OG pattern', (t) => {
+  const data = buildPattern([
+    [0, 47, 0, 0, 127, 64, 0x60, 0x00],
+  ], footerOG);
+  const { warnings } = new AudioPattern(data, { og: true, padsPerBank: 12 });
+  t.deepEqual(warnings, []);
+});
+
+test('.parse(): reports note warnings with the note index and file offset', (t) => {
+  const data = buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x00],
+    [0, 47, 3, 200, 127, 12, 0x60, 0x00],
+  ], footerMKII);
+  const { notes, warnings } = new AudioPattern(data);
+  t.is(notes[1].sampleNumber, 160);
+  t.deepEqual(warnings, [
+    {
+      severity: 'error',
+      code: 'ERR_INVALID_VALUE',
+      noteIndex: 1,
+      offset: 10,
+      field: 'bankSwitch',
+      value: 3,
+      message: 'Unexpected value for SP-404MKII bankSwitch: 3 should be 0, 1, 64 or 65.',
+    },
+    {
+      severity: 'warning',
+      code: 'ERR_INVALID_VALUE',
+      noteIndex: 1,
+      offset: 11,
+      field: 'pitchMode',
+      value: 200,
+      message: 'Unexpected value for pitchMode: 200 should be 0 or between 129 and 153.',
+    },
+    {
+      severity: 'warning',
+      code: 'ERR_INVALID_VALUE',
+      noteIndex: 1,
+      offset: 13,
+      field: 'unknown3',
+      value: 12,
+      message: 'Unexpected value for unknown3: 12 should be 0 or 64.',
+    },
+  ]);
+});
+
+test('.parse(): reports footer warnings with the file offset', (t) => {
+  const footer = [...footerMKII];
+  footer[3] = 7;
+  footer[14] = 2;
+  const data = buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x00],
+  ], footer);
+  const { warnings } = new AudioPattern(data);
+  t.deepEqual(warnings.map(({ code, field, offset, value, noteIndex }) => ({ code, field, offset, value, noteIndex })), [
+    { code: 'ERR_INVALID_VALUE', field: 'footer[3]', offset: 11, value: 7, noteIndex: undefined },
+    { code: 'ERR_BARS_MISMATCH', field: 'footer[14]', offset: 22, value: 2, noteIndex: undefined },
+  ]);
+  t.true(warnings.every((warning) => warning.severity === 'warning'));
+});
+
+test('.parse(): reports a truncated pattern and ignores the partial note', (t) => {
+  const data = buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x00],
+    [0, 48, 64],
+  ], footerMKII);
+  const { bars, notes, warnings } = new AudioPattern(data);
+  t.is(notes.length, 1);
+  t.is(bars, 1);
+  t.deepEqual(warnings, [{
+    severity: 'error',
+    code: 'ERR_TRUNCATED',
+    noteIndex: undefined,
+    offset: 8,
+    field: 'length',
+    value: 27,
+    message: 'Truncated: 27 bytes should be a multiple of 8 plus the 16 byte footer, 3 bytes before the footer are ignored.',
+  }]);
+});
+
+test('.parse(): reports a pattern too short for the footer', (t) => {
+  const { notes, warnings } = new AudioPattern(Buffer.from([0, 140, 0, 0]));
+  t.deepEqual(notes, []);
+  t.is(warnings.length, 1);
+  t.is(warnings[0].code, 'ERR_TRUNCATED');
+  t.is(warnings[0].field, 'footer');
+});
+
+test('constructor(input, { strict }): parses a valid pattern strictly', (t) => {
+  const data = buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x00],
+  ], footerMKII);
+  const { notes } = new AudioPattern(data, { strict: true });
+  t.is(notes.length, 1);
+});
+
+test('constructor(input, { strict }): throws a PatternFormatError on the first invalid note value', (t) => {
+  const data = buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x00],
+    [0, 47, 3, 0, 127, 64, 0x60, 0x00],
+  ], footerMKII);
+  const error = t.throws(() => new AudioPattern(data, { strict: true }), { instanceOf: PatternFormatError });
+  t.is(error.code, 'ERR_INVALID_VALUE');
+  t.is(error.offset, 10);
+  t.is(error.value, 3);
+  t.is(error.noteIndex, 1);
+  t.is(error.field, 'bankSwitch');
+});
+
+test('constructor(input, { strict }): throws a PatternFooterError on an unexpected footer byte', (t) => {
+  const data = buildPattern([
+    [0, 47, 0, 0, 127, 64, 0x60, 0x00],
+  ], footerOG);
+  const error = t.throws(() => new AudioPattern(data, { strict: true }), { instanceOf: PatternFooterError });
+  t.true(error instanceof PatternFormatError);
+  t.is(error.code, 'ERR_INVALID_VALUE');
+  t.is(error.offset, 16);
+  t.is(error.value, 0);
+  t.is(error.field, 'footer[8]');
+});
+
+test('constructor(input, { strict }): throws a PatternFormatError when truncated', (t) => {
+  const data = buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60],
+  ], footerMKII);
+  const error = t.throws(() => new AudioPattern(data, { strict: true }), { instanceOf: PatternFormatError });
+  t.is(error.code, 'ERR_TRUNCATED');
+  t.is(error.value, 23);
+});
+
+test('constructor(input, { profile }): reads pads from the bank switch groups of the profile', (t) => {
+  const data = buildPattern([
+    [0, 47, 0, 0, 127, 64, 0x60, 0x00],
+    [0, 118, 0, 0, 127, 64, 0x60, 0x00],
+    [0, 71, 64, 0, 127, 64, 0x60, 0x00],
+    [0, 118, 64, 0, 127, 64, 0x60, 0x00],
+  ], footerOG);
+  const { notes, profile, warnings } = new AudioPattern(data, { profile: SP404SX });
+  t.is(profile, SP404SX);
+  t.deepEqual(warnings, []);
+  t.deepEqual(notes.map((note) => note.padLabel), ['A1', 'F12', 'G1', 'J12']);
+  for (const note of notes) {
+    const { midiNote, bankSwitch } = AudioPattern.defaultMapOG[note.padLabel];
+    t.is(note.midiNote, midiNote);
+    t.is(note.bankSwitch, bankSwitch);
+  }
+});
+
+test('constructor(input, { og }): uses the SP-404SX profile for OG patterns', (t) => {
+  const data = buildPattern([
+    [0, 47, 0, 0, 127, 64, 0x60, 0x00],
+  ], footerOG);
+  t.is(new AudioPattern(data, { og: true }).profile, SP404SX);
+  t.is(new AudioPattern(data).profile, SP404MKII);
+  t.is(new AudioPattern(data, { og: true, padsPerBank: 16 }).profile.padsPerBank, 16);
+});
+
+test('AudioPattern.getPadMap(profile): builds the pad mapping for a profile', (t) => {
+  const mkii = AudioPattern.getPadMap(SP404MKII);
+  t.is(Object.keys(mkii).length, 160);
+  t.deepEqual(mkii.A1, { midiNote: 47, pad: 'A1', bankSwitch: 64 });
+  t.deepEqual(mkii.E16, { midiNote: 126, pad: 'E16', bankSwitch: 64 });
+  t.deepEqual(mkii.F1, { midiNote: 47, pad: 'F1', bankSwitch: 65 });
+  t.deepEqual(mkii.J16, { midiNote: 126, pad: 'J16', bankSwitch: 65 });
+
+  const og = AudioPattern.getPadMap(SP404);
+  t.is(Object.keys(og).length, 120);
+  t.deepEqual(og.F12, { midiNote: 118, pad: 'F12', bankSwitch: 0 });
+  t.deepEqual(og.G1, { midiNote: 71, pad: 'G1', bankSwitch: 64 });
+
+  t.deepEqual(AudioPattern.defaultMap, mkii);
+  t.deepEqual(AudioPattern.defaultMapOG, AudioPattern.getPadMap(SP404SX));
+});
+
+test('.getTimedNotes(): places notes on absolute ticks and skips placeholders', (t) => {
+  const pattern = new AudioPattern(buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x00],
+    [240, 128, 0, 0, 0, 0, 0, 0],
+    [240, 48, 64, 0, 100, 64, 0x60, 0x00],
+    [0, 49, 65, 141, 90, 64, 0x30, 0x00],
+  ], footerMKII));
+  t.deepEqual(pattern.getTimedNotes(), [
+    { tick: 0, padLabel: 'A1', midiNote: 47, bankSwitch: 64, pitchMode: 0, velocity: 127, unknown3: 64, length: 96 },
+    { tick: 480, padLabel: 'A2', midiNote: 48, bankSwitch: 64, pitchMode: 0, velocity: 100, unknown3: 64, length: 96 },
+    { tick: 480, padLabel: 'F3', midiNote: 49, bankSwitch: 65, pitchMode: 141, velocity: 90, unknown3: 64, length: 48 },
+  ]);
+});
+
+test('AudioPattern.diff(before, after): lists added, removed and changed notes by tick and pad', (t) => {
+  const before = new AudioPattern(buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x00],
+    [0, 47, 64, 0, 127, 64, 0x60, 0x00],
+    [240, 48, 64, 0, 100, 64, 0x60, 0x00],
+    [240, 49, 64, 0, 100, 64, 0x60, 0x00],
+  ], footerMKII));
+  const after = new AudioPattern(buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x00],
+    [240, 48, 64, 0, 80, 64, 0xC0, 0x00],
+    [240, 128, 0, 0, 0, 0, 0, 0],
+    [0, 50, 64, 0, 100, 64, 0x60, 0x00],
+  ], footerMKII));
+  t.deepEqual(AudioPattern.diff(before, before), []);
+  t.deepEqual(AudioPattern.diff(before, after).map(({ type, tick, padLabel, changes }) => [type, tick, padLabel, changes]), [
+    ['removed', 0, 'A1', []],
+    ['changed', 240, 'A2', [{ field: 'velocity', from: 100, to: 80 }, { field: 'length', from: 96, to: 192 }]],
+    ['removed', 480, 'A3', []],
+    ['added', 480, 'A4', []],
+  ]);
+});
+
+test('AudioPattern.merge(base, ours, theirs): keeps changes made on one side', (t) => {
+  const base = new AudioPattern(buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x00],
+    [240, 48, 64, 0, 100, 64, 0x60, 0x00],
+    [240, 128, 0, 0, 0, 0, 0, 0],
+  ], footerMKII));
+  const ours = new AudioPattern(buildPattern([
+    [0, 47, 64, 0, 90, 64, 0x60, 0x00],
+    [240, 48, 64, 0, 100, 64, 0x60, 0x00],
+    [240, 128, 0, 0, 0, 0, 0, 0],
+  ], footerMKII));
+  const theirs = new AudioPattern(buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x00],
+    [240, 128, 0, 0, 0, 0, 0, 0],
+    [240, 49, 64, 0, 110, 64, 0x60, 0x00],
+  ], [0, 140, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 128, 2, 1]));
+  const { notes, bars, timeSignature, conflicts } = AudioPattern.merge(base, ours, theirs);
+  t.deepEqual(conflicts, []);
+  t.deepEqual(notes.map(({ tick, padLabel, velocity }) => [tick, padLabel, velocity]), [
+    [0, 'A1', 90],
+    [480, 'A3', 110],
+  ]);
+  t.is(bars, 2);
+  t.is(timeSignature, 0);
+});
+
+test('AudioPattern.merge(base, ours, theirs): reports notes and footer values changed on both sides', (t) => {
+  const base = new AudioPattern(buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x00],
+    [240, 48, 64, 0, 100, 64, 0x60, 0x00],
+  ], footerMKII));
+  const ours = new AudioPattern(buildPattern([
+    [0, 47, 64, 0, 90, 64, 0x60, 0x00],
+    [240, 48, 64, 0, 100, 64, 0x60, 0x00],
+    [0, 49, 64, 0, 100, 64, 0x60, 0x00],
+  ], [0, 140, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 128, 2, 1]));
+  const theirs = new AudioPattern(buildPattern([
+    [0, 47, 64, 0, 80, 64, 0x60, 0x00],
+    [240, 49, 64, 0, 100, 64, 0x60, 0x00],
+  ], [0, 140, 0, 0, 0, 0, 0, 0, 4, 0, 0, 0, 0, 128, 4, 1]));
+  const { notes, bars, conflicts } = AudioPattern.merge(base, ours, theirs);
+  t.deepEqual(conflicts.map(({ field, tick, padLabel, base: b, ours: o, theirs: th }) => [field, tick, padLabel, b?.velocity ?? b, o?.velocity ?? o, th?.velocity ?? th]), [
+    ['note', 0, 'A1', 127, 90, 80],
+    ['bars', undefined, undefined, 1, 2, 4],
+  ]);
+  t.is(conflicts[0].message, 'Conflict: A1 at tick 0 is velocity 90 length 96 in ours and velocity 80 length 96 in theirs.');
+  t.deepEqual(notes.map(({ tick, padLabel, velocity }) => [tick, padLabel, velocity]), [
+    [0, 'A1', 90],
+    [240, 'A3', 100],
+  ]);
+  t.is(bars, 2);
+});
+
+test('AudioPattern.merge(base, ours, theirs): reports a note removed on one side and changed on the other', (t) => {
+  const base = new AudioPattern(buildPattern([[0, 47, 64, 0, 127, 64, 0x60, 0x00]], footerMKII));
+  const ours = new AudioPattern(buildPattern([[0, 128, 0, 0, 0, 0, 0, 0]], footerMKII));
+  const theirs = new AudioPattern(buildPattern([[0, 47, 64, 0, 127, 64, 0xC0, 0x00]], footerMKII));
+  const { notes, conflicts } = AudioPattern.merge(base, ours, theirs);
+  t.deepEqual(notes, []);
+  t.is(conflicts[0].message, 'Conflict: A1 at tick 0 is removed in ours and velocity 127 length 192 in theirs.');
+});
+
+test('.toJSON(): converts the pattern to JSON', (t) => {
+  const pattern = new AudioPattern(buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x00],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+  ], footerMKII));
+  t.deepEqual(JSON.parse(JSON.stringify(pattern)), {
+    version: 1,
+    profile: 'SP-404MKII',
+    padsPerBank: 16,
+    bars: 1,
+    timeSignature: 0,
+    notes: [
+      { ticks: 0, midiNote: 47, bankSwitch: 64, pitchMode: 0, velocity: 127, unknown3: 64, length: 96, sampleNumber: 1, padLabel: 'A1' },
+      { ticks: 255, midiNote: 128, bankSwitch: 0, pitchMode: 0, velocity: 0, unknown3: 0, length: 0, sampleNumber: 82, padLabel: 'F2' },
+    ],
+    footer: footerMKII,
+  });
+});
+
+test('AudioPattern.fromJSON(input): round trips MKII and OG patterns through JSON', (t) => {
+  const mkii = buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x01],
+    [0, 48, 65, 141, 100, 0, 0x60, 0x00],
+  ], [0, 140, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 1, 128, 2, 1]);
+  const pattern = AudioPattern.fromJSON(JSON.stringify(new AudioPattern(mkii)));
+  t.deepEqual([...pattern.data], [...mkii]);
+  t.is(pattern.notes[0].length, 352);
+
+  const og = buildPattern([[0, 71, 64, 0, 127, 64, 0x60, 0x00]], footerOG);
+  const ogPattern = AudioPattern.fromJSON(new AudioPattern(og, { profile: SP404SX }).toJSON());
+  t.is(ogPattern.profile, SP404SX);
+  t.is(ogPattern.notes[0].padLabel, 'G1');
+  t.deepEqual([...ogPattern.data], [...og]);
+
+  const twelve = AudioPattern.fromJSON(new AudioPattern(mkii, { padsPerBank: 12 }).toJSON());
+  t.is(twelve.profile.padsPerBank, 12);
+});
+
+test('AudioPattern.fromJSON(input): round trips values the device does not write', (t) => {
+  const data = buildPattern([[0, 47, 64, 0, 200, 64, 0x60, 0x00]], [0, 140, 0, 0, 0, 0, 0, 0, 200, 0, 0, 0, 9, 128, 1, 1]);
+  const pattern = AudioPattern.fromJSON(JSON.stringify(new AudioPattern(data)));
+  t.is(pattern.notes[0].velocity, 200);
+  t.deepEqual([...pattern.data], [...data]);
+});
+
+test('AudioPattern.fromJSON(input): keeps the unknown footer bytes', (t) => {
+  const mkii = buildPattern([[0, 47, 64, 0, 127, 64, 0x60, 0x00]], [0, 140, 0, 7, 0, 0, 0, 0, 1, 0, 3, 0, 0, 128, 1, 1]);
+  const json = new AudioPattern(mkii).toJSON();
+  t.deepEqual([...AudioPattern.fromJSON(json).data], [...mkii]);
+
+  json.bars = 2;
+  json.timeSignature = 1;
+  t.deepEqual([...AudioPattern.fromJSON(json).data.subarray(8)], [0, 140, 0, 7, 0, 0, 0, 0, 2, 0, 3, 0, 1, 128, 2, 1]);
+
+  // Without the footer it is built from the bars and time signature.
+  delete json.footer;
+  t.deepEqual([...AudioPattern.fromJSON(json).data.subarray(8)], [0, 140, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 1, 128, 2, 1]);
+});
+
+test('AudioPattern.fromJSON(input): throws a JSONFormatError with the JSON path', (t) => {
+  const json = new AudioPattern(buildPattern([[0, 47, 64, 0, 127, 64, 0x60, 0x00]], footerMKII)).toJSON();
+  json.notes[0].ticks = 256;
+  const error = t.throws(() => AudioPattern.fromJSON(json), { instanceOf: JSONFormatError });
+  t.is(error.message, 'JSON is invalid at $.notes[0].ticks, 256 should be at most 255.');
+  t.is(error.path, '$.notes[0].ticks');
+});
+
+test('.toBuffer(): writes MKII and OG patterns byte for byte as they were read', (t) => {
+  const mkii = buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x01],
+    [12, 48, 65, 141, 100, 0, 0x60, 0x00],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+  ], [0, 140, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 1, 128, 2, 1]);
+  t.deepEqual([...new AudioPattern(mkii).toBuffer()], [...mkii]);
+
+  const og = buildPattern([
+    [0, 47, 0, 0, 127, 64, 0x60, 0x00],
+    [96, 71, 64, 133, 90, 0, 0x30, 0x00],
+  ], footerOG);
+  t.deepEqual([...new AudioPattern(og, { profile: SP404SX }).toBuffer()], [...og]);
+});
+
+// PTN_MKII.BIN and PTN_OG.BIN are built to the layout the devices write rather than captured from one.
+test('.toBuffer(): writes the PTN_MKII.BIN and PTN_OG.BIN files byte for byte', (t) => {
+  const mkii = fs.readFileSync('./test/assets/PTN_MKII.BIN');
+  const pattern = new AudioPattern(mkii);
+  t.deepEqual(pattern.warnings, []);
+  t.is(pattern.bars, 2);
+  t.is(pattern.getEndTick(), 3840);
+  t.deepEqual(pattern.getTimedNotes().map(({ tick, padLabel, bankSwitch, pitchMode, length }) => [tick, padLabel, bankSwitch, pitchMode, length]), [
+    [0, 'A1', 64, 0, 480],
+    [0, 'A2', 0, 141, 96],
+    [480, 'F6', 65, 0, 1920],
+    [1200, 'F1', 1, 0, 60],
+  ]);
+  t.is(Buffer.compare(pattern.toBuffer(), mkii), 0);
+  t.is(Buffer.compare(AudioPattern.fromJSON(JSON.stringify(pattern)).toBuffer(), mkii), 0);
+
+  const og = fs.readFileSync('./test/assets/PTN_OG.BIN');
+  const ogPattern = new AudioPattern(og, { profile: SP404SX });
+  t.deepEqual(ogPattern.warnings, []);
+  t.is(ogPattern.getEndTick(), 768);
+  t.deepEqual(ogPattern.getTimedNotes().map(({ tick, padLabel }) => [tick, padLabel]), [[0, 'A1'], [0, 'G1'], [96, 'A12'], [288, 'B1']]);
+  t.is(Buffer.compare(ogPattern.toBuffer(), og), 0);
+  t.is(Buffer.compare(AudioPattern.fromJSON(JSON.stringify(ogPattern)).toBuffer(), og), 0);
+});
+
+test('.toBuffer(): keeps unexpected footer bytes and values', (t) => {
+  const data = buildPattern([
+    [0, 47, 64, 200, 127, 12, 0x60, 0x00],
+  ], [7, 141, 1, 2, 3, 4, 5, 6, 3, 9, 10, 11, 9, 127, 4, 2]);
+  const pattern = new AudioPattern(data);
+  t.true(pattern.warnings.length > 0);
+  t.deepEqual([...pattern.footer], [7, 141, 1, 2, 3, 4, 5, 6, 3, 9, 10, 11, 9, 127, 4, 2]);
+  t.deepEqual([...pattern.toBuffer()], [...data]);
+});
+
+test('.toBuffer(): writes edited notes, bars and time signature', (t) => {
+  const pattern = new AudioPattern(buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x00],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+  ], footerMKII));
+  pattern.notes[0].velocity = 90;
+  pattern.notes[0].length = 480;
+  pattern.notes.splice(1, 0, { ticks: 48, midiNote: 50, bankSwitch: 64, pitchMode: 0, velocity: 100, unknown3: 64, length: 96 });
+  pattern.bars = 2;
+  pattern.timeSignature = 1;
+  const data = pattern.toBuffer();
+  t.deepEqual([...data], [...buildPattern([
+    [0, 47, 64, 0, 90, 64, 0xE0, 0x01],
+    [48, 50, 64, 0, 100, 64, 0x60, 0x00],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+  ], [0, 140, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 1, 128, 2, 1])]);
+  const reloaded = new AudioPattern(data);
+  t.is(reloaded.notes[1].padLabel, 'A4');
+  t.is(reloaded.bars, 2);
+  t.is(reloaded.timeSignature, 1);
+
+  const og = new AudioPattern(buildPattern([[0, 47, 0, 0, 127, 64, 0x60, 0x00]], footerOG), { profile: SP404SX });
+  og.bars = 2;
+  t.deepEqual([...og.toBuffer().subarray(8)], footerOG);
+});
+
+test('.toBuffer(): throws on values that do not fit', (t) => {
+  const pattern = new AudioPattern(buildPattern([[0, 47, 64, 0, 127, 64, 0x60, 0x00]], footerMKII));
+  pattern.notes[0].ticks = 256;
+  t.throws(() => pattern.toBuffer(), { message: 'Note 0 is invalid, ticks 256 should be an integer between 0 and 255.' });
+  pattern.notes[0].ticks = 0;
+  pattern.notes[0].length = -1;
+  t.throws(() => pattern.toBuffer(), { message: 'Note 0 is invalid, length -1 should be an integer between 0 and 65535.' });
+  pattern.notes[0].length = 0;
+  pattern.bars = 1.5;
+  t.throws(() => pattern.toBuffer(), { message: 'Pattern is invalid, bars 1.5 should be an integer between 0 and 255.' });
+});
+
+test('.toBuffer(): writes a truncated pattern with a new footer', (t) => {
+  const pattern = new AudioPattern(Buffer.from([1, 2, 3]));
+  t.deepEqual([...pattern.toBuffer()], [0, 140, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 128, 0, 1]);
+});
+
+test('.addNote(options): adds notes at absolute ticks and regenerates the placeholders', (t) => {
+  const pattern = new AudioPattern(buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x00],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+    [135, 128, 0, 0, 0, 0, 0, 0],
+  ], footerMKII));
+  t.is(pattern.getEndTick(), 1920);
+  t.deepEqual(pattern.addNote({ pad: 'F3', tick: 600, velocity: 100, length: 240 }), {
+    tick: 600, padLabel: 'F3', midiNote: 49, bankSwitch: 65, pitchMode: 0, velocity: 100, unknown3: 64, length: 240,
+  });
+  pattern.addNote({ pad: 'A2', beat: 2 });
+  t.deepEqual([...pattern.toBuffer()], [...buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x00],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+    [225, 48, 64, 0, 127, 64, 0x78, 0x00],
+    [120, 49, 65, 0, 100, 64, 0xF0, 0x00],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+    [45, 128, 0, 0, 0, 0, 0, 0],
+  ], footerMKII)]);
+  t.is(pattern.notes[1].padLabel, 'F2');
+  t.deepEqual(pattern.getTimedNotes().map(({ tick, padLabel }) => `${padLabel}@${tick}`), ['A1@0', 'A2@480', 'F3@600']);
+});
+
+test('.addNote(options): extends the pattern to the end of the bar the note plays in', (t) => {
+  const pattern = new AudioPattern(buildPattern([[0, 47, 64, 0, 127, 64, 0x60, 0x00]], footerMKII));
+  pattern.bars = 1;
+  pattern.addNote({ pad: 'B1', bar: 3, beat: 4, tick: 60 });
+  t.is(pattern.bars, 3);
+  t.is(pattern.getEndTick(), 5760);
+  t.deepEqual(pattern.getTimedNotes().map(({ tick, padLabel }) => `${padLabel}@${tick}`), ['A1@0', 'B1@5340']);
+  t.true(pattern.notes.every(({ ticks }) => ticks <= 255));
+  t.is(pattern.toBuffer()[(pattern.notes.length * 8) + 8], 3);
+
+  const og = new AudioPattern(buildPattern([[0, 47, 0, 0, 127, 64, 0x60, 0x00], [255, 128, 0, 0, 0, 0, 0, 0], [129, 128, 0, 0, 0, 0, 0, 0]], footerOG), { profile: SP404SX });
+  t.is(og.getEndTick(), 384);
+  t.deepEqual(og.addNote({ pad: 'G1', bar: 2 }), { tick: 384, padLabel: 'G1', midiNote: 71, bankSwitch: 64, pitchMode: 0, velocity: 127, unknown3: 64, length: 24 });
+  t.is(og.getEndTick(), 768);
+  t.is(og.bars, 0);
+});
+
+test('.addNote(options): throws on an invalid pad, position, velocity or length', (t) => {
+  const pattern = new AudioPattern(buildPattern([[0, 47, 64, 0, 127, 64, 0x60, 0x00]], footerMKII));
+  t.throws(() => pattern.addNote({ pad: 'K1', tick: 0 }), { message: 'Pad is invalid, K1 is not a pad on the SP-404MKII.' });
+  t.throws(() => pattern.addNote({ pad: 'A1', tick: -1 }), { message: 'Tick is invalid, -1 should be an integer between 0 and 122879.' });
+  t.throws(() => pattern.addNote({ pad: 'A1', bar: 65 }), { message: 'Tick is invalid, 122880 should be an integer between 0 and 122879.' });
+  t.throws(() => pattern.addNote({ pad: 'A1', velocity: 0 }), { message: 'Velocity is invalid, 0 should be an integer between 1 and 127.' });
+  t.throws(() => pattern.addNote({ pad: 'A1', length: 65536 }), { message: 'Length is invalid, 65536 should be an integer between 0 and 65535.' });
+  t.is(pattern.notes.length, 1);
+});
+
+test('.removeNotes(filter): removes matching notes and keeps the timing of the rest', (t) => {
+  const pattern = new AudioPattern(buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x00],
+    [240, 128, 0, 0, 0, 0, 0, 0],
+    [240, 48, 64, 0, 100, 64, 0x60, 0x00],
+    [0, 47, 64, 0, 90, 64, 0x60, 0x00],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+  ], footerMKII));
+  pattern.bars = 1;
+  const removed = pattern.removeNotes((note) => note.padLabel === 'A1');
+  t.deepEqual(removed.map(({ tick }) => tick), [0, 480]);
+  t.deepEqual(pattern.getTimedNotes().map(({ tick, padLabel }) => `${padLabel}@${tick}`), ['A2@480']);
+  t.is(pattern.getEndTick(), 1920);
+  t.deepEqual(pattern.removeNotes(() => false), []);
+});
+
+test('.moveNote(from, to): moves a note to another tick and pad', (t) => {
+  const pattern = new AudioPattern(buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x00],
+    [240, 48, 0, 0, 100, 64, 0x60, 0x00],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+  ], footerMKII));
+  pattern.bars = 1;
+  t.deepEqual(pattern.moveNote({ pad: 'A2', tick: 240 }, { pad: 'B2', bar: 1, beat: 3 }), {
+    tick: 960, padLabel: 'B2', midiNote: 64, bankSwitch: 0, pitchMode: 0, velocity: 100, unknown3: 64, length: 96,
+  });
+  pattern.moveNote({ pad: 'A1' }, { pad: 'F1', tick: 1920 });
+  t.deepEqual(pattern.getTimedNotes().map(({ tick, padLabel, bankSwitch }) => `${padLabel}@${tick}:${bankSwitch}`), ['B2@960:0', 'F1@1920:65']);
+  t.is(pattern.bars, 2);
+  t.throws(() => pattern.moveNote({ pad: 'A1', tick: 0 }, { tick: 480 }), { message: 'Note is missing, no note plays A1 at tick 0.' });
+  t.throws(() => pattern.moveNote({ pad: 'B2', tick: 960 }, { pad: 'Z1' }), { message: 'Pad is invalid, Z1 is not a pad on the SP-404MKII.' });
+
+  // The bank switch variant is kept in the other bank group.
+  t.is(pattern.moveNote({ pad: 'B2', tick: 960 }, { pad: 'G2', tick: 960 }).bankSwitch, 1);
+  t.is(pattern.moveNote({ pad: 'F1', tick: 1920 }, { pad: 'A1', tick: 1920 }).bankSwitch, 64);
+});
+
+test('.getPadNote(note, pad): keeps the bank switch variant of the note', (t) => {
+  const pattern = new AudioPattern(buildPattern([], footerMKII));
+  t.deepEqual(pattern.getPadNote({ bankSwitch: 65 }, 'A3'), { midiNote: 49, bankSwitch: 64 });
+  t.deepEqual(pattern.getPadNote({ bankSwitch: 0 }, 'J16'), { midiNote: 126, bankSwitch: 1 });
+  t.deepEqual(pattern.getPadNote({ bankSwitch: 3 }, 'F1'), { midiNote: 47, bankSwitch: 65 });
+  t.throws(() => pattern.getPadNote({ bankSwitch: 64 }, 'K1'), { message: 'Pad is invalid, K1 is not a pad on the SP-404MKII.' });
+
+  const og = new AudioPattern(buildPattern([], footerOG), { profile: SP404SX });
+  t.deepEqual(og.getPadNote({ bankSwitch: 0 }, 'G1'), { midiNote: 71, bankSwitch: 64 });
+});
+
+test('.remapPads(remap): moves the notes of pads and keeps every other byte', (t) => {
+  const data = fs.readFileSync('./test/assets/PTN_MKII.BIN');
+  const pattern = new AudioPattern(data);
+  t.is(pattern.remapPads(new Map([['A2', 'G3'], ['F6', 'B6'], ['C1', 'D1']])), 2);
+  t.deepEqual(pattern.getTimedNotes().map(({ tick, padLabel, bankSwitch }) => [tick, padLabel, bankSwitch]), [
+    [0, 'A1', 64],
+    [0, 'G3', 1],
+    [480, 'B6', 64],
+    [1200, 'F1', 1],
+  ]);
+  const output = pattern.toBuffer();
+  const changed = [...output].flatMap((value, index) => (value === data[index] ? [] : [index]));
+  t.deepEqual(changed, [9, 10, 25, 26]);
+  t.is(pattern.remapPads(new Map()), 0);
+});
+
+test('.getEvents(options): places notes in bars, beats and seconds', (t) => {
+  const pattern = new AudioPattern(buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x00],
+    [240, 128, 0, 0, 0, 0, 0, 0],
+    [240, 48, 64, 0, 100, 64, 0xE0, 0x01],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+    [210, 49, 65, 0, 90, 64, 0x60, 0x00],
+  ], footerMKII));
+  t.deepEqual(pattern.getEvents({ bpm: 90 }).map(({ tick, bar, beat, beatTick, seconds, duration, padLabel }) => ({ tick, bar, beat, beatTick, seconds, duration, padLabel })), [
+    { tick: 0, bar: 1, beat: 1, beatTick: 0, seconds: 0, duration: 96 / 720, padLabel: 'A1' },
+    { tick: 480, bar: 1, beat: 2, beatTick: 0, seconds: 480 / 720, duration: 480 / 720, padLabel: 'A2' },
+    { tick: 1710, bar: 1, beat: 4, beatTick: 270, seconds: 1710 / 720, duration: 96 / 720, padLabel: 'F3' },
+  ]);
+  t.is(pattern.getEvents()[1].seconds, 0.5);
+
+  pattern.timeSignature = 1;
+  t.is(pattern.beatsPerBar, 3);
+  t.is(pattern.ticksPerBar, 1440);
+  t.deepEqual(pattern.getEvents().map(({ bar, beat, beatTick }) => [bar, beat, beatTick]), [[1, 1, 0], [1, 2, 0], [2, 1, 270]]);
+  t.deepEqual([...pattern.events()].map(({ padLabel }) => padLabel), ['A1', 'A2', 'F3']);
+});
+
+test('.getEvents(options): uses the PPQN of the profile', (t) => {
+  const og = new AudioPattern(buildPattern([
+    [0, 47, 0, 0, 127, 64, 0x18, 0x00],
+    [200, 71, 64, 0, 127, 64, 0x18, 0x00],
+  ], footerOG), { profile: SP404SX });
+  t.deepEqual(og.getEvents({ bpm: 60 }).map(({ bar, beat, beatTick, seconds, padLabel }) => [bar, beat, beatTick, seconds, padLabel]), [
+    [1, 1, 0, 0, 'A1'],
+    [1, 3, 8, 200 / 96, 'G1'],
+  ]);
+});
+
+test('.toMidi(options): writes the notes that play a pad and skips placeholders', (t) => {
+  const pattern = new AudioPattern(buildPattern([
+    [0, 47, 64, 0, 127, 64, 0x60, 0x00],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+    [225, 48, 64, 0, 100, 64, 0x60, 0x00],
+    [255, 128, 0, 0, 0, 0, 0, 0],
+  ], footerMKII));
+  const midi = pattern.toMidi({ fileName: 'PTN00001.BIN', noteMap: { A1: 36, A2: 38, F2: 40 } });
+  const notes = midi.chunks[0].events.filter(({ type }) => type === 0x90 || type === 0x80);
+  t.deepEqual(notes.map(({ deltaTime, type, data }) => [deltaTime, type, data.note]), [
+    [0, 0x90, '36'],
+    [96, 0x80, '36'],
+    [384, 0x90, '38'],
+    [96, 0x80, '38'],
+  ]);
+});
+
+test('.toMidi(options): writes the time signature of the pattern', (t) => {
+  const pattern = new AudioPattern(buildPattern([[0, 47, 64, 0, 127, 64, 0x60, 0x00]], footerMKII));
+  const timeSignature = (midi) => midi.chunks[0].events.find(({ metaType }) => metaType === 0x58);
+  t.deepEqual(timeSignature(pattern.toMidi({ fileName: 'PTN00001.BIN', noteMap: { A1: 36 } })).data, [4, 2, 24, 8]);
+  pattern.timeSignature = 5;
+  t.deepEqual(timeSignature(pattern.toMidi({ fileName: 'PTN00001.BIN', noteMap: { A1: 36 } })).data, [6, 2, 24, 8]);
+});
+
+test('AudioPattern.readTimeSignature(audioMIDI): reads the first Time Signature event', (t) => {
+  const midi = (data) => ({ timeDivision: 480, chunks: [{ events: [{ deltaTime: 0, type: 0xFF, metaType: 0x58, data, label: 'Time Signature' }] }] });
+  t.is(AudioPattern.readTimeSignature(midi([3, 2, 24, 8])), 1);
+  t.is(AudioPattern.readTimeSignature(midi(Uint8Array.from([5, 2, 24, 8]))), 4);
+  t.is(AudioPattern.readTimeSignature(midi({ numerator: 6, denominator: 8 })), 1);
+  t.is(AudioPattern.readTimeSignature(midi([7, 3, 24, 8])), 0);
+  t.is(AudioPattern.readTimeSignature({ timeDivision: 480, chunks: [{ events: [] }] }), 0);
+});
+
+test('AudioPattern.fromMidi(audioMIDI, noteMap, patternPPQN): pads to bars of the time signature', (t) => {
+  const audioMIDI = {
+    timeDivision: 480,
+    chunks: [{
+      events: [
+        AudioPattern.generateTimeSignatureEvent(3),
+        { deltaTime: 200, type: 0x90, channel: 0, data: { note: 36, velocity: 100, length: 96 }, label: 'Note On' },
+      ],
+    }],
+  };
+  const fromMidi = (...parameters) => {
+    const dataBuffer = AudioPattern.fromMidi(...parameters);
+    dataBuffer.commit();
+    return dataBuffer.data;
+  };
+  const pattern = new AudioPattern(fromMidi(audioMIDI, { 36: 'A1' }, 480));
+  t.is(pattern.timeSignature, 1);
+  t.is(pattern.bars, 1);
+  t.is(pattern.getEndTick(), 1440);
+  t.deepEqual(pattern.getEvents().map(({ bar, beat, beatTick, padLabel }) => [bar, beat, beatTick, padLabel]), [[1, 1, 200, 'A1']]);
+  t.deepEqual(pattern.warnings, []);
+
+  const og = new AudioPattern(fromMidi(audioMIDI, { 36: 'A1' }, 96, SP404SX), { profile: SP404SX });
+  t.is(og.timeSignature, 1);
+  t.is(og.getEndTick(), 288);
+});
+
+test('AudioPattern.fromMidi(audioMIDI, noteMap, patternPPQN): places notes after gaps longer than 255 ticks', (t) => {
+  const noteOn = (deltaTime, note) => ({ deltaTime, type: 0x90, channel: 0, data: { note, velocity: 100, length: 96 }, label: 'Note On' });
+  const audioMIDI = {
+    timeDivision: 480,
+    chunks: [{
+      events: [
+        AudioPattern.generateTimeSignatureEvent(3),
+        noteOn(0, 36),
+        noteOn(1000, 38),
+        noteOn(2000, 36),
+      ],
+    }],
+  };
+  const dataBuffer = AudioPattern.fromMidi(audioMIDI, { 36: 'A1', 38: 'A2' }, 480);
+  dataBuffer.commit();
+  const pattern = new AudioPattern(dataBuffer.data);
+  t.deepEqual(pattern.getTimedNotes().map(({ tick, padLabel }) => [tick, padLabel]), [[0, 'A1'], [1000, 'A2'], [3000, 'A1']]);
+  t.true(pattern.notes.every(({ ticks }) => ticks <= 255));
+  t.is(pattern.timeSignature, 1);
+  t.is(pattern.getEndTick(), 4320);
+  t.is(pattern.bars, 3);
+  t.deepEqual(pattern.warnings, []);
+});
+
+test('AudioPattern.fromMidi(audioMIDI, noteMap, patternPPQN): uses Note Off events for note lengths', (t) => {
+  const noteOn = (deltaTime, note, velocity, channel = 0, length = undefined) => ({ deltaTime, type: 0x90, channel, data: { note, velocity, length }, label: 'Note On' });
+  const noteOff = (deltaTime, note, channel = 0) => ({ deltaTime, type: 0x80, channel, data: { note, velocity: 0 }, label: 'Note Off' });
+  const audioMIDI = {
+    timeDivision: 960,
+    chunks: [{
+      events: [
+        noteOn(0, 36, 100),
+        noteOn(200, 38, 90),
+        // Retrigger A1 while it is still playing.
+        noteOn(200, 36, 80),
+        // The same note on another channel, without a Note Off.
+        noteOn(100, 36, 70, 1, 100),
+        noteOff(100, 36),
+        // A Note On with a velocity of 0 ends a note.
+        noteOn(80, 38, 0),
+        noteOff(1320, 36),
+        // A Note Off without a note playing is ignored.
+        noteOff(200, 38),
+      ],
+    }],
+  };
+  const dataBuffer = AudioPattern.fromMidi(audioMIDI, { 36: 'A1', 38: 'A2' }, 480);
+  dataBuffer.commit();
+  const pattern = new AudioPattern(dataBuffer.data);
+  t.deepEqual(pattern.getTimedNotes().map(({ tick, padLabel, velocity, length }) => [tick, padLabel, velocity, length]), [
+    [0, 'A1', 100, 300],
+    [100, 'A2', 90, 240],
+    [200, 'A1', 80, 800],
+    [250, 'A1', 70, 50],
+  ]);
+});
+
+test('AudioPattern.fromMidi(audioMIDI, noteMap, patternPPQN): skips missing events and keeps the time of other events', (t) => {
+  const audioMIDI = {
+    timeDivision: 480,
+    chunks: [{
+      events: [
+        null,
+        { deltaTime: 120, type: 0xFF, metaType: 0x01, data: 'Text', label: 'Text Event' },
+        undefined,
+        { deltaTime: 120, type: 0x90, channel: 0, data: { note: 36, velocity: 100, length: 96 }, label: 'Note On' },
+      ],
+    }],
+  };
+  const dataBuffer = AudioPattern.fromMidi(audioMIDI, { 36: 'A1' }, 480);
+  dataBuffer.commit();
+  const pattern = new AudioPattern(dataBuffer.data);
+  t.deepEqual(pattern.getTimedNotes().map(({ tick, padLabel }) => [tick, padLabel]), [[240, 'A1']]);
+});
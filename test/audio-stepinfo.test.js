@@ -0,0 +1,71 @@
+import fs from 'fs';
+import test from 'ava';
+import AudioStepInfo from '../src/audio-stepinfo.js';
+
+test('constructor(input): can initialize', (t) => {
+  const data = fs.readFileSync('./test/assets/STPINFO.BIN');
+  const stepInfo = new AudioStepInfo(data);
+  t.is(stepInfo.bpm, 102);
+});
+
+test('.parse(): can decode the known fields and keep the unknown values', (t) => {
+  const data = fs.readFileSync('./test/assets/STPINFO.BIN');
+  const { bpm, unknown } = new AudioStepInfo(data);
+  t.is(bpm, 102);
+  t.is(Object.keys(unknown).length, 30);
+  t.is(unknown[0], 0);
+  t.is(unknown[12], 1);
+  t.is(unknown[104], 1);
+  t.is(unknown[116], 1);
+  t.is(unknown[108], undefined);
+});
+
+test('.parse(): throws an error when the file is truncated or has a partial value', (t) => {
+  const data = fs.readFileSync('./test/assets/STPINFO.BIN');
+  t.throws(() => new AudioStepInfo(data.subarray(0, 100)), { message: 'Truncated: 100 bytes is shorter than the 124 byte file.' });
+  t.throws(() => new AudioStepInfo(Buffer.concat([data, Buffer.from([1, 2])])), { message: 'Invalid length: 126 bytes should be a multiple of 4.' });
+});
+
+test('.toBuffer(): can encode the same STPINFO.BIN file that was parsed', (t) => {
+  const data = fs.readFileSync('./test/assets/STPINFO.BIN');
+  const stepInfo = new AudioStepInfo(data);
+  t.deepEqual(stepInfo.toBuffer(), data);
+
+  const longer = Buffer.concat([data, Buffer.from([0, 0, 0, 7])]);
+  t.deepEqual(new AudioStepInfo(longer).toBuffer(), longer);
+});
+
+test('.toBuffer(): can encode edited values', (t) => {
+  const data = fs.readFileSync('./test/assets/STPINFO.BIN');
+  const stepInfo = new AudioStepInfo(data);
+  stepInfo.bpm = 90;
+  stepInfo.unknown[12] = 0;
+  const output = stepInfo.toBuffer();
+  t.is(output.length, 124);
+  const edited = new AudioStepInfo(output);
+  t.is(edited.bpm, 90);
+  t.is(edited.unknown[12], 0);
+  t.is(edited.unknown[104], 1);
+});
+
+test('.toBuffer(): can encode a new STPINFO.BIN file', (t) => {
+  const stepInfo = new AudioStepInfo();
+  stepInfo.bpm = 120;
+  const output = stepInfo.toBuffer();
+  t.is(output.length, 124);
+  t.is(output.readUInt32BE(108), 120);
+});
+
+test('.toBuffer(): throws an error with invalid values', (t) => {
+  const data = fs.readFileSync('./test/assets/STPINFO.BIN');
+  const stepInfo = new AudioStepInfo(data);
+  stepInfo.bpm = 90.5;
+  t.throws(() => {
+    stepInfo.toBuffer();
+  }, { message: 'Value at offset 108 is invalid, 90.5 should be an integer between 0 and 4294967295.' });
+  stepInfo.bpm = 90;
+  stepInfo.unknown[0] = -1;
+  t.throws(() => {
+    stepInfo.toBuffer();
+  }, { message: 'Value at offset 0 is invalid, -1 should be an integer between 0 and 4294967295.' });
+});
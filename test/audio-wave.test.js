@@ -0,0 +1,88 @@
+import test from 'ava';
+import AudioWave from '../src/audio-wave.js';
+import { buildWave } from './helpers/wave.js';
+
+test('constructor(input): reads the format and locates the data', (t) => {
+  const wave = new AudioWave(buildWave({ channels: 1, sampleRate: 22050, frames: 441 }));
+  t.is(wave.audioFormat, 1);
+  t.is(wave.channels, 1);
+  t.is(wave.sampleRate, 22050);
+  t.is(wave.byteRate, 44100);
+  t.is(wave.blockAlign, 2);
+  t.is(wave.bitsPerSample, 16);
+  t.is(wave.dataOffset, 44);
+  t.is(wave.dataSize, 882);
+  t.is(wave.frames, 441);
+  t.is(wave.duration, 0.02);
+  t.deepEqual(wave.chunks, [
+    { id: 'fmt ', offset: 12, size: 16 },
+    { id: 'data', offset: 36, size: 882 },
+  ]);
+});
+
+test('constructor(input): skips other chunks before the data', (t) => {
+  const wave = new AudioWave(buildWave({ padding: 460 }));
+  t.is(wave.dataOffset, 512);
+  t.deepEqual(wave.chunks.map((chunk) => chunk.id), ['JUNK', 'fmt ', 'data']);
+});
+
+test('constructor(input): skips the pad byte of odd sized chunks', (t) => {
+  const wave = new AudioWave(buildWave({ padding: 3 }));
+  t.is(wave.chunks[1].offset, 24);
+  t.is(wave.dataOffset, 56);
+  t.is(wave.frames, 100);
+});
+
+test('constructor(input): limits the data to the end of the file', (t) => {
+  const data = buildWave({ frames: 10 });
+  data.writeUInt32LE(0xFFFFFFFF, 40);
+  const wave = new AudioWave(data);
+  t.is(wave.dataSize, 40);
+  t.is(wave.frames, 10);
+});
+
+test('constructor(input): throws on files that are not WAVE files', (t) => {
+  t.throws(() => new AudioWave(Buffer.from('FORM0000AIFF')), { message: 'Invalid WAVE file, the file should start with RIFF and WAVE.' });
+  t.throws(() => new AudioWave(Buffer.alloc(4)));
+  const data = buildWave();
+  data.write('fmtx', 12, 'ascii');
+  t.throws(() => new AudioWave(data), { message: 'Invalid WAVE file, missing the fmt chunk.' });
+  t.throws(() => new AudioWave(buildWave().subarray(0, 36)), { message: 'Invalid WAVE file, missing the data chunk.' });
+});
+
+test('.getSamples(): decodes integer samples of every size', (t) => {
+  const fill = (frame, channel) => (channel ? -0.5 : 0.25);
+  for (const bitsPerSample of [8, 16, 24, 32]) {
+    const [left, right] = new AudioWave(buildWave({ frames: 3, bitsPerSample, fill })).getSamples();
+    t.deepEqual([...left], [0.25, 0.25, 0.25], `${bitsPerSample}`);
+    t.deepEqual([...right], [-0.5, -0.5, -0.5], `${bitsPerSample}`);
+  }
+});
+
+test('.getSamples(): decodes float samples', (t) => {
+  const fill = (frame) => frame / 4;
+  for (const bitsPerSample of [32, 64]) {
+    const [mono] = new AudioWave(buildWave({ channels: 1, frames: 4, bitsPerSample, audioFormat: 3, fill })).getSamples();
+    t.deepEqual([...mono], [0, 0.25, 0.5, 0.75]);
+  }
+});
+
+test('.getSamples(): reads the format of extensible files', (t) => {
+  const data = buildWave({ frames: 2, fill: () => 0.5 });
+  const extensible = Buffer.concat([data.subarray(0, 12), Buffer.alloc(48), data.subarray(36)]);
+  data.copy(extensible, 12, 12, 36);
+  extensible.writeUInt32LE(40, 16);
+  extensible.writeUInt16LE(0xFFFE, 20);
+  extensible.writeUInt16LE(22, 36);
+  extensible.writeUInt16LE(1, 44);
+  const wave = new AudioWave(extensible);
+  t.is(wave.audioFormat, 1);
+  t.deepEqual([...wave.getSamples()[0]], [0.5, 0.5]);
+});
+
+test('.getSamples(): throws on unsupported formats', (t) => {
+  t.throws(() => new AudioWave(buildWave({ audioFormat: 2 })).getSamples(), { message: 'Unsupported WAVE format, 2 should be 1 for PCM or 3 for IEEE float.' });
+  const data = buildWave();
+  data.writeUInt16LE(3, 20);
+  t.throws(() => new AudioWave(data).getSamples(), { message: 'Unsupported sample size, 16 bit float samples cannot be decoded.' });
+});
@@ -0,0 +1,51 @@
+import test from 'ava';
+import DeviceProfiles, { SP404, SP404A, SP404MKII, SP404SX } from '../src/device-profiles.js';
+
+test('DeviceProfiles: contains every model', (t) => {
+  t.deepEqual(Object.keys(DeviceProfiles), ['SP404', 'SP404SX', 'SP404A', 'SP404MKII']);
+  t.is(DeviceProfiles.SP404SX, SP404SX);
+});
+
+test('DeviceProfiles: describes the pad layout and timing of each model', (t) => {
+  for (const profile of [SP404, SP404SX, SP404A]) {
+    t.is(profile.banks, 10);
+    t.is(profile.padsPerBank, 12);
+    t.is(profile.ppqn, 96);
+    t.true(profile.og);
+  }
+  t.is(SP404MKII.banks, 10);
+  t.is(SP404MKII.padsPerBank, 16);
+  t.is(SP404MKII.ppqn, 480);
+  t.is(SP404MKII.maxBars, 64);
+  t.false(SP404MKII.og);
+});
+
+test('DeviceProfiles: bank switch groups cover every bank once', (t) => {
+  for (const profile of Object.values(DeviceProfiles)) {
+    const banks = profile.bankSwitch.map((group) => group.banks).join('');
+    t.is(banks, 'ABCDEFGHIJ'.slice(0, profile.banks), profile.id);
+  }
+});
+
+test('DeviceProfiles: builds sample filenames', (t) => {
+  t.is(SP404SX.filename('A1'), 'A0000001.WAV');
+  t.is(SP404SX.filename('j12'), 'J0000012.WAV');
+});
+
+test('DeviceProfiles: profiles cannot be changed', (t) => {
+  t.true(Object.isFrozen(SP404SX));
+  t.true(Object.isFrozen(SP404SX.defaultPad));
+  t.true(Object.isFrozen(SP404MKII.bankSwitch[0].values));
+});
+
+test('DeviceProfiles: every profile has a complete default pad', (t) => {
+  const fields = Object.keys(SP404SX.defaultPad);
+  t.is(fields.length, 14);
+  for (const profile of Object.values(DeviceProfiles)) {
+    t.deepEqual(Object.keys(profile.defaultPad), fields, profile.id);
+  }
+  t.true(SP404MKII.defaultPad.loop);
+  t.true(SP404MKII.defaultPad.gate);
+  t.is(SP404MKII.defaultPadConf.bpm, 90);
+  t.is(SP404SX.defaultPadConf, undefined);
+});
@@ -0,0 +1,111 @@
+/**
+ * Write one sample as a signed integer of the given size, or as a float when `float` is set.
+ * @param {Buffer} buffer The buffer to write to.
+ * @param {number} value The sample between -1 and 1.
+ * @param {number} offset The byte offset to write at.
+ * @param {number} bitsPerSample The size of the sample.
+ * @param {boolean} littleEndian Write in little-endian order.
+ * @param {boolean} [float] Write an IEEE float.
+ * @param {boolean} [unsigned] Write 8 bit samples as unsigned.
+ */
+const writeSample = (buffer, value, offset, bitsPerSample, littleEndian, float = false, unsigned = false) => {
+  if (float) {
+    if (bitsPerSample === 32) {
+      littleEndian ? buffer.writeFloatLE(value, offset) : buffer.writeFloatBE(value, offset);
+    } else {
+      littleEndian ? buffer.writeDoubleLE(value, offset) : buffer.writeDoubleBE(value, offset);
+    }
+    return;
+  }
+  const bytes = bitsPerSample / 8;
+  const max = 2 ** (bitsPerSample - 1);
+  const integer = Math.max(-max, Math.min(max - 1, Math.round(value * max)));
+  if (bytes === 1 && unsigned) {
+    buffer.writeUInt8(integer + 128, offset);
+  } else if (littleEndian) {
+    buffer.writeIntLE(integer, offset, bytes);
+  } else {
+    buffer.writeIntBE(integer, offset, bytes);
+  }
+};
+
+/**
+ * Build a WAVE file.
+ * @param {object} [options] The file layout.
+ * @param {number} [options.channels] The number of channels.
+ * @param {number} [options.sampleRate] The sample rate.
+ * @param {number} [options.frames] The number of sample frames.
+ * @param {number} [options.padding] The size of a `JUNK` chunk placed before the `fmt ` chunk.
+ * @param {number} [options.bitsPerSample] The size of each sample.
+ * @param {number} [options.audioFormat] The audio format, 1 for PCM and 3 for IEEE float.
+ * @param {function(number, number): number} [options.fill] Returns the sample between -1 and 1 for a frame and channel, silence by default.
+ * @returns {Buffer} The WAVE file.
+ */
+export const buildWave = ({ channels = 2, sampleRate = 44100, frames = 100, padding = 0, bitsPerSample = 16, audioFormat = 1, fill = () => 0 } = {}) => {
+  const blockAlign = channels * (bitsPerSample / 8);
+  const junk = padding ? Buffer.alloc(8 + padding + (padding % 2)) : Buffer.alloc(0);
+  if (padding) {
+    junk.write('JUNK', 0, 'ascii');
+    junk.writeUInt32LE(padding, 4);
+  }
+  const fmt = Buffer.alloc(24);
+  fmt.write('fmt ', 0, 'ascii');
+  fmt.writeUInt32LE(16, 4);
+  fmt.writeUInt16LE(audioFormat, 8);
+  fmt.writeUInt16LE(channels, 10);
+  fmt.writeUInt32LE(sampleRate, 12);
+  fmt.writeUInt32LE(sampleRate * blockAlign, 16);
+  fmt.writeUInt16LE(blockAlign, 20);
+  fmt.writeUInt16LE(bitsPerSample, 22);
+  const data = Buffer.alloc(8 + (frames * blockAlign));
+  data.write('data', 0, 'ascii');
+  data.writeUInt32LE(frames * blockAlign, 4);
+  for (let frame = 0; frame < frames; frame++) {
+    for (let channel = 0; channel < channels; channel++) {
+      writeSample(data, fill(frame, channel), 8 + (frame * blockAlign) + (channel * (bitsPerSample / 8)), bitsPerSample, true, audioFormat === 3, true);
+    }
+  }
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(4 + junk.length + fmt.length + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  return Buffer.concat([header, junk, fmt, data]);
+};
+
+/**
+ * Build an AIFF or AIFF-C file.
+ * @param {object} [options] The file layout.
+ * @param {number} [options.channels] The number of channels.
+ * @param {number} [options.frames] The number of sample frames.
+ * @param {number} [options.bitsPerSample] The size of each sample.
+ * @param {Uint8Array|number[]} [options.sampleRate] The 10 byte extended sample rate, 44100 by default.
+ * @param {string} [options.compressionType] When set an AIFF-C file is built with this compression type.
+ * @param {function(number, number): number} [options.fill] Returns the sample between -1 and 1 for a frame and channel, silence by default.
+ * @returns {Buffer} The AIFF file.
+ */
+export const buildAiff = ({ channels = 2, frames = 100, bitsPerSample = 16, sampleRate = [0x40, 0x0E, 0xAC, 0x44, 0, 0, 0, 0, 0, 0], compressionType = '', fill = () => 0 } = {}) => {
+  const bytes = compressionType === 'fl32' ? 4 : compressionType === 'fl64' ? 8 : Math.ceil(bitsPerSample / 8);
+  const comm = Buffer.alloc(compressionType ? 8 + 24 : 8 + 18);
+  comm.write('COMM', 0, 'ascii');
+  comm.writeUInt32BE(comm.length - 8, 4);
+  comm.writeUInt16BE(channels, 8);
+  comm.writeUInt32BE(frames, 10);
+  comm.writeUInt16BE(bitsPerSample, 14);
+  Buffer.from(sampleRate).copy(comm, 16);
+  if (compressionType) {
+    comm.write(compressionType, 26, 'ascii');
+  }
+  const ssnd = Buffer.alloc(16 + (frames * channels * bytes));
+  ssnd.write('SSND', 0, 'ascii');
+  ssnd.writeUInt32BE(ssnd.length - 8, 4);
+  for (let frame = 0; frame < frames; frame++) {
+    for (let channel = 0; channel < channels; channel++) {
+      writeSample(ssnd, fill(frame, channel), 16 + (((frame * channels) + channel) * bytes), bytes * 8, compressionType === 'sowt', compressionType.startsWith('fl'));
+    }
+  }
+  const header = Buffer.alloc(12);
+  header.write('FORM', 0, 'ascii');
+  header.writeUInt32BE(4 + comm.length + ssnd.length, 4);
+  header.write(compressionType ? 'AIFC' : 'AIFF', 8, 'ascii');
+  return Buffer.concat([header, comm, ssnd]);
+};
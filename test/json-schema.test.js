@@ -0,0 +1,100 @@
+import test from 'ava';
+import JSONFormatError from '../src/json-format-error.js';
+import { PadInfoSchema, PatternSchema, SCHEMA_VERSION, parseJSON, validate } from '../src/json-schema.js';
+
+test('PadInfoSchema / PatternSchema: are versioned', (t) => {
+  t.is(SCHEMA_VERSION, 1);
+  t.is(PadInfoSchema.$id, 'urn:uttori:audio-padinfo:pad-info:1');
+  t.is(PatternSchema.$id, 'urn:uttori:audio-padinfo:pattern:1');
+  t.deepEqual(PadInfoSchema.properties.version, { const: 1 });
+});
+
+test('validate(schema, value): returns nothing for a valid value', (t) => {
+  t.deepEqual(validate(PadInfoSchema, { version: 1, profile: 'SP-404SX', pads: [] }), []);
+});
+
+test('validate(schema, value): reports every problem with its JSON path', (t) => {
+  const errors = validate(PadInfoSchema, {
+    version: 2,
+    profile: 'SP-505',
+    pads: [
+      {
+        label: 'A1',
+        originalSampleStart: 512,
+        originalSampleEnd: 1024.5,
+        userSampleStart: 512,
+        userSampleEnd: 1024,
+        volume: 200,
+        lofi: 0,
+        loop: false,
+        gate: true,
+        reverse: false,
+        format: 'WAVE',
+        channels: 'Stereo',
+        tempoMode: 'Off',
+        originalTempo: 120,
+        extra: true,
+      },
+    ],
+  });
+  t.deepEqual(errors.map(({ path, keyword }) => [path, keyword]), [
+    ['$.version', 'const'],
+    ['$.profile', 'enum'],
+    ['$.pads[0].userTempo', 'required'],
+    ['$.pads[0].originalSampleEnd', 'type'],
+    ['$.pads[0].volume', 'maximum'],
+    ['$.pads[0].lofi', 'type'],
+    ['$.pads[0].extra', 'additionalProperties'],
+  ]);
+  t.deepEqual(errors.map(({ message }) => message), [
+    'JSON is invalid at $.version, 2 should be 1.',
+    'JSON is invalid at $.profile, "SP-505" should be one of "SP-404", "SP-404SX", "SP-404A", "SP-404MKII".',
+    'JSON is invalid at $.pads[0].userTempo, the property is required.',
+    'JSON is invalid at $.pads[0].originalSampleEnd, 1024.5 should be an integer.',
+    'JSON is invalid at $.pads[0].volume, 200 should be at most 127.',
+    'JSON is invalid at $.pads[0].lofi, 0 should be a boolean.',
+    'JSON is invalid at $.pads[0].extra, the property is not allowed.',
+  ]);
+});
+
+test('validate(schema, value): checks arrays, patterns and minimums', (t) => {
+  t.deepEqual(validate(PadInfoSchema, []).map(({ message }) => message), ['JSON is invalid at $, [] should be an object.']);
+  t.deepEqual(validate(PatternSchema, { version: 1, profile: 'SP-404MKII', bars: -1, timeSignature: 0, notes: {} }).map(({ path, keyword }) => [path, keyword]), [
+    ['$.bars', 'minimum'],
+    ['$.notes', 'type'],
+  ]);
+  t.deepEqual(validate(PadInfoSchema.$defs.pad.properties.label, 'K1').map(({ keyword }) => keyword), ['pattern']);
+  t.deepEqual(validate({ type: 'array', maxItems: 1 }, [1, 2]).map(({ keyword }) => keyword), ['maxItems']);
+  t.deepEqual(validate({ type: 'array', minItems: 2 }, [1]).map(({ keyword }) => keyword), ['minItems']);
+});
+
+test('validate(schema, value): checks type lists and conditional schemas', (t) => {
+  t.deepEqual(validate({ type: ['boolean', 'integer'] }, 1), []);
+  t.deepEqual(validate({ type: ['boolean', 'integer'] }, 'on').map(({ message }) => message), ['JSON is invalid at $, "on" should be a boolean or an integer.']);
+  const schema = { if: { required: ['raw'] }, then: { type: 'object', required: ['raw', 'volume'] }, else: { type: 'object', required: ['volume'] } };
+  t.deepEqual(validate(schema, { raw: [] }).map(({ path }) => path), ['$.volume']);
+  t.deepEqual(validate(schema, {}).map(({ path }) => path), ['$.volume']);
+  t.deepEqual(validate(schema, { volume: 1 }), []);
+});
+
+test('PadInfoSchema: allows out of specification values only on pads with raw bytes', (t) => {
+  const pad = { label: 'A1', originalSampleStart: 512, originalSampleEnd: 1024, userSampleStart: 512, userSampleEnd: 1024, volume: 255, lofi: 255, loop: true, gate: false, reverse: false, format: 'Invalid (255)', channels: 255, tempoMode: 'Invalid', originalTempo: 429496729.5, userTempo: 0 };
+  t.deepEqual(validate(PadInfoSchema, { version: 1, profile: 'SP-404SX', pads: [{ ...pad, raw: Array(32).fill(255) }] }), []);
+  t.deepEqual(validate(PadInfoSchema, { version: 1, profile: 'SP-404SX', pads: [{ ...pad, raw: [255] }] }).map(({ path, keyword }) => [path, keyword]), [['$.pads[0].raw', 'minItems']]);
+  t.true(validate(PadInfoSchema, { version: 1, profile: 'SP-404SX', pads: [pad] }).length > 0);
+});
+
+test('parseJSON(schema, input): parses strings and throws a JSONFormatError on the first problem', (t) => {
+  t.deepEqual(parseJSON(PadInfoSchema, '{"version":1,"profile":"SP-404SX","pads":[]}'), { version: 1, profile: 'SP-404SX', pads: [] });
+
+  let error = t.throws(() => parseJSON(PadInfoSchema, { version: 1, profile: 'SP-404SX', pads: 'A1' }), { instanceOf: JSONFormatError });
+  t.is(error.message, 'JSON is invalid at $.pads, "A1" should be an array.');
+  t.is(error.path, '$.pads');
+  t.is(error.keyword, 'type');
+  t.is(error.value, 'A1');
+  t.is(error.errors.length, 1);
+
+  error = t.throws(() => parseJSON(PadInfoSchema, '{"version":'), { instanceOf: JSONFormatError });
+  t.is(error.path, '$');
+  t.is(error.keyword, 'syntax');
+});
@@ -0,0 +1,109 @@
+import test from 'ava';
+import PadAddress from '../src/pad-address.js';
+import { SP404MKII, SP404SX } from '../src/device-profiles.js';
+
+test('constructor(index, profile): builds every part of the address', (t) => {
+  const address = new PadAddress(14, SP404SX);
+  t.is(address.profile, SP404SX);
+  t.is(address.index, 14);
+  t.is(address.sampleNumber, 15);
+  t.is(address.bankIndex, 1);
+  t.is(address.bank, 'B');
+  t.is(address.pad, 3);
+  t.is(address.label, 'B3');
+  t.is(`${address}`, 'B3');
+  t.is(new PadAddress(14, SP404MKII).label, 'A15');
+});
+
+test('constructor(index, profile): defaults to the SP-404SX profile', (t) => {
+  t.is(new PadAddress(14).profile, SP404SX);
+  t.is(new PadAddress(14).label, 'B3');
+  t.is(PadAddress.padCount(), 120);
+  t.is(PadAddress.getLabel(119), 'J12');
+  t.is(PadAddress.getIndex('A13'), -1);
+  t.false(PadAddress.isValidLabel('A16'));
+  t.is(PadAddress.fromLabel('c4').index, 27);
+  t.is(PadAddress.fromSampleNumber(13).label, 'B1');
+  t.is(PadAddress.fromBank('J').length, 12);
+  t.is(PadAddress.parseRange('*').length, 120);
+});
+
+test('constructor(index, profile): throws on an index outside of the profile', (t) => {
+  t.throws(() => new PadAddress(120, SP404SX), { message: 'Pad index is invalid, 120 should be an integer between 0 and 119.' });
+  t.throws(() => new PadAddress(-1, SP404MKII), { message: 'Pad index is invalid, -1 should be an integer between 0 and 159.' });
+  t.throws(() => new PadAddress(1.5));
+});
+
+test('PadAddress.getLabel(index, profile): returns a pad label or empty string', (t) => {
+  t.is(PadAddress.getLabel(0, SP404MKII), 'A1');
+  t.is(PadAddress.getLabel(159, SP404MKII), 'J16');
+  t.is(PadAddress.getLabel(160, SP404MKII), '');
+  t.is(PadAddress.getLabel(119, SP404SX), 'J12');
+  t.is(PadAddress.getLabel(120, SP404SX), '');
+  t.is(PadAddress.getLabel(), '');
+});
+
+test('PadAddress.getIndex(label, profile): returns a pad index or -1', (t) => {
+  t.is(PadAddress.getIndex('A1', SP404MKII), 0);
+  t.is(PadAddress.getIndex(' j16 ', SP404MKII), 159);
+  t.is(PadAddress.getIndex('A13', SP404SX), -1);
+  t.is(PadAddress.getIndex('K1'), -1);
+  t.is(PadAddress.getIndex('A0'), -1);
+  t.is(PadAddress.getIndex('A'), -1);
+  t.is(PadAddress.getIndex(), -1);
+  for (const profile of [SP404SX, SP404MKII]) {
+    for (let i = 0; i < PadAddress.padCount(profile); i++) {
+      t.is(PadAddress.getIndex(PadAddress.getLabel(i, profile), profile), i);
+    }
+  }
+});
+
+test('PadAddress.isValidLabel(label, profile): checks labels against the profile', (t) => {
+  t.true(PadAddress.isValidLabel('A16', SP404MKII));
+  t.false(PadAddress.isValidLabel('A16', SP404SX));
+  t.true(PadAddress.isValidIndex(119, SP404SX));
+  t.false(PadAddress.isValidIndex(120, SP404SX));
+});
+
+test('PadAddress.fromLabel(label, profile): creates an address or throws', (t) => {
+  t.is(PadAddress.fromLabel('c4', SP404SX).index, 27);
+  t.is(PadAddress.fromLabel('c4', SP404MKII).index, 35);
+  t.throws(() => PadAddress.fromLabel('A13', SP404SX), { message: 'Pad label is invalid, A13 should be between A1 and J12.' });
+});
+
+test('PadAddress.fromSampleNumber(sampleNumber, profile): creates an address or throws', (t) => {
+  t.is(PadAddress.fromSampleNumber(1, SP404MKII).label, 'A1');
+  t.is(PadAddress.fromSampleNumber(160, SP404MKII).label, 'J16');
+  t.is(PadAddress.fromSampleNumber(13, SP404SX).label, 'B1');
+  t.throws(() => PadAddress.fromSampleNumber(0, SP404MKII), { message: 'Sample number is invalid, 0 should be an integer between 1 and 160.' });
+  t.throws(() => PadAddress.fromSampleNumber(121, SP404SX));
+});
+
+test('PadAddress.fromBank(bank, profile): returns every pad in the bank', (t) => {
+  t.deepEqual(PadAddress.fromBank('b', SP404SX).map(String), ['B1', 'B2', 'B3', 'B4', 'B5', 'B6', 'B7', 'B8', 'B9', 'B10', 'B11', 'B12']);
+  t.is(PadAddress.fromBank('J', SP404MKII).length, 16);
+  t.throws(() => PadAddress.fromBank('K'), { message: 'Bank is invalid, K should be between A and J.' });
+  t.throws(() => PadAddress.fromBank('AB'));
+});
+
+test('PadAddress.parseRange(expression, profile): expands labels, ranges and banks', (t) => {
+  t.deepEqual(PadAddress.parseRange('A1').map(String), ['A1']);
+  t.deepEqual(PadAddress.parseRange('A1:A12', SP404SX).map(String), PadAddress.fromBank('A', SP404SX).map(String));
+  t.deepEqual(PadAddress.parseRange('C11-D2', SP404SX).map(String), ['C11', 'C12', 'D1', 'D2']);
+  t.deepEqual(PadAddress.parseRange('C15-D2', SP404MKII).map(String), ['C15', 'C16', 'D1', 'D2']);
+  t.deepEqual(PadAddress.parseRange('B*', SP404SX).map((address) => address.index), [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23]);
+  t.is(PadAddress.parseRange('*', SP404MKII).length, 160);
+  t.is(PadAddress.parseRange('*', SP404SX).length, 120);
+});
+
+test('PadAddress.parseRange(expression, profile): combines parts in pad order without duplicates', (t) => {
+  t.deepEqual(PadAddress.parseRange('b2, a1:a3 A2  j16', SP404MKII).map(String), ['A1', 'A2', 'A3', 'B2', 'J16']);
+});
+
+test('PadAddress.parseRange(expression, profile): throws on invalid expressions', (t) => {
+  t.throws(() => PadAddress.parseRange(''), { message: 'Pad range is invalid, "" does not contain any pads.' });
+  t.throws(() => PadAddress.parseRange('D4-C1'), { message: 'Pad range is invalid, D4-C1 should start before it ends.' });
+  t.throws(() => PadAddress.parseRange('A1:A13', SP404SX), { message: 'Pad label is invalid, A13 should be between A1 and J12.' });
+  t.throws(() => PadAddress.parseRange('K*'));
+  t.throws(() => PadAddress.parseRange('A1:A2:A3'));
+});
@@ -0,0 +1,337 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import test from 'ava';
+import AudioPadInfo from '../src/audio-padinfo.js';
+import AudioPattern from '../src/audio-pattern.js';
+import SPCard from '../src/sp-card.js';
+import { SP404MKII } from '../src/device-profiles.js';
+import { buildAiff, buildWave } from './helpers/wave.js';
+
+const footerOG = [0, 140, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0];
+
+/**
+ * Build an SP-404SX pattern file playing pads from bank A to F.
+ * @param {number[]} pads The pad numbers to play, 1 for A1 and 72 for F12.
+ * @returns {Buffer} The pattern file.
+ */
+const buildPattern = (pads) => Buffer.from([
+  ...pads.flatMap((pad) => [0, 46 + pad, 0, 0, 127, 64, 0x60, 0x00]),
+  0, 128, 0, 0, 0, 0, 0, 0,
+  ...footerOG,
+]);
+
+const buildCard = () => ({
+  'ROLAND/SP-404SX/SMPL/PAD_INFO.BIN': fs.readFileSync('./test/assets/PAD_INFO.BIN'),
+  'ROLAND/SP-404SX/SMPL/A0000001.WAV': buildWave({ padding: 460 }),
+  'ROLAND/SP-404SX/SMPL/a0000002.wav': buildAiff(),
+  'ROLAND/SP-404SX/SMPL/B0000001.WAV': Buffer.from('not a sample'),
+  'ROLAND/SP-404SX/PTN/PTN00001.BIN': buildPattern([2, 1, 13]),
+  'ROLAND/SP-404SX/PTN/PTN00014.BIN': buildPattern([1]),
+  'ROLAND/SP-404SX/PTN/PTN00002.BIN': Buffer.from([1, 2, 3]),
+});
+
+test('constructor(files, options): loads PAD_INFO.BIN, samples and patterns', (t) => {
+  const card = new SPCard(buildCard());
+  t.is(card.files.size, 7);
+  t.is(card.root, 'ROLAND/SP-404SX');
+  t.is(card.padInfo.pads.length, 120);
+  t.deepEqual([...card.samples.keys()], ['A1', 'A2', 'B1']);
+  t.deepEqual([...card.patterns.keys()], ['A1', 'A2', 'B2']);
+  t.is(card.pads.length, 120);
+});
+
+test('constructor(files, options): accepts a Map and normalizes paths', (t) => {
+  const card = new SPCard(new Map([['\\ROLAND\\SP-404SX\\SMPL\\A0000001.WAV', buildWave()]]), { root: '/ROLAND/SP-404SX/' });
+  t.deepEqual([...card.files.keys()], ['ROLAND/SP-404SX/SMPL/A0000001.WAV']);
+  t.is(card.samples.get('A1').path, 'ROLAND/SP-404SX/SMPL/A0000001.WAV');
+  t.is(card.padInfo, null);
+  t.is(card.getPad('A1').pad, undefined);
+});
+
+test('.samples: parses WAVE and AIFF samples and keeps unreadable files', (t) => {
+  const card = new SPCard(buildCard());
+  const a1 = card.samples.get('A1');
+  t.is(a1.filename, 'A0000001.WAV');
+  t.is(a1.audio.dataOffset, 512);
+  const a2 = card.samples.get('A2');
+  t.is(a2.path, 'ROLAND/SP-404SX/SMPL/a0000002.wav');
+  t.is(a2.audio.formType, 'AIFF');
+  const b1 = card.samples.get('B1');
+  t.is(b1.audio, null);
+  t.is(b1.error, 'Unsupported file, the file should be a WAVE or AIFF file.');
+});
+
+test('.patterns: parses patterns and the pads they trigger', (t) => {
+  const card = new SPCard(buildCard());
+  const a1 = card.patterns.get('A1');
+  t.is(a1.filename, 'PTN00001.BIN');
+  t.true(a1.pattern instanceof AudioPattern);
+  t.deepEqual(a1.padLabels, ['A1', 'A2', 'B1']);
+  t.is(card.patterns.get('A2').pattern.warnings[0].code, 'ERR_TRUNCATED');
+  t.deepEqual(card.patterns.get('A2').padLabels, []);
+});
+
+test('.getPad(label): links a pad to its sample, pattern and the patterns triggering it', (t) => {
+  const card = new SPCard(buildCard());
+  const pad = card.getPad('a1');
+  t.is(pad.label, 'A1');
+  t.is(pad.pad, card.padInfo.getPad('A1'));
+  t.is(pad.sample, card.samples.get('A1'));
+  t.is(pad.pattern, card.patterns.get('A1'));
+  t.deepEqual(pad.triggeredBy.map((pattern) => pattern.filename), ['PTN00001.BIN', 'PTN00014.BIN']);
+  t.deepEqual(card.getPad('J12').triggeredBy, []);
+  t.is(card.getPad('J12').sample, undefined);
+  t.throws(() => card.getPad('A13'), { message: 'Pad label is invalid, A13 should be between A1 and J12.' });
+});
+
+test('.getPadsTriggeredBy(label): returns the pads a pattern triggers', (t) => {
+  const card = new SPCard(buildCard());
+  t.deepEqual(card.getPadsTriggeredBy('A1').map((pad) => pad.label), ['A1', 'A2', 'B1']);
+  t.deepEqual(card.getPadsTriggeredBy('B2').map((pad) => pad.label), ['A1']);
+  t.deepEqual(card.getPadsTriggeredBy('J12'), []);
+});
+
+test('.getFile(path): reads files without case', (t) => {
+  const card = new SPCard(buildCard());
+  t.is(card.getFile('roland/sp-404sx/smpl/A0000002.WAV'), card.files.get('ROLAND/SP-404SX/SMPL/a0000002.wav'));
+  t.is(card.getFile('ROLAND/SP-404SX/SMPL/J0000012.WAV'), undefined);
+});
+
+test('SPCard.getPatternFilename(label, profile): builds the pattern filename of a pad', (t) => {
+  t.is(SPCard.getPatternFilename('A1'), 'PTN00001.BIN');
+  t.is(SPCard.getPatternFilename('B2'), 'PTN00014.BIN');
+  t.is(SPCard.getPatternFilename('J12'), 'PTN00120.BIN');
+  t.is(SPCard.getPatternFilename('J16', SP404MKII), 'PTN00160.BIN');
+});
+
+test('SPCard.fromDirectory(directory, options): loads a card from a directory', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sp-card-'));
+  try {
+    for (const [file, data] of Object.entries(buildCard())) {
+      fs.mkdirSync(path.join(directory, path.dirname(file)), { recursive: true });
+      fs.writeFileSync(path.join(directory, file), data);
+    }
+    const card = await SPCard.fromDirectory(directory);
+    t.is(card.files.size, 7);
+    t.deepEqual(card.getPad('A1').triggeredBy.map((pattern) => pattern.filename), ['PTN00001.BIN', 'PTN00014.BIN']);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('.check(): reports nothing for a consistent card', (t) => {
+  const sample = buildWave({ padding: 460 });
+  const padInfo = new AudioPadInfo(fs.readFileSync('./test/assets/PAD_DEFAULTS.BIN'));
+  padInfo.setPad('A1', AudioPadInfo.getPadFromWave(sample, 'A1'));
+  const card = new SPCard({
+    'ROLAND/SP-404SX/SMPL/PAD_INFO.BIN': padInfo.toBuffer(),
+    'ROLAND/SP-404SX/SMPL/A0000001.WAV': sample,
+    'ROLAND/SP-404SX/PTN/PTN00001.BIN': buildPattern([1]),
+  });
+  t.deepEqual(card.check(), []);
+});
+
+test('.check(): compares the original sample end to the end of the sample data', (t) => {
+  const wave = buildWave({ padding: 460 });
+  const list = Buffer.alloc(16);
+  list.write('LIST', 0, 'ascii');
+  list.writeUInt32LE(8, 4);
+  list.write('INFOISFT', 8, 'ascii');
+  const sample = Buffer.concat([wave, list]);
+  sample.writeUInt32LE(sample.length - 8, 4);
+  const padInfo = new AudioPadInfo(fs.readFileSync('./test/assets/PAD_DEFAULTS.BIN'));
+  padInfo.setPad('A1', AudioPadInfo.getPadFromWave(sample, 'A1'));
+  padInfo.setPad('A2', { ...AudioPadInfo.getPadFromWave(sample, 'A2'), originalSampleEnd: sample.length });
+  const card = new SPCard({
+    'ROLAND/SP-404SX/SMPL/PAD_INFO.BIN': padInfo.toBuffer(),
+    'ROLAND/SP-404SX/SMPL/A0000001.WAV': sample,
+    'ROLAND/SP-404SX/SMPL/A0000002.WAV': sample,
+  });
+  t.is(card.getPad('A1').pad.originalSampleEnd, wave.length);
+  t.deepEqual(card.check().map(({ code, label, message }) => [code, label, message]), [
+    ['ERR_SAMPLE_LENGTH', 'A2', `A2 Sample Length: Original Sample End ${sample.length} should be the end of the sample data at ${wave.length}.`],
+  ]);
+});
+
+test('.check(): reports missing and orphaned samples, wrong lengths and empty pads in patterns', (t) => {
+  const sample = buildWave({ padding: 460 });
+  const padInfo = new AudioPadInfo(fs.readFileSync('./test/assets/PAD_DEFAULTS.BIN'));
+  padInfo.setPad('A1', AudioPadInfo.getPadFromWave(sample, 'A1'));
+  padInfo.setPad('A2', AudioPadInfo.getPadFromWave(sample, 'A2'));
+  padInfo.setPad('A4', { ...AudioPadInfo.getPadFromWave(sample, 'A4'), originalSampleEnd: sample.length + 100, userSampleEnd: sample.length + 100 });
+  padInfo.setPad('A5', AudioPadInfo.getPadFromWave(sample, 'A5'));
+  const card = new SPCard({
+    'ROLAND/SP-404SX/SMPL/PAD_INFO.BIN': padInfo.toBuffer(),
+    'ROLAND/SP-404SX/SMPL/A0000001.WAV': sample,
+    'ROLAND/SP-404SX/SMPL/A0000003.WAV': sample,
+    'ROLAND/SP-404SX/SMPL/A0000004.WAV': sample,
+    'ROLAND/SP-404SX/SMPL/A0000005.WAV': Buffer.concat([Buffer.from('JUNK'), sample.subarray(4)]),
+    'ROLAND/SP-404SX/SMPL/A0000013.WAV': sample,
+    'ROLAND/SP-404SX/PTN/PTN00001.BIN': buildPattern([1, 2, 3, 6]),
+  });
+  t.deepEqual(card.check().map(({ severity, code, label, path, field }) => [severity, code, label, path, field]), [
+    ['error', 'ERR_MISSING_SAMPLE', 'A2', 'ROLAND/SP-404SX/SMPL/A0000002.WAV', undefined],
+    ['warning', 'ERR_ORPHANED_SAMPLE', 'A3', 'ROLAND/SP-404SX/SMPL/A0000003.WAV', undefined],
+    ['error', 'ERR_SAMPLE_LENGTH', 'A4', 'ROLAND/SP-404SX/SMPL/A0000004.WAV', 'originalSampleEnd'],
+    ['error', 'ERR_SAMPLE_LENGTH', 'A4', 'ROLAND/SP-404SX/SMPL/A0000004.WAV', 'userSampleEnd'],
+    ['error', 'ERR_UNREADABLE_SAMPLE', 'A5', 'ROLAND/SP-404SX/SMPL/A0000005.WAV', undefined],
+    ['warning', 'ERR_ORPHANED_SAMPLE', undefined, 'ROLAND/SP-404SX/SMPL/A0000013.WAV', undefined],
+    ['warning', 'ERR_EMPTY_PAD_TRIGGERED', 'A2', 'ROLAND/SP-404SX/PTN/PTN00001.BIN', undefined],
+    ['warning', 'ERR_EMPTY_PAD_TRIGGERED', 'A3', 'ROLAND/SP-404SX/PTN/PTN00001.BIN', undefined],
+    ['warning', 'ERR_EMPTY_PAD_TRIGGERED', 'A6', 'ROLAND/SP-404SX/PTN/PTN00001.BIN', undefined],
+  ]);
+  const [missing] = card.check();
+  t.is(missing.message, 'A2 Missing Sample: PAD_INFO.BIN has a sample but ROLAND/SP-404SX/SMPL/A0000002.WAV does not exist.');
+});
+
+test('.check(): reports a missing PAD_INFO.BIN', (t) => {
+  const card = new SPCard({ 'ROLAND/SP-404SX/SMPL/A0000001.WAV': buildWave() });
+  t.deepEqual(card.check(), [{
+    severity: 'error',
+    code: 'ERR_MISSING_PAD_INFO',
+    path: 'ROLAND/SP-404SX/SMPL/PAD_INFO.BIN',
+    message: 'Missing PAD_INFO.BIN: no pad settings were found at ROLAND/SP-404SX/SMPL/PAD_INFO.BIN.',
+  }]);
+});
+
+test('.repair(): repairs PAD_INFO.BIN from the samples on the card', (t) => {
+  const sample = buildWave({ padding: 460 });
+  const padInfo = new AudioPadInfo(fs.readFileSync('./test/assets/PAD_DEFAULTS.BIN'));
+  padInfo.setPad('A1', { ...AudioPadInfo.getPadFromWave(sample, 'A1'), originalSampleEnd: sample.length + 100, volume: 100 });
+  padInfo.setPad('A2', AudioPadInfo.getPadFromWave(sample, 'A2'));
+  const card = new SPCard({
+    'ROLAND/SP-404SX/SMPL/PAD_INFO.BIN': padInfo.toBuffer(),
+    'ROLAND/SP-404SX/SMPL/A0000001.WAV': sample,
+    'ROLAND/SP-404SX/PTN/PTN00001.BIN': buildPattern([1, 2]),
+  });
+  t.is(card.check().length, 3);
+  t.deepEqual(card.repair().map(({ label, field }) => [label, field]), [
+    ['A1', 'originalSampleEnd'],
+    ['A2', 'originalSampleEnd'],
+    ['A2', 'userSampleEnd'],
+    ['A2', 'originalTempo'],
+    ['A2', 'userTempo'],
+  ]);
+  t.is(card.getPad('A1').pad.volume, 100);
+  t.deepEqual(card.check().map(({ code, label }) => [code, label]), [['ERR_EMPTY_PAD_TRIGGERED', 'A2']]);
+  t.deepEqual(new SPCard({}).repair(), []);
+});
+
+/**
+ * Build a card with samples on A1 and A2, and a pattern on A1 playing A1, A2 and B1.
+ * @returns {Record<string, Uint8Array>} The files of the card.
+ */
+const buildArrangeCard = () => {
+  const padInfo = new AudioPadInfo(fs.readFileSync('./test/assets/PAD_DEFAULTS.BIN'));
+  padInfo.setPad('A1', { ...AudioPadInfo.getPadFromWave(buildWave({ padding: 460 }), 'A1'), volume: 100 });
+  padInfo.setPad('A2', { ...AudioPadInfo.getPadFromWave(buildWave({ channels: 1, padding: 460 }), 'A2'), volume: 50 });
+  return {
+    'ROLAND/SP-404SX/SMPL/PAD_INFO.BIN': padInfo.toBuffer(),
+    'ROLAND/SP-404SX/SMPL/A0000001.WAV': buildWave({ padding: 460 }),
+    'ROLAND/SP-404SX/SMPL/A0000002.WAV': buildWave({ channels: 1, padding: 460 }),
+    'ROLAND/SP-404SX/PTN/PTN00001.BIN': buildPattern([1, 2, 13]),
+  };
+};
+
+test('.movePad(from, to, options): moves the sample, the pad settings and the pattern notes', (t) => {
+  const card = new SPCard(buildArrangeCard());
+  const operations = card.movePad('a1', 'C5');
+  t.deepEqual(operations.map(({ operation, from, path }) => [operation, from, path]), [
+    ['rename', 'ROLAND/SP-404SX/SMPL/A0000001.WAV', 'ROLAND/SP-404SX/SMPL/C0000005.WAV'],
+    ['write', undefined, 'ROLAND/SP-404SX/SMPL/PAD_INFO.BIN'],
+    ['write', undefined, 'ROLAND/SP-404SX/PTN/PTN00001.BIN'],
+  ]);
+  t.is(card.getPad('A1').sample, undefined);
+  t.true(card.getPad('A1').pad.avaliable);
+  t.is(card.getPad('C5').sample.path, 'ROLAND/SP-404SX/SMPL/C0000005.WAV');
+  t.is(card.getPad('C5').pad.volume, 100);
+  t.deepEqual(card.patterns.get('A1').padLabels, ['A2', 'B1', 'C5']);
+  t.deepEqual([...operations[2].data.subarray(0, 8)], [0, 75, 0, 0, 127, 64, 0x60, 0x00]);
+  t.deepEqual(card.check().map(({ code, label }) => [code, label]), [['ERR_EMPTY_PAD_TRIGGERED', 'B1']]);
+});
+
+test('.movePad(from, to, options): refuses to replace a pad in use unless asked to', (t) => {
+  const card = new SPCard(buildArrangeCard());
+  t.throws(() => card.movePad('A1', 'A2'), { message: 'Pad is in use, A2 already has a sample and cannot be replaced by A1.' });
+  t.is(card.getPad('A1').pad.volume, 100);
+  t.throws(() => card.movePad('A1', 'K1'), { message: 'Pad label is invalid, K1 should be between A1 and J12.' });
+  t.deepEqual(card.movePad('A1', 'A1'), [{ operation: 'write', path: 'ROLAND/SP-404SX/SMPL/PAD_INFO.BIN', data: card.padInfo.toBuffer() }]);
+
+  const operations = card.movePad('A1', 'A2', { overwrite: true });
+  t.deepEqual(operations.slice(0, 2).map(({ operation, from, path }) => [operation, from, path]), [
+    ['delete', undefined, 'ROLAND/SP-404SX/SMPL/A0000002.WAV'],
+    ['rename', 'ROLAND/SP-404SX/SMPL/A0000001.WAV', 'ROLAND/SP-404SX/SMPL/A0000002.WAV'],
+  ]);
+  t.is(card.getPad('A2').pad.volume, 100);
+  t.is(card.getPad('A2').sample.audio.channels, 2);
+  t.deepEqual(card.patterns.get('A1').padLabels, ['A2', 'B1']);
+});
+
+test('.copyPad(from, to, options): copies the sample and the pad settings without changing patterns', (t) => {
+  const card = new SPCard(buildArrangeCard());
+  const operations = card.copyPad('A2', 'J12');
+  t.deepEqual(operations.map(({ operation, from, path }) => [operation, from, path]), [
+    ['copy', 'ROLAND/SP-404SX/SMPL/A0000002.WAV', 'ROLAND/SP-404SX/SMPL/J0000012.WAV'],
+    ['write', undefined, 'ROLAND/SP-404SX/SMPL/PAD_INFO.BIN'],
+  ]);
+  t.is(card.getPad('A2').pad.volume, 50);
+  t.is(card.getPad('J12').pad.volume, 50);
+  t.is(card.getPad('J12').sample.audio.channels, 1);
+  t.deepEqual(card.patterns.get('A1').padLabels, ['A1', 'A2', 'B1']);
+  t.throws(() => card.copyPad('A1', 'J12'), { message: 'Pad is in use, J12 already has a sample and cannot be replaced by A1.' });
+});
+
+test('.swapPads(a, b): swaps the samples through a temporary file, the pad settings and the pattern notes', (t) => {
+  const card = new SPCard(buildArrangeCard());
+  const operations = card.swapPads('A1', 'A2');
+  t.deepEqual(operations.map(({ operation, from, path }) => [operation, from, path]), [
+    ['rename', 'ROLAND/SP-404SX/SMPL/A0000002.WAV', 'ROLAND/SP-404SX/SMPL/A0000002.WAV.TMP'],
+    ['rename', 'ROLAND/SP-404SX/SMPL/A0000001.WAV', 'ROLAND/SP-404SX/SMPL/A0000001.WAV.TMP'],
+    ['rename', 'ROLAND/SP-404SX/SMPL/A0000001.WAV.TMP', 'ROLAND/SP-404SX/SMPL/A0000002.WAV'],
+    ['rename', 'ROLAND/SP-404SX/SMPL/A0000002.WAV.TMP', 'ROLAND/SP-404SX/SMPL/A0000001.WAV'],
+    ['write', undefined, 'ROLAND/SP-404SX/SMPL/PAD_INFO.BIN'],
+    ['write', undefined, 'ROLAND/SP-404SX/PTN/PTN00001.BIN'],
+  ]);
+  t.is(card.getPad('A1').pad.volume, 50);
+  t.is(card.getPad('A1').sample.audio.channels, 1);
+  t.is(card.getPad('A2').pad.volume, 100);
+  t.is(card.getPad('A2').sample.audio.channels, 2);
+  t.deepEqual(card.patterns.get('A1').pattern.notes.slice(0, 3).map((note) => note.padLabel), ['A2', 'A1', 'B1']);
+  t.deepEqual(card.check(), card.check().filter(({ code }) => code === 'ERR_EMPTY_PAD_TRIGGERED'));
+});
+
+test('.swapBanks(a, b): swaps every pad of two banks and uses the bank switch of the new bank', (t) => {
+  const card = new SPCard(buildArrangeCard());
+  const operations = card.swapBanks('A', 'g');
+  t.deepEqual(operations.filter(({ operation }) => operation === 'rename').map(({ from, path }) => [from.slice(-12), path.slice(-12)]), [
+    ['A0000001.WAV', 'G0000001.WAV'],
+    ['A0000002.WAV', 'G0000002.WAV'],
+  ]);
+  t.is(card.getPad('G1').pad.volume, 100);
+  t.is(card.getPad('G2').sample.path, 'ROLAND/SP-404SX/SMPL/G0000002.WAV');
+  t.true(card.getPad('A1').pad.avaliable);
+  t.deepEqual(card.patterns.get('A1').padLabels, ['B1', 'G1', 'G2']);
+  t.deepEqual([...operations.at(-1).data.subarray(0, 16)], [0, 71, 64, 0, 127, 64, 0x60, 0x00, 0, 72, 64, 0, 127, 64, 0x60, 0x00]);
+  t.throws(() => card.swapBanks('A', 'K'), { message: 'Bank is invalid, K should be between A and J.' });
+});
+
+test('SPCard.applyToDirectory(directory, operations): applies file operations to a card in a directory', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sp-card-'));
+  try {
+    for (const [file, data] of Object.entries(buildArrangeCard())) {
+      fs.mkdirSync(path.join(directory, path.dirname(file)), { recursive: true });
+      fs.writeFileSync(path.join(directory, file), data);
+    }
+    const card = await SPCard.fromDirectory(directory);
+    await SPCard.applyToDirectory(directory, card.swapPads('A1', 'A2'));
+    await SPCard.applyToDirectory(directory, card.copyPad('A1', 'B2'));
+    const reloaded = await SPCard.fromDirectory(directory);
+    t.deepEqual([...reloaded.files.keys()].sort(), [...card.files.keys()].sort());
+    for (const [file, data] of card.files) {
+      t.deepEqual([...reloaded.files.get(file)], [...data], file);
+    }
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
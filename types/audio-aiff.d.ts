@@ -0,0 +1,126 @@
+export default AudioAiff;
+/**
+ * A chunk found in an IFF file.
+ */
+export type AiffChunk = {
+    /**
+     * The four character chunk ID, like `COMM` or `SSND`.
+     */
+    id: string;
+    /**
+     * The byte offset of the chunk header in the file.
+     */
+    offset: number;
+    /**
+     * The size of the chunk data in bytes, not including the 8 byte header.
+     */
+    size: number;
+};
+/**
+ * A chunk found in an IFF file.
+ * @typedef {object} AiffChunk
+ * @property {string} id The four character chunk ID, like `COMM` or `SSND`.
+ * @property {number} offset The byte offset of the chunk header in the file.
+ * @property {number} size The size of the chunk data in bytes, not including the 8 byte header.
+ */
+/**
+ * Uttori AIFF - Utility to read the structure of an AIFF or AIFF-C file, and to write 16 bit AIFF files.
+ *
+ * Only the chunk layout and the `COMM` chunk are decoded, the sample data is left in place and located by `dataOffset` and `dataSize` until `getSamples` is called.
+ * In this file, values are stored in big-endian order.
+ * @property {AiffChunk[]} chunks The chunks in file order.
+ * @property {string} formType The form type, `AIFF` or `AIFC`.
+ * @property {number} channels The number of channels.
+ * @property {number} frames The number of sample frames.
+ * @property {number} bitsPerSample The number of bits per sample for one channel.
+ * @property {number} sampleRate The number of sample frames per second.
+ * @property {string} compressionType The AIFF-C compression type like `NONE` or `sowt`, always `NONE` for AIFF files.
+ * @property {number} dataOffset The byte offset of the first sample in the file.
+ * @property {number} dataSize The size of the sample data in bytes.
+ * @example <caption>AudioAiff</caption>
+ * import fs from 'fs';
+ * const aiff = new AudioAiff(fs.readFileSync('./A0000001.AIF'));
+ * console.log(aiff.channels, aiff.sampleRate, aiff.dataOffset, aiff.frames);
+ * ➜ 2 44100 54 96219
+ * @class
+ * @augments DataBuffer
+ */
+declare class AudioAiff extends DataBuffer {
+    /**
+     * Encode samples to a 16 bit big-endian PCM AIFF file.
+     * The `SSND` chunk offset is used to place the sample data at `dataOffset`, like the RIFF header of SP-404SX Wave Converter files.
+     * @param {Float32Array[]} samples The samples of each channel between -1 and 1, all of the same length.
+     * @param {object} [options] The layout of the file.
+     * @param {number} [options.sampleRate] The number of sample frames per second; default is 44100.
+     * @param {number} [options.dataOffset] The byte offset of the first sample, at least 54; default is 512.
+     * @returns {Buffer} The AIFF file.
+     * @throws {Error} The data offset is too small for the header.
+     * @static
+     */
+    static encode(samples: Float32Array[], { sampleRate, dataOffset }?: {
+        sampleRate?: number;
+        dataOffset?: number;
+    }): Buffer;
+    /**
+     * Encode a number as an 80 bit IEEE 754 extended precision big-endian number, used for the AIFF sample rate.
+     * @param {number} value The number to encode.
+     * @returns {Uint8Array} The 10 bytes of the number.
+     * @static
+     */
+    static encodeExtended(value: number): Uint8Array;
+    /**
+     * Decode an 80 bit IEEE 754 extended precision big-endian number, used for the AIFF sample rate.
+     * @param {Uint8Array} bytes The 10 bytes of the number.
+     * @returns {number} The decoded number.
+     * @static
+     */
+    static decodeExtended(bytes: Uint8Array): number;
+    /**
+     * Creates an instance of AudioAiff.
+     * @param {number[]|ArrayBuffer|Buffer|DataBuffer|Int8Array|Int16Array|Int32Array|number|string|Uint8Array|Uint16Array|Uint32Array|undefined} [input] The data to process.
+     * @throws {Error} The file is not an AIFF or AIFF-C file, or is missing the `COMM` or `SSND` chunk.
+     * @class
+     */
+    constructor(input?: number[] | ArrayBuffer | Buffer | DataBuffer | Int8Array | Int16Array | Int32Array | number | string | Uint8Array | Uint16Array | Uint32Array | undefined);
+    /** @type {AiffChunk[]} The chunks in file order. */
+    chunks: AiffChunk[];
+    /** @type {string} The form type, `AIFF` or `AIFC`. */
+    formType: string;
+    /** @type {number} The number of channels. */
+    channels: number;
+    /** @type {number} The number of sample frames. */
+    frames: number;
+    /** @type {number} The number of bits per sample for one channel. */
+    bitsPerSample: number;
+    /** @type {number} The number of sample frames per second. */
+    sampleRate: number;
+    /** @type {string} The AIFF-C compression type like `NONE` or `sowt`. */
+    compressionType: string;
+    /** @type {number} The byte offset of the first sample in the file. */
+    dataOffset: number;
+    /** @type {number} The size of the sample data in bytes. */
+    dataSize: number;
+    /**
+     * The number of bytes per sample frame, for all channels.
+     * @returns {number} The number of bytes per sample frame.
+     */
+    get blockAlign(): number;
+    /**
+     * The length of the sample data in seconds.
+     * @returns {number} The length in seconds.
+     */
+    get duration(): number;
+    /**
+     * Decode the sample data to one array of samples between -1 and 1 per channel.
+     * @returns {Float32Array[]} The samples of each channel.
+     * @throws {Error} The compression type or sample size is not supported.
+     */
+    getSamples(): Float32Array[];
+    /**
+     * Parse the FORM header and the chunks, decoding the `COMM` chunk and locating the `SSND` sample data.
+     * @throws {Error} The file is not an AIFF or AIFF-C file, or is missing the `COMM` or `SSND` chunk.
+     */
+    parse(): void;
+}
+import { DataBuffer } from '@uttori/data-tools';
+//# sourceMappingURL=audio-aiff.d.ts.map
\ No newline at end of file
@@ -0,0 +1,98 @@
+export default AudioConverter;
+/**
+ * A converted sample file and the pad that plays it.
+ */
+export type ConvertedSample = {
+    /**
+     * The converted WAVE file.
+     */
+    file: Buffer;
+    /**
+     * The pad for the converted file.
+     */
+    pad: import("./audio-padinfo.js").Pad;
+};
+/**
+ * A converted sample file and the pad that plays it.
+ * @typedef {object} ConvertedSample
+ * @property {Buffer} file The converted WAVE file.
+ * @property {import('./audio-padinfo.js').Pad} pad The pad for the converted file.
+ */
+/**
+ * Uttori Audio Converter - Utility to convert WAVE and AIFF files to sample files the SP-404SX can play, like SP-404SX Wave Converter does.
+ *
+ * The output is a 16 bit PCM WAVE file at 44.1 kHz with the same number of channels, and a `JUNK` chunk padding the header so the sample data starts at exactly byte 512.
+ * AIFF output is 16 bit big-endian PCM at 44.1 kHz, with the `SSND` chunk offset placing the sample data at byte 512.
+ * Any other chunks in the input are dropped. Sample rates are changed with a windowed sinc filter and bit depths by rounding, without dither.
+ * @example <caption>AudioConverter</caption>
+ * import fs from 'fs';
+ * const { file, pad } = AudioConverter.convert(fs.readFileSync('./kick-96k-24bit.wav'), 'A1');
+ * fs.writeFileSync(`./ROLAND/SP-404SX/SMPL/${pad.filename}`, file);
+ * padInfo.setPad('A1', pad);
+ * @class
+ */
+declare class AudioConverter {
+    /** @returns {number} The sample rate used by the SP-404SX. */
+    static get sampleRate(): number;
+    /** @returns {number} The byte offset of the sample data in a converted file. */
+    static get headerSize(): number;
+    /**
+     * Convert a WAVE or AIFF file to a sample file the SP-404SX can play, and build the matching pad.
+     * @param {number[]|ArrayBuffer|Buffer|Uint8Array|AudioWave|AudioAiff} input The WAVE or AIFF file.
+     * @param {string} label The pad label like `A1` or `J12`.
+     * @param {object} [options] The options for the conversion.
+     * @param {import('./device-profiles.js').DeviceProfile} [options.profile] The device to build the pad for; default is the SP-404SX.
+     * @param {'WAVE'|'AIFF'} [options.format] The format of the converted file; default is `WAVE`.
+     * @returns {ConvertedSample} The converted file and its pad.
+     * @throws {Error} The file is not a supported WAVE or AIFF file, has more than 2 channels, or the format is unknown.
+     * @static
+     */
+    static convert(input: number[] | ArrayBuffer | Buffer | Uint8Array | AudioWave | AudioAiff, label: string, { profile, format }?: {
+        profile?: import("./device-profiles.js").DeviceProfile;
+        format?: "WAVE" | "AIFF";
+    }): ConvertedSample;
+    /**
+     * Convert the sample file of an existing pad, like an `AIFF` pad to `WAVE`, keeping the pad settings.
+     * The sample offsets are recomputed for the header of the new file, and the user start and end are moved to the same sample frames as before.
+     * @param {import('./audio-padinfo.js').Pad} pad The pad the file is used by.
+     * @param {number[]|ArrayBuffer|Buffer|Uint8Array|AudioWave|AudioAiff} input The WAVE or AIFF file of the pad.
+     * @param {object} [options] The options for the conversion.
+     * @param {import('./device-profiles.js').DeviceProfile} [options.profile] The device the pad is for; default is the SP-404SX.
+     * @param {'WAVE'|'AIFF'} [options.format] The format of the converted file; default is `WAVE`.
+     * @returns {ConvertedSample} The converted file and the updated pad.
+     * @throws {Error} The file is not a supported WAVE or AIFF file, has more than 2 channels, or the format is unknown.
+     * @static
+     */
+    static convertPad(pad: import("./audio-padinfo.js").Pad, input: number[] | ArrayBuffer | Buffer | Uint8Array | AudioWave | AudioAiff, { profile, format }?: {
+        profile?: import("./device-profiles.js").DeviceProfile;
+        format?: "WAVE" | "AIFF";
+    }): ConvertedSample;
+    /**
+     * Read a WAVE or AIFF file, detected from the first bytes.
+     * @param {number[]|ArrayBuffer|Buffer|Uint8Array|AudioWave|AudioAiff} input The WAVE or AIFF file.
+     * @returns {AudioWave|AudioAiff} The parsed file.
+     * @throws {Error} The file is not a WAVE or AIFF file.
+     * @static
+     */
+    static read(input: number[] | ArrayBuffer | Buffer | Uint8Array | AudioWave | AudioAiff): AudioWave | AudioAiff;
+    /**
+     * Change the sample rate of one channel with a Blackman windowed sinc filter, which also removes frequencies above the new Nyquist frequency when lowering the rate.
+     * @param {Float32Array} samples The samples of one channel.
+     * @param {number} fromRate The current sample rate.
+     * @param {number} toRate The new sample rate.
+     * @param {number} [zeroCrossings] The number of zero crossings of the filter on each side, more is sharper and slower; default is 16.
+     * @returns {Float32Array} The resampled channel, or the input when the rates are the same.
+     * @static
+     */
+    static resample(samples: Float32Array, fromRate: number, toRate: number, zeroCrossings?: number): Float32Array;
+    /**
+     * Encode samples to a 16 bit PCM WAVE file at 44.1 kHz, with the sample data starting at byte 512.
+     * @param {Float32Array[]} samples The samples of each channel, all of the same length.
+     * @returns {Buffer} The WAVE file.
+     * @static
+     */
+    static encodeWave(samples: Float32Array[]): Buffer;
+}
+import AudioWave from './audio-wave.js';
+import AudioAiff from './audio-aiff.js';
+//# sourceMappingURL=audio-converter.d.ts.map
\ No newline at end of file
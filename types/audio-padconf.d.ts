@@ -0,0 +1,240 @@
+export default AudioPadConf;
+/**
+ * A Pad object from an SP-404 MKII project.
+ */
+export type PadConf = {
+    /**
+     * If the pad is free to use, meaning no sample is assigned to it.
+     */
+    avaliable: boolean;
+    /**
+     * The human readable pad text, `A1` - `J16`.
+     */
+    label: string;
+    /**
+     * The name of the sample shown on the device, up to 23 characters.
+     */
+    name: string;
+    /**
+     * The end of the sample as it was imported, 0 when no sample is assigned.
+     */
+    originalSampleEnd: number;
+    /**
+     * The start point of the sample, 512 for an imported sample or 0 when no sample is assigned.
+     */
+    sampleStart: number;
+    /**
+     * The end point of the sample, 0 when no sample is assigned.
+     */
+    sampleEnd: number;
+    /**
+     * The point the sample loops back to when looping.
+     */
+    loopStart: number;
+    /**
+     * Volume is between 0 and 127
+     */
+    volume: number;
+    /**
+     * The BPM of the sample. BPM is stored mutiplied by 100, 0x2328 = 9000 = 90 bpm
+     */
+    bpm: number;
+    /**
+     * Gate: false off, true on
+     */
+    gate: boolean | number;
+    /**
+     * Loop: false off, true on
+     */
+    loop: boolean | number;
+    /**
+     * Reverse: false off, true on
+     */
+    reverse: boolean | number;
+};
+/**
+ * A Pad object from an SP-404 MKII project.
+ * @typedef {object} PadConf
+ * @property {boolean} avaliable If the pad is free to use, meaning no sample is assigned to it.
+ * @property {string} label The human readable pad text, `A1` - `J16`.
+ * @property {string} name The name of the sample shown on the device, up to 23 characters.
+ * @property {number} originalSampleEnd The end of the sample as it was imported, 0 when no sample is assigned.
+ * @property {number} sampleStart The start point of the sample, 512 for an imported sample or 0 when no sample is assigned.
+ * @property {number} sampleEnd The end point of the sample, 0 when no sample is assigned.
+ * @property {number} loopStart The point the sample loops back to when looping.
+ * @property {number} volume Volume is between 0 and 127
+ * @property {number} bpm The BPM of the sample. BPM is stored mutiplied by 100, 0x2328 = 9000 = 90 bpm
+ * @property {boolean | number} gate Gate: false off, true on
+ * @property {boolean | number} loop Loop: false off, true on
+ * @property {boolean | number} reverse Reverse: false off, true on
+ */
+/**
+ * Uttori Pad Conf - Utility to read and write the PADCONF.BIN project file for the SP-404 MKII.
+ *
+ * Each project folder on the SD card contains a PADCONF.BIN holding the project settings and the settings for all 160 pads, A1 to J16.
+ * In this file, values are stored in big-endian order.
+ *
+ * The file is made of four sections:
+ * - 160 byte header: `RFPD` magic, pad count, version, BPM and the project name
+ * - 160 × 172 byte pad records, one for each pad A1 to J16
+ * - 160 × 24 byte pad names, one for each pad A1 to J16
+ * - 160 × 128 byte unknown records, 64 bytes of 0xFF and 64 bytes of 0x00 per pad in all known files
+ *
+ * Only the fields listed on `PadConf` have been identified, the remaining pad record bytes are not decoded.
+ * @property {string} magic The file magic, always `RFPD`.
+ * @property {number} padCount The number of pads in the project, always 160.
+ * @property {number} version The file version, 3 in all known files.
+ * @property {number} bpm The project BPM.
+ * @property {string} name The project name, like `PROJECT_03`.
+ * @property {PadConf[]} pads Parsed Pads
+ * @example <caption>AudioPadConf</caption>
+ * import fs from 'fs';
+ * const data = fs.readFileSync('./PADCONF.BIN');
+ * const { name, bpm, pads } = new AudioPadConf(data);
+ * console.log('Project:', name, bpm);
+ * ➜ Project: PROJECT_03 90
+ * console.log('Pads:', pads);
+ * ➜ [
+ *     {
+ *       "avaliable": false,
+ *       "label": "A1",
+ *       "name": "Wave Race 64 - M",
+ *       "originalSampleEnd": 14933848,
+ *       "sampleStart": 512,
+ *       "sampleEnd": 14933848,
+ *       "loopStart": 8103336,
+ *       "volume": 127,
+ *       "bpm": 81,
+ *       "gate": false,
+ *       "loop": false,
+ *       "reverse": false
+ *     },
+ *     ...
+ *   ]
+ * @example <caption>Editing a project</caption>
+ * const project = new AudioPadConf(fs.readFileSync('./PADCONF.BIN'));
+ * project.name = 'BEATS';
+ * project.pads[0].volume = 100;
+ * fs.writeFileSync('./PADCONF.BIN', project.toBuffer());
+ * @class
+ */
+declare class AudioPadConf extends DataBuffer {
+    /** @returns {number} The size of the header in bytes. */
+    static get headerSize(): number;
+    /** @returns {number} The size of each pad record in bytes. */
+    static get padSize(): number;
+    /** @returns {number} The size of each pad name in bytes. */
+    static get nameSize(): number;
+    /** @returns {number} The size of the unknown per pad data at the end of the file in bytes. */
+    static get trailerSize(): number;
+    /**
+     * Encode JSON values onto a pad record, leaving the bytes of the fields that are not identified as they are.
+     * @param {Partial<PadConf>} data The JSON values to encode.
+     * @param {Uint8Array} [record] The original 172 byte pad record to write the values onto, when missing an empty record is used.
+     * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to use the default values of for missing fields; default is the SP-404 MKII.
+     * @returns {Buffer} The new pad Buffer.
+     * @static
+     */
+    static encodePad(data: Partial<PadConf>, record?: Uint8Array, profile?: import("./device-profiles.js").DeviceProfile): Buffer;
+    /**
+     * Check a pad for any values that cannot be stored.
+     * @param {Partial<PadConf>} data The JSON values to check.
+     * @param {Partial<PadConf>} [original] The pad as it was read, fields that still hold the same value are not checked.
+     * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to use the default values of for missing fields; default is the SP-404 MKII.
+     * @returns {string[]} A description of each invalid value, empty when the pad is valid.
+     * @static
+     */
+    static validatePad(data: Partial<PadConf>, original?: Partial<PadConf>, profile?: import("./device-profiles.js").DeviceProfile): string[];
+    /**
+     * Encode a pad name to the 24 byte layout used by the device: the name, a NUL byte, space padding and a final NUL byte.
+     * Empty names are stored as 23 spaces and a NUL byte.
+     * @param {string} name The name to encode, up to 23 bytes.
+     * @returns {Uint8Array} The encoded name.
+     * @static
+     */
+    static encodeName(name: string): Uint8Array;
+    /**
+     * Decode a 32 bit flag value to a boolean, leaving unexpected values as numbers.
+     * @param {number} value The value read from the file.
+     * @param {string} field The name of the field, used for debugging.
+     * @param {string} label The label of the pad, used for debugging.
+     * @returns {boolean | number} The flag as a boolean, or the original value when it is not 0 or 1.
+     * @static
+     */
+    static decodeFlag(value: number, field: string, label: string): boolean | number;
+    /**
+     * Decode a fixed length UTF-8 string, stopping at the first NUL byte and removing the space padding.
+     * @param {Uint8Array} bytes The bytes to decode.
+     * @returns {string} The decoded string.
+     * @static
+     */
+    static decodeString(bytes: Uint8Array): string;
+    /**
+     * Convert a numberic value used in the PADCONF.BIN file for that pad to the pad label like `A1` or `J16`.
+     * @param {number} index The numberic value used in the PADCONF.BIN file.
+     * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to build the label for; default is the SP-404 MKII.
+     * @returns {string} The pad label like `A1` or `J16`, or an empty string when the index is out of range.
+     * @static
+     */
+    static getPadLabel(index: number, profile?: import("./device-profiles.js").DeviceProfile): string;
+    /**
+     * Convert a pad label like `A1` or `J16` to the numberic value used in the PADCONF.BIN file for that pad.
+     * @param {string} label The pad label like `A1` or `J16`.
+     * @param {import('./device-profiles.js').DeviceProfile} [profile] The device the label is for; default is the SP-404 MKII.
+     * @returns {number} The numberic value used in the PADCONF.BIN file, or -1 when the label is unknown.
+     * @static
+     */
+    static getPadIndex(label?: string, profile?: import("./device-profiles.js").DeviceProfile): number;
+    /**
+     * Creates an instance of AudioPadConf.
+     * @param {number[]|ArrayBuffer|Buffer|DataBuffer|Int8Array|Int16Array|Int32Array|number|string|Uint8Array|Uint16Array|Uint32Array|undefined} [input] The data to process.
+     * @param {object} [options] The options for parsing the project.
+     * @param {import('./device-profiles.js').DeviceProfile} [options.profile] The device the file is for, used for pad labels; default is the SP-404 MKII.
+     * @class
+     */
+    constructor(input?: number[] | ArrayBuffer | Buffer | DataBuffer | Int8Array | Int16Array | Int32Array | number | string | Uint8Array | Uint16Array | Uint32Array | undefined, { profile }?: {
+        profile?: import("./device-profiles.js").DeviceProfile;
+    });
+    /** @type {import('./device-profiles.js').DeviceProfile} The device the file is for. */
+    profile: import("./device-profiles.js").DeviceProfile;
+    /** @type {string} The file magic, always `RFPD`. */
+    magic: string;
+    /** @type {number} The number of pads in the project, always 160. */
+    padCount: number;
+    /** @type {number} The file version, 3 in all known files. */
+    version: number;
+    /** @type {number} The project BPM. */
+    bpm: number;
+    /** @type {string} The project name, like `PROJECT_03`. */
+    name: string;
+    /** @type {PadConf[]} */
+    pads: PadConf[];
+    /** @type {Map<string, PadConf>} The pads as they were read, fields that still hold these values are written back without being validated. */
+    readPads: Map<string, PadConf>;
+    /**
+     * Parse the PADCONF.BIN file, decoding the supported project and pad info.
+     * @throws {Error} Invalid magic, the file is not a PADCONF.BIN file.
+     * @throws {PadConfFormatError} The file is truncated or the pad count does not match the profile.
+     */
+    parse(): void;
+    /**
+     * Throw a PadConfFormatError describing why the file cannot be parsed.
+     * @param {string} code The kind of problem, `ERR_TRUNCATED` or `ERR_PAD_COUNT`.
+     * @param {number} offset The byte offset of the offending value in the file.
+     * @param {number} value The raw value read from the file, or the file length for `ERR_TRUNCATED`.
+     * @param {string} message The description of the problem.
+     * @throws {PadConfFormatError} Always.
+     */
+    throwFormatError(code: string, offset: number, value: number, message: string): void;
+    /**
+     * Encode the project back to a PADCONF.BIN file.
+     * The original file is used as the base and only the identified fields are written, so every byte that is not understood yet is preserved as it was read.
+     * Pad names are only rewritten when they have been changed to avoid altering the padding of names written by the device.
+     * Only values that have been changed are validated, so a file with values outside of the specification is written back byte for byte.
+     * @returns {Buffer} The new PADCONF.BIN Buffer, the same length as the original file.
+     * @throws {Error} The project or a pad has invalid values.
+     */
+    toBuffer(): Buffer;
+}
+import { DataBuffer } from '@uttori/data-tools';
+//# sourceMappingURL=audio-padconf.d.ts.map
\ No newline at end of file
@@ -71,6 +71,132 @@ export type Pad = {
      * User set BPM on the device
      */
     userTempo: number;
+    /**
+     * The 32 bytes of the record as read, fields that have not been changed are written back from here; not enumerable, so it is left out of `JSON.stringify` and spread copies
+     */
+    raw?: Uint8Array;
+};
+/**
+ * A problem found while parsing a PAD_INFO.BIN file.
+ */
+export type PadInfoWarning = {
+    /**
+     * Errors are values outside of the specification, warnings are unusual but valid values.
+     */
+    severity: "error" | "warning";
+    /**
+     * The kind of problem, `ERR_TRUNCATED`, `ERR_INVALID_VALUE` or `ERR_SAMPLE_RANGE`.
+     */
+    code: string;
+    /**
+     * The label of the pad the problem was found on, `A1` - `J12`.
+     */
+    label: string;
+    /**
+     * The byte offset of the value in the file.
+     */
+    offset: number;
+    /**
+     * The name of the field on the Pad, like `volume` or `channels`.
+     */
+    field: string;
+    /**
+     * The raw value read from the file.
+     */
+    value: number | boolean | string;
+    /**
+     * A human readable description of the problem.
+     */
+    message: string;
+};
+/**
+ * A change made to a pad by `repair`.
+ */
+export type PadRepair = {
+    /**
+     * The label of the pad that was changed, `A1` - `J12`.
+     */
+    label: string;
+    /**
+     * The name of the field on the Pad, like `volume` or `originalSampleEnd`.
+     */
+    field: string;
+    /**
+     * The value before the repair.
+     */
+    from: any;
+    /**
+     * The value after the repair.
+     */
+    to: any;
+    /**
+     * A human readable description of why the value was changed.
+     */
+    reason: string;
+};
+/**
+ * A PAD_INFO.BIN file as JSON, see `PadInfoSchema`.
+ */
+export type PadInfoJSON = {
+    /**
+     * The version of the JSON format, `1`.
+     */
+    version: number;
+    /**
+     * The ID of the device profile, like `SP-404SX`.
+     */
+    profile: string;
+    /**
+     * The pads, only those with values outside of the specification have their `raw` bytes.
+     */
+    pads: PadJSON[];
+};
+/**
+ * A pad in a JSON document, the values of a Pad with the `raw` bytes as an array of numbers.
+ */
+export type PadJSON = {
+    /**
+     * The pad label like `A1` or `J12`.
+     */
+    label: string;
+    /**
+     * The 32 bytes the pad is written from, only for pads with values outside of the specification.
+     */
+    raw?: number[];
+};
+/**
+ * A field that differs between two versions of a pad.
+ */
+export type PadChange = {
+    /**
+     * The name of the field on the Pad, like `volume` or `loop`.
+     */
+    field: string;
+    /**
+     * The value in the first file.
+     */
+    from: any;
+    /**
+     * The value in the second file.
+     */
+    to: any;
+};
+/**
+ * The differences of one pad between two PAD_INFO.BIN files.
+ */
+export type PadDiff = {
+    /**
+     * The label of the pad, `A1` - `J12`.
+     */
+    label: string;
+    /**
+     * `added` when the pad is only in use in the second file, `cleared` when it is only in use in the first file, otherwise `changed`.
+     */
+    type: "added" | "cleared" | "changed";
+    /**
+     * The fields that differ, in file order.
+     */
+    changes: PadChange[];
 };
 /**
  * A Pad object.
@@ -92,10 +218,61 @@ export type Pad = {
  * @property {number | string} tempoMode Tempo Mode: 0 = 'Off', 1 = 'Pattern', 2 = 'User'
  * @property {number} originalTempo BPM determined by the software. Tempo is BPM (beats per minute) mutiplied by 10, 0x4B0 = 1200 = 120 bpm
  * @property {number} userTempo User set BPM on the device
+ * @property {Uint8Array} [raw] The 32 bytes of the record as read, fields that have not been changed are written back from here; not enumerable, so it is left out of `JSON.stringify` and spread copies
+ */
+/**
+ * A problem found while parsing a PAD_INFO.BIN file.
+ * @typedef {object} PadInfoWarning
+ * @property {'error' | 'warning'} severity Errors are values outside of the specification, warnings are unusual but valid values.
+ * @property {string} code The kind of problem, `ERR_TRUNCATED`, `ERR_INVALID_VALUE` or `ERR_SAMPLE_RANGE`.
+ * @property {string} label The label of the pad the problem was found on, `A1` - `J12`.
+ * @property {number} offset The byte offset of the value in the file.
+ * @property {string} field The name of the field on the Pad, like `volume` or `channels`.
+ * @property {number | boolean | string} value The raw value read from the file.
+ * @property {string} message A human readable description of the problem.
+ */
+/**
+ * A change made to a pad by `repair`.
+ * @typedef {object} PadRepair
+ * @property {string} label The label of the pad that was changed, `A1` - `J12`.
+ * @property {string} field The name of the field on the Pad, like `volume` or `originalSampleEnd`.
+ * @property {any} from The value before the repair.
+ * @property {any} to The value after the repair.
+ * @property {string} reason A human readable description of why the value was changed.
+ */
+/**
+ * A PAD_INFO.BIN file as JSON, see `PadInfoSchema`.
+ * @typedef {object} PadInfoJSON
+ * @property {number} version The version of the JSON format, `1`.
+ * @property {string} profile The ID of the device profile, like `SP-404SX`.
+ * @property {PadJSON[]} pads The pads, only those with values outside of the specification have their `raw` bytes.
+ */
+/**
+ * A pad in a JSON document, the values of a Pad with the `raw` bytes as an array of numbers.
+ * @typedef {object} PadJSON
+ * @property {string} label The pad label like `A1` or `J12`.
+ * @property {number[]} [raw] The 32 bytes the pad is written from, only for pads with values outside of the specification.
+ */
+/**
+ * A field that differs between two versions of a pad.
+ * @typedef {object} PadChange
+ * @property {string} field The name of the field on the Pad, like `volume` or `loop`.
+ * @property {any} from The value in the first file.
+ * @property {any} to The value in the second file.
+ */
+/**
+ * The differences of one pad between two PAD_INFO.BIN files.
+ * @typedef {object} PadDiff
+ * @property {string} label The label of the pad, `A1` - `J12`.
+ * @property {'added' | 'cleared' | 'changed'} type `added` when the pad is only in use in the second file, `cleared` when it is only in use in the first file, otherwise `changed`.
+ * @property {PadChange[]} changes The fields that differ, in file order.
  */
 /**
  * Uttori Pad Info - Utility to manipulate the PAD_INFO.BIN file for SP-404 series of samplers.
  * @property {Pad[]} pads - Parsed Pads
+ * @property {PadInfoWarning[]} warnings - Problems found while parsing, empty when the file is valid
+ * @property {boolean} strict - When true, parsing throws a PadInfoFormatError on the first problem instead of adding a warning
+ * @property {import('./device-profiles.js').DeviceProfile} profile - The device the file is for, the SP-404SX by default
  * @example <caption>AudioPadInfo</caption>
  * import fs from 'fs';
  * const data = fs.readFileSync('./PAD_INFO.bin');
@@ -146,13 +323,121 @@ export type Pad = {
  * @class
  */
 declare class AudioPadInfo extends DataBuffer {
+    /**
+     * Load pads from a JSON document matching `PadInfoSchema`, like one from `toJSON`.
+     * Pads missing from the document are set to the default values, `avaliable` and `filename` are computed rather than read.
+     * Values of pads with `raw` bytes that still match those bytes are written back as they are, like the values of a parsed pad.
+     * @param {string | object} input The JSON document, as a string or already parsed.
+     * @returns {AudioPadInfo} The pads as a new PAD_INFO.BIN file for the profile of the document.
+     * @throws {JSONFormatError} The JSON does not match the schema, has a pad that is not on the device or used twice, or a pad with invalid values.
+     * @static
+     */
+    static fromJSON(input: string | object): AudioPadInfo;
+    /**
+     * Check a pad for any values that cannot be stored or would be rejected by the device.
+     * The volume, channels and tempo mode follow the same rules as `encodePad`, and additionally the flags, sample offsets and tempos are checked.
+     * @param {Partial<Pad>} data The JSON values to check.
+     * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to use the default values of for missing fields; default is the SP-404SX.
+     * @returns {string[]} A description of each invalid value, empty when the pad is valid.
+     * @static
+     */
+    static validatePad(data: Partial<Pad>, profile?: import("./device-profiles.js").DeviceProfile): string[];
+    /**
+     * Get the default values for a pad, matching an unused pad read from a PAD_INFO.BIN file.
+     * @param {string} label The pad label like `A1` or `J12`.
+     * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to use the filename scheme and default values of; default is the SP-404SX.
+     * @returns {Pad} The default pad.
+     * @static
+     */
+    static getDefaultPad(label: string, profile?: import("./device-profiles.js").DeviceProfile): Pad;
+    /**
+     * Find the end of the sample data of a WAVE or AIFF file, the value the sample end offsets of a pad should have.
+     * Chunks after the sample data, like a `LIST` chunk, are not part of the sample.
+     * @param {AudioWave|AudioAiff} audio The parsed sample file.
+     * @returns {number} The byte offset of the end of the sample data.
+     * @static
+     */
+    static getSampleEnd(audio: AudioWave | AudioAiff): number;
+    /**
+     * Calculate the original tempo the way SP-404SX Wave Converter does from the length of a sample.
+     * The sample is taken to be a whole number of 4/4 bars, and the tempo is halved or doubled until it is between 80 and 160 BPM, then truncated to one decimal.
+     * @param {number} frames The number of sample frames.
+     * @param {number} [sampleRate] The number of sample frames per second; default is 44100.
+     * @returns {number} The original tempo in BPM.
+     * @throws {Error} There are no sample frames to measure.
+     * @static
+     */
+    static getOriginalTempo(frames: number, sampleRate?: number): number;
+    /**
+     * Build the pad for a WAVE file, reading the sample offsets from the `data` chunk, the channels from the `fmt ` chunk and calculating the original tempo from the sample length.
+     * The other values are the defaults of the profile. The SP-404SX expects the sample data to start at byte 512, files from other software should be converted first.
+     * @param {number[]|ArrayBuffer|Buffer|DataBuffer|AudioWave|Uint8Array} input The WAVE file.
+     * @param {string} label The pad label like `A1` or `J12`.
+     * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to use the filename scheme and default values of; default is the SP-404SX.
+     * @returns {Pad} The pad for the WAVE file.
+     * @throws {Error} The file is not a valid WAVE file, or is not mono or stereo.
+     * @static
+     */
+    static getPadFromWave(input: number[] | ArrayBuffer | Buffer | DataBuffer | AudioWave | Uint8Array, label: string, profile?: import("./device-profiles.js").DeviceProfile): Pad;
+    /**
+     * Build the pad for a WAVE or AIFF file, detected from the first bytes.
+     * The format is `WAVE` or `AIFF`, the sample offsets are those of the `data` or `SSND` sample data, the channels come from the `fmt ` or `COMM` chunk and the original tempo is calculated from the sample length.
+     * The other values are the defaults of the profile.
+     * @param {number[]|ArrayBuffer|Buffer|DataBuffer|AudioWave|AudioAiff|Uint8Array} input The WAVE or AIFF file.
+     * @param {string} label The pad label like `A1` or `J12`.
+     * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to use the filename scheme and default values of; default is the SP-404SX.
+     * @returns {Pad} The pad for the sample file.
+     * @throws {Error} The file is not a valid WAVE or AIFF file, or is not mono or stereo.
+     * @static
+     */
+    static getPadFromSample(input: number[] | ArrayBuffer | Buffer | DataBuffer | AudioWave | AudioAiff | Uint8Array, label: string, profile?: import("./device-profiles.js").DeviceProfile): Pad;
+    /**
+     * Compare two PAD_INFO.BIN files pad by pad, listing pads that were added or cleared and the fields that changed.
+     * Pads that are missing from a file are compared as default pads.
+     * @param {AudioPadInfo} before The first file, like the previous snapshot of the card.
+     * @param {AudioPadInfo} after The second file, like the current card.
+     * @returns {PadDiff[]} The pads that differ, in pad order, empty when the files have the same settings.
+     * @static
+     */
+    static diff(before: AudioPadInfo, after: AudioPadInfo): PadDiff[];
+    /**
+     * Format the differences from `diff` as one line per pad, like `B4 volume 127 → 98, loop false → true`.
+     * Added pads list every changed field after `added`, cleared pads are listed without their fields.
+     * @param {PadDiff[]} diffs The differences to format.
+     * @returns {string} The differences, one pad per line.
+     * @static
+     */
+    static formatDiff(diffs: PadDiff[]): string;
     /**
      * Encode JSON values to a valid pad structure.
-     * @param {Pad} data - The JSON values to encode.
+     * When the pad has the `raw` bytes it was read from, fields that have not been changed are written back from them as is, including values outside of the specification.
+     * @param {Partial<Pad>} data - The JSON values to encode.
+     * @param {import('./device-profiles.js').DeviceProfile} [profile] - The device to use the default values of for missing fields; default is the SP-404SX.
      * @returns {Buffer} - The new pad Buffer.
      * @static
      */
-    static encodePad(data: Pad): Buffer;
+    static encodePad(data: Partial<Pad>, profile?: import("./device-profiles.js").DeviceProfile): Buffer;
+    /**
+     * The byte offset and size of each field in a 32-byte pad record.
+     * @returns {Record<string, number[]>} The field names mapped to their byte offset and size.
+     */
+    static get rawFields(): Record<string, number[]>;
+    /**
+     * Decode a single field from the raw bytes of a pad record, the same way `parse` does.
+     * @param {Uint8Array} raw The 32 bytes of the pad record.
+     * @param {string} field The name of the field, like `volume` or `channels`.
+     * @returns {number | boolean | string | undefined} The decoded value, or undefined for an unknown field.
+     * @static
+     */
+    static decodeField(raw: Uint8Array, field: string): number | boolean | string | undefined;
+    /**
+     * Checks to see if a field still holds the value decoded from the raw bytes the pad was read from.
+     * @param {Partial<Pad>} pad The pad to check, with the `raw` bytes it was read from.
+     * @param {string} field The name of the field, like `volume` or `channels`.
+     * @returns {boolean} True when the field has not been changed and can be written back from the raw bytes, false otherwise.
+     * @static
+     */
+    static isUnchanged(pad: Partial<Pad>, field: string): boolean;
     /**
      * Checks to see if a Pad is set to the default values, if so it is likely.
      * @param {Partial<Pad>} pad - The JSON values to check.
@@ -164,18 +449,38 @@ declare class AudioPadInfo extends DataBuffer {
     /**
      * Convert a numberic value used in the PAD_INFO.bin file for that pad to the pad label like `A1` or `J12`.
      * @param {number} index The numberic value used in the PAD_INFO.bin file.
-     * @returns {string} The pad label like `A1` or `J12`.
+     * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to build the label for; default is the SP-404SX.
+     * @returns {string} The pad label like `A1` or `J12`, or an empty string when the index is unknown.
      * @static
      */
-    static getPadLabel(index: number): string;
+    static getPadLabel(index: number, profile?: import("./device-profiles.js").DeviceProfile): string;
     /**
      * Convert a pad label like `A1` or `J12` to the numberic value used in the PAD_INFO.bin file for that pad.
      * @param {string} label The pad label like `A1` or `J12`.
-     * @returns {number} The numberic value used in the PAD_INFO.bin file.
+     * @param {import('./device-profiles.js').DeviceProfile} [profile] The device the label is for; default is the SP-404SX.
+     * @returns {number} The numberic value used in the PAD_INFO.bin file, or -1 when the label is unknown.
      * @static
      */
-    static getPadIndex(label?: string): number;
+    static getPadIndex(label?: string, profile?: import("./device-profiles.js").DeviceProfile): number;
+    /**
+     * Creates an instance of AudioPadInfo.
+     * @param {number[]|ArrayBuffer|Buffer|DataBuffer|Int8Array|Int16Array|Int32Array|number|string|Uint8Array|Uint16Array|Uint32Array|undefined} [input] The data to process.
+     * @param {object} [options] The options for parsing the pad info.
+     * @param {boolean} [options.strict] When true, throw a PadInfoFormatError on the first value outside of the specification rather than coercing it; default is false.
+     * @param {import('./device-profiles.js').DeviceProfile} [options.profile] The device the file is for, used for pad labels, filenames and default values; default is the SP-404SX.
+     * @class
+     */
+    constructor(input?: number[] | ArrayBuffer | Buffer | DataBuffer | Int8Array | Int16Array | Int32Array | number | string | Uint8Array | Uint16Array | Uint32Array | undefined, { strict, profile }?: {
+        strict?: boolean;
+        profile?: import("./device-profiles.js").DeviceProfile;
+    });
+    /** @type {import('./device-profiles.js').DeviceProfile} The device the file is for. */
+    profile: import("./device-profiles.js").DeviceProfile;
+    /** @type {boolean} When true, throw a PadInfoFormatError on the first problem rather than adding a warning. */
+    strict: boolean;
     pads: any[];
+    /** @type {PadInfoWarning[]} Problems found while parsing, empty when the file is valid. */
+    warnings: PadInfoWarning[];
     /**
      * Parse the PAD_INFO.BIN file, decoding the supported pad info.
      *
@@ -183,6 +488,69 @@ declare class AudioPadInfo extends DataBuffer {
      * In this file, values are stored in big-endian order
      */
     parse(): void;
+    /**
+     * Record a problem found in the file while parsing, or throw it when parsing strictly.
+     * @param {'error' | 'warning'} severity The severity of the problem, errors are values outside of the specification and warnings are unusual but valid values.
+     * @param {string} code The kind of problem, `ERR_TRUNCATED`, `ERR_INVALID_VALUE` or `ERR_SAMPLE_RANGE`.
+     * @param {string} label The label of the pad the problem was found on.
+     * @param {number} offset The byte offset of the value in the file.
+     * @param {string} field The name of the field on the Pad.
+     * @param {number | boolean | string} value The raw value read from the file.
+     * @param {string} message A human readable description of the problem.
+     * @throws {PadInfoFormatError} When parsing strictly.
+     */
+    addWarning(severity: "error" | "warning", code: string, label: string, offset: number, field: string, value: number | boolean | string, message: string): void;
+    /**
+     * Encode all of the pads to a complete PAD_INFO.BIN file, one 32-byte record for every pad of the profile, 120 records from A1 to J12 for the SP-404SX.
+     * Pads are written in the order of `getPadIndex` regardless of their order in `pads`, and any pad missing from `pads` is written with the default values.
+     * @returns {Buffer} The new PAD_INFO.BIN Buffer, 3840 bytes long for the SP-404SX.
+     */
+    toBuffer(): Buffer;
+    /**
+     * Convert the pads to a JSON document matching `PadInfoSchema`, called by `JSON.stringify`.
+     * Pads with values outside of the specification include the 32 `raw` bytes they are written from, so `fromJSON` loads them as they were read.
+     * @returns {PadInfoJSON} The JSON document.
+     */
+    toJSON(): PadInfoJSON;
+    /**
+     * Find a pad by its label like `A1` or `J12`.
+     * @param {string} label The pad label like `A1` or `J12`.
+     * @returns {Pad | undefined} The pad, or undefined when the pad is not in the file.
+     * @throws {Error} Unknown pad label.
+     */
+    getPad(label: string): Pad | undefined;
+    /**
+     * Update a pad with new values, validating the result before any change is made.
+     * Pads missing from the file are created from the default values before being updated.
+     * @param {string} label The pad label like `A1` or `J12`.
+     * @param {Partial<Pad>} partialPad The values to change on the pad.
+     * @returns {Pad} The updated pad.
+     * @throws {Error} Unknown pad label, or the updated pad has invalid values.
+     */
+    setPad(label: string, partialPad?: Partial<Pad>): Pad;
+    /**
+     * Reset a pad back to the default values, as if no sample had been assigned to it.
+     * @param {string} label The pad label like `A1` or `J12`.
+     * @returns {Pad} The reset pad.
+     * @throws {Error} Unknown pad label.
+     */
+    resetPad(label: string): Pad;
+    /**
+     * Rewrite the pads to a consistent state, changing the pads in place and returning every change so it can be reviewed before writing the file.
+     * - Flags of 0 or 1, channels of 1 or 2 and tempo modes of 0 to 2, as accepted by `setPad`, are changed to the values `parse` returns.
+     * - Pads with a flag that is not a boolean, 0 or 1, like an all 0xFF record, are reset to the default values.
+     * - Volume is clamped to 0 - 127 and tempos to 40 - 200, unknown formats, channels and tempo modes are set to the default.
+     * - When `samples` is provided, the offsets, format and channels are recomputed from the sample files, and pads in use without a sample are reset to the default values.
+     *   Samples that cannot be read leave the pad as it is.
+     * @param {object} [options] The options for the repair.
+     * @param {Map<string, any> | Record<string, any>} [options.samples] The sample files of the card keyed by pad label, as file data, AudioWave or AudioAiff.
+     * @returns {PadRepair[]} Every field that was changed, in pad order.
+     */
+    repair({ samples }?: {
+        samples?: Map<string, any> | Record<string, any>;
+    }): PadRepair[];
 }
+import AudioWave from './audio-wave.js';
+import AudioAiff from './audio-aiff.js';
 import { DataBuffer } from '@uttori/data-tools';
 //# sourceMappingURL=audio-padinfo.d.ts.map
\ No newline at end of file
@@ -37,6 +37,39 @@ export type Note = {
      */
     padLabel: string;
 };
+/**
+ * A problem found while parsing a pattern file.
+ */
+export type PatternWarning = {
+    /**
+     * Errors are values that cannot be mapped to a pad, warnings are unusual values that are kept as is.
+     */
+    severity: "error" | "warning";
+    /**
+     * The kind of problem, `ERR_TRUNCATED`, `ERR_INVALID_VALUE` or `ERR_BARS_MISMATCH`.
+     */
+    code: string;
+    /**
+     * The index of the note in `notes` the problem was found on, undefined for problems in the footer.
+     */
+    noteIndex?: number;
+    /**
+     * The byte offset of the value in the file.
+     */
+    offset: number;
+    /**
+     * The name of the field on the Note, like `bankSwitch`, or the footer byte like `footer[9]`.
+     */
+    field: string;
+    /**
+     * The raw value read from the file.
+     */
+    value: number;
+    /**
+     * A human readable description of the problem.
+     */
+    message: string;
+};
 export type PadMapping = {
     /**
      * The MIDI note numeric value.
@@ -51,6 +84,233 @@ export type PadMapping = {
      */
     bankSwitch: number;
 };
+/**
+ * A pattern file as JSON, see `PatternSchema`.
+ */
+export type PatternJSON = {
+    /**
+     * The version of the JSON format, `1`.
+     */
+    version: number;
+    /**
+     * The ID of the device profile, like `SP-404MKII`.
+     */
+    profile: string;
+    /**
+     * The number of pads per bank.
+     */
+    padsPerBank: number;
+    /**
+     * The number of bars in the pattern.
+     */
+    bars: number;
+    /**
+     * The time signature of the pattern.
+     */
+    timeSignature: number;
+    /**
+     * The notes in file order, placeholder notes included.
+     */
+    notes: Note[];
+    /**
+     * The 16 footer bytes as read, when missing the footer is built from the bars and time signature.
+     */
+    footer?: number[];
+};
+/**
+ * A note that plays a pad, placed at the absolute tick it plays on rather than the delay from the note before it.
+ */
+export type TimedNote = {
+    /**
+     * The absolute time of the note in ticks from the start of the pattern.
+     */
+    tick: number;
+    /**
+     * The label of the pad, like `A1`.
+     */
+    padLabel: string;
+    /**
+     * The MIDI note value (47-106).
+     */
+    midiNote: number;
+    /**
+     * The bank switch value.
+     */
+    bankSwitch: number;
+    /**
+     * The pitch mode of Step Sequencer notes.
+     */
+    pitchMode: number;
+    /**
+     * The velocity of the note (0-127).
+     */
+    velocity: number;
+    /**
+     * An unknown value, commonly 64 / 0x40.
+     */
+    unknown3: number;
+    /**
+     * The length of the note in ticks.
+     */
+    length: number;
+};
+/**
+ * A note that plays a pad with its position in the pattern, as bars and beats counted from 1 and in seconds.
+ */
+export type PatternEvent = {
+    /**
+     * The absolute time of the note in ticks from the start of the pattern.
+     */
+    tick: number;
+    /**
+     * The bar the note plays in, from 1.
+     */
+    bar: number;
+    /**
+     * The beat in the bar the note plays on, from 1.
+     */
+    beat: number;
+    /**
+     * The tick within the beat, from 0.
+     */
+    beatTick: number;
+    /**
+     * The absolute time of the note in seconds at the BPM.
+     */
+    seconds: number;
+    /**
+     * The length of the note in seconds at the BPM.
+     */
+    duration: number;
+    /**
+     * The label of the pad, like `A1`.
+     */
+    padLabel: string;
+    /**
+     * The MIDI note value (47-106).
+     */
+    midiNote: number;
+    /**
+     * The bank switch value.
+     */
+    bankSwitch: number;
+    /**
+     * The pitch mode of Step Sequencer notes.
+     */
+    pitchMode: number;
+    /**
+     * The velocity of the note (0-127).
+     */
+    velocity: number;
+    /**
+     * An unknown value, commonly 64 / 0x40.
+     */
+    unknown3: number;
+    /**
+     * The length of the note in ticks.
+     */
+    length: number;
+};
+/**
+ * A field that differs between two versions of a note.
+ */
+export type PatternNoteChange = {
+    /**
+     * The name of the field on the note, `velocity`, `length` or `pitchMode`.
+     */
+    field: string;
+    /**
+     * The value in the first pattern.
+     */
+    from: number;
+    /**
+     * The value in the second pattern.
+     */
+    to: number;
+};
+/**
+ * A note that differs between two patterns.
+ */
+export type PatternNoteDiff = {
+    /**
+     * `added` when the note is only in the second pattern, `removed` when it is only in the first pattern, otherwise `changed`.
+     */
+    type: "added" | "removed" | "changed";
+    /**
+     * The absolute time of the note in ticks.
+     */
+    tick: number;
+    /**
+     * The label of the pad the note plays.
+     */
+    padLabel: string;
+    /**
+     * The note in the first pattern, undefined when added.
+     */
+    from?: TimedNote;
+    /**
+     * The note in the second pattern, undefined when removed.
+     */
+    to?: TimedNote;
+    /**
+     * The fields that differ, empty when added or removed.
+     */
+    changes: PatternNoteChange[];
+};
+/**
+ * A change made differently in both patterns of a three-way merge.
+ */
+export type PatternConflict = {
+    /**
+     * What conflicts: `note`, `bars` or `timeSignature`.
+     */
+    field: string;
+    /**
+     * The absolute time of the conflicting note in ticks.
+     */
+    tick?: number;
+    /**
+     * The label of the pad the conflicting note plays.
+     */
+    padLabel?: string;
+    /**
+     * The value in the common ancestor, undefined when there was no note.
+     */
+    base: any;
+    /**
+     * The value in our pattern, undefined when the note was removed.
+     */
+    ours: any;
+    /**
+     * The value in their pattern, undefined when the note was removed.
+     */
+    theirs: any;
+    /**
+     * A human readable description of the conflict.
+     */
+    message: string;
+};
+/**
+ * The result of a three-way merge of patterns.
+ */
+export type PatternMerge = {
+    /**
+     * The merged notes in time order, taking our side of any conflict.
+     */
+    notes: TimedNote[];
+    /**
+     * The merged number of bars.
+     */
+    bars: number;
+    /**
+     * The merged time signature.
+     */
+    timeSignature: number;
+    /**
+     * The changes made differently on both sides, empty when the merge is clean.
+     */
+    conflicts: PatternConflict[];
+};
 /**
  * @typedef {object} Note
  * @property {number} ticks The delay in ticks until the next track.
@@ -63,12 +323,99 @@ export type PadMapping = {
  * @property {number} sampleNumber The calculated sample number based on MIDI note and bank switch.
  * @property {string} padLabel The label of the pad, constructed from the sample number and bank.
  */
+/**
+ * A problem found while parsing a pattern file.
+ * @typedef {object} PatternWarning
+ * @property {'error' | 'warning'} severity Errors are values that cannot be mapped to a pad, warnings are unusual values that are kept as is.
+ * @property {string} code The kind of problem, `ERR_TRUNCATED`, `ERR_INVALID_VALUE` or `ERR_BARS_MISMATCH`.
+ * @property {number} [noteIndex] The index of the note in `notes` the problem was found on, undefined for problems in the footer.
+ * @property {number} offset The byte offset of the value in the file.
+ * @property {string} field The name of the field on the Note, like `bankSwitch`, or the footer byte like `footer[9]`.
+ * @property {number} value The raw value read from the file.
+ * @property {string} message A human readable description of the problem.
+ */
 /**
  * @typedef {object} PadMapping
  * @property {number} midiNote The MIDI note numeric value.
  * @property {string} pad The human friendly pad label.
  * @property {number} bankSwitch The value for the bank switch byte.
  */
+/**
+ * A pattern file as JSON, see `PatternSchema`.
+ * @typedef {object} PatternJSON
+ * @property {number} version The version of the JSON format, `1`.
+ * @property {string} profile The ID of the device profile, like `SP-404MKII`.
+ * @property {number} padsPerBank The number of pads per bank.
+ * @property {number} bars The number of bars in the pattern.
+ * @property {number} timeSignature The time signature of the pattern.
+ * @property {Note[]} notes The notes in file order, placeholder notes included.
+ * @property {number[]} [footer] The 16 footer bytes as read, when missing the footer is built from the bars and time signature.
+ */
+/**
+ * A note that plays a pad, placed at the absolute tick it plays on rather than the delay from the note before it.
+ * @typedef {object} TimedNote
+ * @property {number} tick The absolute time of the note in ticks from the start of the pattern.
+ * @property {string} padLabel The label of the pad, like `A1`.
+ * @property {number} midiNote The MIDI note value (47-106).
+ * @property {number} bankSwitch The bank switch value.
+ * @property {number} pitchMode The pitch mode of Step Sequencer notes.
+ * @property {number} velocity The velocity of the note (0-127).
+ * @property {number} unknown3 An unknown value, commonly 64 / 0x40.
+ * @property {number} length The length of the note in ticks.
+ */
+/**
+ * A note that plays a pad with its position in the pattern, as bars and beats counted from 1 and in seconds.
+ * @typedef {object} PatternEvent
+ * @property {number} tick The absolute time of the note in ticks from the start of the pattern.
+ * @property {number} bar The bar the note plays in, from 1.
+ * @property {number} beat The beat in the bar the note plays on, from 1.
+ * @property {number} beatTick The tick within the beat, from 0.
+ * @property {number} seconds The absolute time of the note in seconds at the BPM.
+ * @property {number} duration The length of the note in seconds at the BPM.
+ * @property {string} padLabel The label of the pad, like `A1`.
+ * @property {number} midiNote The MIDI note value (47-106).
+ * @property {number} bankSwitch The bank switch value.
+ * @property {number} pitchMode The pitch mode of Step Sequencer notes.
+ * @property {number} velocity The velocity of the note (0-127).
+ * @property {number} unknown3 An unknown value, commonly 64 / 0x40.
+ * @property {number} length The length of the note in ticks.
+ */
+/**
+ * A field that differs between two versions of a note.
+ * @typedef {object} PatternNoteChange
+ * @property {string} field The name of the field on the note, `velocity`, `length` or `pitchMode`.
+ * @property {number} from The value in the first pattern.
+ * @property {number} to The value in the second pattern.
+ */
+/**
+ * A note that differs between two patterns.
+ * @typedef {object} PatternNoteDiff
+ * @property {'added' | 'removed' | 'changed'} type `added` when the note is only in the second pattern, `removed` when it is only in the first pattern, otherwise `changed`.
+ * @property {number} tick The absolute time of the note in ticks.
+ * @property {string} padLabel The label of the pad the note plays.
+ * @property {TimedNote} [from] The note in the first pattern, undefined when added.
+ * @property {TimedNote} [to] The note in the second pattern, undefined when removed.
+ * @property {PatternNoteChange[]} changes The fields that differ, empty when added or removed.
+ */
+/**
+ * A change made differently in both patterns of a three-way merge.
+ * @typedef {object} PatternConflict
+ * @property {string} field What conflicts: `note`, `bars` or `timeSignature`.
+ * @property {number} [tick] The absolute time of the conflicting note in ticks.
+ * @property {string} [padLabel] The label of the pad the conflicting note plays.
+ * @property {any} base The value in the common ancestor, undefined when there was no note.
+ * @property {any} ours The value in our pattern, undefined when the note was removed.
+ * @property {any} theirs The value in their pattern, undefined when the note was removed.
+ * @property {string} message A human readable description of the conflict.
+ */
+/**
+ * The result of a three-way merge of patterns.
+ * @typedef {object} PatternMerge
+ * @property {TimedNote[]} notes The merged notes in time order, taking our side of any conflict.
+ * @property {number} bars The merged number of bars.
+ * @property {number} timeSignature The merged time signature.
+ * @property {PatternConflict[]} conflicts The changes made differently on both sides, empty when the merge is clean.
+ */
 /**
  * AudioPattern - Roland SP-404SX / SP-404 MKii Pattern Utility
  * A utility to read, modify and write pattern files from a Roland SP-404SX / SP-404 MKii `PTN` files.
@@ -92,6 +439,34 @@ export type PadMapping = {
 declare class AudioPattern extends DataBuffer {
     static get defaultPPQOG(): number;
     static get defaultPPQ(): number;
+    /**
+     * The number of quarter note beats in a bar for each time signature value stored in the footer.
+     * The value 6 has not been seen on a device and is left out.
+     * @returns {Record<number, number>} The beats per bar keyed by time signature value.
+     * @static
+     */
+    static get timeSignatures(): Record<number, number>;
+    /**
+     * Resolve the device profile from the pattern options, supporting the older `og` and `padsPerBank` options.
+     * @param {object} [options] The options for the pattern.
+     * @param {import('./device-profiles.js').DeviceProfile} [options.profile] The device the pattern is for.
+     * @param {number} [options.padsPerBank] The number of pads per bank, overriding the profile.
+     * @param {boolean} [options.og] When true and no profile is provided, use the SP-404SX, otherwise the SP-404 MKII.
+     * @returns {import('./device-profiles.js').DeviceProfile} The device profile.
+     * @static
+     */
+    static getProfile({ profile, padsPerBank, og }?: {
+        profile?: import("./device-profiles.js").DeviceProfile;
+        padsPerBank?: number;
+        og?: boolean;
+    }): import("./device-profiles.js").DeviceProfile;
+    /**
+     * Build the mapping of every pad to the MIDI note and bank switch used in pattern files for a device.
+     * @param {import('./device-profiles.js').DeviceProfile} profile The device to build the mapping for.
+     * @returns {Record<string, PadMapping>} The mapping of pads, like `A1` to `J16` for the MKII, to MIDI notes.
+     * @static
+     */
+    static getPadMap(profile: import("./device-profiles.js").DeviceProfile): Record<string, PadMapping>;
     /**
      * The default mapping of pads `A1` to `J16` to MIDI notes.
      * @returns {Record<string, PadMapping>} The default mapping of pads `A1` to `J16` to MIDI notes.
@@ -100,65 +475,199 @@ declare class AudioPattern extends DataBuffer {
     /**
      * The default mapping of pads `A1` to `J12` to MIDI notes for the OG SP404.
      * https://support.roland.com/hc/en-us/articles/201932129-SP-404-Playing-the-SP-404-via-MIDI
-     * @returns {Record<string, PadMapping>} The default mapping of pads `A1` to `J16` to MIDI notes.
+     * @returns {Record<string, PadMapping>} The default mapping of pads `A1` to `J12` to MIDI notes.
      */
     static get defaultMapOG(): Record<string, PadMapping>;
+    /**
+     * Load a pattern from a JSON document matching `PatternSchema`, like one from `toJSON`.
+     * Notes are written from their raw values, `sampleNumber` and `padLabel` are computed rather than read.
+     * The `footer` bytes are written back with the bars and time signature of the document, so a document from `toJSON` loads as the same file.
+     * @param {string | object} input The JSON document, as a string or already parsed.
+     * @returns {AudioPattern} The notes as a new pattern file for the profile of the document.
+     * @throws {import('./json-format-error.js').default} The JSON does not match the schema.
+     * @static
+     */
+    static fromJSON(input: string | object): AudioPattern;
+    /**
+     * Encode a note to the 8 bytes stored in a pattern file.
+     * @param {Note} note The note to encode.
+     * @returns {Uint8Array} The 8 bytes of the note.
+     * @static
+     */
+    static encodeNote({ ticks, midiNote, bankSwitch, pitchMode, velocity, unknown3, length }: Note): Uint8Array;
+    /**
+     * Encode the 16 byte footer of a pattern file, the same way `fromMidi` does.
+     * @param {object} values The values stored in the footer.
+     * @param {number} values.bars The number of bars, only stored on the MKII.
+     * @param {number} [values.timeSignature] The time signature; default is 0 for 4/4.
+     * @param {import('./device-profiles.js').DeviceProfile} profile The device the pattern is for.
+     * @returns {Uint8Array} The 16 bytes of the footer.
+     * @static
+     */
+    static encodeFooter({ bars, timeSignature }: {
+        bars: number;
+        timeSignature?: number;
+    }, profile: import("./device-profiles.js").DeviceProfile): Uint8Array;
+    /**
+     * Write the bars and time signature onto the 16 footer bytes of a pattern file, leaving the other bytes as they are.
+     * @param {ArrayLike<number>} footer The footer bytes as read.
+     * @param {object} values The values stored in the footer.
+     * @param {number} values.bars The number of bars, only stored on the MKII.
+     * @param {number} values.timeSignature The time signature.
+     * @param {import('./device-profiles.js').DeviceProfile} profile The device the pattern is for.
+     * @returns {Uint8Array} The 16 bytes of the updated footer.
+     * @static
+     */
+    static updateFooter(footer: ArrayLike<number>, { bars, timeSignature }: {
+        bars: number;
+        timeSignature: number;
+    }, profile: import("./device-profiles.js").DeviceProfile): Uint8Array;
+    /**
+     * Key notes by tick and pad, numbering notes on the same tick and pad so each key is unique.
+     * @param {TimedNote[]} notes The notes to key.
+     * @returns {Map<string, TimedNote>} The notes keyed like `480:A1:0`, in time order.
+     * @static
+     */
+    static keyNotes(notes: TimedNote[]): Map<string, TimedNote>;
+    /**
+     * Compare the notes two patterns play, matching notes by their absolute tick and pad.
+     * Notes are changed when their `velocity`, `length` or `pitchMode` differ, a note moved to another tick or pad is removed and added.
+     * @param {AudioPattern} before The first pattern, like the common ancestor.
+     * @param {AudioPattern} after The second pattern.
+     * @returns {PatternNoteDiff[]} The notes that differ in time order, empty when both patterns play the same notes.
+     * @static
+     */
+    static diff(before: AudioPattern, after: AudioPattern): PatternNoteDiff[];
+    /**
+     * Merge the changes two patterns made to a common ancestor, like a three-way merge in git.
+     * Notes are matched by absolute tick and pad, a change made on one side only is kept, and a note changed differently on both sides is a conflict.
+     * Conflicts keep our side in the merged notes and are listed so they can be resolved.
+     * @param {AudioPattern} base The common ancestor of both patterns.
+     * @param {AudioPattern} ours Our edited copy of the pattern.
+     * @param {AudioPattern} theirs Their edited copy of the pattern.
+     * @returns {PatternMerge} The merged notes, bars and time signature, with any conflicts.
+     * @static
+     */
+    static merge(base: AudioPattern, ours: AudioPattern, theirs: AudioPattern): PatternMerge;
+    /**
+     * Generate a Time Signature meta event for a bar of quarter note beats, with the MIDI defaults of 24 clocks per click and 8 32nd notes per quarter note.
+     * @param {number} beatsPerBar The number of quarter note beats in a bar, like `AudioPattern#beatsPerBar`.
+     * @returns {import('@uttori/audio-midi').Event} The Time Signature event at time 0.
+     * @static
+     */
+    static generateTimeSignatureEvent(beatsPerBar: number): import("@uttori/audio-midi").Event;
+    /**
+     * Find the pattern time signature value of the first Time Signature meta event in a MIDI file.
+     * Meters the device cannot play, like 7/8, use 4/4.
+     * @param {import('@uttori/audio-midi').default} audioMIDI The AudioMIDI instance to read.
+     * @returns {number} The time signature value for the pattern footer, `0` for 4/4 when there is no Time Signature event.
+     * @static
+     */
+    static readTimeSignature(audioMIDI: import("@uttori/audio-midi").default): number;
     /**
      * Converts a AudioMIDI structure back into a pad file format.
      * Pads that play all the way through will have 2 on notes, one to start the sound and one to end it.
+     * The bar length follows the first Time Signature event, see `readTimeSignature`, and is stored in the footer.
+     * Note lengths are the time until the matching Note Off, or Note On with a velocity of 0, on the same channel and note, with overlapping notes ended oldest first.
+     * Notes without a Note Off use the `length` set by AudioMIDI, or 0.
      * @param {import('@uttori/audio-midi').default} audioMIDI The AudioMIDI instance to convert back to a pad file.
      * @param {Record<string, string>} noteMap A map of Pads `A1` to `J16` that correspond to which MIDI note
      * @param {number} patternPPQN The pulses per quarter note of the pattern; OG is 96, MKii is 480.
-     * @param {boolean} [og] When true, process for the original SP404s, when false for the MKii; default is false.
+     * @param {boolean | import('./device-profiles.js').DeviceProfile} [profile] The device to write the pattern for, or true for the original SP404s and false for the MKii; default is false.
      * @returns {DataBuffer} A new DataBuffer representing the pad file.
      */
-    static fromMidi(audioMIDI: import("@uttori/audio-midi").default, noteMap: Record<string, string>, patternPPQN: number, og?: boolean): DataBuffer;
+    static fromMidi(audioMIDI: import("@uttori/audio-midi").default, noteMap: Record<string, string>, patternPPQN: number, profile?: boolean | import("./device-profiles.js").DeviceProfile): DataBuffer;
     /**
      * Creates a new AudioPattern.
      * @param {number[]|ArrayBuffer|Buffer|DataBuffer|Int8Array|Int16Array|Int32Array|number|string|Uint8Array|Uint16Array|Uint32Array|undefined} [input] The data to process.
-     * @param {object} options The options for parsing the pattern.
+     * @param {object} [options] The options for parsing the pattern.
      * @param {number} [options.bytesPerNote] The number of bytes for each note; default is 8.
-     * @param {number} [options.padsPerBank] The number of pads per bank, 12 or 16 for the MKii; default is 16.
-     * @param {boolean} [options.og] When true, process for the original SP404s, when false for the MKii; default is false.
+     * @param {import('./device-profiles.js').DeviceProfile} [options.profile] The device the pattern is for, used for the bank switch, pad labels and footer layout; default is the SP-404 MKII, or the SP-404SX when `og` is true.
+     * @param {number} [options.padsPerBank] The number of pads per bank, overriding the profile; 12 or 16 for the MKii.
+     * @param {boolean} [options.og] When true and no profile is provided, process for the original SP404s, when false for the MKii; default is false.
+     * @param {boolean} [options.strict] When true, throw a PatternFormatError or PatternFooterError on the first value outside of the specification; default is false.
      * @class
      */
     constructor(input?: number[] | ArrayBuffer | Buffer | DataBuffer | Int8Array | Int16Array | Int32Array | number | string | Uint8Array | Uint16Array | Uint32Array | undefined, options?: {
         bytesPerNote?: number;
+        profile?: import("./device-profiles.js").DeviceProfile;
         padsPerBank?: number;
         og?: boolean;
+        strict?: boolean;
     });
+    /** @type {boolean} When true, throw a PatternFormatError or PatternFooterError on the first problem rather than adding a warning. */
+    strict: boolean;
+    /** @type {import('./device-profiles.js').DeviceProfile} The device the pattern is for. */
+    profile: import("./device-profiles.js").DeviceProfile;
     /** @type {number} The number of bars in the pattern, so 1 bar is 1. */
     bars: number;
     /** @type {number} The time signature of the pattern, `0` = 4/4, `1` is 3/4, `2` is 2/4, `3` = 1/4, `4` is 5/4, `5` is 6/4, `7` is 7/4. */
     timeSignature: number;
     /** @type {Note[]} */
     notes: Note[];
-    /** @type {Record<string, PadMapping>} The default mapping of pads `A1` to `J16` to MIDI notes. */
+    /** @type {Uint8Array} The 16 footer bytes as read, written back by `toBuffer` with the bars and time signature updated. */
+    footer: Uint8Array;
+    /** @type {PatternWarning[]} Problems found while parsing, empty when the pattern is valid. */
+    warnings: PatternWarning[];
+    /** @type {Record<string, PadMapping>} The default mapping of pads `A1` to `J16` to MIDI notes for the profile. */
     defaultMap: Record<string, PadMapping>;
     /**
-     * Parse the pattern into notes and extract the bar count from the footer.
-     * @param {object} options The options for parsing the pattern.
+     * Parse the pattern into notes and extract the bar count from the footer, using the bank switch and footer layout of `profile`.
+     * @param {object} [options] The options for parsing the pattern.
      * @param {number} [options.bytesPerNote] The number of bytes for each note; default is 8.
-     * @param {number} [options.padsPerBank] The number of pads per bank, 12 or 16 for the MKii; default is 16.
-     * @param {boolean} [options.og] When true, process for the original SP404s, when false for the MKii; default is false.
      */
-    parse: ({ bytesPerNote, padsPerBank, og }: {
+    parse: ({ bytesPerNote }?: {
         bytesPerNote?: number;
-        padsPerBank?: number;
-        og?: boolean;
     }) => void;
+    /**
+     * Calculate the sample number and pad label a note plays from its MIDI note and bank switch.
+     * @param {number} midiNote The MIDI note value of the note.
+     * @param {number} bankSwitch The bank switch value of the note, an unknown value uses sample number 160.
+     * @returns {{ sampleNumber: number, padLabel: string }} The sample number and pad label.
+     */
+    getNotePad(midiNote: number, bankSwitch: number): {
+        sampleNumber: number;
+        padLabel: string;
+    };
+    /**
+     * Record a problem found in the pattern while parsing, or throw it when parsing strictly.
+     * Problems in the footer are thrown as a PatternFooterError, every other problem as a PatternFormatError.
+     * @param {'error' | 'warning'} severity The severity of the problem, errors are values that cannot be mapped to a pad and warnings are unusual values.
+     * @param {string} code The kind of problem, `ERR_TRUNCATED`, `ERR_INVALID_VALUE` or `ERR_BARS_MISMATCH`.
+     * @param {number} offset The byte offset of the value in the file.
+     * @param {string} field The name of the field on the Note, or the footer byte.
+     * @param {number} value The raw value read from the file.
+     * @param {string} message A human readable description of the problem.
+     * @param {number} [noteIndex] The index of the note the problem was found on, undefined for the footer.
+     * @throws {PatternFormatError} When parsing strictly.
+     */
+    addWarning(severity: "error" | "warning", code: string, offset: number, field: string, value: number, message: string, noteIndex?: number): void;
+    /**
+     * Encode the notes and the footer to a pattern file, 8 bytes for each note followed by the 16 byte footer.
+     * Notes are written from their raw values, so change `midiNote` and `bankSwitch` rather than `padLabel` to play another pad.
+     * The footer is written back as it was read, with the bars and time signature updated when they have been changed, so an unchanged pattern is written byte for byte as it was read.
+     * @returns {Uint8Array} The pattern file.
+     * @throws {Error} A note, the bars or the time signature has a value that does not fit in its bytes.
+     */
+    toBuffer(): Uint8Array;
+    /**
+     * Convert the pattern to a JSON document matching `PatternSchema`, keeping every note in file order.
+     * Called by `JSON.stringify`.
+     * @returns {PatternJSON} The JSON document.
+     */
+    toJSON(): PatternJSON;
     /**
      * Convert the parsed notes to a AudioMidi instance ready to be saved as MIDI file or manipulated further.
      * @param {object} options The options
      * @param {number} [options.bpm] The BPM of the track, when undefined no tempo event will be added.
-     * @param {number} options.ppq The pulses per quarter note; OG is 96, MKii is 480.
+     * @param {number} [options.ppq] The pulses per quarter note; OG is 96, MKii is 480; default is the PPQN of the profile.
      * @param {string} options.fileName The name of the pattern file being converted,
      * @param {Record<string, number>} options.noteMap A map of Pads `A1` to `J16` that correspond to which MIDI note.
      * @returns {AudioMIDI} A new AudioMIDI instance populated from the pattern.
      */
     toMidi: ({ bpm, ppq, fileName, noteMap }: {
         bpm?: number;
-        ppq: number;
+        ppq?: number;
         fileName: string;
         noteMap: Record<string, number>;
     }) => AudioMIDI;
@@ -170,6 +679,152 @@ declare class AudioPattern extends DataBuffer {
         padLabel: string;
         midiNotes: number[];
     }[];
+    /**
+     * Get the notes that play a pad with the absolute tick they play on, skipping the placeholder notes on MIDI note 128 that only move time forward.
+     * The tick of a note is the sum of the `ticks` of every note up to and including it.
+     * @returns {TimedNote[]} The notes in time order.
+     */
+    getTimedNotes(): TimedNote[];
+    /**
+     * The number of quarter note beats in one bar for the time signature, 4 for unknown values.
+     * @returns {number} The beats in one bar, 4 for 4/4.
+     */
+    get beatsPerBar(): number;
+    /**
+     * The length of one bar in ticks, `beatsPerBar` beats of `ppqn` ticks.
+     * @returns {number} The ticks in one bar, 1920 for 4/4 on the MKII.
+     */
+    get ticksPerBar(): number;
+    /**
+     * Iterate over the notes that play a pad with their position as bars, beats and seconds, using the PPQN of the profile and the time signature.
+     * @param {object} [options] The options for the positions.
+     * @param {number} [options.bpm] The tempo used for the seconds, patterns do not store one; default is 120.
+     * @yields {PatternEvent} The notes in time order.
+     * @returns {Generator<PatternEvent, void, undefined>} The notes in time order.
+     */
+    events({ bpm }?: {
+        bpm?: number;
+    }): Generator<PatternEvent, void, undefined>;
+    /**
+     * Get the notes that play a pad with their position as bars, beats and seconds, see `events`.
+     * @param {object} [options] The options for the positions.
+     * @param {number} [options.bpm] The tempo used for the seconds, patterns do not store one; default is 120.
+     * @returns {PatternEvent[]} The notes in time order.
+     */
+    getEvents(options?: {
+        bpm?: number;
+    }): PatternEvent[];
+    /**
+     * The tick the pattern ends on, the larger of the ticks of every note and the bars stored in the footer.
+     * @returns {number} The length of the pattern in ticks.
+     */
+    getEndTick(): number;
+    /**
+     * Convert a position to an absolute tick, either a tick or a bar, beat and tick within the beat counted from 1 like the device display.
+     * @param {object} position The position in the pattern.
+     * @param {number} [position.tick] The absolute tick, or the tick within the beat when `bar` or `beat` is provided; default is 0.
+     * @param {number} [position.bar] The bar, from 1.
+     * @param {number} [position.beat] The beat in the bar, from 1.
+     * @returns {number} The absolute tick.
+     * @throws {Error} The position is not an integer or is past the longest pattern the device can play.
+     */
+    getTick({ tick, bar, beat }: {
+        tick?: number;
+        bar?: number;
+        beat?: number;
+    }): number;
+    /**
+     * Replace the notes of the pattern with notes placed at absolute ticks, regenerating the delay of each note and the placeholder notes on MIDI note 128.
+     * Gaps longer than 255 ticks are filled with placeholder notes, as are the ticks after the last note up to the end of the pattern.
+     * On the MKII the bars grow to fit the end of the pattern.
+     * @param {TimedNote[]} timedNotes The notes to play, in any order; notes on the same tick keep their order.
+     * @param {number} [endTick] The tick the pattern ends on; default is the current end, or later when a note plays after it.
+     */
+    setTimedNotes(timedNotes: TimedNote[], endTick?: number): void;
+    /**
+     * Get the end tick needed to play a note at `tick`, extending the pattern to the end of the bar the note is in when it plays on or after the current end.
+     * @param {number} tick The absolute tick of the note.
+     * @returns {number} The tick the pattern ends on.
+     */
+    getEndTickFor(tick: number): number;
+    /**
+     * Add a note playing a pad at an absolute tick, or at a bar, beat and tick within the beat.
+     * The pattern is extended to the end of the bar when the note plays past the end of the pattern.
+     * @param {object} options The note to add.
+     * @param {string} options.pad The pad label like `A1`.
+     * @param {number} [options.tick] The absolute tick, or the tick within the beat when `bar` or `beat` is provided; default is 0.
+     * @param {number} [options.bar] The bar, from 1.
+     * @param {number} [options.beat] The beat in the bar, from 1.
+     * @param {number} [options.velocity] The velocity between 1 and 127; default is 127.
+     * @param {number} [options.length] The length in ticks; default is a 16th note, `ppqn / 4`.
+     * @param {number} [options.pitchMode] The pitch mode of Step Sequencer notes; default is 0.
+     * @returns {TimedNote} The added note.
+     * @throws {Error} The pad, position, velocity or length is invalid.
+     */
+    addNote({ pad, tick, bar, beat, velocity, length, pitchMode }: {
+        pad: string;
+        tick?: number;
+        bar?: number;
+        beat?: number;
+        velocity?: number;
+        length?: number;
+        pitchMode?: number;
+    }): TimedNote;
+    /**
+     * Remove the notes matching a filter, leaving the timing of every other note and the length of the pattern unchanged.
+     * @param {function(TimedNote, number): boolean} filter Called with each note and its index in time order, return true to remove the note.
+     * @returns {TimedNote[]} The removed notes.
+     */
+    removeNotes(filter: (arg0: TimedNote, arg1: number) => boolean): TimedNote[];
+    /**
+     * Move the first note playing a pad at a position to a new position, and optionally to another pad.
+     * The pattern is extended to the end of the bar when the note moves past the end of the pattern.
+     * @param {object} from The note to move.
+     * @param {string} from.pad The pad label like `A1`.
+     * @param {number} [from.tick] The absolute tick, or the tick within the beat when `bar` or `beat` is provided; default is 0.
+     * @param {number} [from.bar] The bar, from 1.
+     * @param {number} [from.beat] The beat in the bar, from 1.
+     * @param {object} to Where to move the note.
+     * @param {string} [to.pad] The pad label to play instead; default is the same pad.
+     * @param {number} [to.tick] The absolute tick, or the tick within the beat when `bar` or `beat` is provided; default is 0.
+     * @param {number} [to.bar] The bar, from 1.
+     * @param {number} [to.beat] The beat in the bar, from 1.
+     * @returns {TimedNote} The moved note.
+     * @throws {Error} No note plays the pad at the position, or the new pad or position is invalid.
+     */
+    moveNote(from: {
+        pad: string;
+        tick?: number;
+        bar?: number;
+        beat?: number;
+    }, to: {
+        pad?: string;
+        tick?: number;
+        bar?: number;
+        beat?: number;
+    }): TimedNote;
+    /**
+     * Get the MIDI note and bank switch to play a pad with in place of the pad a note plays.
+     * The bank switch variant of the note is kept, like the 65 of a note stopped with a second tap on the MKII becoming 64 in banks A to E.
+     * @param {{ bankSwitch: number }} note The note to play the pad with.
+     * @param {string} pad The pad label like `A1`.
+     * @returns {{ midiNote: number, bankSwitch: number }} The MIDI note and bank switch of the pad.
+     * @throws {Error} The pad is not a pad on the device.
+     */
+    getPadNote(note: {
+        bankSwitch: number;
+    }, pad: string): {
+        midiNote: number;
+        bankSwitch: number;
+    };
+    /**
+     * Move every note playing one of the pads in a map to the pad it maps to, like when the samples of pads are moved.
+     * Notes keep their place in the file, timing and every other value, so only the MIDI note and bank switch bytes of the moved notes change.
+     * @param {Map<string, string>} remap The pad labels to move notes from, mapped to the pad labels to move them to.
+     * @returns {number} The number of notes moved.
+     * @throws {Error} A pad to move to is not a pad on the device.
+     */
+    remapPads(remap: Map<string, string>): number;
 }
 import { DataBuffer } from '@uttori/data-tools';
 import AudioMIDI from '@uttori/audio-midi';
@@ -0,0 +1,54 @@
+export default AudioStepInfo;
+/**
+ * Uttori Step Info - Utility to read and write the STPINFO.BIN step sequencer file.
+ *
+ * The file is stored alongside the pattern files and contains 31 × 4-byte values, 124 bytes in total.
+ * In this file, values are stored in big-endian order.
+ *
+ * Only the fields listed on `AudioStepInfo.fields` have been identified, every other value is kept as it was read in `unknown`, keyed by the byte offset, so the file can be written back without losing anything.
+ * @property {number} bpm The step sequencer BPM as a whole number, this may be the last BPM used when recording.
+ * @property {Record<number, number>} unknown The values that have not been identified yet, keyed by the byte offset.
+ * @example <caption>AudioStepInfo</caption>
+ * import fs from 'fs';
+ * const data = fs.readFileSync('./STPINFO.BIN');
+ * const stepInfo = new AudioStepInfo(data);
+ * console.log('BPM:', stepInfo.bpm);
+ * ➜ BPM: 102
+ * stepInfo.bpm = 90;
+ * fs.writeFileSync('./STPINFO.BIN', stepInfo.toBuffer());
+ * @class
+ * @augments DataBuffer
+ */
+declare class AudioStepInfo extends DataBuffer {
+    /** @returns {number} The size of a STPINFO.BIN file in bytes. */
+    static get size(): number;
+    /**
+     * The identified fields and their byte offsets.
+     * @returns {Record<string, number>} The field names mapped to their byte offsets.
+     */
+    static get fields(): Record<string, number>;
+    /**
+     * Creates an instance of AudioStepInfo.
+     * @param {number[]|ArrayBuffer|Buffer|DataBuffer|Int8Array|Int16Array|Int32Array|number|string|Uint8Array|Uint16Array|Uint32Array|undefined} [input] The data to process.
+     * @class
+     */
+    constructor(input?: number[] | ArrayBuffer | Buffer | DataBuffer | Int8Array | Int16Array | Int32Array | number | string | Uint8Array | Uint16Array | Uint32Array | undefined);
+    /** @type {number} The step sequencer BPM as a whole number. */
+    bpm: number;
+    /** @type {Record<number, number>} The values that have not been identified yet, keyed by the byte offset. */
+    unknown: Record<number, number>;
+    /**
+     * Parse the STPINFO.BIN file, decoding the known fields and keeping every other value as is.
+     * Without any data there is nothing to parse, and `toBuffer` writes a new file.
+     * @throws {Error} The file is shorter than 124 bytes, or its length is not a multiple of 4 bytes.
+     */
+    parse(): void;
+    /**
+     * Encode the step info back to a STPINFO.BIN file.
+     * @returns {Buffer} The new STPINFO.BIN Buffer.
+     * @throws {Error} A value cannot be stored as an unsigned 32 bit value.
+     */
+    toBuffer(): Buffer;
+}
+import { DataBuffer } from '@uttori/data-tools';
+//# sourceMappingURL=audio-stepinfo.d.ts.map
\ No newline at end of file
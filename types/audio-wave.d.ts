@@ -0,0 +1,97 @@
+export default AudioWave;
+/**
+ * A chunk found in a RIFF file.
+ */
+export type WaveChunk = {
+    /**
+     * The four character chunk ID, like `fmt ` or `data`.
+     */
+    id: string;
+    /**
+     * The byte offset of the chunk header in the file.
+     */
+    offset: number;
+    /**
+     * The size of the chunk data in bytes, not including the 8 byte header.
+     */
+    size: number;
+};
+/**
+ * A chunk found in a RIFF file.
+ * @typedef {object} WaveChunk
+ * @property {string} id The four character chunk ID, like `fmt ` or `data`.
+ * @property {number} offset The byte offset of the chunk header in the file.
+ * @property {number} size The size of the chunk data in bytes, not including the 8 byte header.
+ */
+/**
+ * Uttori Wave - Utility to read the structure of a RIFF WAVE file.
+ *
+ * Only the chunk layout and the `fmt ` chunk are decoded, the sample data is left in place and located by `dataOffset` and `dataSize` until `getSamples` is called.
+ * In this file, values are stored in little-endian order.
+ * @property {WaveChunk[]} chunks The chunks in file order.
+ * @property {number} audioFormat The audio format from the `fmt ` chunk, 1 for PCM and 3 for IEEE float, read from the sub format of extensible files.
+ * @property {number} channels The number of channels.
+ * @property {number} sampleRate The number of sample frames per second.
+ * @property {number} byteRate The number of bytes per second.
+ * @property {number} blockAlign The number of bytes per sample frame, for all channels.
+ * @property {number} bitsPerSample The number of bits per sample for one channel.
+ * @property {number} dataOffset The byte offset of the first sample in the file.
+ * @property {number} dataSize The size of the sample data in bytes.
+ * @example <caption>AudioWave</caption>
+ * import fs from 'fs';
+ * const wave = new AudioWave(fs.readFileSync('./A0000001.WAV'));
+ * console.log(wave.channels, wave.sampleRate, wave.dataOffset, wave.frames);
+ * ➜ 2 44100 512 96219
+ * @class
+ * @augments DataBuffer
+ */
+declare class AudioWave extends DataBuffer {
+    /**
+     * Creates an instance of AudioWave.
+     * @param {number[]|ArrayBuffer|Buffer|DataBuffer|Int8Array|Int16Array|Int32Array|number|string|Uint8Array|Uint16Array|Uint32Array|undefined} [input] The data to process.
+     * @throws {Error} The file is not a RIFF WAVE file, or is missing the `fmt ` or `data` chunk.
+     * @class
+     */
+    constructor(input?: number[] | ArrayBuffer | Buffer | DataBuffer | Int8Array | Int16Array | Int32Array | number | string | Uint8Array | Uint16Array | Uint32Array | undefined);
+    /** @type {WaveChunk[]} The chunks in file order. */
+    chunks: WaveChunk[];
+    /** @type {number} The audio format from the `fmt ` chunk, 1 for PCM and 3 for IEEE float. */
+    audioFormat: number;
+    /** @type {number} The number of channels. */
+    channels: number;
+    /** @type {number} The number of sample frames per second. */
+    sampleRate: number;
+    /** @type {number} The number of bytes per second. */
+    byteRate: number;
+    /** @type {number} The number of bytes per sample frame, for all channels. */
+    blockAlign: number;
+    /** @type {number} The number of bits per sample for one channel. */
+    bitsPerSample: number;
+    /** @type {number} The byte offset of the first sample in the file. */
+    dataOffset: number;
+    /** @type {number} The size of the sample data in bytes. */
+    dataSize: number;
+    /**
+     * The number of sample frames, one sample for every channel.
+     * @returns {number} The number of sample frames.
+     */
+    get frames(): number;
+    /**
+     * The length of the sample data in seconds.
+     * @returns {number} The length in seconds.
+     */
+    get duration(): number;
+    /**
+     * Decode the sample data to one array of samples between -1 and 1 per channel.
+     * @returns {Float32Array[]} The samples of each channel.
+     * @throws {Error} The audio format or sample size is not supported.
+     */
+    getSamples(): Float32Array[];
+    /**
+     * Parse the RIFF header and the chunks, decoding the `fmt ` chunk and locating the `data` chunk.
+     * @throws {Error} The file is not a RIFF WAVE file, or is missing the `fmt ` or `data` chunk.
+     */
+    parse(): void;
+}
+import { DataBuffer } from '@uttori/data-tools';
+//# sourceMappingURL=audio-wave.d.ts.map
\ No newline at end of file
@@ -0,0 +1,190 @@
+/** @type {DeviceProfile} The original Roland SP-404. */
+export const SP404: DeviceProfile;
+/** @type {DeviceProfile} The Roland SP-404SX. */
+export const SP404SX: DeviceProfile;
+/** @type {DeviceProfile} The Roland SP-404A, the same as the SP-404SX. */
+export const SP404A: DeviceProfile;
+/**
+ * The Roland SP-404 MKII.
+ * Banks A to E use a bank switch of 0 or 64 and banks F to J use 1 or 65, 65 being seen on notes stopped with a second tap.
+ * Unused pads loop by default, and the project files also have their own default pad values.
+ * @type {DeviceProfile}
+ */
+export const SP404MKII: DeviceProfile;
+export default DeviceProfiles;
+/**
+ * A group of banks that share a bank switch value in pattern files.
+ * Pattern notes only store a MIDI note and a bank switch byte, the bank switch selects the group and the MIDI note the pad within it.
+ */
+export type BankSwitchGroup = {
+    /**
+     * The bank letters in the group, like `ABCDE`.
+     */
+    banks: string;
+    /**
+     * The bank switch values that select the group when reading, the first value is used when writing.
+     */
+    values: ReadonlyArray<number>;
+    /**
+     * The MIDI note of the first pad of the first bank in the group.
+     */
+    firstNote: number;
+};
+/**
+ * The values of an unused pad, every setting of a Pad apart from the label and filename.
+ */
+export type PadDefaults = {
+    /**
+     * The sample start offset.
+     */
+    originalSampleStart: number;
+    /**
+     * The sample end offset.
+     */
+    originalSampleEnd: number;
+    /**
+     * The user set start offset.
+     */
+    userSampleStart: number;
+    /**
+     * The user set end offset.
+     */
+    userSampleEnd: number;
+    /**
+     * The volume from 0 to 127.
+     */
+    volume: number;
+    /**
+     * LoFi.
+     */
+    lofi: boolean;
+    /**
+     * Loop.
+     */
+    loop: boolean;
+    /**
+     * Gate.
+     */
+    gate: boolean;
+    /**
+     * Reverse.
+     */
+    reverse: boolean;
+    /**
+     * The sample format, `WAVE` or `AIFF`.
+     */
+    format: string;
+    /**
+     * `Mono` or `Stereo`.
+     */
+    channels: string;
+    /**
+     * `Off`, `Pattern` or `User`.
+     */
+    tempoMode: string;
+    /**
+     * The BPM determined by the software.
+     */
+    originalTempo: number;
+    /**
+     * The user set BPM.
+     */
+    userTempo: number;
+};
+/**
+ * The values of an unused pad in a PADCONF.BIN project file, every identified setting of a PadConf apart from the label and name.
+ */
+export type PadConfDefaults = {
+    /**
+     * The end of the sample as it was imported.
+     */
+    originalSampleEnd: number;
+    /**
+     * The start point of the sample.
+     */
+    sampleStart: number;
+    /**
+     * The end point of the sample.
+     */
+    sampleEnd: number;
+    /**
+     * The point the sample loops back to when looping.
+     */
+    loopStart: number;
+    /**
+     * The volume from 0 to 127.
+     */
+    volume: number;
+    /**
+     * The BPM of the sample.
+     */
+    bpm: number;
+    /**
+     * Gate.
+     */
+    gate: boolean;
+    /**
+     * Loop.
+     */
+    loop: boolean;
+    /**
+     * Reverse.
+     */
+    reverse: boolean;
+};
+/**
+ * The values that differ between the SP-404 series of samplers.
+ */
+export type DeviceProfile = {
+    /**
+     * The short identifier of the model, like `SP-404SX`.
+     */
+    id: string;
+    /**
+     * The full name of the model.
+     */
+    name: string;
+    /**
+     * The number of banks, `A` being the first.
+     */
+    banks: number;
+    /**
+     * The number of pads in each bank.
+     */
+    padsPerBank: number;
+    /**
+     * The pulses per quarter note used by pattern files.
+     */
+    ppqn: number;
+    /**
+     * The maximum length of a pattern in bars.
+     */
+    maxBars: number;
+    /**
+     * When true, patterns use the footer layout of the original SP-404 series, without the bar count.
+     */
+    og: boolean;
+    /**
+     * The bank switch groups used in pattern files, in bank order.
+     */
+    bankSwitch: ReadonlyArray<BankSwitchGroup>;
+    /**
+     * Build the sample filename for a pad label, like `A0000001.WAV` for `A1`.
+     */
+    filename: (arg0: string) => string;
+    /**
+     * The values of an unused pad in a PAD_INFO.BIN file, as written by the device.
+     */
+    defaultPad: Readonly<PadDefaults>;
+    /**
+     * The values of an unused pad in a PADCONF.BIN project file, only for models with project files.
+     */
+    defaultPadConf?: Readonly<PadConfDefaults>;
+};
+declare namespace DeviceProfiles {
+    export { SP404 };
+    export { SP404SX };
+    export { SP404A };
+    export { SP404MKII };
+}
+//# sourceMappingURL=device-profiles.d.ts.map
\ No newline at end of file
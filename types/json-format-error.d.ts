@@ -0,0 +1,35 @@
+export default JSONFormatError;
+/**
+ * Error thrown when loading JSON that does not match the JSON Schema of the file, see `PadInfoSchema` and `PatternSchema`.
+ * @property {string} path The JSON path of the first offending value, like `$.pads[3].volume`.
+ * @property {string} keyword The schema keyword that failed, like `maximum` or `required`.
+ * @property {any} value The offending value, undefined for missing properties.
+ * @property {import('./json-schema.js').SchemaError[]} errors Every problem found in the JSON.
+ * @example <caption>new JSONFormatError(message, details)</caption>
+ * throw new JSONFormatError('JSON is invalid at $.pads[3].volume, 200 should be at most 127.', { path: '$.pads[3].volume', keyword: 'maximum', value: 200, errors });
+ * @augments Error
+ * @class
+ */
+declare class JSONFormatError extends Error {
+    /**
+     * Creates a new JSONFormatError.
+     * @param {string} message Message to show when the error is thrown.
+     * @param {object} details The details of the problem.
+     * @param {string} details.path The JSON path of the first offending value.
+     * @param {string} details.keyword The schema keyword that failed.
+     * @param {any} [details.value] The offending value.
+     * @param {import('./json-schema.js').SchemaError[]} [details.errors] Every problem found in the JSON.
+     * @class
+     */
+    constructor(message: string, { path, keyword, value, errors }: {
+        path: string;
+        keyword: string;
+        value?: any;
+        errors?: import("./json-schema.js").SchemaError[];
+    });
+    path: string;
+    keyword: string;
+    value: any;
+    errors: import("./json-schema.js").SchemaError[];
+}
+//# sourceMappingURL=json-format-error.d.ts.map
\ No newline at end of file
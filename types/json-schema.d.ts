@@ -0,0 +1,56 @@
+/**
+ * A value that does not match a JSON Schema.
+ * @typedef {object} SchemaError
+ * @property {string} path The JSON path of the value, like `$.pads[3].volume`.
+ * @property {string} keyword The schema keyword that failed, like `maximum` or `required`.
+ * @property {any} value The value that failed, undefined for missing properties.
+ * @property {string} message A human readable description of the problem.
+ */
+/** @type {number} The version of the JSON format, stored as `version` in every document and increased on any incompatible change. */
+export const SCHEMA_VERSION: number;
+/**
+ * The JSON Schema of a PAD_INFO.BIN file, as returned by `AudioPadInfo#toJSON`.
+ * Values follow `AudioPadInfo.validatePad`, so any document that matches can be written back to a PAD_INFO.BIN file.
+ * Pads with values outside of the specification carry the 32 `raw` bytes they are written from, and may keep those values as read.
+ * @type {object}
+ */
+export const PadInfoSchema: object;
+/**
+ * The JSON Schema of a pattern file, as returned by `AudioPattern#toJSON`.
+ * Notes keep the raw values of every byte, placeholder notes on MIDI note 128 included, so any document that matches can be written back to a pattern file.
+ * Values follow the ranges `AudioPattern#toBuffer` accepts rather than the values the device writes.
+ * @type {object}
+ */
+export const PatternSchema: object;
+export function validate(schema: object, value: any, path?: string, root?: object): SchemaError[];
+export function parseJSON(schema: object, input: string | object): any;
+declare namespace _default {
+    export { SCHEMA_VERSION };
+    export { PadInfoSchema };
+    export { PatternSchema };
+    export { parseJSON };
+    export { validate };
+}
+export default _default;
+/**
+ * A value that does not match a JSON Schema.
+ */
+export type SchemaError = {
+    /**
+     * The JSON path of the value, like `$.pads[3].volume`.
+     */
+    path: string;
+    /**
+     * The schema keyword that failed, like `maximum` or `required`.
+     */
+    keyword: string;
+    /**
+     * The value that failed, undefined for missing properties.
+     */
+    value: any;
+    /**
+     * A human readable description of the problem.
+     */
+    message: string;
+};
+//# sourceMappingURL=json-schema.d.ts.map
\ No newline at end of file
@@ -0,0 +1,131 @@
+export default PadAddress;
+/**
+ * Uttori Pad Address - Utility to parse and format pad labels like `A1` or `J16` for any device profile.
+ *
+ * A pad can be addressed by its label, its index in the pad files (starting at 0), or its sample number (starting at 1), and belongs to a bank letter starting at `A`.
+ * Range expressions select several pads at once, separated by commas or spaces:
+ * - `A1` a single pad
+ * - `A1:A12` or `C1-D4` every pad from the first label to the last label, across banks
+ * - `B*` every pad in a bank
+ * - `*` every pad
+ * @property {import('./device-profiles.js').DeviceProfile} profile The device the address is for.
+ * @property {number} index The index of the pad in the pad files, starting at 0.
+ * @property {number} sampleNumber The sample number of the pad, starting at 1.
+ * @property {string} bank The bank letter like `A` or `J`.
+ * @property {number} bankIndex The index of the bank, starting at 0 for `A`.
+ * @property {number} pad The pad number within the bank, starting at 1.
+ * @property {string} label The pad label like `A1` or `J16`.
+ * @example <caption>PadAddress</caption>
+ * const address = PadAddress.fromLabel('b3', DeviceProfiles.SP404SX);
+ * console.log(address.label, address.index, address.bank, address.sampleNumber);
+ * ➜ B3 14 B 15
+ * console.log(PadAddress.parseRange('A1:A3, J*').map(String));
+ * ➜ ['A1', 'A2', 'A3', 'J1', ..., 'J12']
+ * @class
+ */
+declare class PadAddress {
+    /**
+     * The number of pads on a device.
+     * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to count the pads of; default is the SP-404SX.
+     * @returns {number} The number of pads.
+     * @static
+     */
+    static padCount(profile?: import("./device-profiles.js").DeviceProfile): number;
+    /**
+     * Check that an index is a pad on a device.
+     * @param {number} index The index of the pad in the pad files, starting at 0.
+     * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to check against; default is the SP-404SX.
+     * @returns {boolean} True when the index is a pad on the device.
+     * @static
+     */
+    static isValidIndex(index: number, profile?: import("./device-profiles.js").DeviceProfile): boolean;
+    /**
+     * Check that a label is a pad on a device, labels are not case sensitive.
+     * @param {string} label The pad label like `A1` or `J16`.
+     * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to check against; default is the SP-404SX.
+     * @returns {boolean} True when the label is a pad on the device.
+     * @static
+     */
+    static isValidLabel(label: string, profile?: import("./device-profiles.js").DeviceProfile): boolean;
+    /**
+     * Convert a pad index to the pad label like `A1` or `J16`.
+     * @param {number} index The index of the pad in the pad files, starting at 0.
+     * @param {import('./device-profiles.js').DeviceProfile} [profile] The device to build the label for; default is the SP-404SX.
+     * @returns {string} The pad label like `A1` or `J16`, or an empty string when the index is unknown.
+     * @static
+     */
+    static getLabel(index: number, profile?: import("./device-profiles.js").DeviceProfile): string;
+    /**
+     * Convert a pad label like `A1` or `J16` to the pad index, labels are not case sensitive.
+     * @param {string} label The pad label like `A1` or `J16`.
+     * @param {import('./device-profiles.js').DeviceProfile} [profile] The device the label is for; default is the SP-404SX.
+     * @returns {number} The index of the pad in the pad files, or -1 when the label is unknown.
+     * @static
+     */
+    static getIndex(label?: string, profile?: import("./device-profiles.js").DeviceProfile): number;
+    /**
+     * Create an address from a pad label like `A1` or `J16`, labels are not case sensitive.
+     * @param {string} label The pad label like `A1` or `J16`.
+     * @param {import('./device-profiles.js').DeviceProfile} [profile] The device the label is for; default is the SP-404SX.
+     * @returns {PadAddress} The address of the pad.
+     * @throws {Error} The label is not a pad on the device.
+     * @static
+     */
+    static fromLabel(label: string, profile?: import("./device-profiles.js").DeviceProfile): PadAddress;
+    /**
+     * Create an address from a sample number, starting at 1 for `A1`.
+     * @param {number} sampleNumber The sample number of the pad.
+     * @param {import('./device-profiles.js').DeviceProfile} [profile] The device the sample number is for; default is the SP-404SX.
+     * @returns {PadAddress} The address of the pad.
+     * @throws {Error} The sample number is not a pad on the device.
+     * @static
+     */
+    static fromSampleNumber(sampleNumber: number, profile?: import("./device-profiles.js").DeviceProfile): PadAddress;
+    /**
+     * Create the addresses of every pad in a bank.
+     * @param {string} bank The bank letter like `A` or `J`, not case sensitive.
+     * @param {import('./device-profiles.js').DeviceProfile} [profile] The device the bank is for; default is the SP-404SX.
+     * @returns {PadAddress[]} The addresses of the pads in the bank, in pad order.
+     * @throws {Error} The bank is not on the device.
+     * @static
+     */
+    static fromBank(bank: string, profile?: import("./device-profiles.js").DeviceProfile): PadAddress[];
+    /**
+     * Create the addresses of every pad matching a range expression, in pad order without duplicates.
+     * The expression is a list of labels (`A1`), ranges (`A1:A12` or `C1-D4`), banks (`B*`) or every pad (`*`), separated by commas or spaces.
+     * @param {string} expression The range expression like `A1:A12, B*`.
+     * @param {import('./device-profiles.js').DeviceProfile} [profile] The device the expression is for; default is the SP-404SX.
+     * @returns {PadAddress[]} The addresses of the matching pads.
+     * @throws {Error} The expression contains an invalid label, bank or range.
+     * @static
+     */
+    static parseRange(expression: string, profile?: import("./device-profiles.js").DeviceProfile): PadAddress[];
+    /**
+     * Creates an instance of PadAddress.
+     * @param {number} index The index of the pad in the pad files, starting at 0.
+     * @param {import('./device-profiles.js').DeviceProfile} [profile] The device the address is for; default is the SP-404SX.
+     * @throws {Error} The index is not a pad on the device.
+     * @class
+     */
+    constructor(index: number, profile?: import("./device-profiles.js").DeviceProfile);
+    /** @type {import('./device-profiles.js').DeviceProfile} The device the address is for. */
+    profile: import("./device-profiles.js").DeviceProfile;
+    /** @type {number} The index of the pad in the pad files, starting at 0. */
+    index: number;
+    /** @type {number} The sample number of the pad, starting at 1. */
+    sampleNumber: number;
+    /** @type {number} The index of the bank, starting at 0 for `A`. */
+    bankIndex: number;
+    /** @type {string} The bank letter like `A` or `J`. */
+    bank: string;
+    /** @type {number} The pad number within the bank, starting at 1. */
+    pad: number;
+    /** @type {string} The pad label like `A1` or `J16`. */
+    label: string;
+    /**
+     * The pad label, so addresses can be used in template strings.
+     * @returns {string} The pad label like `A1` or `J16`.
+     */
+    toString(): string;
+}
+//# sourceMappingURL=pad-address.d.ts.map
\ No newline at end of file
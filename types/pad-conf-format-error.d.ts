@@ -0,0 +1,31 @@
+export default PadConfFormatError;
+/**
+ * Error thrown when parsing a PADCONF.BIN file that does not match the specification.
+ * @property {string} code The kind of problem, `ERR_TRUNCATED` or `ERR_PAD_COUNT`.
+ * @property {number} offset The byte offset of the offending value in the file.
+ * @property {number} value The raw value read from the file, or the file length for `ERR_TRUNCATED`.
+ * @example <caption>new PadConfFormatError(message, details)</caption>
+ * throw new PadConfFormatError('Truncated: 4096 bytes should be 52000 bytes.', { code: 'ERR_TRUNCATED', offset: 4096, value: 4096 });
+ * @augments Error
+ * @class
+ */
+declare class PadConfFormatError extends Error {
+    /**
+     * Creates a new PadConfFormatError.
+     * @param {string} message Message to show when the error is thrown.
+     * @param {object} details The details of the problem.
+     * @param {string} details.code The kind of problem.
+     * @param {number} details.offset The byte offset of the offending value in the file.
+     * @param {number} details.value The raw value read from the file.
+     * @class
+     */
+    constructor(message: string, { code, offset, value }: {
+        code: string;
+        offset: number;
+        value: number;
+    });
+    code: string;
+    offset: number;
+    value: number;
+}
+//# sourceMappingURL=pad-conf-format-error.d.ts.map
\ No newline at end of file
@@ -0,0 +1,39 @@
+export default PadInfoFormatError;
+/**
+ * Error thrown when strictly parsing a PAD_INFO.BIN file that does not match the specification.
+ * @property {string} code The kind of problem, `ERR_TRUNCATED`, `ERR_INVALID_VALUE` or `ERR_SAMPLE_RANGE`.
+ * @property {number} offset The byte offset of the offending value in the file.
+ * @property {number | boolean | string} value The raw value read from the file, or the file length for `ERR_TRUNCATED`.
+ * @property {string} [label] The label of the pad the problem was found on.
+ * @property {string} [field] The name of the field on the Pad.
+ * @example <caption>new PadInfoFormatError(message, details)</caption>
+ * throw new PadInfoFormatError('Invalid Volume: 255 should be between 0 and 127.', { code: 'ERR_INVALID_VALUE', offset: 16, value: 255, label: 'A1', field: 'volume' });
+ * @augments Error
+ * @class
+ */
+declare class PadInfoFormatError extends Error {
+    /**
+     * Creates a new PadInfoFormatError.
+     * @param {string} message Message to show when the error is thrown.
+     * @param {object} details The details of the problem.
+     * @param {string} details.code The kind of problem.
+     * @param {number} details.offset The byte offset of the offending value in the file.
+     * @param {number | boolean | string} details.value The raw value read from the file.
+     * @param {string} [details.label] The label of the pad the problem was found on.
+     * @param {string} [details.field] The name of the field on the Pad.
+     * @class
+     */
+    constructor(message: string, { code, offset, value, label, field }: {
+        code: string;
+        offset: number;
+        value: number | boolean | string;
+        label?: string;
+        field?: string;
+    });
+    code: string;
+    offset: number;
+    value: string | number | boolean;
+    label: string;
+    field: string;
+}
+//# sourceMappingURL=pad-info-format-error.d.ts.map
\ No newline at end of file
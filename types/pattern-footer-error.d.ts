@@ -0,0 +1,32 @@
+export default PatternFooterError;
+/**
+ * Error thrown when strictly parsing a pattern file with a footer that does not match the specification.
+ * @property {string} code The kind of problem, `ERR_TRUNCATED`, `ERR_INVALID_VALUE` or `ERR_BARS_MISMATCH`.
+ * @property {number} offset The byte offset of the offending footer byte in the file.
+ * @property {number} value The raw value read from the file.
+ * @property {string} [field] The footer byte, like `footer[9]`.
+ * @example <caption>new PatternFooterError(message, details)</caption>
+ * throw new PatternFooterError('Unique Footer Byte 9 (MKii): 2.', { code: 'ERR_INVALID_VALUE', offset: 17, value: 2, field: 'footer[9]' });
+ * @augments PatternFormatError
+ * @class
+ */
+declare class PatternFooterError extends PatternFormatError {
+    /**
+     * Creates a new PatternFooterError.
+     * @param {string} message Message to show when the error is thrown.
+     * @param {object} details The details of the problem.
+     * @param {string} details.code The kind of problem.
+     * @param {number} details.offset The byte offset of the offending footer byte in the file.
+     * @param {number} details.value The raw value read from the file.
+     * @param {string} [details.field] The footer byte, like `footer[9]`.
+     * @class
+     */
+    constructor(message: string, { code, offset, value, field }: {
+        code: string;
+        offset: number;
+        value: number;
+        field?: string;
+    });
+}
+import PatternFormatError from './pattern-format-error.js';
+//# sourceMappingURL=pattern-footer-error.d.ts.map
\ No newline at end of file
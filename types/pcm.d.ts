@@ -0,0 +1,36 @@
+export function decodeSamples(data: Uint8Array, { offset, frames, channels, bytesPerSample, float, littleEndian, unsigned }: PCMLayout): Float32Array[];
+export function encodeSamples16(samples: Float32Array[], littleEndian?: boolean): Uint8Array;
+/**
+ * The layout of interleaved PCM sample data.
+ */
+export type PCMLayout = {
+    /**
+     * The byte offset of the first sample frame.
+     */
+    offset: number;
+    /**
+     * The number of sample frames.
+     */
+    frames: number;
+    /**
+     * The number of channels.
+     */
+    channels: number;
+    /**
+     * The number of bytes used to store one sample of one channel.
+     */
+    bytesPerSample: number;
+    /**
+     * When true samples are IEEE floats, otherwise signed integers.
+     */
+    float?: boolean;
+    /**
+     * When true samples are stored in little-endian order.
+     */
+    littleEndian?: boolean;
+    /**
+     * When true 8 bit samples are unsigned, as in WAVE files.
+     */
+    unsigned?: boolean;
+};
+//# sourceMappingURL=pcm.d.ts.map
\ No newline at end of file
@@ -0,0 +1,404 @@
+export default SPCard;
+/**
+ * A sample file found on the card.
+ */
+export type CardSample = {
+    /**
+     * The label of the pad the sample belongs to, like `A1`.
+     */
+    label: string;
+    /**
+     * The filename of the sample, like `A0000001.WAV`.
+     */
+    filename: string;
+    /**
+     * The path of the file on the card.
+     */
+    path: string;
+    /**
+     * The contents of the file.
+     */
+    data: Uint8Array;
+    /**
+     * The parsed sample, or null when it could not be read.
+     */
+    audio: import("./audio-wave.js").default | import("./audio-aiff.js").default | null;
+    /**
+     * Why the sample could not be read.
+     */
+    error?: string;
+};
+/**
+ * A pattern file found on the card.
+ */
+export type CardPattern = {
+    /**
+     * The label of the pad the pattern is stored on, like `A1` for `PTN00001.BIN`.
+     */
+    label: string;
+    /**
+     * The filename of the pattern, like `PTN00001.BIN`.
+     */
+    filename: string;
+    /**
+     * The path of the file on the card.
+     */
+    path: string;
+    /**
+     * The contents of the file.
+     */
+    data: Uint8Array;
+    /**
+     * The parsed pattern, or null when it could not be read.
+     */
+    pattern: AudioPattern | null;
+    /**
+     * The labels of the pads triggered by the pattern, in pad order.
+     */
+    padLabels: string[];
+    /**
+     * Why the pattern could not be read.
+     */
+    error?: string;
+};
+/**
+ * A pad and everything on the card linked to it.
+ */
+export type CardPad = {
+    /**
+     * The pad label like `A1` or `J12`.
+     */
+    label: string;
+    /**
+     * The pad from PAD_INFO.BIN, undefined when there is no PAD_INFO.BIN.
+     */
+    pad: import("./audio-padinfo.js").Pad | undefined;
+    /**
+     * The sample file of the pad, undefined when there is none.
+     */
+    sample: CardSample | undefined;
+    /**
+     * The pattern stored on the pad, undefined when there is none.
+     */
+    pattern: CardPattern | undefined;
+    /**
+     * The patterns that trigger the pad.
+     */
+    triggeredBy: CardPattern[];
+};
+/**
+ * A problem found when checking the consistency of a card.
+ */
+export type CardIssue = {
+    /**
+     * Errors stop a pad from playing, warnings are likely mistakes.
+     */
+    severity: "error" | "warning";
+    /**
+     * The kind of problem: `ERR_MISSING_PAD_INFO`, `ERR_MISSING_SAMPLE`, `ERR_ORPHANED_SAMPLE`, `ERR_UNREADABLE_SAMPLE`, `ERR_SAMPLE_LENGTH` or `ERR_EMPTY_PAD_TRIGGERED`.
+     */
+    code: string;
+    /**
+     * The label of the pad the problem was found on.
+     */
+    label?: string;
+    /**
+     * The path of the file the problem was found in.
+     */
+    path?: string;
+    /**
+     * The name of the field on the Pad, like `originalSampleEnd`.
+     */
+    field?: string;
+    /**
+     * The value of the field.
+     */
+    value?: number;
+    /**
+     * A human readable description of the problem.
+     */
+    message: string;
+};
+/**
+ * A change to a file on the card, made by rearranging pads.
+ * Apply the operations in order, a rename may move a sample to a temporary path to make room for another.
+ */
+export type CardFileOperation = {
+    /**
+     * What to do with the file.
+     */
+    operation: "rename" | "copy" | "delete" | "write";
+    /**
+     * The path of the file that is created, changed or deleted.
+     */
+    path: string;
+    /**
+     * The path of the file to rename or copy from.
+     */
+    from?: string;
+    /**
+     * The new contents of the file to write.
+     */
+    data?: Uint8Array;
+};
+/**
+ * A sample file found on the card.
+ * @typedef {object} CardSample
+ * @property {string} label The label of the pad the sample belongs to, like `A1`.
+ * @property {string} filename The filename of the sample, like `A0000001.WAV`.
+ * @property {string} path The path of the file on the card.
+ * @property {Uint8Array} data The contents of the file.
+ * @property {import('./audio-wave.js').default | import('./audio-aiff.js').default | null} audio The parsed sample, or null when it could not be read.
+ * @property {string} [error] Why the sample could not be read.
+ */
+/**
+ * A pattern file found on the card.
+ * @typedef {object} CardPattern
+ * @property {string} label The label of the pad the pattern is stored on, like `A1` for `PTN00001.BIN`.
+ * @property {string} filename The filename of the pattern, like `PTN00001.BIN`.
+ * @property {string} path The path of the file on the card.
+ * @property {Uint8Array} data The contents of the file.
+ * @property {AudioPattern | null} pattern The parsed pattern, or null when it could not be read.
+ * @property {string[]} padLabels The labels of the pads triggered by the pattern, in pad order.
+ * @property {string} [error] Why the pattern could not be read.
+ */
+/**
+ * A pad and everything on the card linked to it.
+ * @typedef {object} CardPad
+ * @property {string} label The pad label like `A1` or `J12`.
+ * @property {import('./audio-padinfo.js').Pad | undefined} pad The pad from PAD_INFO.BIN, undefined when there is no PAD_INFO.BIN.
+ * @property {CardSample | undefined} sample The sample file of the pad, undefined when there is none.
+ * @property {CardPattern | undefined} pattern The pattern stored on the pad, undefined when there is none.
+ * @property {CardPattern[]} triggeredBy The patterns that trigger the pad.
+ */
+/**
+ * A problem found when checking the consistency of a card.
+ * @typedef {object} CardIssue
+ * @property {'error' | 'warning'} severity Errors stop a pad from playing, warnings are likely mistakes.
+ * @property {string} code The kind of problem: `ERR_MISSING_PAD_INFO`, `ERR_MISSING_SAMPLE`, `ERR_ORPHANED_SAMPLE`, `ERR_UNREADABLE_SAMPLE`, `ERR_SAMPLE_LENGTH` or `ERR_EMPTY_PAD_TRIGGERED`.
+ * @property {string} [label] The label of the pad the problem was found on.
+ * @property {string} [path] The path of the file the problem was found in.
+ * @property {string} [field] The name of the field on the Pad, like `originalSampleEnd`.
+ * @property {number} [value] The value of the field.
+ * @property {string} message A human readable description of the problem.
+ */
+/**
+ * A change to a file on the card, made by rearranging pads.
+ * Apply the operations in order, a rename may move a sample to a temporary path to make room for another.
+ * @typedef {object} CardFileOperation
+ * @property {'rename' | 'copy' | 'delete' | 'write'} operation What to do with the file.
+ * @property {string} path The path of the file that is created, changed or deleted.
+ * @property {string} [from] The path of the file to rename or copy from.
+ * @property {Uint8Array} [data] The new contents of the file to write.
+ */
+/**
+ * Uttori SP Card - Utility to load an SP-404SX SD card and link pads, samples and patterns together.
+ *
+ * The card is laid out like the SP-404SX writes it, with PAD_INFO.BIN and the samples in `ROLAND/SP-404SX/SMPL` and the patterns `PTN00001.BIN` to `PTN00120.BIN` in `ROLAND/SP-404SX/PTN`, one pattern for each pad.
+ * Paths are matched without case, like on the FAT file system of the card.
+ * @property {Map<string, Uint8Array>} files Every file on the card, keyed by path with `/` separators.
+ * @property {import('./device-profiles.js').DeviceProfile} profile The device the card is for.
+ * @property {string} root The folder of the device on the card.
+ * @property {AudioPadInfo | null} padInfo The parsed PAD_INFO.BIN, or null when it is missing.
+ * @property {Map<string, CardSample>} samples The sample files, keyed by pad label.
+ * @property {Map<string, CardPattern>} patterns The pattern files, keyed by pad label.
+ * @property {CardPad[]} pads Every pad of the device, in pad order.
+ * @example <caption>SPCard</caption>
+ * const card = await SPCard.fromDirectory('/Volumes/SP-404SX');
+ * const { pad, sample, triggeredBy } = card.getPad('A1');
+ * console.log(pad.volume, sample.path, triggeredBy.map((pattern) => pattern.filename));
+ * ➜ 127 ROLAND/SP-404SX/SMPL/A0000001.WAV ['PTN00001.BIN', 'PTN00014.BIN']
+ * @class
+ */
+declare class SPCard {
+    /**
+     * Load a card from a directory, reading every file below it.
+     * @param {string} directory The path of the root of the card.
+     * @param {object} [options] The options for the card, see the constructor.
+     * @returns {Promise<SPCard>} The loaded card.
+     * @static
+     * @async
+     */
+    static fromDirectory(directory: string, options?: object): Promise<SPCard>;
+    /**
+     * Apply file operations, like those returned by `movePad`, to a card in a directory.
+     * @param {string} directory The path of the root of the card.
+     * @param {CardFileOperation[]} operations The file operations to apply, in order.
+     * @returns {Promise<void>} Resolves when every operation has been applied.
+     * @static
+     * @async
+     */
+    static applyToDirectory(directory: string, operations: CardFileOperation[]): Promise<void>;
+    /**
+     * Normalize a path to `/` separators without leading or trailing separators.
+     * @param {string} path The path to normalize.
+     * @returns {string} The normalized path.
+     * @static
+     */
+    static normalizePath(path: string): string;
+    /**
+     * Build the filename of the pattern stored on a pad, like `PTN00001.BIN` for `A1`.
+     * @param {string} label The pad label like `A1` or `J12`.
+     * @param {import('./device-profiles.js').DeviceProfile} [profile] The device the pattern is for; default is the SP-404SX.
+     * @returns {string} The pattern filename.
+     * @static
+     */
+    static getPatternFilename(label: string, profile?: import("./device-profiles.js").DeviceProfile): string;
+    /**
+     * Creates an instance of SPCard from the files on the card.
+     * @param {Map<string, Uint8Array> | Record<string, Uint8Array>} files The files on the card keyed by path from the root of the card, like `ROLAND/SP-404SX/SMPL/PAD_INFO.BIN`.
+     * @param {object} [options] The options for the card.
+     * @param {import('./device-profiles.js').DeviceProfile} [options.profile] The device the card is for; default is the SP-404SX.
+     * @param {string} [options.root] The folder of the device on the card; default is `ROLAND/SP-404SX`.
+     * @class
+     */
+    constructor(files: Map<string, Uint8Array> | Record<string, Uint8Array>, { profile, root }?: {
+        profile?: import("./device-profiles.js").DeviceProfile;
+        root?: string;
+    });
+    /** @type {Map<string, Uint8Array>} Every file on the card, keyed by path with `/` separators. */
+    files: Map<string, Uint8Array>;
+    /** @type {import('./device-profiles.js').DeviceProfile} The device the card is for. */
+    profile: import("./device-profiles.js").DeviceProfile;
+    /** @type {string} The folder of the device on the card. */
+    root: string;
+    /** @type {AudioPadInfo | null} The parsed PAD_INFO.BIN, or null when it is missing. */
+    padInfo: AudioPadInfo | null;
+    /** @type {Map<string, CardSample>} The sample files, keyed by pad label. */
+    samples: Map<string, CardSample>;
+    /** @type {Map<string, CardPattern>} The pattern files, keyed by pad label. */
+    patterns: Map<string, CardPattern>;
+    /** @type {CardPad[]} Every pad of the device, in pad order. */
+    pads: CardPad[];
+    /** @returns {string} The folder of the samples and PAD_INFO.BIN. */
+    get sampleFolder(): string;
+    /** @returns {string} The folder of the patterns. */
+    get patternFolder(): string;
+    /**
+     * Find the path of a file on the card without case.
+     * @param {string} path The path to look for.
+     * @returns {string | undefined} The path as it is on the card, or undefined when there is no such file.
+     */
+    findPath(path: string): string | undefined;
+    /**
+     * Read a file on the card, matching the path without case.
+     * @param {string} path The path of the file.
+     * @returns {Uint8Array | undefined} The contents of the file, or undefined when there is no such file.
+     */
+    getFile(path: string): Uint8Array | undefined;
+    /**
+     * Parse PAD_INFO.BIN, the samples and the patterns, then link them together.
+     * Files that cannot be parsed are kept with the reason on `error` rather than stopping the load.
+     */
+    load(): void;
+    /**
+     * Parse a sample file.
+     * @param {string} label The label of the pad the sample belongs to.
+     * @param {string} filename The filename of the sample.
+     * @param {string} path The path of the file on the card.
+     * @returns {CardSample} The sample.
+     */
+    loadSample(label: string, filename: string, path: string): CardSample;
+    /**
+     * Parse a pattern file.
+     * @param {string} label The label of the pad the pattern is stored on.
+     * @param {string} filename The filename of the pattern.
+     * @param {string} path The path of the file on the card.
+     * @returns {CardPattern} The pattern.
+     */
+    loadPattern(label: string, filename: string, path: string): CardPattern;
+    /**
+     * Rebuild `pads` from the loaded PAD_INFO.BIN, samples and patterns.
+     */
+    link(): void;
+    /**
+     * Get a pad and everything on the card linked to it.
+     * @param {string} label The pad label like `A1` or `J12`.
+     * @returns {CardPad} The pad.
+     * @throws {Error} The label is not a pad on the device.
+     */
+    getPad(label: string): CardPad;
+    /**
+     * Get the pads triggered by a pattern.
+     * @param {string} label The label of the pad the pattern is stored on, like `A1` for `PTN00001.BIN`.
+     * @returns {CardPad[]} The pads triggered by the pattern, empty when there is no pattern.
+     * @throws {Error} The label is not a pad on the device.
+     */
+    getPadsTriggeredBy(label: string): CardPad[];
+    /**
+     * Move a pad to an empty pad: the sample file is renamed, the PAD_INFO.BIN record is moved and pattern notes playing the pad play the new pad.
+     * Patterns stay on their pads, only the notes in them change.
+     * @param {string} from The label of the pad to move, like `A1`.
+     * @param {string} to The label of the pad to move to, like `C5`.
+     * @param {object} [options] The options for the move.
+     * @param {boolean} [options.overwrite] When true the pad is replaced even when it is in use; default is false.
+     * @returns {CardFileOperation[]} The file operations to apply to the card, in order.
+     * @throws {Error} A label is not a pad on the device, or the pad to move to is in use.
+     */
+    movePad(from: string, to: string, { overwrite }?: {
+        overwrite?: boolean;
+    }): CardFileOperation[];
+    /**
+     * Copy a pad to an empty pad: the sample file is copied and the PAD_INFO.BIN record is duplicated, patterns are not changed.
+     * @param {string} from The label of the pad to copy, like `A1`.
+     * @param {string} to The label of the pad to copy to, like `C5`.
+     * @param {object} [options] The options for the copy.
+     * @param {boolean} [options.overwrite] When true the pad is replaced even when it is in use; default is false.
+     * @returns {CardFileOperation[]} The file operations to apply to the card, in order.
+     * @throws {Error} A label is not a pad on the device, or the pad to copy to is in use.
+     */
+    copyPad(from: string, to: string, { overwrite }?: {
+        overwrite?: boolean;
+    }): CardFileOperation[];
+    /**
+     * Swap two pads: their sample files, PAD_INFO.BIN records and the pattern notes playing them.
+     * @param {string} a The label of the first pad, like `A1`.
+     * @param {string} b The label of the second pad, like `C5`.
+     * @returns {CardFileOperation[]} The file operations to apply to the card, in order.
+     * @throws {Error} A label is not a pad on the device.
+     */
+    swapPads(a: string, b: string): CardFileOperation[];
+    /**
+     * Swap every pad of two banks, like `swapPads` for `A1` and `B1`, `A2` and `B2` and so on.
+     * @param {string} a The first bank letter, like `A`.
+     * @param {string} b The second bank letter, like `B`.
+     * @returns {CardFileOperation[]} The file operations to apply to the card, in order.
+     * @throws {Error} A bank is not on the device.
+     */
+    swapBanks(a: string, b: string): CardFileOperation[];
+    /**
+     * Give pads the sample and settings of other pads, updating the files on the card and returning the file operations to make the same change on the card.
+     * Every move reads the pads as they were before the call, so moves can swap or rotate pads.
+     * When moving, pads that are moved from and not moved to are cleared and pattern notes follow their pad, when copying the pads moved from and the patterns are left as they are.
+     * @param {Array<string[]>} moves The labels of the pad to take from and the pad to give to.
+     * @param {object} [options] The options for the moves.
+     * @param {boolean} [options.copy] When true the pads are copied rather than moved; default is false.
+     * @param {boolean} [options.overwrite] When true pads in use can be given to, otherwise only empty pads or pads that are moved away; default is false.
+     * @returns {CardFileOperation[]} The file operations to apply to the card, in order.
+     * @throws {Error} A label is not a pad on the device, a pad to give to is in use, or a pad to take from has invalid settings.
+     */
+    rearrange(moves: Array<string[]>, { copy, overwrite }?: {
+        copy?: boolean;
+        overwrite?: boolean;
+    }): CardFileOperation[];
+    /**
+     * Apply file operations to the files of the card, then load the card again.
+     * @param {CardFileOperation[]} operations The file operations to apply, in order.
+     */
+    applyOperations(operations: CardFileOperation[]): void;
+    /**
+     * Repair PAD_INFO.BIN using the samples on the card, see `AudioPadInfo#repair`.
+     * The pads are changed in place, write `padInfo.toBuffer()` back to the card to keep the changes.
+     * @returns {import('./audio-padinfo.js').PadRepair[]} Every field that was changed, empty when there is no PAD_INFO.BIN.
+     */
+    repair(): import("./audio-padinfo.js").PadRepair[];
+    /**
+     * Check that PAD_INFO.BIN, the samples and the patterns agree with each other, the usual cause of pads that do not play.
+     * Pads in use are those that are not `avaliable`, the original sample end is compared to the end of the sample data and the user sample end to the length of the sample file.
+     * @returns {CardIssue[]} The problems found, empty when the card is consistent.
+     */
+    check(): CardIssue[];
+}
+import AudioPattern from './audio-pattern.js';
+import AudioPadInfo from './audio-padinfo.js';
+//# sourceMappingURL=sp-card.d.ts.map
\ No newline at end of file